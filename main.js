@@ -8,6 +8,7 @@
  * operations via IPC (Inter-Process Communication).
  * 
  * CHANGE LOG:
+ * - 2026-10-19: Added IPC handlers for local vault attachments ("<vault>_attachments" folder)
  * - 2025-12-22: Added IPC handlers for backup feature (folder selection, binary file write)
  * - 2025-12-17: Integrated electron-updater for automatic GitHub releases
  * - 2025-12-16: Added local HTTP server (port 17280) for Google OAuth compatibility
@@ -414,3 +415,50 @@ ipcMain.handle('write-file-binary', async (event, filePath, base64Data) => {
         return { success: false, error: e.message };
     }
 });
+
+// --- 2026-10-19: Local Vault Attachment IPC Handlers ---
+// Attachments of a local vault are kept in a "<vault>_attachments" folder next to the vault file
+
+/**
+ * Get the path of an attachment file of a local vault
+ * path.basename() keeps a crafted filename from escaping the attachments folder.
+ */
+function getAttachmentPath(vaultPath, filename) {
+    const vault = path.parse(vaultPath);
+    return path.join(vault.dir, `${vault.name}_attachments`, path.basename(filename));
+}
+
+// Write an attachment (base64), creating the folder on first use
+ipcMain.handle('write-attachment', async (event, vaultPath, filename, base64Data) => {
+    try {
+        const filePath = getAttachmentPath(vaultPath, filename);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, Buffer.from(base64Data, 'base64'));
+        return { success: true };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Read an attachment as base64
+ipcMain.handle('read-attachment', async (event, vaultPath, filename) => {
+    try {
+        const buffer = fs.readFileSync(getAttachmentPath(vaultPath, filename));
+        return { success: true, data: buffer.toString('base64') };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
+
+// Delete an attachment (no error if it is already gone)
+ipcMain.handle('delete-attachment', async (event, vaultPath, filename) => {
+    try {
+        const filePath = getAttachmentPath(vaultPath, filename);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+        return { success: true };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+});
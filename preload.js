@@ -8,6 +8,7 @@
  * Exposes safe file system APIs via contextBridge.
  * 
  * CHANGE LOG:
+ * - 2026-10-19: Added local vault attachment APIs (write, read, delete)
  * - 2025-12-22: Added backup APIs (folder selection, binary writes, path helpers)
  * - 2025-12-15: Initial creation
  * 
@@ -65,5 +66,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
     listFiles: (dirPath) => ipcRenderer.invoke('list-files', dirPath),
     deleteFile: (filePath) => ipcRenderer.invoke('delete-file', filePath),
     selectFolder: () => ipcRenderer.invoke('select-folder'),
-    writeFileBinary: (filePath, base64Data) => ipcRenderer.invoke('write-file-binary', filePath, base64Data)
+    writeFileBinary: (filePath, base64Data) => ipcRenderer.invoke('write-file-binary', filePath, base64Data),
+
+    // 2026-10-19: Attachments of local vaults
+    writeAttachment: (vaultPath, filename, base64Data) => ipcRenderer.invoke('write-attachment', vaultPath, filename, base64Data),
+    readAttachment: (vaultPath, filename) => ipcRenderer.invoke('read-attachment', vaultPath, filename),
+    deleteAttachment: (vaultPath, filename) => ipcRenderer.invoke('delete-attachment', vaultPath, filename)
 });
@@ -15,6 +15,7 @@
  * CHANGE LOG:
  * - 2025-12-20: Initial creation for Client ID injection
  * - 2025-12-20: Added GOOGLE_API_KEY for Picker API
+ * - 2026-10-19: Added optional PBKDF2_ITERATIONS for vault encryption
  * ============================================================================
  */
 
@@ -30,6 +31,8 @@ try {
 
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
 const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
+// 2026-10-19: Optional - Crypto falls back to its default when empty or out of range
+const PBKDF2_ITERATIONS = parseInt(process.env.PBKDF2_ITERATIONS, 10) || null;
 
 if (!GOOGLE_CLIENT_ID) {
     console.error('ERROR: GOOGLE_CLIENT_ID not found in environment.');
@@ -58,7 +61,8 @@ const configContent = `/**
 const Config = (() => {
     return {
         GOOGLE_CLIENT_ID: '${GOOGLE_CLIENT_ID}',
-        GOOGLE_API_KEY: '${GOOGLE_API_KEY}'
+        GOOGLE_API_KEY: '${GOOGLE_API_KEY}',
+        PBKDF2_ITERATIONS: ${PBKDF2_ITERATIONS}
     };
 })();
 `;
@@ -9,7 +9,7 @@
  * different currencies (USD, MXN).
  * 
  * KEY FEATURES:
- * - Currency definitions with symbols and formatting (USD: $, MXN: $MXN)
+ * - Currency definitions with symbols and formatting (full ISO 4217 list, locale-aware)
  * - Account CRUD operations (create, read, update, delete)
  * - Balance calculation per account
  * - Data migration from v1 (simple array) to v2 (accounts structure)
@@ -48,6 +48,9 @@
  * - 2025-12-14: Added balance calculation and account CRUD
  * - 2025-12-15: Added currency extension documentation
  * - 2025-12-15: Added Cash account type support
+ * - 2026-10-19: Added calculateBalanceAsOf(), getTransactionTime(), sortByDateDesc() for backdated entries
+ * - 2026-10-19: Added createInvestmentAccount() for brokerage accounts (cash balance plus positions)
+ * - 2026-10-19: Full ISO 4217 currency table with minor units; locale-aware formatCurrency(); getMinorUnits(), roundAmount(), getCurrencyName(), getCurrencySymbol()
  */
 
 const Accounts = (() => {
@@ -55,39 +58,189 @@ const Accounts = (() => {
      * =========================================================================
      * CURRENCY CONFIGURATION
      * =========================================================================
+     * 2026-10-19: Full list of active ISO 4217 currencies (funds, precious
+     * metals and testing codes are left out). Symbols and grouping come from
+     * Intl for each currency's own locale, so placement follows local usage
+     * (e.g. "1.234,50 €", "R$ 1.234,50", "￥1,235").
+     *
      * To add a new currency:
-     * 1. Add entry to CURRENCIES object below with code, symbol, name, locale
+     * 1. Add entry to CURRENCIES object below with code, name, locale, decimals
      * 2. Add translation entry to I18n LANGUAGE_CURRENCY_MAP if needed
      * 3. Currency will automatically appear in dropdowns via getAvailableCurrencies()
      * 
      * Properties:
      * - code: ISO 4217 currency code (e.g., 'USD', 'EUR')
-     * - symbol: Currency symbol displayed before amounts (e.g., '$', '€')
-     * - name: Human-readable currency name
-     * - locale: BCP 47 locale for number formatting (e.g., 'en-US')
-     * - suffix: Optional suffix appended after amount (e.g., ' MXN')
+     * - name: English currency name (localized names come from getCurrencyName())
+     * - locale: BCP 47 locale for number formatting (e.g., 'en-US'); countries
+     *   whose language is written right-to-left use English for that region
+     * - decimals: ISO 4217 minor units (0 for JPY, 3 for KWD)
      * =========================================================================
      */
     const CURRENCIES = {
-        USD: {
-            code: 'USD',
-            symbol: '$',
-            name: 'US Dollar',
-            locale: 'en-US'
-        },
-        MXN: {
-            code: 'MXN',
-            symbol: '$',
-            name: 'Mexican Peso',
-            locale: 'es-MX',
-            suffix: ' MXN'
-        }
-        // To add more currencies:
-        // EUR: { code: 'EUR', symbol: '€', name: 'Euro', locale: 'de-DE' },
-        // GBP: { code: 'GBP', symbol: '£', name: 'British Pound', locale: 'en-GB' },
-        // JPY: { code: 'JPY', symbol: '¥', name: 'Japanese Yen', locale: 'ja-JP' }
+        AED: { code: 'AED', name: 'United Arab Emirates Dirham', locale: 'en-AE', decimals: 2 },
+        AFN: { code: 'AFN', name: 'Afghan Afghani', locale: 'en-AF', decimals: 2 },
+        ALL: { code: 'ALL', name: 'Albanian Lek', locale: 'sq-AL', decimals: 2 },
+        AMD: { code: 'AMD', name: 'Armenian Dram', locale: 'hy-AM', decimals: 2 },
+        ANG: { code: 'ANG', name: 'Netherlands Antillean Guilder', locale: 'nl-CW', decimals: 2 },
+        AOA: { code: 'AOA', name: 'Angolan Kwanza', locale: 'pt-AO', decimals: 2 },
+        ARS: { code: 'ARS', name: 'Argentine Peso', locale: 'es-AR', decimals: 2 },
+        AUD: { code: 'AUD', name: 'Australian Dollar', locale: 'en-AU', decimals: 2 },
+        AWG: { code: 'AWG', name: 'Aruban Florin', locale: 'nl-AW', decimals: 2 },
+        AZN: { code: 'AZN', name: 'Azerbaijani Manat', locale: 'az-AZ', decimals: 2 },
+        BAM: { code: 'BAM', name: 'Bosnia-Herzegovina Convertible Mark', locale: 'bs-BA', decimals: 2 },
+        BBD: { code: 'BBD', name: 'Barbadian Dollar', locale: 'en-BB', decimals: 2 },
+        BDT: { code: 'BDT', name: 'Bangladeshi Taka', locale: 'bn-BD', decimals: 2 },
+        BGN: { code: 'BGN', name: 'Bulgarian Lev', locale: 'bg-BG', decimals: 2 },
+        BHD: { code: 'BHD', name: 'Bahraini Dinar', locale: 'en-BH', decimals: 3 },
+        BIF: { code: 'BIF', name: 'Burundian Franc', locale: 'rn-BI', decimals: 0 },
+        BMD: { code: 'BMD', name: 'Bermudan Dollar', locale: 'en-BM', decimals: 2 },
+        BND: { code: 'BND', name: 'Brunei Dollar', locale: 'ms-BN', decimals: 2 },
+        BOB: { code: 'BOB', name: 'Bolivian Boliviano', locale: 'es-BO', decimals: 2 },
+        BRL: { code: 'BRL', name: 'Brazilian Real', locale: 'pt-BR', decimals: 2 },
+        BSD: { code: 'BSD', name: 'Bahamian Dollar', locale: 'en-BS', decimals: 2 },
+        BTN: { code: 'BTN', name: 'Bhutanese Ngultrum', locale: 'dz-BT', decimals: 2 },
+        BWP: { code: 'BWP', name: 'Botswanan Pula', locale: 'en-BW', decimals: 2 },
+        BYN: { code: 'BYN', name: 'Belarusian Ruble', locale: 'be-BY', decimals: 2 },
+        BZD: { code: 'BZD', name: 'Belize Dollar', locale: 'en-BZ', decimals: 2 },
+        CAD: { code: 'CAD', name: 'Canadian Dollar', locale: 'en-CA', decimals: 2 },
+        CDF: { code: 'CDF', name: 'Congolese Franc', locale: 'fr-CD', decimals: 2 },
+        CHF: { code: 'CHF', name: 'Swiss Franc', locale: 'de-CH', decimals: 2 },
+        CLP: { code: 'CLP', name: 'Chilean Peso', locale: 'es-CL', decimals: 0 },
+        CNY: { code: 'CNY', name: 'Chinese Yuan', locale: 'zh-CN', decimals: 2 },
+        COP: { code: 'COP', name: 'Colombian Peso', locale: 'es-CO', decimals: 2 },
+        CRC: { code: 'CRC', name: 'Costa Rican Colón', locale: 'es-CR', decimals: 2 },
+        CUP: { code: 'CUP', name: 'Cuban Peso', locale: 'es-CU', decimals: 2 },
+        CVE: { code: 'CVE', name: 'Cape Verdean Escudo', locale: 'en-CV', decimals: 2 },
+        CZK: { code: 'CZK', name: 'Czech Koruna', locale: 'cs-CZ', decimals: 2 },
+        DJF: { code: 'DJF', name: 'Djiboutian Franc', locale: 'fr-DJ', decimals: 0 },
+        DKK: { code: 'DKK', name: 'Danish Krone', locale: 'da-DK', decimals: 2 },
+        DOP: { code: 'DOP', name: 'Dominican Peso', locale: 'es-DO', decimals: 2 },
+        DZD: { code: 'DZD', name: 'Algerian Dinar', locale: 'en-DZ', decimals: 2 },
+        EGP: { code: 'EGP', name: 'Egyptian Pound', locale: 'en-EG', decimals: 2 },
+        ERN: { code: 'ERN', name: 'Eritrean Nakfa', locale: 'ti-ER', decimals: 2 },
+        ETB: { code: 'ETB', name: 'Ethiopian Birr', locale: 'am-ET', decimals: 2 },
+        EUR: { code: 'EUR', name: 'Euro', locale: 'de-DE', decimals: 2 },
+        FJD: { code: 'FJD', name: 'Fijian Dollar', locale: 'en-FJ', decimals: 2 },
+        FKP: { code: 'FKP', name: 'Falkland Islands Pound', locale: 'en-FK', decimals: 2 },
+        GBP: { code: 'GBP', name: 'British Pound', locale: 'en-GB', decimals: 2 },
+        GEL: { code: 'GEL', name: 'Georgian Lari', locale: 'ka-GE', decimals: 2 },
+        GHS: { code: 'GHS', name: 'Ghanaian Cedi', locale: 'ak-GH', decimals: 2 },
+        GIP: { code: 'GIP', name: 'Gibraltar Pound', locale: 'en-GI', decimals: 2 },
+        GMD: { code: 'GMD', name: 'Gambian Dalasi', locale: 'en-GM', decimals: 2 },
+        GNF: { code: 'GNF', name: 'Guinean Franc', locale: 'fr-GN', decimals: 0 },
+        GTQ: { code: 'GTQ', name: 'Guatemalan Quetzal', locale: 'es-GT', decimals: 2 },
+        GYD: { code: 'GYD', name: 'Guyanaese Dollar', locale: 'en-GY', decimals: 2 },
+        HKD: { code: 'HKD', name: 'Hong Kong Dollar', locale: 'zh-HK', decimals: 2 },
+        HNL: { code: 'HNL', name: 'Honduran Lempira', locale: 'es-HN', decimals: 2 },
+        HTG: { code: 'HTG', name: 'Haitian Gourde', locale: 'ht-HT', decimals: 2 },
+        HUF: { code: 'HUF', name: 'Hungarian Forint', locale: 'hu-HU', decimals: 2 },
+        IDR: { code: 'IDR', name: 'Indonesian Rupiah', locale: 'id-ID', decimals: 2 },
+        ILS: { code: 'ILS', name: 'Israeli New Shekel', locale: 'en-IL', decimals: 2 },
+        INR: { code: 'INR', name: 'Indian Rupee', locale: 'en-IN', decimals: 2 },
+        IQD: { code: 'IQD', name: 'Iraqi Dinar', locale: 'en-IQ', decimals: 3 },
+        IRR: { code: 'IRR', name: 'Iranian Rial', locale: 'en-IR', decimals: 2 },
+        ISK: { code: 'ISK', name: 'Icelandic Króna', locale: 'is-IS', decimals: 0 },
+        JMD: { code: 'JMD', name: 'Jamaican Dollar', locale: 'en-JM', decimals: 2 },
+        JOD: { code: 'JOD', name: 'Jordanian Dinar', locale: 'en-JO', decimals: 3 },
+        JPY: { code: 'JPY', name: 'Japanese Yen', locale: 'ja-JP', decimals: 0 },
+        KES: { code: 'KES', name: 'Kenyan Shilling', locale: 'en-KE', decimals: 2 },
+        KGS: { code: 'KGS', name: 'Kyrgystani Som', locale: 'ky-KG', decimals: 2 },
+        KHR: { code: 'KHR', name: 'Cambodian Riel', locale: 'km-KH', decimals: 2 },
+        KMF: { code: 'KMF', name: 'Comorian Franc', locale: 'en-KM', decimals: 0 },
+        KPW: { code: 'KPW', name: 'North Korean Won', locale: 'ko-KP', decimals: 2 },
+        KRW: { code: 'KRW', name: 'South Korean Won', locale: 'ko-KR', decimals: 0 },
+        KWD: { code: 'KWD', name: 'Kuwaiti Dinar', locale: 'en-KW', decimals: 3 },
+        KYD: { code: 'KYD', name: 'Cayman Islands Dollar', locale: 'en-KY', decimals: 2 },
+        KZT: { code: 'KZT', name: 'Kazakhstani Tenge', locale: 'ru-KZ', decimals: 2 },
+        LAK: { code: 'LAK', name: 'Laotian Kip', locale: 'lo-LA', decimals: 2 },
+        LBP: { code: 'LBP', name: 'Lebanese Pound', locale: 'en-LB', decimals: 2 },
+        LKR: { code: 'LKR', name: 'Sri Lankan Rupee', locale: 'si-LK', decimals: 2 },
+        LRD: { code: 'LRD', name: 'Liberian Dollar', locale: 'en-LR', decimals: 2 },
+        LSL: { code: 'LSL', name: 'Lesotho Loti', locale: 'st-LS', decimals: 2 },
+        LYD: { code: 'LYD', name: 'Libyan Dinar', locale: 'en-LY', decimals: 3 },
+        MAD: { code: 'MAD', name: 'Moroccan Dirham', locale: 'en-MA', decimals: 2 },
+        MDL: { code: 'MDL', name: 'Moldovan Leu', locale: 'ro-MD', decimals: 2 },
+        MGA: { code: 'MGA', name: 'Malagasy Ariary', locale: 'mg-MG', decimals: 2 },
+        MKD: { code: 'MKD', name: 'Macedonian Denar', locale: 'mk-MK', decimals: 2 },
+        MMK: { code: 'MMK', name: 'Myanmar Kyat', locale: 'my-MM', decimals: 2 },
+        MNT: { code: 'MNT', name: 'Mongolian Tugrik', locale: 'mn-MN', decimals: 2 },
+        MOP: { code: 'MOP', name: 'Macanese Pataca', locale: 'zh-MO', decimals: 2 },
+        MRU: { code: 'MRU', name: 'Mauritanian Ouguiya', locale: 'en-MR', decimals: 2 },
+        MUR: { code: 'MUR', name: 'Mauritian Rupee', locale: 'fr-MU', decimals: 2 },
+        MVR: { code: 'MVR', name: 'Maldivian Rufiyaa', locale: 'en-MV', decimals: 2 },
+        MWK: { code: 'MWK', name: 'Malawian Kwacha', locale: 'en-MW', decimals: 2 },
+        MXN: { code: 'MXN', name: 'Mexican Peso', locale: 'es-MX', decimals: 2 },
+        MYR: { code: 'MYR', name: 'Malaysian Ringgit', locale: 'ms-MY', decimals: 2 },
+        MZN: { code: 'MZN', name: 'Mozambican Metical', locale: 'pt-MZ', decimals: 2 },
+        NAD: { code: 'NAD', name: 'Namibian Dollar', locale: 'af-NA', decimals: 2 },
+        NGN: { code: 'NGN', name: 'Nigerian Naira', locale: 'en-NG', decimals: 2 },
+        NIO: { code: 'NIO', name: 'Nicaraguan Córdoba', locale: 'es-NI', decimals: 2 },
+        NOK: { code: 'NOK', name: 'Norwegian Krone', locale: 'nb-NO', decimals: 2 },
+        NPR: { code: 'NPR', name: 'Nepalese Rupee', locale: 'ne-NP', decimals: 2 },
+        NZD: { code: 'NZD', name: 'New Zealand Dollar', locale: 'en-NZ', decimals: 2 },
+        OMR: { code: 'OMR', name: 'Omani Rial', locale: 'en-OM', decimals: 3 },
+        PAB: { code: 'PAB', name: 'Panamanian Balboa', locale: 'es-PA', decimals: 2 },
+        PEN: { code: 'PEN', name: 'Peruvian Sol', locale: 'es-PE', decimals: 2 },
+        PGK: { code: 'PGK', name: 'Papua New Guinean Kina', locale: 'tpi-PG', decimals: 2 },
+        PHP: { code: 'PHP', name: 'Philippine Peso', locale: 'en-PH', decimals: 2 },
+        PKR: { code: 'PKR', name: 'Pakistani Rupee', locale: 'en-PK', decimals: 2 },
+        PLN: { code: 'PLN', name: 'Polish Zloty', locale: 'pl-PL', decimals: 2 },
+        PYG: { code: 'PYG', name: 'Paraguayan Guarani', locale: 'gn-PY', decimals: 0 },
+        QAR: { code: 'QAR', name: 'Qatari Riyal', locale: 'en-QA', decimals: 2 },
+        RON: { code: 'RON', name: 'Romanian Leu', locale: 'ro-RO', decimals: 2 },
+        RSD: { code: 'RSD', name: 'Serbian Dinar', locale: 'sr-RS', decimals: 2 },
+        RUB: { code: 'RUB', name: 'Russian Ruble', locale: 'ru-RU', decimals: 2 },
+        RWF: { code: 'RWF', name: 'Rwandan Franc', locale: 'rw-RW', decimals: 0 },
+        SAR: { code: 'SAR', name: 'Saudi Riyal', locale: 'en-SA', decimals: 2 },
+        SBD: { code: 'SBD', name: 'Solomon Islands Dollar', locale: 'en-SB', decimals: 2 },
+        SCR: { code: 'SCR', name: 'Seychellois Rupee', locale: 'fr-SC', decimals: 2 },
+        SDG: { code: 'SDG', name: 'Sudanese Pound', locale: 'en-SD', decimals: 2 },
+        SEK: { code: 'SEK', name: 'Swedish Krona', locale: 'sv-SE', decimals: 2 },
+        SGD: { code: 'SGD', name: 'Singapore Dollar', locale: 'en-SG', decimals: 2 },
+        SHP: { code: 'SHP', name: 'St. Helena Pound', locale: 'en-SH', decimals: 2 },
+        SLE: { code: 'SLE', name: 'Sierra Leonean Leone', locale: 'en-SL', decimals: 2 },
+        SOS: { code: 'SOS', name: 'Somali Shilling', locale: 'so-SO', decimals: 2 },
+        SRD: { code: 'SRD', name: 'Surinamese Dollar', locale: 'nl-SR', decimals: 2 },
+        SSP: { code: 'SSP', name: 'South Sudanese Pound', locale: 'en-SS', decimals: 2 },
+        STN: { code: 'STN', name: 'São Tomé & Príncipe Dobra', locale: 'pt-ST', decimals: 2 },
+        SVC: { code: 'SVC', name: 'Salvadoran Colón', locale: 'es-SV', decimals: 2 },
+        SYP: { code: 'SYP', name: 'Syrian Pound', locale: 'en-SY', decimals: 2 },
+        SZL: { code: 'SZL', name: 'Swazi Lilangeni', locale: 'en-SZ', decimals: 2 },
+        THB: { code: 'THB', name: 'Thai Baht', locale: 'th-TH', decimals: 2 },
+        TJS: { code: 'TJS', name: 'Tajikistani Somoni', locale: 'tg-TJ', decimals: 2 },
+        TMT: { code: 'TMT', name: 'Turkmenistani Manat', locale: 'tk-TM', decimals: 2 },
+        TND: { code: 'TND', name: 'Tunisian Dinar', locale: 'en-TN', decimals: 3 },
+        TOP: { code: 'TOP', name: 'Tongan Paʻanga', locale: 'to-TO', decimals: 2 },
+        TRY: { code: 'TRY', name: 'Turkish Lira', locale: 'tr-TR', decimals: 2 },
+        TTD: { code: 'TTD', name: 'Trinidad & Tobago Dollar', locale: 'en-TT', decimals: 2 },
+        TWD: { code: 'TWD', name: 'New Taiwan Dollar', locale: 'zh-TW', decimals: 2 },
+        TZS: { code: 'TZS', name: 'Tanzanian Shilling', locale: 'sw-TZ', decimals: 2 },
+        UAH: { code: 'UAH', name: 'Ukrainian Hryvnia', locale: 'uk-UA', decimals: 2 },
+        UGX: { code: 'UGX', name: 'Ugandan Shilling', locale: 'en-UG', decimals: 0 },
+        USD: { code: 'USD', name: 'US Dollar', locale: 'en-US', decimals: 2 },
+        UYU: { code: 'UYU', name: 'Uruguayan Peso', locale: 'es-UY', decimals: 2 },
+        UZS: { code: 'UZS', name: 'Uzbekistani Som', locale: 'uz-UZ', decimals: 2 },
+        VES: { code: 'VES', name: 'Venezuelan Bolívar', locale: 'es-VE', decimals: 2 },
+        VND: { code: 'VND', name: 'Vietnamese Dong', locale: 'vi-VN', decimals: 0 },
+        VUV: { code: 'VUV', name: 'Vanuatu Vatu', locale: 'bi-VU', decimals: 0 },
+        WST: { code: 'WST', name: 'Samoan Tala', locale: 'sm-WS', decimals: 2 },
+        XAF: { code: 'XAF', name: 'Central African CFA Franc', locale: 'fr-CM', decimals: 0 },
+        XCD: { code: 'XCD', name: 'East Caribbean Dollar', locale: 'en-AG', decimals: 2 },
+        XCG: { code: 'XCG', name: 'Caribbean Guilder', locale: 'nl-CW', decimals: 2 },
+        XOF: { code: 'XOF', name: 'West African CFA Franc', locale: 'fr-SN', decimals: 0 },
+        XPF: { code: 'XPF', name: 'CFP Franc', locale: 'fr-PF', decimals: 0 },
+        YER: { code: 'YER', name: 'Yemeni Rial', locale: 'en-YE', decimals: 2 },
+        ZAR: { code: 'ZAR', name: 'South African Rand', locale: 'en-ZA', decimals: 2 },
+        ZMW: { code: 'ZMW', name: 'Zambian Kwacha', locale: 'en-ZM', decimals: 2 },
+        ZWG: { code: 'ZWG', name: 'Zimbabwean Gold', locale: 'en-ZW', decimals: 2 }
     };
 
+    // Codes outside the table are crypto assets, tracked to 8 decimal places
+    const CRYPTO_DECIMALS = 8;
+
+    // Intl.NumberFormat per currency code, built on first use
+    const formatters = new Map();
+
     /**
      * Generate a unique account ID
      */
@@ -123,6 +276,24 @@ const Accounts = (() => {
         };
     }
 
+    /**
+     * Create a new investment (brokerage) account object
+     * 2026-10-19: Transactions hold the account's cash; share trades and dividends
+     * carry a `security` record (see portfolio.js) and positions are derived from them
+     * @param {string} name - Account name
+     * @param {string} currency - Currency of the cash and of the quotes
+     */
+    function createInvestmentAccount(name, currency = 'USD') {
+        return {
+            id: generateId(),
+            type: 'investment',
+            name: name.trim(),
+            currency: currency,
+            costMethod: 'fifo',
+            createdAt: new Date().toISOString()
+        };
+    }
+
     /**
      * Create a new credit card account object
      * 2025-12-15: Added for credit card support with limit and billing dates
@@ -166,20 +337,102 @@ const Accounts = (() => {
         return CURRENCIES[code] || CURRENCIES.USD;
     }
 
+    /**
+     * Check whether a code is a fiat currency in the table
+     * 2026-10-19: Added with the ISO 4217 table
+     * @param {string} code - Currency code
+     * @returns {boolean} True if supported
+     */
+    function isSupportedCurrency(code) {
+        return Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+    }
+
+    /**
+     * Number of decimal places a currency uses
+     * 2026-10-19: ISO 4217 minor units; crypto codes use CRYPTO_DECIMALS
+     * @param {string} code - Currency code
+     * @returns {number} Decimal places
+     */
+    function getMinorUnits(code) {
+        return isSupportedCurrency(code) ? CURRENCIES[code].decimals : CRYPTO_DECIMALS;
+    }
+
+    /**
+     * Round an amount to a currency's minor units
+     * 2026-10-19: Added with the ISO 4217 table
+     * @param {number} amount - Amount
+     * @param {string} code - Currency code
+     * @returns {number} Rounded amount
+     */
+    function roundAmount(amount, code) {
+        const factor = Math.pow(10, getMinorUnits(code));
+        return Math.round(amount * factor) / factor;
+    }
+
+    /**
+     * Currency name in a UI locale, falling back to the English name
+     * 2026-10-19: Added with the ISO 4217 table
+     * @param {string} code - Currency code
+     * @param {string} [locale] - BCP 47 locale (e.g. I18n.getLocale())
+     * @returns {string} Name
+     */
+    function getCurrencyName(code, locale) {
+        const fallback = isSupportedCurrency(code) ? CURRENCIES[code].name : code;
+        try {
+            return new Intl.DisplayNames([locale || 'en-US'], { type: 'currency', fallback: 'none' }).of(code) || fallback;
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    /**
+     * Number formatter for a currency in its own locale
+     * Digits are always Latin so amounts read (and parse) the same everywhere.
+     * @param {string} code - Currency code from the table
+     * @returns {Intl.NumberFormat} Formatter
+     */
+    function getFormatter(code) {
+        if (!formatters.has(code)) {
+            const currency = getCurrency(code);
+            formatters.set(code, new Intl.NumberFormat(currency.locale, {
+                style: 'currency',
+                currency: currency.code,
+                numberingSystem: 'latn',
+                minimumFractionDigits: currency.decimals,
+                maximumFractionDigits: currency.decimals
+            }));
+        }
+        return formatters.get(code);
+    }
+
+    /**
+     * Symbol used for a currency in its own locale (e.g. '€', 'R$', 'CHF')
+     * 2026-10-19: Derived from Intl instead of a hand-written symbol per currency
+     * @param {string} code - Currency code
+     * @returns {string} Symbol
+     */
+    function getCurrencySymbol(code) {
+        if (!isSupportedCurrency(code)) return code;
+        const part = getFormatter(code).formatToParts(0).find(p => p.type === 'currency');
+        return part ? part.value : code;
+    }
+
     /**
      * Format amount with currency symbol and thousand separators
      * 2025-12-14: Removed suffix - currency code displayed separately below balance
      * 2025-12-15: Added thousand separators using toLocaleString
+     * 2026-10-19: Uses the currency's own locale (symbol placement, grouping, decimal
+     * separator) and minor units; crypto codes get up to 8 decimals and no symbol
      */
     function formatCurrency(amount, currencyCode) {
-        const currency = getCurrency(currencyCode);
         const absAmount = Math.abs(amount);
-        // Format with thousand separators and 2 decimal places
-        const formatted = absAmount.toLocaleString('en-US', {
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        });
-        return `${currency.symbol}${formatted}`;
+        if (!isSupportedCurrency(currencyCode)) {
+            return absAmount.toLocaleString('en-US', {
+                minimumFractionDigits: 2,
+                maximumFractionDigits: CRYPTO_DECIMALS
+            });
+        }
+        return getFormatter(currencyCode).format(absAmount);
     }
 
     /**
@@ -191,6 +444,39 @@ const Accounts = (() => {
             .reduce((sum, t) => sum + t.amt, 0);
     }
 
+    /**
+     * Calculate balance for an account as of a point in time
+     * 2026-10-19: Used for backdated balance adjustments
+     * @param {Array} transactions - All transactions
+     * @param {string} accountId - Account ID
+     * @param {string|Date} asOf - Include transactions dated on or before this moment
+     */
+    function calculateBalanceAsOf(transactions, accountId, asOf) {
+        const cutoff = new Date(asOf).getTime();
+        return transactions
+            .filter(t => t.accountId === accountId && getTransactionTime(t) <= cutoff)
+            .reduce((sum, t) => sum + t.amt, 0);
+    }
+
+    /**
+     * Get a transaction's timestamp for ordering
+     * 2026-10-19: Falls back to the numeric id (Date.now() at entry) for entries without a valid date
+     */
+    function getTransactionTime(transaction) {
+        const time = new Date(transaction.date).getTime();
+        return isNaN(time) ? Number(transaction.id) || 0 : time;
+    }
+
+    /**
+     * Sort transactions newest first by date, breaking ties by id
+     * 2026-10-19: Replaces id-based ordering so backdated entries land in place
+     */
+    function sortByDateDesc(transactions) {
+        return [...transactions].sort((a, b) =>
+            (getTransactionTime(b) - getTransactionTime(a)) || (Number(b.id) - Number(a.id))
+        );
+    }
+
     /**
      * Calculate available credit for a credit card account
      * 2025-12-15: Added for credit card support
@@ -265,11 +551,20 @@ const Accounts = (() => {
         createAccount,
         createCashAccount,
         createCreditCardAccount,
+        createInvestmentAccount,
         createDefaultAccount,
         getAvailableCurrencies,
+        isSupportedCurrency,
+        getMinorUnits,
+        roundAmount,
+        getCurrencyName,
+        getCurrencySymbol,
         getCurrency,
         formatCurrency,
         calculateBalance,
+        calculateBalanceAsOf,
+        getTransactionTime,
+        sortByDateDesc,
         calculateAvailableCredit,
         getAccountTransactions,
         migrateData,
@@ -96,6 +96,43 @@
  * - 2025-12-22: Moved zoom button to header bar to prevent scrolling with image content
  * - 2025-12-22: Added auto-backup for cloud vaults (every 3 days, configurable in settings, backup now button)
  * - 2025-12-24: Security: Added escapeHtml() to activity log, vault picker for XSS prevention
+ * - 2026-10-19: Added recurrence engine (postDueRecurring, setupRecurringEngine) with catch-up on vault open
+ * - 2026-10-19: Added transaction edit modal (openTransactionEditModal, handleSaveTransactionEdit) with editedBy/editedAt
+ * - 2026-10-19: Added date/time picker for backdated entries, date-sorted history, dated balance adjustments
+ * - 2026-10-19: Added Historical view rendering (setupHistoricalView, renderHistoricalView) using Historical module
+ * - 2026-10-19: Added CSV import modal (openCsvImportModal, handleConfirmCsvImport) with vault-stored bank profiles
+ * - 2026-10-19: Import modal accepts OFX/QFX/QIF, skips known FITIDs and can create the account from the statement
+ * - 2026-10-19: Added CSV export modal (openCsvExportModal, handleConfirmCsvExport) using Exporter module
+ * - 2026-10-19: Added transfer mode (paired legs via Transfers), fetched/entered rates, paired edit/delete
+ * - 2026-10-19: Credit widget shows statement cycle and due status; added pay-statement modal and due reminders
+ * - 2026-10-19: Added Budgets widget (renderBudgetsWidget), budget editor modal and 80%/100% warning toasts
+ * - 2026-10-19: Categories come from the vault (Categories module); added category manager and income categories
+ * - 2026-10-19: History search/filter bar and paged rendering (HistoryFilter module)
+ * - 2026-10-19: Split transactions (Splits module): split editor in the form and edit modal, history badge
+ * - 2026-10-19: Tags and notes on transactions (Tags module): autocomplete, history chips, tag filter, Tags widget with reimbursements
+ * - 2026-10-19: Payee directory and auto-categorization rules (Payees module): description suggestions, rules on entry and import, manager modal
+ * - 2026-10-19: Net Worth widget: every account converted to a chosen base currency (NetWorth module)
+ * - 2026-10-19: Rates module: persistent rate store with stale/offline indicators in every rate widget, manual rate overrides in the vault, pluggable providers; removed cryptoPriceCache
+ * - 2026-10-19: Currency pickers (account, account edit, vault, exchange and crypto widgets) driven by the ISO 4217 table; amounts prefilled and transfer legs rounded to each currency's minor units
+ * - 2026-10-19: Crypto trades (buy/sell/receive/send with price per coin), lot-based unrealized P&L in the crypto widget, Crypto Gains report per tax year (Lots module); crypto accounts can hold any CoinGecko coin (replaced cryptoIdMap)
+ * - 2026-10-19: Investment account type: share trades and dividends in the entry form, positions and portfolio value in the balance card, Investments widget with day change, held symbols quoted through the stocks widget (Portfolio module); net worth counts positions at market value
+ * - 2026-10-19: Local vaults store attachment files (Storage.saveAttachment: sibling "<vault>_attachments" folder in Electron, IndexedDB in the browser); preview, download and delete load them through loadAttachmentBlob/deleteAttachmentFile
+ * - 2026-10-19: Cloud saves check the Drive revision first and three-way merge a collaborator's newer save (Merge module); records changed on both sides go to a conflict dialog (saveCloudVault, resolveMergeConflicts)
+ * - 2026-10-19: Background sync for cloud vaults: polls the Drive revision every minute and on window focus, merges collaborators' saves, re-syncs changed linked sources and shows an "Updated by" notice (syncCloudVault)
+ * - 2026-10-19: Encrypted cloud vaults: created, moved to cloud and password-protected with the vault password (GDrive encrypts on write); opening one or reading an encrypted linked source asks for its password (requestCloudUnlock)
+ * - 2026-10-19: Versioned encryption envelope (Crypto v2, stronger PBKDF2); vaults opened from older envelopes are re-encrypted right away (Crypto.needsUpgrade), derived keys are forgotten on close
+ * - 2026-10-19: Split editor, CSV/OFX import and budget limits round to the account currency's minor units (3-decimal currencies such as KWD)
+ * - 2026-10-19: Files of attachments removed in the edit modal are kept until no undo/redo state lists them (deleteUnreferencedAttachments); linked-account edits are not undoable
+ * - 2026-10-19: Local attachments are keyed by data.vaultId and, in encrypted vaults, encrypted with data.attachmentKey (ensureAttachmentVault); undo/redo keep both
+ * - 2026-10-19: Credit cards created by a statement import without close/due days open the credit settings to ask for them
+ * - 2026-10-19: escapeAttr() for user text in HTML attributes (tag and notes titles, payee, rate and account values)
+ * - 2026-10-19: Split badge titles and split editor memos use escapeAttr()
+ * - 2026-10-19: Category ids and labels in attributes use escapeAttr(); colors come from Categories.getColor() (validated #rrggbb)
+ * - 2026-10-19: Crypto lot results pass data.accounts so transfers carry cost basis; the cost currency is locked once a crypto account has entries
+ * - 2026-10-19: Investment quotes keep their listing currency and are converted with fiat rates of the account currency (investmentFiatRates)
+ * - 2026-10-19: Drive attachments of encrypted cloud vaults are encrypted with data.attachmentKey; moving an unencrypted vault over an old cloud copy removes its encryption explicitly
+ * - 2026-10-19: Edited amounts are rounded to the currency; transactions only move to accounts of the same type and currency (canMoveTransaction)
+ * - 2026-10-19: The entry form's default date moves to today on focus and on add unless the user picked a date (refreshEntryDate)
  */
 
 (() => {
@@ -107,6 +144,8 @@
     // 2025-12-16: Google Drive state
     let storageBackend = 'local';  // 'local' or 'gdrive'
     let gdriveFileId = null;       // Current cloud vault file ID
+    let cloudRevision = null;      // 2026-10-19: Drive revision the in-memory vault is based on
+    let cloudBase = null;          // 2026-10-19: Copy of the vault at cloudRevision (base for merges)
 
     // 2025-12-17: Encryption state
     let vaultPassword = null;      // Current vault password (memory only, never persisted)
@@ -165,6 +204,10 @@
         // 2025-12-16: Crypto account info (for crypto accounts)
         cryptoAccountInfo: document.getElementById('crypto-account-info'),
         cryptoBalanceValue: document.getElementById('crypto-balance-value'),
+        investmentAccountInfo: document.getElementById('investment-account-info'),  // 2026-10-19
+        investmentCashLabel: document.getElementById('investment-cash-label'),
+        investmentCashValue: document.getElementById('investment-cash-value'),
+        investmentPositions: document.getElementById('investment-positions'),
 
         // Form
         addTransactionTitle: document.getElementById('add-transaction-title'),
@@ -172,9 +215,46 @@
         inputAmount: document.getElementById('input-amount'),
         btnModeExpense: document.getElementById('btn-mode-expense'),
         btnModeIncome: document.getElementById('btn-mode-income'),
+        btnModeTransfer: document.getElementById('btn-mode-transfer'),  // 2026-10-19: Transfers
         categoryIcons: document.getElementById('category-icons'),
+        labelTxDate: document.getElementById('label-tx-date'),  // 2026-10-19: Backdated entries
+        inputTxDate: document.getElementById('input-tx-date'),
+        labelTxTime: document.getElementById('label-tx-time'),
+        inputTxTime: document.getElementById('input-tx-time'),
         btnAddTransaction: document.getElementById('btn-add-transaction'),
 
+        // Transfers (2026-10-19)
+        transferRow: document.getElementById('transfer-row'),
+        labelTransferTo: document.getElementById('label-transfer-to'),
+        selectTransferTo: document.getElementById('select-transfer-to'),
+        transferRateRow: document.getElementById('transfer-rate-row'),
+        labelTransferRate: document.getElementById('label-transfer-rate'),
+        inputTransferRate: document.getElementById('input-transfer-rate'),
+        btnFetchTransferRate: document.getElementById('btn-fetch-transfer-rate'),
+        transferConverted: document.getElementById('transfer-converted'),
+
+        // Crypto trades (2026-10-19)
+        tradeRow: document.getElementById('trade-row'),
+        labelTradeKind: document.getElementById('label-trade-kind'),
+        selectTradeKind: document.getElementById('select-trade-kind'),
+        labelTradePrice: document.getElementById('label-trade-price'),
+        inputTradePrice: document.getElementById('input-trade-price'),
+        btnFetchTradePrice: document.getElementById('btn-fetch-trade-price'),
+        tradeTotal: document.getElementById('trade-total'),
+
+        // Investment trades (2026-10-19)
+        securityRow: document.getElementById('security-row'),
+        labelSecurityKind: document.getElementById('label-security-kind'),
+        selectSecurityKind: document.getElementById('select-security-kind'),
+        securitySymbolGroup: document.getElementById('security-symbol-group'),
+        labelSecuritySymbol: document.getElementById('label-security-symbol'),
+        inputSecuritySymbol: document.getElementById('input-security-symbol'),
+        securityTradeFields: document.getElementById('security-trade-fields'),
+        labelSecurityQuantity: document.getElementById('label-security-quantity'),
+        inputSecurityQuantity: document.getElementById('input-security-quantity'),
+        labelSecurityPrice: document.getElementById('label-security-price'),
+        inputSecurityPrice: document.getElementById('input-security-price'),
+
         // Recurring (2025-12-15)
         recurringToggleRow: document.getElementById('recurring-toggle-row'),
         checkboxRecurring: document.getElementById('checkbox-recurring'),
@@ -238,6 +318,19 @@
         labelStatementCloseDay: document.getElementById('label-statement-close-day'),
         selectStatementCloseDay: document.getElementById('select-statement-close-day'),
 
+        // Crypto Account Modal Fields (2026-10-19)
+        cryptoAccountFields: document.getElementById('crypto-account-fields'),
+        customCoinFields: document.getElementById('custom-coin-fields'),
+        labelCoinSymbol: document.getElementById('label-coin-symbol'),
+        inputCoinSymbol: document.getElementById('input-coin-symbol'),
+        labelCoinId: document.getElementById('label-coin-id'),
+        inputCoinId: document.getElementById('input-coin-id'),
+        labelCostMethod: document.getElementById('label-cost-method'),
+        selectCostMethod: document.getElementById('select-cost-method'),
+        costCurrencyGroup: document.getElementById('cost-currency-group'),
+        labelCostCurrency: document.getElementById('label-cost-currency'),
+        selectCostCurrency: document.getElementById('select-cost-currency'),
+
         btnCancelAccount: document.getElementById('btn-cancel-account'),
         btnCreateAccount: document.getElementById('btn-create-account'),
 
@@ -249,6 +342,8 @@
         inputNewBalance: document.getElementById('input-new-balance'),
         labelAdjustmentReason: document.getElementById('label-adjustment-reason'),
         inputAdjustmentReason: document.getElementById('input-adjustment-reason'),
+        labelAdjustmentDate: document.getElementById('label-adjustment-date'),  // 2026-10-19
+        inputAdjustmentDate: document.getElementById('input-adjustment-date'),  // 2026-10-19
         btnCancelBalance: document.getElementById('btn-cancel-balance'),
         btnApplyBalance: document.getElementById('btn-apply-balance'),
 
@@ -264,6 +359,9 @@
         cryptoWidgetCard: document.getElementById('crypto-widget-card'),
         cryptoWidgetTitle: document.getElementById('crypto-widget-title'),
         cryptoAccountsList: document.getElementById('crypto-accounts-list'),
+        investmentWidgetCard: document.getElementById('investment-widget-card'),  // 2026-10-19
+        investmentWidgetTitle: document.getElementById('investment-widget-title'),
+        investmentAccountsList: document.getElementById('investment-accounts-list'),
 
         // Vault Modal (2025-12-15)
         vaultModal: document.getElementById('vault-modal'),
@@ -300,9 +398,37 @@
         inputEditAccountName: document.getElementById('input-edit-account-name'),
         labelEditAccountCurrency: document.getElementById('label-edit-account-currency'),
         selectEditAccountCurrency: document.getElementById('select-edit-account-currency'),
+        editCryptoAccountFields: document.getElementById('edit-crypto-account-fields'),  // 2026-10-19: Cost basis
+        labelEditCostMethod: document.getElementById('label-edit-cost-method'),
+        selectEditCostMethod: document.getElementById('select-edit-cost-method'),
+        editCostCurrencyGroup: document.getElementById('edit-cost-currency-group'),
+        labelEditCostCurrency: document.getElementById('label-edit-cost-currency'),
+        selectEditCostCurrency: document.getElementById('select-edit-cost-currency'),
         btnCancelAccountEdit: document.getElementById('btn-cancel-account-edit'),
         btnSaveAccountEdit: document.getElementById('btn-save-account-edit'),
 
+        // Transaction Edit Modal (2026-10-19)
+        transactionEditModal: document.getElementById('transaction-edit-modal'),
+        transactionEditModalTitle: document.getElementById('transaction-edit-modal-title'),
+        transactionEditModalDesc: document.getElementById('transaction-edit-modal-desc'),
+        labelEditTxDesc: document.getElementById('label-edit-tx-desc'),
+        inputEditTxDesc: document.getElementById('input-edit-tx-desc'),
+        labelEditTxAmount: document.getElementById('label-edit-tx-amount'),
+        inputEditTxAmount: document.getElementById('input-edit-tx-amount'),
+        labelEditTxSign: document.getElementById('label-edit-tx-sign'),
+        selectEditTxSign: document.getElementById('select-edit-tx-sign'),
+        editTxCategoryIcons: document.getElementById('edit-tx-category-icons'),
+        labelEditTxDate: document.getElementById('label-edit-tx-date'),
+        inputEditTxDate: document.getElementById('input-edit-tx-date'),
+        labelEditTxAccount: document.getElementById('label-edit-tx-account'),
+        selectEditTxAccount: document.getElementById('select-edit-tx-account'),
+        editTxAttachmentSection: document.getElementById('edit-tx-attachment-section'),
+        editTxAttachmentList: document.getElementById('edit-tx-attachment-list'),
+        btnEditTxAttach: document.getElementById('btn-edit-tx-attach'),
+        inputEditTxAttachment: document.getElementById('input-edit-tx-attachment'),
+        btnCancelTransactionEdit: document.getElementById('btn-cancel-transaction-edit'),
+        btnSaveTransactionEdit: document.getElementById('btn-save-transaction-edit'),
+
         // Custom Confirm Modal (2025-12-15)
         confirmModal: document.getElementById('confirm-modal'),
         confirmModalTitle: document.getElementById('confirm-modal-title'),
@@ -442,7 +568,198 @@
         inputStockSearch: document.getElementById('input-stock-search'),
         stockSelectionList: document.getElementById('stock-selection-list'),
         btnCancelStocks: document.getElementById('btn-cancel-stocks'),
-        btnSaveStocks: document.getElementById('btn-save-stocks')
+        btnSaveStocks: document.getElementById('btn-save-stocks'),
+
+        // Historical View (2026-10-19)
+        historicalView: document.getElementById('historical-view'),
+        selectHistoricalAccount: document.getElementById('select-historical-account'),
+        historicalRangeBtns: document.getElementById('historical-range-btns'),
+        historicalContent: document.getElementById('historical-content'),
+        historicalEmpty: document.getElementById('historical-empty'),
+        historicalBalanceChart: document.getElementById('historical-balance-chart'),
+        historicalBalanceAxis: document.getElementById('historical-balance-axis'),
+        historicalBalanceTooltip: document.getElementById('historical-balance-tooltip'),
+        historicalBalanceLegend: document.getElementById('historical-balance-legend'),
+        historicalMonthlyChart: document.getElementById('historical-monthly-chart'),
+        historicalMonthlyAxis: document.getElementById('historical-monthly-axis'),
+        historicalMonthlyTooltip: document.getElementById('historical-monthly-tooltip'),
+        historicalCategoryList: document.getElementById('historical-category-list'),
+
+        // CSV Import (2026-10-19)
+        btnImportCsv: document.getElementById('btn-import-csv'),
+        csvImportModal: document.getElementById('csv-import-modal'),
+        csvImportModalTitle: document.getElementById('csv-import-modal-title'),
+        csvImportModalDesc: document.getElementById('csv-import-modal-desc'),
+        btnCsvImportChoose: document.getElementById('btn-csv-import-choose'),
+        inputCsvImportFile: document.getElementById('input-csv-import-file'),
+        csvImportFilename: document.getElementById('csv-import-filename'),
+        selectCsvImportProfile: document.getElementById('select-csv-import-profile'),
+        csvImportMapping: document.getElementById('csv-import-mapping'),
+        selectCsvDateColumn: document.getElementById('select-csv-date-column'),
+        selectCsvDateFormat: document.getElementById('select-csv-date-format'),
+        selectCsvDescColumn: document.getElementById('select-csv-desc-column'),
+        selectCsvAmountMode: document.getElementById('select-csv-amount-mode'),
+        selectCsvAmountColumn: document.getElementById('select-csv-amount-column'),
+        selectCsvDebitColumn: document.getElementById('select-csv-debit-column'),
+        selectCsvCreditColumn: document.getElementById('select-csv-credit-column'),
+        selectCsvDecimal: document.getElementById('select-csv-decimal'),
+        csvAmountSingle: document.getElementById('csv-amount-single'),
+        csvAmountDebit: document.getElementById('csv-amount-debit'),
+        csvAmountCredit: document.getElementById('csv-amount-credit'),
+        checkboxCsvHasHeader: document.getElementById('checkbox-csv-has-header'),
+        checkboxCsvInvert: document.getElementById('checkbox-csv-invert'),
+        inputCsvProfileName: document.getElementById('input-csv-profile-name'),
+        btnCsvSaveProfile: document.getElementById('btn-csv-save-profile'),
+        csvImportSummary: document.getElementById('csv-import-summary'),
+        csvImportTable: document.getElementById('csv-import-table'),
+        btnCancelCsvImport: document.getElementById('btn-cancel-csv-import'),
+        btnConfirmCsvImport: document.getElementById('btn-confirm-csv-import'),
+        csvImportConfirmLabel: document.getElementById('csv-import-confirm-label'),
+        selectImportAccount: document.getElementById('select-import-account'),  // 2026-10-19: OFX/QIF
+        csvImportColumns: document.getElementById('csv-import-columns'),  // 2026-10-19: OFX/QIF
+
+        // CSV Export (2026-10-19)
+        btnExportCsv: document.getElementById('btn-export-csv'),
+        csvExportModal: document.getElementById('csv-export-modal'),
+        csvExportAccounts: document.getElementById('csv-export-accounts'),
+        inputCsvExportFrom: document.getElementById('input-csv-export-from'),
+        inputCsvExportTo: document.getElementById('input-csv-export-to'),
+        checkboxCsvExportRecurring: document.getElementById('checkbox-csv-export-recurring'),
+        checkboxCsvExportSummary: document.getElementById('checkbox-csv-export-summary'),
+        btnCancelCsvExport: document.getElementById('btn-cancel-csv-export'),
+        btnConfirmCsvExport: document.getElementById('btn-confirm-csv-export'),
+
+        // Credit Card Payment (2026-10-19)
+        ccPaymentModal: document.getElementById('cc-payment-modal'),
+        ccPaymentModalDesc: document.getElementById('cc-payment-modal-desc'),
+        selectCcPaymentFrom: document.getElementById('select-cc-payment-from'),
+        labelCcPaymentAmount: document.getElementById('label-cc-payment-amount'),
+        inputCcPaymentAmount: document.getElementById('input-cc-payment-amount'),
+        btnCcPayStatement: document.getElementById('btn-cc-pay-statement'),
+        btnCcPayMinimum: document.getElementById('btn-cc-pay-minimum'),
+        ccPaymentRateRow: document.getElementById('cc-payment-rate-row'),
+        inputCcPaymentRate: document.getElementById('input-cc-payment-rate'),
+        btnFetchCcPaymentRate: document.getElementById('btn-fetch-cc-payment-rate'),
+        btnCancelCcPayment: document.getElementById('btn-cancel-cc-payment'),
+        btnConfirmCcPayment: document.getElementById('btn-confirm-cc-payment'),
+
+        // Budgets (2026-10-19)
+        budgetsWidgetTitle: document.getElementById('budgets-widget-title'),
+        budgetsList: document.getElementById('budgets-list'),
+        budgetsEmpty: document.getElementById('budgets-empty'),
+        btnManageBudgets: document.getElementById('btn-manage-budgets'),
+        budgetModal: document.getElementById('budget-modal'),
+        selectBudgetCurrency: document.getElementById('select-budget-currency'),
+        budgetRows: document.getElementById('budget-rows'),
+        btnCancelBudget: document.getElementById('btn-cancel-budget'),
+        btnSaveBudget: document.getElementById('btn-save-budget'),
+
+        // Category Manager (2026-10-19)
+        btnManageCategories: document.getElementById('btn-manage-categories'),
+        categoryModal: document.getElementById('category-modal'),
+        selectCategoryType: document.getElementById('select-category-type'),
+        categoryManagerList: document.getElementById('category-manager-list'),
+        inputNewCategoryIcon: document.getElementById('input-new-category-icon'),
+        inputNewCategoryColor: document.getElementById('input-new-category-color'),
+        inputNewCategoryName: document.getElementById('input-new-category-name'),
+        selectNewCategoryParent: document.getElementById('select-new-category-parent'),
+        btnAddCategory: document.getElementById('btn-add-category'),
+        btnCloseCategoryModal: document.getElementById('btn-close-category-modal'),
+
+        // History Filters (2026-10-19)
+        historyFilters: document.getElementById('history-filters'),
+        inputHistorySearch: document.getElementById('input-history-search'),
+        btnToggleHistoryFilters: document.getElementById('btn-toggle-history-filters'),
+        historyFiltersCount: document.getElementById('history-filters-count'),
+        historyFilterPanel: document.getElementById('history-filter-panel'),
+        inputHistoryMinAmount: document.getElementById('input-history-min-amount'),
+        inputHistoryMaxAmount: document.getElementById('input-history-max-amount'),
+        inputHistoryStartDate: document.getElementById('input-history-start-date'),
+        inputHistoryEndDate: document.getElementById('input-history-end-date'),
+        selectHistoryCategory: document.getElementById('select-history-category'),
+        selectHistoryCreator: document.getElementById('select-history-creator'),
+        checkHistoryAttachment: document.getElementById('check-history-attachment'),
+        checkHistoryReminder: document.getElementById('check-history-reminder'),
+        btnClearHistoryFilters: document.getElementById('btn-clear-history-filters'),
+        historyFilterSummary: document.getElementById('history-filter-summary'),
+        btnHistoryMore: document.getElementById('btn-history-more'),
+
+        // Split Transactions (2026-10-19)
+        splitToggleRow: document.getElementById('split-toggle-row'),
+        btnSplitTransaction: document.getElementById('btn-split-transaction'),
+        splitEditor: document.getElementById('split-editor'),
+        splitLines: document.getElementById('split-lines'),
+        btnAddSplitLine: document.getElementById('btn-add-split-line'),
+        splitRemaining: document.getElementById('split-remaining'),
+        editTxSplitToggleRow: document.getElementById('edit-tx-split-toggle-row'),
+        btnEditTxSplit: document.getElementById('btn-edit-tx-split'),
+        editTxSplitEditor: document.getElementById('edit-tx-split-editor'),
+        editTxSplitLines: document.getElementById('edit-tx-split-lines'),
+        btnEditTxAddSplitLine: document.getElementById('btn-edit-tx-add-split-line'),
+        editTxSplitRemaining: document.getElementById('edit-tx-split-remaining'),
+
+        // Tags & Notes (2026-10-19)
+        tagsNotesRow: document.getElementById('tags-notes-row'),
+        inputTags: document.getElementById('input-tags'),
+        tagSuggestions: document.getElementById('tag-suggestions'),
+        inputNotes: document.getElementById('input-notes'),
+        editTxTagsNotes: document.getElementById('edit-tx-tags-notes'),
+        inputEditTxTags: document.getElementById('input-edit-tx-tags'),
+        editTxTagSuggestions: document.getElementById('edit-tx-tag-suggestions'),
+        inputEditTxNotes: document.getElementById('input-edit-tx-notes'),
+        selectHistoryTag: document.getElementById('select-history-tag'),
+        checkHistoryReimbursable: document.getElementById('check-history-reimbursable'),
+        tagsWidgetTitle: document.getElementById('tags-widget-title'),
+        reimbursementsSummary: document.getElementById('reimbursements-summary'),
+        tagsList: document.getElementById('tags-list'),
+        tagsEmpty: document.getElementById('tags-empty'),
+
+        // Payees & Rules (2026-10-19)
+        payeeSuggestions: document.getElementById('payee-suggestions'),
+        btnManagePayees: document.getElementById('btn-manage-payees'),
+        payeeModal: document.getElementById('payee-modal'),
+        payeeRuleRows: document.getElementById('payee-rule-rows'),
+        btnAddPayeeRule: document.getElementById('btn-add-payee-rule'),
+        inputPayeeSearch: document.getElementById('input-payee-search'),
+        payeeRows: document.getElementById('payee-rows'),
+        payeeMergeOptions: document.getElementById('payee-merge-options'),
+        btnCancelPayees: document.getElementById('btn-cancel-payees'),
+        btnSavePayees: document.getElementById('btn-save-payees'),
+
+        // Net Worth (2026-10-19)
+        netWorthWidgetTitle: document.getElementById('net-worth-widget-title'),
+        selectNetWorthBase: document.getElementById('select-net-worth-base'),
+        btnRefreshNetWorth: document.getElementById('btn-refresh-net-worth'),
+        netWorthSummary: document.getElementById('net-worth-summary'),
+        netWorthList: document.getElementById('net-worth-list'),
+        netWorthEmpty: document.getElementById('net-worth-empty'),
+
+        // Rates & Overrides (2026-10-19)
+        btnManageRates: document.getElementById('btn-manage-rates'),
+        rateModal: document.getElementById('rate-modal'),
+        rateOverrideRows: document.getElementById('rate-override-rows'),
+        btnAddRateOverride: document.getElementById('btn-add-rate-override'),
+        btnCancelRates: document.getElementById('btn-cancel-rates'),
+        btnSaveRates: document.getElementById('btn-save-rates'),
+
+        // Crypto Gains (2026-10-19)
+        btnCryptoGains: document.getElementById('btn-crypto-gains'),
+        cryptoGainsModal: document.getElementById('crypto-gains-modal'),
+        cryptoGainsModalTitle: document.getElementById('crypto-gains-modal-title'),
+        cryptoGainsModalDesc: document.getElementById('crypto-gains-modal-desc'),
+        labelCryptoGainsYear: document.getElementById('label-crypto-gains-year'),
+        selectCryptoGainsYear: document.getElementById('select-crypto-gains-year'),
+        cryptoGainsReport: document.getElementById('crypto-gains-report'),
+        btnCloseCryptoGains: document.getElementById('btn-close-crypto-gains'),
+
+        // Cloud Merge Conflicts (2026-10-19)
+        mergeConflictModal: document.getElementById('merge-conflict-modal'),
+        mergeConflictTitle: document.getElementById('merge-conflict-title'),
+        mergeConflictDesc: document.getElementById('merge-conflict-desc'),
+        mergeConflictList: document.getElementById('merge-conflict-list'),
+        btnMergeKeepAllMine: document.getElementById('btn-merge-keep-all-mine'),
+        btnMergeKeepAllTheirs: document.getElementById('btn-merge-keep-all-theirs'),
+        btnMergeApply: document.getElementById('btn-merge-apply')
     };
 
     // --- Initialization ---
@@ -456,8 +773,24 @@
         setupAccountTypeSelector(); // 2025-12-17: Account type buttons
         setupCreditEditModal();  // 2025-12-15: Credit edit modal
         setupAccountEditModal();  // 2025-12-15: Account edit modal
+        setupTransactionEditModal();  // 2026-10-19: Transaction edit modal
+        setupSplitEditors();  // 2026-10-19: Split transactions
+        setupTags();  // 2026-10-19: Tags, notes and reimbursements
+        setupPayees();  // 2026-10-19: Payee suggestions and auto-categorization rules
+        setupCsvImportModal();  // 2026-10-19: CSV statement import
+        setupCsvExportModal();  // 2026-10-19: CSV export
+        setupCcPaymentModal();  // 2026-10-19: Pay credit card statement
+        setupBudgets();  // 2026-10-19: Monthly category budgets
+        setupCategoryManager();  // 2026-10-19: Vault categories
+        setupHistoryFilters();  // 2026-10-19: History search, filters and paging
+        setupNetWorth();  // 2026-10-19: Net worth in a base currency
+        setupRates();  // 2026-10-19: Manual rate overrides
+        setupCryptoGains();  // 2026-10-19: Realized crypto gains report
+        setupMergeConflicts();  // 2026-10-19: Conflict dialog for cloud saves
+        setupCloudSync();       // 2026-10-19: Background sync for cloud vaults
         setupVaultLanguageSync();  // 2025-12-15: Vault language-currency sync
         setupCommaFormatting();  // 2025-12-15: Comma separators for number inputs
+        resetEntryDate();  // 2026-10-19: Default transaction date to today
         setupGoogleDrive();  // 2025-12-16: Google Drive integration
         setupUndoRedo();  // 2025-12-17: Undo/Redo button handlers
         setupStickyNotes();  // 2025-12-20: Sticky notes deck system
@@ -472,6 +805,8 @@
         setupAutoBackup();     // 2025-12-22: Auto-backup for cloud vaults
         setupStocksWidget();   // 2025-12-23: Stocks widget
         fetchStockPrices();    // 2025-12-23: Load stock prices
+        setupRecurringEngine(); // 2026-10-19: Periodic recurring expense posting
+        setupHistoricalView();  // 2026-10-19: Historical charts
 
         // 2025-12-24: Initialize Google Calendar event modal
         if (typeof GCalendar !== 'undefined') {
@@ -699,7 +1034,8 @@
         }
 
         closeShareDeckModal();
-        showToast(I18n.t('toastDeckShared'), true);
+        // 2026-10-19: Collaborators of an encrypted vault need its password too
+        showToast(I18n.t(isVaultEncrypted ? 'toastSharedEncrypted' : 'toastDeckShared'), true);
     }
 
     // Setup share deck modal event listeners
@@ -1034,9 +1370,15 @@
 
     /**
      * Upload staged attachments for a transaction
-     */
-    async function uploadStagedAttachments(transactionId) {
-        if (stagedAttachments.length === 0) return [];
+     * 2026-10-19: Accepts an explicit queue and start index (used by the edit modal)
+     * @param {number} transactionId - Parent transaction ID
+     * @param {Array} queue - Staged files to upload (defaults to the add form's staged files)
+     * @param {number} startIndex - First attachment index, so IDs don't collide with existing ones
+     */
+    async function uploadStagedAttachments(transactionId, queue = null, startIndex = 0) {
+        const isFormQueue = queue === null;
+        const staged = isFormQueue ? stagedAttachments : queue;
+        if (staged.length === 0) return [];
         const uploadedAttachments = [];
 
         if (elements.attachmentProgress) elements.attachmentProgress.style.display = 'flex';
@@ -1046,29 +1388,153 @@
                 if (!attachmentsFolderId) {
                     attachmentsFolderId = await GDrive.getOrCreateAttachmentsFolder(gdriveFileId);
                 }
-                for (let i = 0; i < stagedAttachments.length; i++) {
-                    const staged = stagedAttachments[i];
-                    const attachmentId = Attachments.generateId(transactionId, i);
+                // 2026-10-19: Encrypted vaults encrypt their Drive attachments too
+                const vault = ensureAttachmentVault();
+                for (let i = 0; i < staged.length; i++) {
+                    const item = staged[i];
+                    const attachmentId = Attachments.generateId(transactionId, startIndex + i);
                     try {
-                        updateUploadProgress((i / stagedAttachments.length) * 100);
-                        const result = await GDrive.uploadAttachment(attachmentsFolderId, staged.file, attachmentId, (p) => updateUploadProgress(((i + p / 100) / stagedAttachments.length) * 100));
-                        uploadedAttachments.push({ id: attachmentId, filename: staged.filename, mimeType: staged.mimeType, size: staged.size, uploadedAt: new Date().toISOString(), driveFileId: result.driveFileId, localFilename: null });
-                    } catch (err) { console.error('Upload failed:', staged.filename, err); }
+                        updateUploadProgress((i / staged.length) * 100);
+                        const result = await GDrive.uploadAttachment(attachmentsFolderId, item.file, attachmentId, (p) => updateUploadProgress(((i + p / 100) / staged.length) * 100), vault.key);
+                        uploadedAttachments.push({ id: attachmentId, filename: item.filename, mimeType: item.mimeType, size: item.size, uploadedAt: new Date().toISOString(), driveFileId: result.driveFileId, localFilename: null });
+                    } catch (err) { console.error('Upload failed:', item.filename, err); }
+                }
+            } else if (fileHandle) {
+                // 2026-10-19: Write the bytes to the local attachment store (previously only metadata was kept)
+                const vault = ensureAttachmentVault();
+                for (let i = 0; i < staged.length; i++) {
+                    const item = staged[i];
+                    const attachmentId = Attachments.generateId(transactionId, startIndex + i);
+                    const localFilename = Attachments.generateLocalFilename(attachmentId, item.filename);
+                    try {
+                        updateUploadProgress((i / staged.length) * 100);
+                        await Storage.saveAttachment(fileHandle, localFilename, item.file, vault);
+                        uploadedAttachments.push({ id: attachmentId, filename: item.filename, mimeType: item.mimeType, size: item.size, uploadedAt: new Date().toISOString(), driveFileId: null, localFilename });
+                    } catch (err) { console.error('Local save failed:', item.filename, err); }
                 }
-            } else {
-                stagedAttachments.forEach((staged, i) => {
-                    const attachmentId = Attachments.generateId(transactionId, i);
-                    uploadedAttachments.push({ id: attachmentId, filename: staged.filename, mimeType: staged.mimeType, size: staged.size, uploadedAt: new Date().toISOString(), driveFileId: null, localFilename: Attachments.generateLocalFilename(attachmentId, staged.filename) });
-                });
             }
         } finally {
             if (elements.attachmentProgress) elements.attachmentProgress.style.display = 'none';
-            stagedAttachments = [];
-            renderStagedAttachments();
+            if (isFormQueue) {
+                stagedAttachments = [];
+                renderStagedAttachments();
+            }
         }
         return uploadedAttachments;
     }
 
+    // --- Local Attachment Identity (2026-10-19) ---
+    // Local attachment files are grouped by data.vaultId, and those of encrypted vaults
+    // are encrypted with data.attachmentKey. Both live in the vault data, so the key is
+    // as protected as the vault and survives password changes.
+    // 2026-10-19: Drive attachments of encrypted cloud vaults use the same key.
+
+    /**
+     * Vault identity for the Storage attachment functions
+     * @param {Object} state - Vault data (default: the open vault)
+     * @returns {Object} { id, key }
+     */
+    function getAttachmentVault(state = data) {
+        return { id: state.vaultId || null, key: state.attachmentKey || null };
+    }
+
+    /**
+     * Vault identity for saving attachments; creates the id and, for an encrypted
+     * vault, the attachment key (saved with the vault right after the upload)
+     * @returns {Object} { id, key }
+     */
+    function ensureAttachmentVault() {
+        if (!data.vaultId) data.vaultId = `vault_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        if (isVaultEncrypted && !data.attachmentKey) data.attachmentKey = Crypto.generateDataKey();
+        return { id: data.vaultId, key: isVaultEncrypted ? data.attachmentKey : null };
+    }
+
+    /**
+     * Carry the vault identity over to a state restored by undo/redo
+     * A snapshot taken before the first attachment lacks it, and losing the key would
+     * make encrypted attachment files unreadable.
+     * @param {Object} state - Restored vault data
+     * @returns {Object} The same state
+     */
+    function keepAttachmentVault(state) {
+        if (data.vaultId) state.vaultId = data.vaultId;
+        if (data.attachmentKey) state.attachmentKey = data.attachmentKey;
+        return state;
+    }
+
+    /**
+     * Load the contents of an attachment from Drive or the local attachment store
+     * 2026-10-19: Shared by preview and download
+     * @param {Object} attachment - Attachment metadata
+     * @returns {Promise<Blob>} File contents
+     */
+    async function loadAttachmentBlob(attachment) {
+        if (attachment.driveFileId) {
+            return GDrive.downloadAttachment(attachment.driveFileId, { key: getAttachmentVault().key, mimeType: attachment.mimeType });
+        }
+        if (attachment.localFilename && fileHandle) {
+            return Storage.loadAttachment(fileHandle, attachment.localFilename, attachment.mimeType, getAttachmentVault());
+        }
+        throw new Error('Attachment not available');
+    }
+
+    /**
+     * Delete the stored file of an attachment
+     * 2026-10-19: Drive file or local attachment store
+     * @param {Object} attachment - Attachment metadata
+     * @param {Object} handle - Local vault handle the file belongs to (default: the open one)
+     * @param {Object} vault - Its { id, key } (default: the open one)
+     */
+    async function deleteAttachmentFile(attachment, handle = fileHandle, vault = getAttachmentVault()) {
+        if (attachment.driveFileId) {
+            await GDrive.deleteAttachment(attachment.driveFileId);
+        } else if (attachment.localFilename && handle) {
+            await Storage.deleteAttachment(handle, attachment.localFilename, vault);
+        }
+    }
+
+    // 2026-10-19: Attachments removed in the edit modal. Undo restores their metadata,
+    // so their files are only deleted once no undo/redo state lists them (checked after
+    // each save and when the vault is closed).
+    let removedAttachments = [];
+
+    /**
+     * Check whether a vault state lists an attachment file
+     * @param {Object} state - Vault data or a history snapshot
+     * @param {Object} attachment - Attachment metadata
+     * @returns {boolean}
+     */
+    function listsAttachment(state, attachment) {
+        return (state.transactions || []).some(t => (t.attachments || []).some(a =>
+            (attachment.driveFileId && a.driveFileId === attachment.driveFileId) ||
+            (attachment.localFilename && a.localFilename === attachment.localFilename)));
+    }
+
+    /**
+     * Delete the files of removed attachments that nothing can bring back
+     * Failures are logged; the file is then left behind rather than retried.
+     */
+    async function deleteUnreferencedAttachments() {
+        if (removedAttachments.length === 0) return;
+        // The vault may be closed while files are deleted
+        const handle = fileHandle;
+        const current = data;
+        const pending = removedAttachments;
+        removedAttachments = [];
+        for (const attachment of pending) {
+            const inUse = (state) => listsAttachment(state, attachment);
+            if (inUse(current) || (typeof History !== 'undefined' && History.someState(inUse))) {
+                removedAttachments.push(attachment);
+                continue;
+            }
+            try {
+                await deleteAttachmentFile(attachment, handle, getAttachmentVault(current));
+            } catch (err) {
+                console.warn('Could not delete attachment file:', err);
+            }
+        }
+    }
+
     function updateUploadProgress(percent) {
         if (elements.progressBarFill) elements.progressBarFill.style.width = `${percent}%`;
     }
@@ -1089,21 +1555,28 @@
         elements.attachmentModal.style.display = 'block'; // 2025-12-22: Changed to block for floating window
         try {
             const category = Attachments.getCategory(attachment.mimeType);
-            if (category === 'image' && attachment.driveFileId) {
-                const blob = await GDrive.downloadAttachment(attachment.driveFileId);
+            // 2026-10-19: Local vault attachments preview from the local attachment store
+            const isLocal = !attachment.driveFileId && !!attachment.localFilename;
+            if (category === 'image' && (attachment.driveFileId || isLocal)) {
+                const blob = await loadAttachmentBlob(attachment);
                 elements.attachmentContent.innerHTML = `<img src="${URL.createObjectURL(blob)}" alt="${escapeHtml(attachment.filename)}">`;
                 // Show zoom button for images
                 if (elements.btnZoomAttachment) {
                     elements.btnZoomAttachment.style.display = 'inline-flex';
                 }
-            } else if (category === 'pdf' && attachment.driveFileId) {
+            } else if (category === 'pdf' && attachment.driveFileId && !getAttachmentVault().key) {
                 const info = await GDrive.getAttachmentInfo(attachment.driveFileId);
                 elements.attachmentContent.innerHTML = info.webViewLink ? `<iframe src="${info.webViewLink}"></iframe>` : `<div class="doc-preview"><span class="doc-icon">📄</span></div>`;
+            } else if (category === 'pdf' && (isLocal || attachment.driveFileId)) {
+                // 2026-10-19: Drive's viewer can't open encrypted attachments; decrypt here
+                const blob = await loadAttachmentBlob(attachment);
+                elements.attachmentContent.innerHTML = `<iframe src="${URL.createObjectURL(blob)}"></iframe>`;
             } else {
                 elements.attachmentContent.innerHTML = `<div class="doc-preview"><span class="doc-icon">${Attachments.getIcon(attachment.mimeType)}</span><span class="doc-name">${escapeHtml(attachment.filename)}</span></div>`;
             }
         } catch (err) {
-            elements.attachmentContent.innerHTML = '<div class="doc-preview"><span class="doc-icon">⚠️</span></div>';
+            // 2026-10-19: Say why (e.g. local attachments saved before files were stored)
+            elements.attachmentContent.innerHTML = `<div class="doc-preview"><span class="doc-icon">⚠️</span><span class="doc-name">${I18n.t('attachmentUnavailable')}</span></div>`;
         }
     }
 
@@ -1127,9 +1600,10 @@
     }
 
     async function handleDownloadAttachment() {
-        if (!currentPreviewAttachment?.driveFileId) return;
+        // 2026-10-19: Local vault attachments download too
+        if (!currentPreviewAttachment?.driveFileId && !currentPreviewAttachment?.localFilename) return;
         try {
-            const blob = await GDrive.downloadAttachment(currentPreviewAttachment.driveFileId);
+            const blob = await loadAttachmentBlob(currentPreviewAttachment);
             const a = document.createElement('a');
             a.href = URL.createObjectURL(blob);
             a.download = currentPreviewAttachment.filename;
@@ -1141,7 +1615,7 @@
         if (!currentPreviewAttachment || !currentPreviewTransactionId) return;
         if (!(await showConfirm(I18n.t('attachmentDeleteConfirm')))) return;
         try {
-            if (currentPreviewAttachment.driveFileId) await GDrive.deleteAttachment(currentPreviewAttachment.driveFileId);
+            await deleteAttachmentFile(currentPreviewAttachment);  // 2026-10-19: Drive or local
             const tx = data.transactions.find(t => t.id === currentPreviewTransactionId);
             if (tx?.attachments) {
                 tx.attachments = tx.attachments.filter(a => a.id !== currentPreviewAttachment.id);
@@ -1198,31 +1672,93 @@
             // Update currency options based on account type
             updateCurrencyOptions();
         });
+
+        // 2026-10-19: "Other coin" asks for a symbol and CoinGecko id
+        elements.selectCurrency.addEventListener('change', updateCustomCoinFields);
     }
 
     /**
      * Update currency dropdown based on selected account type
      * 2025-12-16: Shows crypto currencies for crypto accounts, fiat for others
+     * 2026-10-19: Crypto lists every known coin plus "Other coin"; shows the cost basis fields
+     * 2026-10-19: Investment accounts pick a fiat currency and a cost method
      */
     function updateCurrencyOptions() {
         const t = I18n.t;
         const accountType = elements.selectAccountType.value;
         const isCrypto = accountType === 'crypto';
+        const isInvestment = accountType === 'investment';
 
         if (isCrypto) {
             // Show crypto currencies
-            elements.selectCurrency.innerHTML = `
-            <option value="BTC">${t('currencyBTC')}</option>
-            <option value="ETH">${t('currencyETH')}</option>
-            <option value="SOL">${t('currencySOL')}</option>
-        `;
+            // 2026-10-19: Built-in coins, coins registered by other accounts, then a custom entry
+            const previous = elements.selectCurrency.value;
+            elements.selectCurrency.innerHTML = Rates.getCoinCodes().map(code => {
+                const key = `currency${code}`;
+                const label = t(key) === key ? code : t(key);
+                return `<option value="${escapeAttr(code)}">${escapeHtml(label)}</option>`;
+            }).join('') + `<option value="${CUSTOM_COIN}">${t('coinOther')}</option>`;
+            if (Rates.isCrypto(previous)) elements.selectCurrency.value = previous;
+
+            elements.selectCostCurrency.innerHTML = renderCurrencyNameOptions();
+            elements.selectCostCurrency.value = I18n.getDefaultCurrency(I18n.getLanguage());
         } else {
             // Show fiat currencies
-            elements.selectCurrency.innerHTML = `
-            <option value="USD">${t('currencyUSD')}</option>
-            <option value="MXN">${t('currencyMXN')}</option>
-        `;
+            // 2026-10-19: Every currency in Accounts.CURRENCIES
+            elements.selectCurrency.innerHTML = renderCurrencyNameOptions();
         }
+
+        // 2026-10-19: Cost basis fields (investment positions use the account currency)
+        elements.selectCostMethod.innerHTML = renderCostMethodOptions();
+        elements.cryptoAccountFields.style.display = isCrypto || isInvestment ? 'block' : 'none';
+        elements.costCurrencyGroup.style.display = isCrypto ? 'block' : 'none';
+        updateCustomCoinFields();
+    }
+
+    // 2026-10-19: Value of the "Other coin" option in the crypto currency picker
+    const CUSTOM_COIN = '__custom';
+
+    /**
+     * Show the symbol / CoinGecko id inputs when "Other coin" is picked
+     * 2026-10-19: Added with custom CoinGecko coins
+     */
+    function updateCustomCoinFields() {
+        const isCustom = elements.selectAccountType.value === 'crypto' && elements.selectCurrency.value === CUSTOM_COIN;
+        elements.customCoinFields.style.display = isCustom ? 'flex' : 'none';
+    }
+
+    /**
+     * Cost method <option>s for crypto accounts
+     * 2026-10-19: Added with crypto lot tracking
+     * @returns {string} HTML
+     */
+    function renderCostMethodOptions() {
+        const keys = { fifo: 'costMethodFifo', lifo: 'costMethodLifo', average: 'costMethodAverage' };
+        return Lots.METHODS.map(method => `<option value="${method}">${I18n.t(keys[method])}</option>`).join('');
+    }
+
+    /**
+     * Fiat currency <option>s labelled "CODE - Name" in the UI language
+     * 2026-10-19: Drives the account, account edit and vault currency pickers
+     * @returns {string} HTML
+     */
+    function renderCurrencyNameOptions() {
+        const locale = I18n.getLocale();
+        return Accounts.getAvailableCurrencies().map(c =>
+            `<option value="${c.code}">${c.code} - ${escapeHtml(Accounts.getCurrencyName(c.code, locale))}</option>`
+        ).join('');
+    }
+
+    /**
+     * Fiat currency <option>s showing only the code (compact widget pickers)
+     * 2026-10-19: Added with the ISO 4217 currency table
+     * @param {string} selected - Code to select
+     * @returns {string} HTML
+     */
+    function renderCurrencyCodeOptions(selected) {
+        return Accounts.getAvailableCurrencies().map(c =>
+            `<option value="${c.code}" ${c.code === selected ? 'selected' : ''}>${c.code}</option>`
+        ).join('');
     }
 
     /**
@@ -1287,14 +1823,27 @@
         elements.inputDesc.placeholder = t('inputDescPlaceholder');
         elements.inputAmount.placeholder = t('inputAmountPlaceholder');
 
+        // Transaction date/time labels (2026-10-19)
+        elements.labelTxDate.textContent = t('transactionDate');
+        elements.labelTxTime.textContent = t('transactionTime');
+
         // Transaction mode buttons (2025-12-16)
         elements.btnModeExpense.querySelector('[data-i18n="modeExpense"]').textContent = t('modeExpense');
         elements.btnModeIncome.querySelector('[data-i18n="modeIncome"]').textContent = t('modeIncome');
+        elements.btnModeTransfer.querySelector('[data-i18n="modeTransfer"]').textContent = t('modeTransfer');
+
+        // Transfer fields (2026-10-19)
+        elements.labelTransferTo.textContent = t('transferTo');
+        elements.labelTransferRate.textContent = t('transferRate');
+        elements.btnFetchTransferRate.querySelector('[data-i18n="transferFetchRate"]').textContent = t('transferFetchRate');
+        updateTradeRow();  // 2026-10-19: Crypto trade fields
+        updateSecurityRow();  // 2026-10-19: Investment trade fields
 
         // Update add button based on current mode
         const currentMode = getCurrentMode();
         elements.btnAddTransaction.querySelector('span').textContent =
-            currentMode === 'income' ? t('btnAddIncome') : t('btnAddExpense');
+            currentMode === 'income' ? t('btnAddIncome') :
+                currentMode === 'transfer' ? t('btnAddTransfer') : t('btnAddExpense');
 
         // Recurring toggle (2025-12-15)
         elements.recurringToggleRow.querySelector('[data-i18n="recurringToggle"]').textContent = t('recurringToggle');
@@ -1316,6 +1865,9 @@
         elements.historyTitle.textContent = t('historyTitle');
         elements.btnExport.querySelector('[data-i18n="btnExport"]').textContent = t('btnExport');
         elements.emptyState.textContent = t('emptyState');
+        updateHistoryFilterLabels();  // 2026-10-19
+        Object.values(splitEditors).forEach(updateSplitEditorLabels);  // 2026-10-19
+        updateTagLabels();  // 2026-10-19
 
         // Modal
         elements.modalTitle.textContent = t('newAccount');
@@ -1323,6 +1875,10 @@
         elements.labelAccountName.textContent = t('accountName');
         elements.inputAccountName.placeholder = t('accountNamePlaceholder');
         elements.labelCurrency.textContent = t('currency');
+        elements.labelCoinSymbol.textContent = t('coinSymbol');  // 2026-10-19: Crypto account fields
+        elements.labelCoinId.textContent = t('coinId');
+        elements.labelCostMethod.textContent = t('costMethod');
+        elements.labelCostCurrency.textContent = t('costCurrency');
         elements.btnCancelAccount.querySelector('[data-i18n="cancel"]').textContent = t('cancel');
         elements.btnCreateAccount.querySelector('[data-i18n="createAccount"]').textContent = t('createAccount');
 
@@ -1331,7 +1887,8 @@
             { value: 'checking', icon: '🏦', label: t('accountTypeChecking') },
             { value: 'cash', icon: '💵', label: t('accountTypeCash') },
             { value: 'credit', icon: '💳', label: t('accountTypeCreditCard') },
-            { value: 'crypto', icon: '🪙', label: t('accountTypeCrypto') }
+            { value: 'crypto', icon: '🪙', label: t('accountTypeCrypto') },
+            { value: 'investment', icon: '📈', label: t('accountTypeInvestment') }  // 2026-10-19
         ];
 
         if (elements.accountTypeGrid) {
@@ -1365,6 +1922,7 @@
         elements.labelNewBalance.textContent = t('newBalance');
         elements.labelAdjustmentReason.textContent = t('adjustmentReason');
         elements.inputAdjustmentReason.placeholder = t('adjustmentReasonPlaceholder');
+        elements.labelAdjustmentDate.textContent = t('adjustmentDate');  // 2026-10-19
         elements.btnCancelBalance.querySelector('[data-i18n="cancel"]').textContent = t('cancel');
         elements.btnApplyBalance.querySelector('[data-i18n="applyBalance"]').textContent = t('applyBalance');
 
@@ -1433,6 +1991,11 @@
                 const items = {
                     'exportCSV': 'export-csv',
                     'exportJSON': 'export-json',
+                    'importCSV': 'import-csv',  // 2026-10-19
+                    'manageCategories': 'manage-categories',  // 2026-10-19
+                    'managePayees': 'manage-payees',  // 2026-10-19
+                    'manageRates': 'manage-rates',  // 2026-10-19
+                    'cryptoGains': 'crypto-gains',  // 2026-10-19
                     'changePassword': 'change-password',
                     'settings': 'settings',
                     'about': 'about'
@@ -1450,6 +2013,16 @@
             if (btnRedo) btnRedo.title = t('redoTitle');
         }
 
+        // 2026-10-19: Historical view labels
+        if (elements.historicalView) {
+            ['historicalTitle', 'historicalBalance', 'historicalMonthly', 'historicalCategories', 'historicalEmpty', 'historicalRangeAll']
+                .forEach(key => {
+                    const el = elements.historicalView.querySelector(`[data-i18n="${key}"]`);
+                    if (el) el.textContent = t(key);
+                });
+            if (elements.workspace.style.display !== 'none') renderHistoricalView();
+        }
+
         document.documentElement.lang = I18n.getLanguage();
     }
 
@@ -1561,14 +2134,33 @@
         // Transaction mode buttons (2025-12-16)
         elements.btnModeExpense.addEventListener('click', () => setTransactionMode('expense'));
         elements.btnModeIncome.addEventListener('click', () => setTransactionMode('income'));
+        elements.btnModeTransfer.addEventListener('click', () => setTransactionMode('transfer'));  // 2026-10-19
+
+        // Transfer destination and rate (2026-10-19)
+        elements.selectTransferTo.addEventListener('change', updateTransferRateRow);
+        elements.inputTransferRate.addEventListener('input', updateTransferConverted);
+        elements.inputAmount.addEventListener('input', updateTransferConverted);
+        elements.btnFetchTransferRate.addEventListener('click', handleFetchTransferRate);
+
+        // Crypto trades (2026-10-19)
+        elements.inputTradePrice.addEventListener('input', updateTradeTotal);
+        elements.inputAmount.addEventListener('input', updateTradeTotal);
+        elements.btnFetchTradePrice.addEventListener('click', handleFetchTradePrice);
+
+        // Investment trades (2026-10-19)
+        elements.selectSecurityKind.addEventListener('change', updateSecurityFields);
+        elements.inputSecurityQuantity.addEventListener('input', updateSecurityAmount);
+        elements.inputSecurityPrice.addEventListener('input', updateSecurityAmount);
 
         // Category icon selection
+        // 2026-10-19: Income categories are optional, so clicking the active one clears it
         elements.categoryIcons.addEventListener('click', (e) => {
             const icon = e.target.closest('.category-icon');
             if (icon) {
+                const clearing = getCurrentMode() === 'income' && icon.classList.contains('active');
                 // Remove active from all, add to clicked
                 elements.categoryIcons.querySelectorAll('.category-icon').forEach(i => i.classList.remove('active'));
-                icon.classList.add('active');
+                if (!clearing) icon.classList.add('active');
             }
         });
 
@@ -1583,6 +2175,10 @@
         elements.btnCreateAccount.addEventListener('click', handleCreateAccount);
         elements.accountModal.querySelector('.modal-backdrop').addEventListener('click', closeAccountModal);
 
+        // Default entry date follows today until the user picks one (2026-10-19)
+        elements.inputTxDate.addEventListener('input', () => { entryDateEdited = true; });
+        elements.inputTxDate.closest('.balance-card').addEventListener('focusin', refreshEntryDate);
+
         // Enter key on inputs
         elements.inputAmount.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') handleAddTransaction();
@@ -1769,6 +2365,12 @@
             });
         });
 
+        // 2026-10-19: Fiat pickers in the exchange and crypto widgets list every supported currency
+        [elements.exchangeFromCurrency, elements.exchangeToCurrency, elements.cryptoToCurrency].forEach(select => {
+            if (select) select.innerHTML = renderCurrencyCodeOptions(select.value);
+        });
+        renderCryptoCoinOptions();  // 2026-10-19: Coin picker lists built-in and custom coins
+
         // 2025-12-19: Currency dropdown change listeners
         if (elements.exchangeFromCurrency) {
             elements.exchangeFromCurrency.addEventListener('change', () => fetchExchangeRates());
@@ -1918,10 +2520,7 @@
         elements.btnCreateVault.querySelector('[data-i18n="createVault"]').textContent = t('createVault');
 
         // Update currency options
-        elements.selectVaultCurrency.innerHTML = `
-            <option value="USD">${t('currencyUSD')}</option>
-            <option value="MXN">${t('currencyMXN')}</option>
-        `;
+        elements.selectVaultCurrency.innerHTML = renderCurrencyNameOptions();  // 2026-10-19: Full currency table
 
         // Set default currency AFTER options are populated (2025-12-15)
         elements.selectVaultCurrency.value = I18n.getDefaultCurrency(currentLang);
@@ -2008,7 +2607,7 @@
 
         // 2025-12-16: Check if creating cloud vault
         if (storageBackend === 'gdrive') {
-            await createCloudVault(vaultName, selectedLanguage, selectedCurrency);
+            await createCloudVault(vaultName, selectedLanguage, selectedCurrency, password);  // 2026-10-19: Encrypted if set
             return;
         }
 
@@ -2163,6 +2762,25 @@
         elements.passwordHintDisplay.style.display = 'none';
         pendingEncryptedFile = null;
         failedAttempts = 0;
+
+        // 2026-10-19: Closing without unlocking leaves a cloud vault locked
+        if (pendingCloudUnlock) {
+            const { fileId, resolve } = pendingCloudUnlock;
+            pendingCloudUnlock = null;
+            declinedCloudUnlocks.add(fileId);
+            resolve();
+        }
+    }
+
+    /**
+     * Show the password hint in the password modal
+     * @param {string} hint - Hint (nothing shown if empty)
+     */
+    function showPasswordHint(hint) {
+        if (!hint) return;
+        elements.hintText.textContent = hint;
+        document.getElementById('hint-label').textContent = I18n.t('hintDisplayLabel');
+        elements.passwordHintDisplay.style.display = 'block';
     }
 
     /**
@@ -2171,6 +2789,11 @@
      * Shows hint after 2 failed attempts
      */
     async function handleUnlockVault() {
+        // 2026-10-19: Cloud vaults are decrypted by GDrive (see requestCloudUnlock)
+        if (pendingCloudUnlock) {
+            await handleUnlockCloudVault();
+            return;
+        }
         if (!pendingEncryptedFile) return;
 
         const password = elements.inputUnlockPassword.value;
@@ -2194,6 +2817,9 @@
             currentAccountId = null;
             showWorkspace();
             render();
+
+            // 2026-10-19: Re-encrypt vaults stored in an older envelope with the current KDF
+            if (Crypto.needsUpgrade(encryptedData)) handleSave();
         } catch (err) {
             console.error('Decryption failed:', err);
             failedAttempts++;
@@ -2204,11 +2830,7 @@
                 const encryptedData = JSON.parse(pendingEncryptedFile.content);
                 const hint = encryptedData.hint;
                 console.log('Hint from file:', hint);
-                if (hint) {
-                    elements.hintText.textContent = hint;
-                    document.getElementById('hint-label').textContent = I18n.t('hintDisplayLabel');
-                    elements.passwordHintDisplay.style.display = 'block';
-                }
+                showPasswordHint(hint);
             }
 
             showToast(I18n.t('wrongPassword'), false);
@@ -2217,6 +2839,88 @@
         }
     }
 
+    // --- Cloud Vault Unlock (2026-10-19) ---
+    // GDrive calls requestCloudUnlock() whenever it reads an encrypted vault it has
+    // no password for: the vault being opened, or the source vault of a linked
+    // account or deck (shared vaults use one password for all collaborators).
+
+    let pendingCloudUnlock = null;             // { fileId, hint, tryPassword, resolve }
+    let cloudUnlockQueue = Promise.resolve();  // One prompt at a time
+    const declinedCloudUnlocks = new Set();    // Vaults not asked for again this session
+
+    /**
+     * Ask for the password of an encrypted cloud vault
+     * Unlock handler registered with GDrive.setUnlockHandler()
+     * @param {string} fileId - Drive file ID
+     * @param {string} hint - Password hint from the file
+     * @param {Function} tryPassword - Resolves true if a password decrypts the file
+     * @returns {Promise<void>} Resolves when unlocked or cancelled
+     */
+    function requestCloudUnlock(fileId, hint, tryPassword) {
+        const prompt = cloudUnlockQueue.then(() => promptCloudUnlock(fileId, hint, tryPassword));
+        cloudUnlockQueue = prompt.catch(() => { });
+        return prompt;
+    }
+
+    /**
+     * Show the password modal for a cloud vault
+     * Background syncs read linked sources concurrently, so a vault unlocked
+     * while this prompt waited its turn is not asked for again.
+     * @param {string} fileId - Drive file ID
+     * @param {string} hint - Password hint
+     * @param {Function} tryPassword - From GDrive
+     * @returns {Promise<void>} Resolves when unlocked or cancelled
+     */
+    async function promptCloudUnlock(fileId, hint, tryPassword) {
+        const key = GDrive.getVaultKey(fileId);
+        if (key && await tryPassword(key.password)) return;
+        if (declinedCloudUnlocks.has(fileId)) return;
+
+        const name = await GDrive.getVaultName(fileId).catch(() => '');
+
+        return new Promise(resolve => {
+            pendingCloudUnlock = { fileId, hint, tryPassword, resolve };
+            openPasswordModal();
+            if (name) {
+                document.getElementById('password-modal-desc').textContent =
+                    I18n.t('cloudPasswordModalDesc', { name: name.replace(/\.json$/, '') });
+            }
+        });
+    }
+
+    /**
+     * Handle the unlock button for a cloud vault
+     * Shows the hint after 2 failed attempts, like local vaults
+     */
+    async function handleUnlockCloudVault() {
+        const pending = pendingCloudUnlock;
+        const password = elements.inputUnlockPassword.value;
+        if (!password) {
+            showToast(I18n.t('passwordRequired'), false);
+            return;
+        }
+
+        if (await pending.tryPassword(password)) {
+            pendingCloudUnlock = null;
+            closePasswordModal();
+
+            // Another collaborator changed the open vault's password
+            if (pending.fileId === gdriveFileId) {
+                vaultPassword = password;
+                vaultHint = pending.hint;
+            }
+            pending.resolve();
+            return;
+        }
+
+        failedAttempts++;
+        if (failedAttempts >= 2) showPasswordHint(pending.hint);
+
+        showToast(I18n.t('wrongPassword'), false);
+        elements.inputUnlockPassword.value = '';
+        elements.inputUnlockPassword.focus();
+    }
+
     // --- Change Password (2025-12-17) ---
 
     /**
@@ -2322,20 +3026,23 @@
             return;
         }
 
-        // Update password and hint
-        vaultPassword = newPassword;
-        vaultHint = newHint;
-
         // Save vault with new encryption
+        // 2026-10-19: The new password only takes effect once the file is written with it
         try {
             if (storageBackend === 'gdrive') {
                 // For cloud vaults, need to encrypt and save
-                await GDrive.writeVault(gdriveFileId, data);
+                // 2026-10-19: Remote changes are read with the current password; only the final write uses the new one
+                const saved = await saveCloudVault({ password: newPassword, hint: newHint });
+                if (!saved) throw new Error('Vault was closed before it was saved');
             } else {
                 // For local vaults
-                await Storage.writeFile(fileHandle, data, vaultPassword, vaultHint);
+                await Storage.writeFile(fileHandle, data, newPassword, newHint);
             }
 
+            // Update password and hint
+            vaultPassword = newPassword;
+            vaultHint = newHint;
+
             closeChangePasswordModal();
             showToast(I18n.t('passwordChanged'));
         } catch (err) {
@@ -2425,7 +3132,9 @@
         // Save vault with encryption
         try {
             if (storageBackend === 'gdrive') {
-                await GDrive.writeVault(gdriveFileId, data);
+                // 2026-10-19: Merges remote changes first; the write is encrypted with the new password
+                const saved = await saveCloudVault({ password, hint });
+                if (!saved) throw new Error('Vault was closed before it was saved');
             } else {
                 await Storage.writeFile(fileHandle, data, vaultPassword, vaultHint);
             }
@@ -2756,6 +3465,7 @@
 
                 try {
                     // Download from GDrive
+                    // 2026-10-19: Kept as stored (encrypted in encrypted vaults)
                     const blob = await GDrive.downloadAttachment(attachment.driveFileId);
                     const base64 = await blobToBase64(blob);
 
@@ -2914,7 +3624,8 @@
                 // 2025-12-20: Added icons to share modal for better visual identification
                 const accountIcon = account.type === 'crypto' ? getCryptoIcon(account.currency) :
                     account.type === 'credit' ? '💳' :
-                        account.type === 'cash' ? '💵' : '🏦';
+                        account.type === 'cash' ? '💵' :
+                            account.type === 'investment' ? '📈' : '🏦';
 
                 return `
                 <div class="share-account-row" data-account-id="${account.id}">
@@ -3029,7 +3740,8 @@
         }
 
         closeShareVaultModal();
-        showToast(I18n.t('toastAccountsShared'), true);
+        // 2026-10-19: Collaborators of an encrypted vault need its password too
+        showToast(I18n.t(isVaultEncrypted ? 'toastSharedEncrypted' : 'toastAccountsShared'), true);
     }
 
     /**
@@ -3136,6 +3848,14 @@
             let fileId;
             const existingCloudId = data?._migratedToCloud?.cloudFileId;
 
+            // 2026-10-19: An encrypted local vault stays encrypted in Drive, with the same password
+            const cloudPassword = isVaultEncrypted ? vaultPassword : null;
+            if (existingCloudId) {
+                if (cloudPassword) GDrive.setVaultKey(existingCloudId, cloudPassword, vaultHint);
+                // The user confirmed overwriting it with this unencrypted vault
+                else GDrive.removeVaultEncryption(existingCloudId);
+            }
+
             if (existingCloudId) {
                 // First check if the cloud vault still exists
                 const cloudVaultExists = await GDrive.vaultExists(existingCloudId);
@@ -3149,18 +3869,18 @@
                     } catch (writeErr) {
                         // Write failed unexpectedly - create new
                         console.warn('[MoveToCloud] Write failed, creating new vault:', writeErr);
-                        fileId = await GDrive.createVault(vaultName, data);
+                        fileId = await GDrive.createVault(vaultName, data, cloudPassword, vaultHint || '');
                         console.log('[MoveToCloud] Created new cloud vault (write error fallback):', fileId);
                     }
                 } else {
                     // Cloud vault was deleted - create a new one
                     console.log('[MoveToCloud] Existing cloud vault not found, creating new');
-                    fileId = await GDrive.createVault(vaultName, data);
+                    fileId = await GDrive.createVault(vaultName, data, cloudPassword, vaultHint || '');
                     console.log('[MoveToCloud] Created new cloud vault (replacement):', fileId);
                 }
             } else {
                 // First time migration - create new cloud vault
-                fileId = await GDrive.createVault(vaultName, data);
+                fileId = await GDrive.createVault(vaultName, data, cloudPassword, vaultHint || '');
                 console.log('[MoveToCloud] Created new cloud vault:', fileId);
             }
 
@@ -3290,8 +4010,10 @@
         if (storageBackend === 'gdrive') {
             if (!gdriveFileId) return;
             try {
-                await GDrive.writeVault(gdriveFileId, data);
+                // 2026-10-19: Detects and merges saves by other collaborators instead of overwriting them
+                await saveCloudVault();
                 if (typeof MenuBar !== 'undefined') MenuBar.setSaveStatus('saved');
+                deleteUnreferencedAttachments();  // 2026-10-19
             } catch (err) {
                 if (typeof MenuBar !== 'undefined') MenuBar.setSaveStatus('error');
             }
@@ -3301,12 +4023,347 @@
                 // 2025-12-17: Pass vaultPassword and vaultHint for encrypted vaults
                 await Storage.writeFile(fileHandle, data, vaultPassword, vaultHint);
                 if (typeof MenuBar !== 'undefined') MenuBar.setSaveStatus('saved');
+                deleteUnreferencedAttachments();  // 2026-10-19
             } catch (err) {
                 if (typeof MenuBar !== 'undefined') MenuBar.setSaveStatus('error');
             }
         }
     }
 
+    // --- Cloud Merge (2026-10-19) ---
+    // A Drive write replaces the whole file. Before each save the file's revision is
+    // compared with the one the in-memory vault is based on; if a collaborator saved
+    // in between, their changes are merged in (Merge module) and only records changed
+    // on both sides are put to the user.
+
+    let cloudTaskQueue = Promise.resolve();
+    let mergeConflictResolver = null;
+    let mergeConflicts = [];
+
+    /**
+     * Run a task that reads or writes the open cloud vault
+     * Tasks run one at a time so each one sees the revision the previous one wrote.
+     * 2026-10-19: Shared by saves and background sync
+     * @param {Function} task - Async task
+     * @returns {Promise<*>} Task result (rejects if the task failed)
+     */
+    function runCloudTask(task) {
+        const run = cloudTaskQueue.then(task);
+        cloudTaskQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Save the cloud vault, merging in remote changes first if the file moved on
+     * 2026-10-19: newKey switches the vault to a new password (see writeCloudVault)
+     * @param {Object|null} newKey - { password, hint } to encrypt with from now on
+     * @returns {Promise<boolean>} True if written; rejects if the save failed
+     */
+    function saveCloudVault(newKey = null) {
+        return runCloudTask(() => writeCloudVault(newKey));
+    }
+
+    /**
+     * Write the current vault to Drive (one queued save)
+     * 2026-10-19: The remote version is read with the password the file has now;
+     * newKey is only used to encrypt the write, and kept once that succeeded
+     * @param {Object|null} newKey - { password, hint } for a password change
+     * @returns {Promise<boolean>} True if written, false if the vault was switched
+     */
+    async function writeCloudVault(newKey = null) {
+        const fileId = gdriveFileId;
+        if (!fileId) return false;
+
+        if (cloudBase && cloudRevision) {
+            const remoteRevision = await GDrive.getVaultRevision(fileId);
+            if (remoteRevision && remoteRevision !== cloudRevision) {
+                const merged = await mergeRemoteVault(fileId);
+                if (merged && merged.changed) showToast(I18n.t('toastMergedRemote'));
+            }
+        }
+
+        // The vault may have been closed or switched while waiting on Drive
+        if (fileId !== gdriveFileId) return false;
+
+        const snapshot = Merge.clone(data);
+        const revision = await GDrive.writeVault(fileId, snapshot, newKey);
+        if (fileId !== gdriveFileId) return false;
+        cloudRevision = revision;
+        cloudBase = snapshot;
+        return true;
+    }
+
+    /**
+     * Merge the newer Drive version into the in-memory vault
+     * @param {string} fileId - Drive file ID of the open vault
+     * @returns {Object|null} { changed, remote } (remote: the Drive data), or null if the vault was switched
+     */
+    async function mergeRemoteVault(fileId) {
+        const remote = await GDrive.readVaultWithRevision(fileId);
+        if (fileId !== gdriveFileId) return null;
+
+        let result = Merge.mergeVaults(cloudBase, data, remote.data);
+        if (result.conflicts.length > 0) {
+            const resolutions = await resolveMergeConflicts(result.conflicts);
+            if (fileId !== gdriveFileId) return null;
+            // Merge again: the vault may have been edited while the dialog was open
+            result = Merge.mergeVaults(cloudBase, data, remote.data, resolutions);
+        }
+
+        data = result.data;
+        cloudBase = Merge.clone(remote.data);
+        cloudRevision = remote.revision;
+
+        if (result.changed) {
+            // 2026-10-19: Undo snapshots predate the merged-in records; restoring one
+            // and saving would delete them for everyone
+            if (typeof History !== 'undefined') History.clear();
+            render();
+        }
+        return { changed: result.changed, remote: remote.data };
+    }
+
+    /**
+     * Setup the merge conflict dialog
+     */
+    function setupMergeConflicts() {
+        if (!elements.mergeConflictModal) return;
+
+        elements.btnMergeKeepAllMine.addEventListener('click', () => setAllMergeChoices('local'));
+        elements.btnMergeKeepAllTheirs.addEventListener('click', () => setAllMergeChoices('remote'));
+        elements.btnMergeApply.addEventListener('click', handleApplyMergeChoices);
+    }
+
+    /**
+     * Ask the user which side to keep for each conflict
+     * @param {Array} conflicts - From Merge.mergeVaults()
+     * @returns {Promise<Object>} { conflictKey: 'local'|'remote' }
+     */
+    function resolveMergeConflicts(conflicts) {
+        return new Promise(resolve => {
+            const t = I18n.t;
+            mergeConflicts = conflicts;
+            mergeConflictResolver = resolve;
+
+            elements.mergeConflictTitle.textContent = t('mergeConflictTitle');
+            elements.mergeConflictDesc.textContent = t('mergeConflictDesc');
+            elements.btnMergeKeepAllMine.querySelector('span').textContent = t('mergeKeepAllMine');
+            elements.btnMergeKeepAllTheirs.querySelector('span').textContent = t('mergeKeepAllTheirs');
+            elements.btnMergeApply.querySelector('span').textContent = t('mergeApply');
+
+            elements.mergeConflictList.innerHTML = conflicts.map(renderMergeConflict).join('');
+            elements.mergeConflictModal.style.display = 'flex';
+        });
+    }
+
+    /**
+     * Label of a conflicting record, e.g. "Transaction: Groceries"
+     * @param {Object} conflict - Conflict
+     * @returns {string} Label
+     */
+    function getMergeConflictLabel(conflict) {
+        const t = I18n.t;
+        if (conflict.id === null) return `${t('mergeTypeSetting')}: ${conflict.collection}`;
+
+        const typeKeys = { transactions: 'mergeTypeTransaction', accounts: 'mergeTypeAccount', stickyDecks: 'mergeTypeDeck' };
+        const type = typeKeys[conflict.collection] ? t(typeKeys[conflict.collection]) : conflict.collection;
+        const record = conflict.local || conflict.remote || conflict.base || {};
+        return `${type}: ${record.desc || record.name || record.title || conflict.id}`;
+    }
+
+    /**
+     * Short display of a conflicting value
+     * @param {*} value - Value
+     * @returns {string} Text (truncated)
+     */
+    function formatMergeValue(value) {
+        if (value === undefined) return '—';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return text.length > 60 ? `${text.slice(0, 59)}…` : text;
+    }
+
+    /**
+     * HTML of one conflict: what differs and a mine/theirs choice
+     * @param {Object} conflict - Conflict
+     * @param {number} index - Position in the list
+     * @returns {string} HTML
+     */
+    function renderMergeConflict(conflict, index) {
+        const t = I18n.t;
+        let detail;
+
+        if (conflict.local === undefined || conflict.remote === undefined) {
+            detail = `<p class="merge-conflict-note">${t(conflict.local === undefined ? 'mergeDeletedMine' : 'mergeDeletedTheirs')}</p>`;
+        } else {
+            const fields = Merge.getChangedFields(conflict);
+            const rows = fields.length > 0
+                ? fields.map(field => ({ field, mine: conflict.local[field], theirs: conflict.remote[field] }))
+                : [{ field: '', mine: conflict.local, theirs: conflict.remote }];
+            detail = `
+                <table class="merge-conflict-fields">
+                    <thead><tr><th></th><th>${t('mergeMine')}</th><th>${t('mergeTheirs')}</th></tr></thead>
+                    <tbody>${rows.map(row => `
+                        <tr>
+                            <td>${escapeHtml(row.field)}</td>
+                            <td>${escapeHtml(formatMergeValue(row.mine))}</td>
+                            <td>${escapeHtml(formatMergeValue(row.theirs))}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>`;
+        }
+
+        return `
+            <div class="merge-conflict-item">
+                <div class="merge-conflict-label">${escapeHtml(getMergeConflictLabel(conflict))}</div>
+                ${detail}
+                <div class="merge-conflict-choice">
+                    <label><input type="radio" name="merge-conflict-${index}" value="local" checked> ${t('mergeKeepMine')}</label>
+                    <label><input type="radio" name="merge-conflict-${index}" value="remote"> ${t('mergeKeepTheirs')}</label>
+                </div>
+            </div>`;
+    }
+
+    /**
+     * Pick the same side for every conflict
+     * @param {string} side - 'local' or 'remote'
+     */
+    function setAllMergeChoices(side) {
+        elements.mergeConflictList.querySelectorAll(`input[type="radio"][value="${side}"]`).forEach(input => {
+            input.checked = true;
+        });
+    }
+
+    function handleApplyMergeChoices() {
+        const resolutions = {};
+        mergeConflicts.forEach((conflict, index) => {
+            const checked = elements.mergeConflictList.querySelector(`input[name="merge-conflict-${index}"]:checked`);
+            resolutions[conflict.key] = checked ? checked.value : 'local';
+        });
+
+        elements.mergeConflictModal.style.display = 'none';
+        const resolve = mergeConflictResolver;
+        mergeConflictResolver = null;
+        mergeConflicts = [];
+        if (resolve) resolve(resolutions);
+    }
+
+    // --- Cloud Sync (2026-10-19) ---
+    // While a cloud vault is open, its Drive revision is polled (and checked again when
+    // the window regains focus); a collaborator's save is pulled and merged like a save
+    // conflict. Source vaults of linked accounts and decks are re-synced when they change.
+
+    const CLOUD_SYNC_INTERVAL = 60 * 1000;  // 1 minute
+    const CLOUD_SYNC_MIN_GAP = 10 * 1000;   // Focus checks closer together than this are skipped
+
+    let cloudSyncRunning = false;
+    let lastCloudSync = 0;
+    const linkedSourceRevisions = new Map();  // sourceVaultId -> revision last synced
+
+    /**
+     * Start the background sync loop
+     */
+    function setupCloudSync() {
+        setInterval(syncCloudVault, CLOUD_SYNC_INTERVAL);
+        window.addEventListener('focus', () => {
+            if (Date.now() - lastCloudSync >= CLOUD_SYNC_MIN_GAP) syncCloudVault();
+        });
+    }
+
+    /**
+     * Pull remote changes into the open cloud vault and its linked accounts/decks
+     * Skipped for local vaults, while signed out and while the window is hidden.
+     */
+    async function syncCloudVault() {
+        if (storageBackend !== 'gdrive' || !gdriveFileId) return;
+        if (cloudSyncRunning || document.hidden || !GDrive.isSignedIn()) return;
+
+        cloudSyncRunning = true;
+        lastCloudSync = Date.now();
+        try {
+            const update = await runCloudTask(pullCloudVault);
+            if (update) showCloudUpdateNotice(update);
+            await syncChangedLinkedSources();
+        } catch (err) {
+            console.warn('[Sync] Cloud sync failed:', err);
+        } finally {
+            cloudSyncRunning = false;
+        }
+    }
+
+    /**
+     * Merge the Drive version of the open vault if it has a newer revision
+     * Runs inside the cloud task queue, so it never overlaps a save.
+     * @returns {Object|null} { base, remote, modifiedBy } when remote changes were merged in
+     */
+    async function pullCloudVault() {
+        const fileId = gdriveFileId;
+        if (!fileId || !cloudBase || !cloudRevision) return null;
+
+        const modification = await GDrive.getVaultModification(fileId);
+        if (!modification.revision || modification.revision === cloudRevision) return null;
+        if (fileId !== gdriveFileId) return null;
+
+        const base = cloudBase;
+        const merged = await mergeRemoteVault(fileId);
+        if (!merged) return null;
+
+        // Local edits that weren't on Drive yet go up right away
+        if (!Merge.isEqual(data, cloudBase)) await writeCloudVault();
+
+        return merged.changed ? { base, remote: merged.remote, modifiedBy: modification.modifiedBy } : null;
+    }
+
+    /**
+     * Show who changed the vault, e.g. "Updated by Ana"
+     * Names come from the createdBy/editedBy of the pulled transactions (as in the
+     * Activity Log), falling back to Drive's last modifying user.
+     * @param {Object} update - From pullCloudVault()
+     */
+    function showCloudUpdateNotice(update) {
+        const currentUser = getCurrentUserInfo();
+        const currentEmail = currentUser ? currentUser.email : null;
+        const names = [];
+        const addPerson = (person) => {
+            if (!person || !person.email || person.email === currentEmail) return;
+            const name = person.name || person.email.split('@')[0];
+            if (!names.includes(name)) names.push(name);
+        };
+
+        Merge.getChangedRecords(update.base, update.remote, 'transactions')
+            .forEach(tx => addPerson(tx.editedBy || tx.createdBy));
+        if (names.length === 0) addPerson(update.modifiedBy);
+
+        showToast(names.length > 0
+            ? I18n.t('syncUpdatedBy', { names: names.join(', ') })
+            : I18n.t('syncUpdated'));
+    }
+
+    /**
+     * Re-sync linked accounts and decks whose source vault has a new revision
+     */
+    async function syncChangedLinkedSources() {
+        const accountSources = (data.linkedAccounts || []).map(linked => linked.sourceVaultId);
+        const deckSources = (data.linkedDecks || []).map(linked => linked.sourceVaultId);
+        const changed = new Set();
+
+        for (const sourceId of new Set([...accountSources, ...deckSources])) {
+            try {
+                const revision = await GDrive.getVaultRevision(sourceId);
+                if (revision && revision !== linkedSourceRevisions.get(sourceId)) {
+                    linkedSourceRevisions.set(sourceId, revision);
+                    changed.add(sourceId);
+                }
+            } catch (err) {
+                console.warn('[Sync] Could not check linked vault', sourceId, err);
+            }
+        }
+
+        if (changed.size === 0) return;
+        if (accountSources.some(id => changed.has(id))) await syncLinkedAccounts();
+        if (deckSources.some(id => changed.has(id))) await syncLinkedDecks();
+        render();
+    }
+
     function handleExport() {
         const timestamp = new Date().toISOString().split('T')[0];
         Storage.exportToJSON(data, `zip80_export_${timestamp}.json`);
@@ -3321,9 +4378,24 @@
      * 2025-12-19: Added Widgets.closeAllPopouts() to close floating widgets
      */
     function handleCloseVault() {
+        // 2026-10-19: Nothing can be undone once the vault is closed, so removed
+        // attachments lose their files now (the open vault's handle is captured first)
+        if (typeof History !== 'undefined') History.clear();
+        deleteUnreferencedAttachments();
+
         // Reset state
         fileHandle = null;
         gdriveFileId = null;  // 2025-12-16: Reset cloud file ID
+        cloudRevision = null;  // 2026-10-19
+        cloudBase = null;
+        linkedSourceRevisions.clear();  // 2026-10-19: Background sync
+        // 2026-10-19: Forget vault passwords (cloud ones included)
+        isVaultEncrypted = false;
+        vaultPassword = null;
+        vaultHint = null;
+        if (typeof GDrive !== 'undefined') GDrive.clearVaultKeys();
+        Crypto.clearKeyCache();  // 2026-10-19: Derived keys
+        declinedCloudUnlocks.clear();
         storageBackend = 'local';  // 2025-12-16: Reset to local backend
         data = { version: 2, accounts: [], transactions: [] };
         currentAccountId = null;
@@ -3390,7 +4462,7 @@
 
         const previousState = History.undo(data);
         if (previousState) {
-            data = previousState;
+            data = keepAttachmentVault(previousState);  // 2026-10-19
             render();
             handleSave();
         }
@@ -3404,7 +4476,7 @@
 
         const nextState = History.redo(data);
         if (nextState) {
-            data = nextState;
+            data = keepAttachmentVault(nextState);  // 2026-10-19
             render();
             handleSave();
         }
@@ -3566,6 +4638,7 @@
         // Initialize GDrive module with auth change callback
         if (typeof GDrive !== 'undefined') {
             GDrive.init(handleGoogleAuthChange);
+            GDrive.setUnlockHandler(requestCloudUnlock);  // 2026-10-19: Encrypted cloud vaults
         }
 
         // Event listeners for Google buttons
@@ -3753,13 +4826,26 @@
     async function loadCloudVault(fileId) {
         closeVaultPickerModal();
 
+        // 2026-10-19: Opening a vault asks for its password even if a prompt for it was cancelled
+        declinedCloudUnlocks.delete(fileId);
+
         try {
             const vaultInfo = await GDrive.getVaultInfo(fileId);
-            data = await GDrive.readVault(fileId);
+            // 2026-10-19: Keep the revision and a copy of what was loaded for conflict detection
+            const loaded = await GDrive.readVaultWithRevision(fileId);
+            data = loaded.data;
+            cloudRevision = loaded.revision;
+            cloudBase = Merge.clone(data);
             gdriveFileId = fileId;
             storageBackend = 'gdrive';
             currentAccountId = null;
 
+            // 2026-10-19: Encryption state follows the password GDrive unlocked the file with
+            const key = GDrive.getVaultKey(fileId);
+            isVaultEncrypted = !!key;
+            vaultPassword = key ? key.password : null;
+            vaultHint = key ? key.hint : null;
+
             // 2025-12-17: Track vault owner for Activity Log attribution
             if (vaultInfo.owners && vaultInfo.owners[0]) {
                 vaultOwnerEmail = vaultInfo.owners[0].emailAddress;
@@ -3773,6 +4859,9 @@
             showWorkspace();
             render();
 
+            // 2026-10-19: Re-encrypt vaults stored in an older envelope (Crypto.needsUpgrade)
+            if (loaded.outdated && key) handleSave();
+
             // 2025-12-19: Check for pending shared accounts and sync linked accounts
             checkPendingShares();
             syncLinkedAccounts();
@@ -3781,6 +4870,8 @@
             checkPendingDeckShares();
             syncLinkedDecks();
         } catch (err) {
+            // 2026-10-19: Password prompt cancelled - nothing to report
+            if (err.code === 'VAULT_LOCKED') return;
             console.error('Failed to load cloud vault:', err);
             showToast(I18n.t('toastGoogleError'), false);
         }
@@ -3826,8 +4917,9 @@
     /**
      * Create cloud vault after vault modal submission
      * Called from handleCreateVault when storageBackend is 'gdrive'
+     * 2026-10-19: Encrypted in Drive when a password is given (hint from vaultHint)
      */
-    async function createCloudVault(vaultName, selectedLanguage, selectedCurrency) {
+    async function createCloudVault(vaultName, selectedLanguage, selectedCurrency, password = null) {
         const defaultAccountName = selectedLanguage === 'es' ? 'Cuenta Principal' : 'Main Account';
 
         // Create initial data
@@ -3839,7 +4931,12 @@
 
         try {
             // Create file in Google Drive
-            gdriveFileId = await GDrive.createVault(vaultName, data);
+            gdriveFileId = await GDrive.createVault(vaultName, data, password, vaultHint || '');
+            isVaultEncrypted = !!password;  // 2026-10-19
+            vaultPassword = password;
+            if (!password) vaultHint = null;
+            cloudRevision = await GDrive.getVaultRevision(gdriveFileId).catch(() => null);  // 2026-10-19
+            cloudBase = Merge.clone(data);
             currentAccountId = null;
 
             closeVaultModal();
@@ -3876,6 +4973,9 @@
         }
 
         elements.inputAccountName.value = '';
+        elements.inputCoinSymbol.value = '';  // 2026-10-19: Custom coin fields
+        elements.inputCoinId.value = '';
+        updateCurrencyOptions();  // 2026-10-19: Back to fiat options if crypto was picked last time
 
         // 2025-12-15: Default currency based on current language
         const currentLang = I18n.getLanguage();
@@ -3901,8 +5001,9 @@
         if (!currentAccount) return;
 
         const currentBalance = Accounts.calculateBalance(data.transactions, currentAccountId);
-        elements.inputNewBalance.value = currentBalance.toFixed(2);
+        elements.inputNewBalance.value = currentBalance.toFixed(Accounts.getMinorUnits(currentAccount.currency));  // 2026-10-19: Minor units
         elements.inputAdjustmentReason.value = '';
+        elements.inputAdjustmentDate.value = toDateTimeLocalValue().split('T')[0];  // 2026-10-19
         elements.balanceModal.style.display = 'flex';
         elements.inputNewBalance.focus();
         elements.inputNewBalance.select();
@@ -3921,9 +5022,17 @@
             return;
         }
 
-        const currentBalance = Accounts.calculateBalance(data.transactions, currentAccountId);
-        const adjustment = newBalance - currentBalance;
-
+        // 2026-10-19: Adjustment can be dated (e.g. a past statement); the new balance is
+        // matched against the balance as of the end of that day, not today's balance
+        const adjustmentDate = getAdjustmentDate(elements.inputAdjustmentDate.value);
+        if (!adjustmentDate) {
+            showToast(I18n.t('toastErrorDate'), false);
+            return;
+        }
+
+        const currentBalance = Accounts.calculateBalanceAsOf(data.transactions, currentAccountId, adjustmentDate);
+        const adjustment = newBalance - currentBalance;
+
         if (adjustment === 0) {
             closeBalanceModal();
             return;
@@ -3942,7 +5051,7 @@
             accountId: currentAccountId,
             desc: desc,
             amt: adjustment,
-            date: new Date().toISOString(),
+            date: adjustmentDate,
             createdBy: userInfo
         };
 
@@ -3953,6 +5062,22 @@
         handleSave();  // 2025-12-17: handleSave now shows flash indicator
     }
 
+    /**
+     * Get the ISO date for a balance adjustment
+     * 2026-10-19: Today means "now"; a past day is pinned to its last minute so the
+     * adjustment sorts after that day's transactions, like a statement closing balance.
+     * @param {string} dateValue - YYYY-MM-DD from the date input (empty = today)
+     * @returns {string|null} ISO date string, or null if invalid
+     */
+    function getAdjustmentDate(dateValue) {
+        const today = toDateTimeLocalValue().split('T')[0];
+        if (!dateValue || dateValue === today) return new Date().toISOString();
+
+        const [year, month, day] = dateValue.split('-').map(Number);
+        const date = new Date(year, month - 1, day, 23, 59, 59);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
     // --- Credit Card Edit Operations (2025-12-15) ---
 
     /**
@@ -4047,19 +5172,39 @@
         elements.accountEditModalDesc.textContent = t('accountEditModalDesc');
         elements.labelEditAccountName.textContent = t('accountName');
         elements.labelEditAccountCurrency.textContent = t('currency');
+        elements.labelEditCostMethod.textContent = t('costMethod');  // 2026-10-19
+        elements.labelEditCostCurrency.textContent = t('costCurrency');
         elements.btnCancelAccountEdit.querySelector('[data-i18n="cancel"]').textContent = t('cancel');
         elements.btnSaveAccountEdit.querySelector('[data-i18n="saveChanges"]').textContent = t('saveChanges');
 
         // Update currency options with translations
-        elements.selectEditAccountCurrency.innerHTML = `
-            <option value="USD">${t('currencyUSD')}</option>
-            <option value="MXN">${t('currencyMXN')}</option>
-        `;
+        // 2026-10-19: Full currency table; crypto accounts keep their coin
+        elements.selectEditAccountCurrency.innerHTML = currentAccount.type === 'crypto'
+            ? `<option value="${escapeAttr(currentAccount.currency)}">${escapeHtml(currentAccount.currency)}</option>`
+            : renderCurrencyNameOptions();
 
         // Populate current values
         elements.inputEditAccountName.value = currentAccount.name || '';
         elements.selectEditAccountCurrency.value = currentAccount.currency || 'USD';
 
+        // 2026-10-19: Cost basis settings for crypto and investment accounts
+        const isCrypto = currentAccount.type === 'crypto';
+        const hasLots = isCrypto || currentAccount.type === 'investment';
+        elements.editCryptoAccountFields.style.display = hasLots ? 'flex' : 'none';
+        elements.editCostCurrencyGroup.style.display = isCrypto ? 'block' : 'none';
+        if (hasLots) {
+            elements.selectEditCostMethod.innerHTML = renderCostMethodOptions();
+            elements.selectEditCostMethod.value = currentAccount.costMethod || Lots.DEFAULT_METHOD;
+        }
+        if (isCrypto) {
+            elements.selectEditCostCurrency.innerHTML = renderCurrencyNameOptions();
+            elements.selectEditCostCurrency.value = currentAccount.costCurrency || 'USD';
+            // 2026-10-19: Locked once there are entries; their prices are in this currency
+            const locked = !Lots.canChangeCostCurrency(data.transactions, currentAccount);
+            elements.selectEditCostCurrency.disabled = locked;
+            elements.selectEditCostCurrency.title = locked ? I18n.t('costCurrencyLocked') : '';
+        }
+
         elements.accountEditModal.style.display = 'flex';
         elements.inputEditAccountName.focus();
         elements.inputEditAccountName.select();
@@ -4086,6 +5231,13 @@
         // Update account
         currentAccount.name = newName;
         currentAccount.currency = newCurrency;
+        if (currentAccount.type === 'crypto' || currentAccount.type === 'investment') {
+            // 2026-10-19: Changing the method re-matches every past sale (lots are recomputed)
+            currentAccount.costMethod = elements.selectEditCostMethod.value;
+        }
+        if (currentAccount.type === 'crypto' && Lots.canChangeCostCurrency(data.transactions, currentAccount)) {
+            currentAccount.costCurrency = elements.selectEditCostCurrency.value;
+        }
 
         closeAccountEditModal();
         render();
@@ -4109,6 +5261,9 @@
         // Apply to credit limit inputs
         applyCommaFormatting(elements.inputCreditLimit);
         applyCommaFormatting(elements.inputEditCreditLimit);
+
+        // 2026-10-19: Apply to transaction edit amount input
+        applyCommaFormatting(elements.inputEditTxAmount);
     }
 
     /**
@@ -4276,7 +5431,7 @@
     function handleCreateAccount() {
         const accountType = elements.selectAccountType.value;
         const name = elements.inputAccountName.value.trim();
-        const currency = elements.selectCurrency.value;
+        let currency = elements.selectCurrency.value;
 
         if (!name) {
             showToast(I18n.t('toastErrorAccountName'), false);
@@ -4300,14 +5455,34 @@
             );
         } else if (accountType === 'cash') {
             newAccount = Accounts.createCashAccount(name, currency);
+        } else if (accountType === 'investment') {
+            // 2026-10-19: Brokerage account (cash plus positions)
+            newAccount = Accounts.createInvestmentAccount(name, currency);
+            newAccount.costMethod = elements.selectCostMethod.value || Lots.DEFAULT_METHOD;
         } else if (accountType === 'crypto') {
+            // 2026-10-19: Any CoinGecko coin, with the cost basis settings used by Lots
+            let coinId = Rates.getCoinId(currency);
+            if (currency === CUSTOM_COIN) {
+                currency = elements.inputCoinSymbol.value.trim().toUpperCase();
+                coinId = elements.inputCoinId.value.trim().toLowerCase();
+                const error = validateCustomCoin(currency, coinId);
+                if (error) {
+                    showToast(I18n.t(error), false);
+                    return;
+                }
+            }
+
             // Create crypto account with type 'crypto'
             newAccount = {
                 id: Date.now().toString(),
                 name: name,
                 currency: currency,
-                type: 'crypto'
+                type: 'crypto',
+                coinId: coinId,
+                costMethod: elements.selectCostMethod.value || Lots.DEFAULT_METHOD,
+                costCurrency: elements.selectCostCurrency.value || 'USD'
             };
+            Rates.registerCoin(currency, coinId);
         } else {
             newAccount = Accounts.createAccount(name, currency);
         }
@@ -4321,6 +5496,23 @@
         handleSave();  // 2025-12-17: handleSave now shows flash indicator
     }
 
+    /**
+     * Validate a custom coin before creating its account
+     * 2026-10-19: The symbol becomes the account currency, so it can't shadow a fiat code
+     * or a coin registered under another id
+     * @param {string} symbol - Upper-cased symbol
+     * @param {string} coinId - Lower-cased CoinGecko id
+     * @returns {string|null} I18n key of the problem, or null if valid
+     */
+    function validateCustomCoin(symbol, coinId) {
+        if (!/^[A-Z0-9]{2,10}$/.test(symbol)) return 'coinErrorSymbol';
+        if (Accounts.isSupportedCurrency(symbol)) return 'coinErrorFiat';
+        if (!/^[a-z0-9-]+$/.test(coinId)) return 'coinErrorId';
+        const existing = Rates.getCoinId(symbol);
+        if (existing && existing !== coinId) return 'coinErrorTaken';
+        return null;
+    }
+
     function selectAccount(accountId) {
         currentAccountId = accountId;
         render();
@@ -4364,58 +5556,477 @@
     // --- Transaction Operations ---
 
     /**
-     * Toggle between expense and income mode
+     * Toggle between expense, income and transfer mode
      * 2025-12-15: New mode toggle for simplified transaction entry
+     * 2026-10-19: Added transfer mode
      */
     function setTransactionMode(mode) {
         // Update button active states
-        if (mode === 'expense') {
-            elements.btnModeExpense.classList.add('active');
-            elements.btnModeIncome.classList.remove('active');
-        } else {
-            elements.btnModeExpense.classList.remove('active');
-            elements.btnModeIncome.classList.add('active');
+        elements.btnModeExpense.classList.toggle('active', mode === 'expense');
+        elements.btnModeIncome.classList.toggle('active', mode === 'income');
+        elements.btnModeTransfer.classList.toggle('active', mode === 'transfer');
+
+        // 2026-10-19: Destination account and rate (only for transfer mode)
+        elements.transferRow.style.display = mode === 'transfer' ? 'block' : 'none';
+        if (mode === 'transfer') {
+            renderTransferOptions();
         }
 
-        // Show/hide category icons (only for expense mode)
-        elements.categoryIcons.style.display = mode === 'expense' ? 'flex' : 'none';
+        // 2026-10-19: Split lines belong to one type, so a mode change drops them
+        closeSplitEditor(splitEditors.form);
+        elements.splitToggleRow.style.display = mode === 'transfer' ? 'none' : 'block';
+        elements.tagsNotesRow.style.display = mode === 'transfer' ? 'none' : 'flex';  // 2026-10-19
+        updateTradeRow(mode);  // 2026-10-19: Buy/sell/receive/send for crypto accounts
+        updateSecurityRow(mode);  // 2026-10-19: Share trades and dividends for investment accounts
+
+        // Show/hide category icons (expense and income have their own sets)
+        // 2026-10-19: Income categories added
+        elements.categoryIcons.style.display = mode === 'transfer' ? 'none' : 'flex';
+        if (mode !== 'transfer') {
+            renderCategoryIcons(elements.categoryIcons, mode, mode === 'expense' ? Categories.FALLBACK_ID : null);
+        }
+        entryCategoryPicked = false;  // 2026-10-19: Payee rules may choose again
 
         // Show/hide recurring toggle (only for expense mode)
         elements.recurringToggleRow.style.display = mode === 'expense' ? 'block' : 'none';
-        // Reset recurring when switching to income
-        if (mode === 'income') {
+        // Reset recurring when switching to income or transfer
+        if (mode !== 'expense') {
             elements.checkboxRecurring.checked = false;
             elements.recurringFrequencyRow.style.display = 'none';
         }
 
         // Update submit button style and text
         const addBtn = elements.btnAddTransaction;
-        if (mode === 'income') {
-            addBtn.classList.remove('btn-danger');
-            addBtn.classList.add('btn-success');
-            addBtn.querySelector('span').textContent = I18n.t('btnAddIncome');
-        } else {
-            addBtn.classList.remove('btn-success');
-            addBtn.classList.add('btn-danger');
-            addBtn.querySelector('span').textContent = I18n.t('btnAddExpense');
-        }
+        addBtn.classList.toggle('btn-success', mode === 'income');
+        addBtn.classList.toggle('btn-danger', mode === 'expense');
+        addBtn.classList.toggle('btn-primary', mode === 'transfer');
+        addBtn.querySelector('span').textContent = I18n.t(
+            mode === 'income' ? 'btnAddIncome' : mode === 'transfer' ? 'btnAddTransfer' : 'btnAddExpense'
+        );
     }
 
     /**
      * Get current transaction mode from button active state
      * 2025-12-16: Helper to determine current mode
+     * 2026-10-19: Returns 'transfer' for transfer mode
      */
     function getCurrentMode() {
+        if (elements.btnModeTransfer.classList.contains('active')) return 'transfer';
         return elements.btnModeExpense.classList.contains('active') ? 'expense' : 'income';
     }
 
+    // --- Crypto Trades (2026-10-19) ---
+
+    /**
+     * Show the trade kind and price inputs for crypto accounts
+     * Income offers buy/receive and expense sell/send; the price is per coin in
+     * the account's cost currency.
+     * @param {string} mode - Current transaction mode
+     */
+    function updateTradeRow(mode = getCurrentMode()) {
+        const account = data.accounts.find(a => a.id === currentAccountId);
+        const show = !!(account && account.type === 'crypto' && mode !== 'transfer');
+        elements.tradeRow.style.display = show ? 'block' : 'none';
+        if (!show) return;
+
+        const t = I18n.t;
+        const kindKeys = { buy: 'tradeBuy', receive: 'tradeReceive', sell: 'tradeSell', send: 'tradeSend' };
+        const previous = elements.selectTradeKind.value;
+        const kinds = Lots.getKinds(mode === 'income');
+        elements.selectTradeKind.innerHTML = kinds.map(kind =>
+            `<option value="${kind}">${t(kindKeys[kind])}</option>`
+        ).join('');
+        if (kinds.includes(previous)) elements.selectTradeKind.value = previous;
+
+        elements.labelTradeKind.textContent = t('tradeKind');
+        elements.labelTradePrice.textContent = t('tradePrice', { currency: getCostCurrency(account) });
+        elements.btnFetchTradePrice.querySelector('[data-i18n="tradeFetchPrice"]').textContent = t('tradeFetchPrice');
+        updateTradeTotal();
+    }
+
+    /**
+     * Fiat currency a crypto account's cost basis is kept in
+     * @param {Object} account - Crypto account
+     * @returns {string} Currency code
+     */
+    function getCostCurrency(account) {
+        return account.costCurrency || 'USD';
+    }
+
+    /**
+     * Preview the fiat total of the trade (coins x price)
+     */
+    function updateTradeTotal() {
+        const el = elements.tradeTotal;
+        if (!el || elements.tradeRow.style.display === 'none') return;
+
+        const account = data.accounts.find(a => a.id === currentAccountId);
+        const amount = parseFloat(elements.inputAmount.value.replace(/,/g, ''));
+        const price = parseFloat(elements.inputTradePrice.value.replace(/,/g, ''));
+        if (!account || isNaN(amount) || isNaN(price) || price <= 0) {
+            el.textContent = '';
+            return;
+        }
+        el.textContent = I18n.t('tradeTotal', {
+            amount: Accounts.formatCurrency(amount * price, getCostCurrency(account))
+        });
+    }
+
+    /**
+     * Fill the price input with the current market price
+     * Uses getExchangeQuote(), so a manual override wins
+     */
+    async function handleFetchTradePrice() {
+        const account = data.accounts.find(a => a.id === currentAccountId);
+        if (!account || account.type !== 'crypto') return;
+
+        elements.btnFetchTradePrice.disabled = true;
+        try {
+            const quote = await getExchangeQuote(account.currency, getCostCurrency(account));
+            elements.inputTradePrice.value = String(parseFloat(quote.rate.toPrecision(8)));
+            updateTradeTotal();
+        } catch (error) {
+            console.error('Failed to fetch trade price:', error);
+            showToast(I18n.t('toastErrorRateFetch'), false);
+        } finally {
+            elements.btnFetchTradePrice.disabled = false;
+        }
+    }
+
+    /**
+     * Read the trade inputs for a new crypto entry
+     * @param {Object} account - Account the entry goes to
+     * @param {boolean} incoming - True for income mode
+     * @returns {Object|null|false} Trade, null for non-crypto accounts, false if invalid (toast shown)
+     */
+    function readTradeFromForm(account, incoming) {
+        if (!account || account.type !== 'crypto') return null;
+
+        const price = parseFloat(elements.inputTradePrice.value.replace(/,/g, ''));
+        const trade = Lots.createTrade(elements.selectTradeKind.value, isNaN(price) ? null : price, getCostCurrency(account));
+        const error = Lots.validateTrade(trade, incoming);
+        if (error) {
+            showToast(I18n.t(error), false);
+            elements.inputTradePrice.focus();
+            return false;
+        }
+        return trade;
+    }
+
+    // --- Investment Trades (2026-10-19) ---
+
+    /**
+     * Show the security inputs for investment accounts
+     * The first option is a plain cash deposit/withdrawal; income adds sell and
+     * dividend, expense adds buy.
+     * @param {string} mode - Current transaction mode
+     */
+    function updateSecurityRow(mode = getCurrentMode()) {
+        const account = data.accounts.find(a => a.id === currentAccountId);
+        const show = !!(account && account.type === 'investment' && mode !== 'transfer');
+        elements.securityRow.style.display = show ? 'block' : 'none';
+        if (!show) return;
+
+        const t = I18n.t;
+        const incoming = mode === 'income';
+        const kindKeys = { buy: 'securityBuy', sell: 'securitySell', dividend: 'securityDividend' };
+        const previous = elements.selectSecurityKind.value;
+        const kinds = Portfolio.getKinds(incoming);
+        elements.selectSecurityKind.innerHTML =
+            `<option value="">${t(incoming ? 'securityDeposit' : 'securityWithdrawal')}</option>` +
+            kinds.map(kind => `<option value="${kind}">${t(kindKeys[kind])}</option>`).join('');
+        elements.selectSecurityKind.value = kinds.includes(previous) ? previous : '';
+
+        elements.labelSecurityKind.textContent = t('tradeKind');
+        elements.labelSecuritySymbol.textContent = t('securitySymbol');
+        elements.labelSecurityQuantity.textContent = t('securityQuantity');
+        elements.labelSecurityPrice.textContent = t('securityPrice', { currency: account.currency });
+        updateSecurityFields();
+    }
+
+    /**
+     * Show the symbol for any security kind and shares/price for buys and sells
+     */
+    function updateSecurityFields() {
+        const kind = elements.selectSecurityKind.value;
+        elements.securitySymbolGroup.style.display = kind ? 'block' : 'none';
+        elements.securityTradeFields.style.display = kind === 'buy' || kind === 'sell' ? 'flex' : 'none';
+    }
+
+    /**
+     * Fill the amount with shares x price (still editable to include fees)
+     */
+    function updateSecurityAmount() {
+        const account = data.accounts.find(a => a.id === currentAccountId);
+        const quantity = parseFloat(elements.inputSecurityQuantity.value.replace(/,/g, ''));
+        const price = parseFloat(elements.inputSecurityPrice.value.replace(/,/g, ''));
+        if (!account || isNaN(quantity) || isNaN(price) || quantity <= 0 || price <= 0) return;
+
+        elements.inputAmount.value = formatWithCommas((quantity * price).toFixed(Accounts.getMinorUnits(account.currency)));
+    }
+
+    /**
+     * Read the security inputs for a new investment entry
+     * @param {Object} account - Account the entry goes to
+     * @param {boolean} incoming - True for income mode
+     * @returns {Object|null|false} Security, null for cash entries and other accounts, false if invalid (toast shown)
+     */
+    function readSecurityFromForm(account, incoming) {
+        if (!account || account.type !== 'investment' || !elements.selectSecurityKind.value) return null;
+
+        const quantity = parseFloat(elements.inputSecurityQuantity.value.replace(/,/g, ''));
+        const price = parseFloat(elements.inputSecurityPrice.value.replace(/,/g, ''));
+        const security = Portfolio.createSecurity(
+            elements.selectSecurityKind.value,
+            elements.inputSecuritySymbol.value,
+            isNaN(quantity) ? null : quantity,
+            isNaN(price) ? null : price
+        );
+
+        const error = Portfolio.validateSecurity(security, incoming);
+        if (error) {
+            showToast(I18n.t(error), false);
+            return false;
+        }
+
+        // Selling shares that were never bought would leave a position with no cost
+        if (security.kind === 'sell') {
+            const held = Portfolio.getQuantity(data.transactions, account, security.symbol);
+            if (security.quantity > held) {
+                showToast(I18n.t('securityErrorOversell', { held, symbol: security.symbol }), false);
+                return false;
+            }
+        }
+        return security;
+    }
+
+    // --- Transfers (2026-10-19) ---
+
+    /**
+     * Fill the destination select with the other owned accounts
+     * Linked accounts are excluded: their transactions live in another vault.
+     */
+    function renderTransferOptions() {
+        const select = elements.selectTransferTo;
+        if (!select) return;
+
+        const previous = select.value;
+        const targets = data.accounts.filter(a => a.id !== currentAccountId);
+        select.innerHTML = targets.map(account =>
+            `<option value="${account.id}">${escapeHtml(account.name)} (${account.currency})</option>`
+        ).join('');
+        if (targets.some(a => a.id === previous)) {
+            select.value = previous;
+        }
+        updateTransferRateRow();
+    }
+
+    /**
+     * Show the rate input only when the two accounts use different currencies
+     */
+    function updateTransferRateRow() {
+        const from = data.accounts.find(a => a.id === currentAccountId);
+        const to = data.accounts.find(a => a.id === elements.selectTransferTo.value);
+        const needsRate = !!(from && to && from.currency !== to.currency);
+
+        elements.transferRateRow.style.display = needsRate ? 'block' : 'none';
+        if (!needsRate) {
+            elements.inputTransferRate.value = '';
+        } else {
+            elements.inputTransferRate.placeholder = `1 ${from.currency} = ? ${to.currency}`;
+        }
+        updateTransferConverted();
+    }
+
+    /**
+     * Preview the amount the destination account will receive
+     */
+    function updateTransferConverted() {
+        const el = elements.transferConverted;
+        if (!el || elements.transferRateRow.style.display === 'none') return;
+
+        const to = data.accounts.find(a => a.id === elements.selectTransferTo.value);
+        const amount = parseFloat(elements.inputAmount.value.replace(/,/g, ''));
+        const rate = parseFloat(elements.inputTransferRate.value.replace(/,/g, ''));
+        if (!to || isNaN(amount) || isNaN(rate) || rate <= 0) {
+            el.textContent = '';
+            return;
+        }
+        el.textContent = I18n.t('transferConverted', {
+            amount: Accounts.formatCurrency(amount * rate, to.currency)
+        });
+    }
+
+    /**
+     * Fetch the source -> destination rate into the rate input
+     */
+    async function handleFetchTransferRate() {
+        const from = data.accounts.find(a => a.id === currentAccountId);
+        const to = data.accounts.find(a => a.id === elements.selectTransferTo.value);
+        if (!from || !to) return;
+
+        elements.btnFetchTransferRate.disabled = true;
+        try {
+            const rate = await fetchTransferRate(from.currency, to.currency);
+            // Crypto rates need more precision than fiat
+            elements.inputTransferRate.value = String(parseFloat(rate.toPrecision(8)));
+            updateTransferConverted();
+        } catch (error) {
+            console.error('Failed to fetch transfer rate:', error);
+            showToast(I18n.t('toastErrorRateFetch'), false);
+        } finally {
+            elements.btnFetchTransferRate.disabled = false;
+        }
+    }
+
+    /**
+     * Get how many units of one currency a single unit of another buys
+     * Fiat pairs use the exchange rate API; any pair with crypto uses CoinGecko.
+     * 2026-10-19: Delegates to getExchangeQuote(), so a manual override (the rate the
+     * bank charged) wins and the last stored rate is used when offline
+     * @param {string} from - Source currency code
+     * @param {string} to - Destination currency code
+     * @returns {Promise<number>} Rate (from -> to)
+     */
+    async function fetchTransferRate(from, to) {
+        const quote = await getExchangeQuote(from, to);
+        return quote.rate;
+    }
+
+    /**
+     * Create a transfer from the current account using the form values
+     * @param {string} desc - Description
+     * @param {number} amount - Amount leaving the current account
+     * @param {string} entryDate - ISO date
+     * @returns {boolean} True if the transfer was created
+     */
+    function addTransferFromForm(desc, amount, entryDate) {
+        const from = data.accounts.find(a => a.id === currentAccountId);
+        const to = data.accounts.find(a => a.id === elements.selectTransferTo.value);
+        if (!from || !to || from.id === to.id) {
+            showToast(I18n.t('toastErrorTransferAccount'), false);
+            return false;
+        }
+
+        let rate = 1;
+        if (from.currency !== to.currency) {
+            rate = parseFloat(elements.inputTransferRate.value.replace(/,/g, ''));
+            if (isNaN(rate) || rate <= 0) {
+                showToast(I18n.t('toastErrorRate'), false);
+                elements.inputTransferRate.focus();
+                return false;
+            }
+        }
+
+        const legs = Transfers.createTransfer({
+            fromAccountId: from.id,
+            toAccountId: to.id,
+            amount,
+            rate,
+            desc,
+            date: entryDate,
+            createdBy: getCurrentUserInfo(),
+            existingIds: new Set(data.transactions.map(t => t.id)),
+            fromCurrency: from.currency,  // 2026-10-19: Round each leg to its currency
+            toCurrency: to.currency
+        });
+
+        saveToHistory();
+        data.transactions.push(...legs);
+        elements.inputTransferRate.value = '';
+        updateTransferConverted();
+        showToast(I18n.t('toastTransferCreated'));
+        return true;
+    }
+
     /**
      * Get currently selected category
      * 2025-12-15: Returns category data attribute of active icon
+     * 2026-10-19: Income may have no category (null)
      */
     function getSelectedCategory() {
         const activeIcon = elements.categoryIcons.querySelector('.category-icon.active');
-        return activeIcon ? activeIcon.dataset.category : 'general';
+        if (activeIcon) return activeIcon.dataset.category;
+        return getCurrentMode() === 'expense' ? Categories.FALLBACK_ID : null;
+    }
+
+    /**
+     * Re-render the entry form's category picker, keeping the selection
+     * 2026-10-19
+     */
+    function refreshCategoryIcons() {
+        const mode = getCurrentMode();
+        if (mode === 'transfer' || !Array.isArray(data.categories)) return;
+        const active = elements.categoryIcons.querySelector('.category-icon.active');
+        const fallback = mode === 'expense' ? Categories.FALLBACK_ID : null;
+        renderCategoryIcons(elements.categoryIcons, mode, active ? active.dataset.category : fallback);
+    }
+
+    /**
+     * Render category buttons for one type into a picker
+     * 2026-10-19: Replaces the hardcoded icon buttons; subcategories follow their parent
+     * @param {HTMLElement} container - Picker element
+     * @param {string} type - 'expense' or 'income'
+     * @param {string|null} activeId - Category to mark active
+     */
+    function renderCategoryIcons(container, type, activeId) {
+        if (!container) return;
+        container.innerHTML = Categories.getAll(data, { type }).map(category => `
+            <button type="button" class="category-icon${category.parentId ? ' subcategory' : ''}${category.id === activeId ? ' active' : ''}"
+                data-category="${escapeAttr(category.id)}" title="${escapeAttr(Categories.getLabel(data, category.id))}"
+                style="--category-color: ${Categories.getColor(data, category.id)}">${escapeHtml(category.icon)}</button>
+        `).join('');
+    }
+
+    /**
+     * Build the ISO date for a new entry from the form's date and optional time
+     * 2026-10-19: Today without a time uses the current time so same-day entries keep
+     * their natural order; past days without a time default to noon, which keeps the
+     * calendar day stable across time zones.
+     * @param {string} dateValue - YYYY-MM-DD from the date input (empty = today)
+     * @param {string} timeValue - HH:MM from the time input (optional)
+     * @returns {string|null} ISO date string, or null if the date is invalid
+     */
+    function getEntryDate(dateValue, timeValue) {
+        const now = new Date();
+        if (!dateValue) return now.toISOString();
+
+        const [year, month, day] = dateValue.split('-').map(Number);
+        if (!year || !month || !day) return null;
+
+        let date;
+        if (timeValue) {
+            const [hours, minutes] = timeValue.split(':').map(Number);
+            date = new Date(year, month - 1, day, hours || 0, minutes || 0);
+        } else if (year === now.getFullYear() && month === now.getMonth() + 1 && day === now.getDate()) {
+            date = now;
+        } else {
+            date = new Date(year, month - 1, day, 12, 0);
+        }
+
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    // 2026-10-19: Whether the user picked the form's date; until then it follows today
+    let entryDateEdited = false;
+
+    /**
+     * Reset the form's date picker to today and clear the time
+     * 2026-10-19
+     */
+    function resetEntryDate() {
+        if (elements.inputTxDate) elements.inputTxDate.value = toDateTimeLocalValue().split('T')[0];
+        if (elements.inputTxTime) elements.inputTxTime.value = '';
+        entryDateEdited = false;
+    }
+
+    /**
+     * Move the form's default date to today if the day changed since it was set
+     * (e.g. the app stayed open past midnight). A date the user picked is kept.
+     */
+    function refreshEntryDate() {
+        if (entryDateEdited || !elements.inputTxDate) return;
+        elements.inputTxDate.value = toDateTimeLocalValue().split('T')[0];
     }
 
     /**
@@ -4427,14 +6038,17 @@
         if (!currentAccountId) {
             return;
         }
+        refreshEntryDate();  // 2026-10-19: The form may have stayed focused past midnight
 
         const desc = elements.inputDesc.value.trim();
         const amountStr = elements.inputAmount.value.replace(/,/g, '');
         const amount = parseFloat(amountStr);
         const mode = getCurrentMode();
-        const category = mode === 'expense' ? getSelectedCategory() : null;
+        const ruled = applyEntryRules();  // 2026-10-19: Payee rules may fill in category and tags first
+        const category = mode === 'transfer' ? null : getSelectedCategory();  // 2026-10-19: Income categories
         const isRecurring = mode === 'expense' && elements.checkboxRecurring.checked;
         const frequencyMonths = isRecurring ? parseInt(elements.inputRecurringMonths.value) || 1 : null;
+        const entryDate = getEntryDate(elements.inputTxDate.value, elements.inputTxTime.value);
 
         if (!desc) {
             showToast(I18n.t('toastErrorDesc'), false);
@@ -4448,24 +6062,67 @@
             return;
         }
 
-        if (isRecurring) {
+        if (!entryDate) {
+            showToast(I18n.t('toastErrorDate'), false);
+            elements.inputTxDate.focus();
+            return;
+        }
+
+        // 2026-10-19: Split lines replace the single category
+        let splits = null;
+        if (mode !== 'transfer' && isSplitEditorOpen(splitEditors.form)) {
+            splits = readValidSplits(splitEditors.form, mode === 'income', amount);
+            if (!splits) return;
+        }
+
+        // 2026-10-19: Tags and notes (not offered for transfers)
+        const tags = mode === 'transfer' ? [] : Tags.parse(elements.inputTags.value);
+        const notes = mode === 'transfer' ? '' : Tags.cleanNotes(elements.inputNotes.value);
+
+        // 2026-10-19: A rule can file the entry under another account
+        const currentAccount = data.accounts.find(a => a.id === currentAccountId);
+        const ruleAccount = currentAccount ? getRuleAccount(ruled, currentAccountId, currentAccount.currency) : null;
+        const accountId = ruleAccount ? ruleAccount.id : currentAccountId;
+
+        // 2026-10-19: Crypto entries record the trade kind and fiat price per coin
+        const trade = mode === 'transfer' || isRecurring ? null
+            : readTradeFromForm(ruleAccount || currentAccount, mode === 'income');
+        if (trade === false) return;
+
+        // 2026-10-19: Investment entries may be share trades or dividends
+        const security = mode === 'transfer' || isRecurring ? null
+            : readSecurityFromForm(ruleAccount || currentAccount, mode === 'income');
+        if (security === false) return;
+
+        if (mode === 'transfer') {
+            // 2026-10-19: Transfers create a linked pair of transactions
+            if (!addTransferFromForm(desc, amount, entryDate)) return;
+        } else if (isRecurring) {
             // Create recurring transaction
-            const recurringTransaction = {
-                id: Date.now(),
-                accountId: currentAccountId,
+            // 2026-10-19: Template built by Recurrence so the engine can schedule it
+            const recurringTransaction = Recurrence.createTemplate({
+                accountId: accountId,
                 desc: desc,
                 amt: -amount,  // Always negative for expenses
-                category: category,
+                category: splits ? Splits.getPrimaryCategory(splits) : category,
+                splits: splits,  // 2026-10-19: Copied onto every occurrence
+                tags: tags,
+                notes: notes,
                 frequencyMonths: frequencyMonths,
-                startDate: new Date().toISOString(),
-                active: true
-            };
+                startDate: entryDate  // 2026-10-19: A backdated start catches up missed occurrences
+            });
+
+            saveToHistory();  // 2026-10-19: Save state before modifying data
 
             // Initialize recurring array if needed
             if (!data.recurringTransactions) {
                 data.recurringTransactions = [];
             }
             data.recurringTransactions.push(recurringTransaction);
+            Payees.remember(data, { ...recurringTransaction, date: entryDate });  // 2026-10-19
+
+            // 2026-10-19: Post the first occurrence right away
+            Recurrence.postDueTransactions(data, { createdBy: getCurrentUserInfo() });
             showToast(I18n.t('toastRecurringCreated'));
         } else {
             // Create regular transaction
@@ -4474,16 +6131,23 @@
             const userInfo = getCurrentUserInfo();
             const transaction = {
                 id: Date.now(),
-                accountId: currentAccountId,
+                accountId: accountId,  // 2026-10-19: May be a rule's account
                 desc: desc,
                 amt: mode === 'income' ? amount : -amount,
-                category: category,
-                date: new Date().toISOString(),
+                category: splits ? Splits.getPrimaryCategory(splits) : category,
+                date: entryDate,      // 2026-10-19: May be backdated via the date picker
                 createdBy: userInfo,  // null for local vaults, {email, name} for cloud
                 attachments: []       // 2025-12-22: Populated after upload
             };
+            if (splits) transaction.splits = splits;  // 2026-10-19
+            if (tags.length > 0) transaction.tags = tags;  // 2026-10-19
+            if (notes) transaction.notes = notes;
+            if (trade) transaction.trade = trade;  // 2026-10-19
+            if (security) transaction.security = security;  // 2026-10-19
             saveToHistory();  // 2025-12-17: Save state before modifying data
             data.transactions.push(transaction);
+            Payees.remember(data, transaction);  // 2026-10-19: Learn the payee's category
+            warnIfBudgetExceeded(transaction);  // 2026-10-19: 80% / 100% budget warnings
 
             // 2025-12-22: Upload staged attachments if any
             if (stagedAttachments.length > 0) {
@@ -4506,36 +6170,3567 @@
         elements.inputAmount.value = '';
         elements.checkboxRecurring.checked = false;
         elements.recurringFrequencyRow.style.display = 'none';
+        closeSplitEditor(splitEditors.form);  // 2026-10-19
+        elements.inputTags.value = '';  // 2026-10-19
+        elements.inputNotes.value = '';
+        elements.inputTradePrice.value = '';  // 2026-10-19
+        elements.inputSecuritySymbol.value = '';  // 2026-10-19
+        elements.inputSecurityQuantity.value = '';
+        elements.inputSecurityPrice.value = '';
+        hideTagSuggestions(elements.tagSuggestions);
+        hideTagSuggestions(elements.payeeSuggestions);  // 2026-10-19
+        entryCategoryPicked = false;
+        resetEntryDate();
         elements.inputDesc.focus();
 
-        render();
-        handleSave();
+        render();
+        handleSave();
+
+        if (ruleAccount && mode !== 'transfer') {
+            showToast(I18n.t('toastRuleMovedAccount', { account: ruleAccount.name }));
+        }
+    }
+
+    async function deleteTransaction(id) {
+        // 2026-10-19: Deleting one leg of a transfer removes both
+        const target = data.transactions.find(t => t.id === id);
+        const message = Transfers.isTransfer(target) ? I18n.t('confirmDeleteTransfer') : I18n.t('confirmDelete');
+        const confirmed = await showConfirm(message);
+        if (confirmed) {
+            saveToHistory();  // 2026-10-19: Save state before modifying data
+            data.transactions = Transfers.removeWithCounterpart(data.transactions, id);
+            render();
+            handleSave();
+        }
+    }
+
+    /**
+     * Cancel a recurring transaction
+     * 2025-12-15: Sets active to false instead of deleting
+     */
+    async function cancelRecurring(id) {
+        const confirmed = await showConfirm(I18n.t('confirmCancelRecurring'));
+        if (confirmed) {
+            const recurring = data.recurringTransactions?.find(r => r.id === id);
+            if (recurring) {
+                saveToHistory();  // 2025-12-17: Save state before modifying data
+                recurring.active = false;
+                render();
+                handleSave();  // 2025-12-17: handleSave now shows flash indicator
+            }
+        }
+    }
+
+    // --- Transaction Edit (2026-10-19) ---
+
+    // Transaction currently open in the edit modal
+    let editingTransactionId = null;
+    // Linked account the transaction belongs to (null for owned accounts)
+    let editingLinkedAccount = null;
+    // Attachments kept on the transaction and new files staged in the modal
+    let editKeptAttachments = [];
+    let editRemovedAttachments = [];
+    let editStagedAttachments = [];
+
+    /**
+     * Setup transaction edit modal event listeners
+     */
+    function setupTransactionEditModal() {
+        if (!elements.transactionEditModal) return;
+
+        elements.btnCancelTransactionEdit.addEventListener('click', closeTransactionEditModal);
+        elements.btnSaveTransactionEdit.addEventListener('click', handleSaveTransactionEdit);
+        elements.transactionEditModal.querySelector('.modal-backdrop').addEventListener('click', closeTransactionEditModal);
+
+        // 2026-10-19: Expense and income each have their own categories
+        elements.selectEditTxSign.addEventListener('change', () => {
+            const type = elements.selectEditTxSign.value;
+            closeSplitEditor(splitEditors.edit);  // Lines are tied to the old type
+            renderCategoryIcons(elements.editTxCategoryIcons, type, type === 'expense' ? Categories.FALLBACK_ID : null);
+        });
+
+        elements.editTxCategoryIcons.addEventListener('click', (e) => {
+            const icon = e.target.closest('.category-icon');
+            if (!icon) return;
+            e.preventDefault();
+            const clearing = elements.selectEditTxSign.value === 'income' && icon.classList.contains('active');
+            elements.editTxCategoryIcons.querySelectorAll('.category-icon').forEach(i => i.classList.remove('active'));
+            if (!clearing) icon.classList.add('active');
+        });
+
+        elements.btnEditTxAttach.addEventListener('click', () => {
+            elements.inputEditTxAttachment.click();
+        });
+
+        elements.inputEditTxAttachment.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files || []);
+            const currentCount = editKeptAttachments.length + editStagedAttachments.length;
+            const { validFiles, errors } = Attachments.validateFiles(files, currentCount);
+
+            if (errors.length > 0) {
+                showToast(I18n.t(errors[0]), false);
+            }
+
+            validFiles.forEach(file => {
+                editStagedAttachments.push({
+                    file: file,
+                    id: `staged_${Date.now()}_${editStagedAttachments.length}`,
+                    filename: file.name,
+                    mimeType: file.type,
+                    size: file.size
+                });
+            });
+
+            e.target.value = '';
+            renderEditTxAttachments();
+        });
+    }
+
+    /**
+     * Find a transaction by ID in the owned vault or the selected linked account
+     * @param {number} transactionId - Transaction ID
+     * @returns {Object|null} { transaction, linked } or null if not found
+     */
+    function findEditableTransaction(transactionId) {
+        if (currentLinkedAccount && currentAccountId && currentAccountId.startsWith('linked_')) {
+            if (currentLinkedAccount.permission !== 'editor') return null;
+            const transaction = (currentLinkedAccount.cachedTransactions || []).find(t => t.id === transactionId);
+            return transaction ? { transaction, linked: currentLinkedAccount } : null;
+        }
+
+        const transaction = data.transactions.find(t => t.id === transactionId);
+        return transaction ? { transaction, linked: null } : null;
+    }
+
+    /**
+     * Whether a transaction may be moved from one account to another
+     * The amount and its trade or security record stay as they are, so only
+     * accounts of the same type and currency (and crypto cost currency) qualify.
+     * @param {Object} from - Account the transaction is in
+     * @param {Object} to - Candidate account
+     * @returns {boolean}
+     */
+    function canMoveTransaction(from, to) {
+        if (!from || !to) return false;
+        if (from.id === to.id) return true;
+        if (from.type !== to.type || from.currency !== to.currency) return false;
+        return from.type !== 'crypto' || (from.costCurrency || 'USD') === (to.costCurrency || 'USD');
+    }
+
+    /**
+     * Open the edit modal for a transaction
+     * @param {number} transactionId - Transaction ID
+     */
+    function openTransactionEditModal(transactionId) {
+        const found = findEditableTransaction(transactionId);
+        if (!found) return;
+
+        const { transaction, linked } = found;
+        const t = I18n.t;
+
+        editingTransactionId = transactionId;
+        editingLinkedAccount = linked;
+        editKeptAttachments = [...(transaction.attachments || [])];
+        editRemovedAttachments = [];
+        editStagedAttachments = [];
+
+        // Update modal labels
+        elements.transactionEditModalTitle.textContent = t('transactionEditModalTitle');
+        elements.transactionEditModalDesc.textContent = t('transactionEditModalDesc');
+        elements.labelEditTxDesc.textContent = t('transactionEditDesc');
+        elements.labelEditTxAmount.textContent = t('transactionEditAmount');
+        elements.labelEditTxSign.textContent = t('transactionEditType');
+        elements.labelEditTxDate.textContent = t('transactionEditDate');
+        elements.labelEditTxAccount.textContent = t('transactionEditAccount');
+        elements.selectEditTxSign.options[0].textContent = t('modeExpense');
+        elements.selectEditTxSign.options[1].textContent = t('modeIncome');
+        elements.btnEditTxAttach.querySelector('[data-i18n="attachFile"]').textContent = t('attachFile');
+        elements.btnCancelTransactionEdit.querySelector('[data-i18n="cancel"]').textContent = t('cancel');
+        elements.btnSaveTransactionEdit.querySelector('[data-i18n="saveChanges"]').textContent = t('saveChanges');
+
+        // Populate current values
+        const isIncome = transaction.amt >= 0;
+        elements.inputEditTxDesc.value = transaction.desc || '';
+        // 2026-10-19: As many decimals as the account's currency uses
+        const txAccount = linked ? null : data.accounts.find(a => a.id === transaction.accountId);
+        const txCurrency = linked ? (linked.accountCurrency || 'USD') : (txAccount ? txAccount.currency : 'USD');
+        elements.inputEditTxAmount.value = formatWithCommas(Math.abs(transaction.amt).toFixed(Accounts.getMinorUnits(txCurrency)));
+        elements.selectEditTxSign.value = isIncome ? 'income' : 'expense';
+        elements.inputEditTxDate.value = toDateTimeLocalValue(transaction.date);
+
+        // 2026-10-19: Category picker for the transaction's type (income may be uncategorized)
+        const category = transaction.category || (isIncome ? null : Categories.FALLBACK_ID);
+        renderCategoryIcons(elements.editTxCategoryIcons, isIncome ? 'income' : 'expense', category);
+        elements.editTxCategoryIcons.style.display = 'flex';
+
+        // 2026-10-19: Transfer legs keep their direction and accounts; the other leg follows
+        const isTransfer = Transfers.isTransfer(transaction);
+        elements.selectEditTxSign.disabled = isTransfer;
+        if (isTransfer) {
+            elements.editTxCategoryIcons.style.display = 'none';
+        }
+
+        // 2026-10-19: Tags and notes (transfer legs have neither)
+        document.getElementById('label-edit-tx-tags').textContent = t('tagsLabel');
+        document.getElementById('label-edit-tx-notes').textContent = t('notesLabel');
+        elements.inputEditTxTags.placeholder = t('tagsPlaceholder');
+        elements.inputEditTxTags.value = Tags.format(transaction.tags);
+        elements.inputEditTxNotes.value = transaction.notes || '';
+        elements.editTxTagsNotes.style.display = isTransfer ? 'none' : 'block';
+        hideTagSuggestions(elements.editTxTagSuggestions);
+
+        // 2026-10-19: Split transactions open with their lines; transfers can't be split
+        closeSplitEditor(splitEditors.edit);
+        elements.editTxSplitToggleRow.style.display = isTransfer ? 'none' : 'block';
+        if (Splits.isSplit(transaction)) {
+            openSplitEditor(splitEditors.edit, transaction.splits.map(line => ({
+                category: line.category,
+                amount: Math.abs(line.amt),
+                memo: line.memo || ''
+            })));
+        }
+
+        // Linked transactions live in another vault, so they can't move between accounts
+        // and their attachments belong to the owner's Drive folder
+        if (linked) {
+            elements.selectEditTxAccount.innerHTML = `<option value="${escapeAttr(linked.accountId)}">${escapeHtml(linked.accountName)}</option>`;
+            elements.selectEditTxAccount.disabled = true;
+            elements.editTxAttachmentSection.style.display = 'none';
+        } else {
+            // 2026-10-19: Only accounts the amount means the same in (see canMoveTransaction)
+            elements.selectEditTxAccount.innerHTML = data.accounts.filter(account => !txAccount || canMoveTransaction(txAccount, account)).map(account =>
+                `<option value="${account.id}">${escapeHtml(account.name)} (${account.currency})</option>`
+            ).join('');
+            elements.selectEditTxAccount.value = transaction.accountId;
+            elements.selectEditTxAccount.disabled = isTransfer;
+            elements.editTxAttachmentSection.style.display = 'block';
+            renderEditTxAttachments();
+        }
+
+        elements.transactionEditModal.style.display = 'flex';
+        elements.inputEditTxDesc.focus();
+    }
+
+    function closeTransactionEditModal() {
+        elements.transactionEditModal.style.display = 'none';
+        closeSplitEditor(splitEditors.edit);  // 2026-10-19
+        editingTransactionId = null;
+        editingLinkedAccount = null;
+        editKeptAttachments = [];
+        editRemovedAttachments = [];
+        editStagedAttachments = [];
+    }
+
+    /**
+     * Render kept and newly staged attachments in the edit modal
+     */
+    function renderEditTxAttachments() {
+        const list = elements.editTxAttachmentList;
+        if (!list) return;
+
+        const items = [
+            ...editKeptAttachments.map(att => ({ ...att, staged: false })),
+            ...editStagedAttachments.map(att => ({ ...att, staged: true }))
+        ];
+
+        list.innerHTML = items.map(att => {
+            const size = Attachments.formatSize(att.size);
+            return `<div class="attachment-thumbnail" data-id="${att.id}" title="${escapeAttr(att.filename)} (${size})"><span class="file-icon">${Attachments.getIcon(att.mimeType)}</span><button class="remove-btn" data-id="${att.id}" data-staged="${att.staged}">×</button></div>`;
+        }).join('');
+
+        list.querySelectorAll('.remove-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (btn.dataset.staged === 'true') {
+                    editStagedAttachments = editStagedAttachments.filter(a => a.id !== btn.dataset.id);
+                } else {
+                    const removed = editKeptAttachments.find(a => a.id === btn.dataset.id);
+                    if (removed) editRemovedAttachments.push(removed);
+                    editKeptAttachments = editKeptAttachments.filter(a => a.id !== btn.dataset.id);
+                }
+                renderEditTxAttachments();
+            });
+        });
+    }
+
+    /**
+     * Apply edits from the modal to the transaction
+     * Owned transactions are updated in place; linked ones are written back to the source vault.
+     */
+    async function handleSaveTransactionEdit() {
+        const found = findEditableTransaction(editingTransactionId);
+        if (!found) {
+            closeTransactionEditModal();
+            return;
+        }
+
+        const { transaction, linked } = found;
+        const previousCategory = transaction.category;  // 2026-10-19: For the payee directory
+        const desc = elements.inputEditTxDesc.value.trim();
+        // 2026-10-19: Rounded to the minor units of the account's currency, like new entries
+        const txAccount = linked ? null : data.accounts.find(a => a.id === transaction.accountId);
+        const txCurrency = linked ? (linked.accountCurrency || 'USD') : (txAccount ? txAccount.currency : 'USD');
+        const amount = Accounts.roundAmount(parseFloat(elements.inputEditTxAmount.value.replace(/,/g, '')), txCurrency);
+        const isIncome = elements.selectEditTxSign.value === 'income';
+        const date = fromDateTimeLocalValue(elements.inputEditTxDate.value);
+
+        if (!desc) {
+            showToast(I18n.t('toastErrorDesc'), false);
+            elements.inputEditTxDesc.focus();
+            return;
+        }
+
+        if (isNaN(amount) || amount <= 0) {
+            showToast(I18n.t('toastErrorAmount'), false);
+            elements.inputEditTxAmount.focus();
+            return;
+        }
+
+        if (!date) {
+            showToast(I18n.t('toastErrorDate'), false);
+            elements.inputEditTxDate.focus();
+            return;
+        }
+
+        const targetAccount = data.accounts.find(a => a.id === elements.selectEditTxAccount.value);
+        // An entry whose account is gone may be given any account
+        if (!linked && (!targetAccount || (txAccount && !canMoveTransaction(txAccount, targetAccount)))) {
+            showToast(I18n.t('toastErrorMoveAccount'), false);
+            elements.selectEditTxAccount.focus();
+            return;
+        }
+
+        // 2026-10-19: Transfer legs never carry a category
+        const isTransfer = Transfers.isTransfer(transaction);
+        // 2026-10-19: Income categories are optional
+        let category = null;
+        if (!isTransfer) {
+            const activeIcon = elements.editTxCategoryIcons.querySelector('.category-icon.active');
+            category = activeIcon ? activeIcon.dataset.category : (isIncome ? null : Categories.FALLBACK_ID);
+        }
+
+        // 2026-10-19: Split lines must still add up to the (possibly edited) amount
+        let splits = null;
+        if (!isTransfer && isSplitEditorOpen(splitEditors.edit)) {
+            splits = readValidSplits(splitEditors.edit, isIncome, amount);
+            if (!splits) return;
+            category = Splits.getPrimaryCategory(splits);
+        }
+
+        const updates = {
+            desc: desc,
+            amt: (isTransfer ? transaction.amt >= 0 : isIncome) ? amount : -amount,
+            category: category,
+            date: date,
+            editedBy: getCurrentUserInfo(),
+            editedAt: new Date().toISOString()
+        };
+        if (splits) updates.splits = splits;
+
+        // 2026-10-19: Tags and notes; empty fields remove them
+        const tags = isTransfer ? [] : Tags.parse(elements.inputEditTxTags.value);
+        const notes = isTransfer ? '' : Tags.cleanNotes(elements.inputEditTxNotes.value);
+        if (tags.length > 0) updates.tags = tags;
+        if (notes) updates.notes = notes;
+        const dropEmptyFields = (target) => {
+            if (!splits) delete target.splits;  // Unsplit
+            if (tags.length === 0) delete target.tags;
+            if (!notes) delete target.notes;
+            if (!tags.includes(Tags.REIMBURSABLE)) Tags.clearReimbursed(target);
+        };
+
+        if (linked) {
+            const updated = { ...transaction, ...updates };
+            dropEmptyFields(updated);
+            const success = await GDrive.updateTransactionInLinkedAccount(linked.sourceVaultId, updated);
+            if (!success) {
+                showToast(I18n.t('toastTransactionEditError'), false);
+                return;
+            }
+
+            // Mirror the change in the local cache so the UI updates before the next sync
+            // 2026-10-19: Not undoable - undo would only restore the cache, never the source vault
+            Object.assign(transaction, updates);
+            dropEmptyFields(transaction);
+            linked.cachedBalance = Accounts.calculateBalance(linked.cachedTransactions, linked.accountId);
+        } else {
+            saveToHistory();  // Save state before modifying data
+            if (isTransfer) {
+                // 2026-10-19: Mirror description, date and converted amount on the other leg
+                const counterpart = Transfers.getCounterpart(data.transactions, transaction);
+                const currencyOf = (leg) => {
+                    const account = leg && data.accounts.find(a => a.id === leg.accountId);
+                    return account ? account.currency : undefined;
+                };
+                Transfers.updateTransfer(data.transactions, transaction, {
+                    desc,
+                    amount,
+                    date,
+                    editedBy: updates.editedBy,
+                    editedAt: updates.editedAt,
+                    legCurrency: currencyOf(transaction),  // 2026-10-19: Round each leg to its currency
+                    counterpartCurrency: currencyOf(counterpart)
+                });
+            } else {
+                Object.assign(transaction, updates);
+                dropEmptyFields(transaction);  // 2026-10-19
+                transaction.accountId = targetAccount.id;
+                // 2026-10-19: A corrected category is what the payee should suggest next time
+                if (transaction.category !== previousCategory) {
+                    Payees.remember(data, transaction, { countUse: false });
+                }
+            }
+
+            // Remove attachments the user dropped; Drive copies are deleted best-effort
+            // 2026-10-19: Local attachment files too, once the edit can no longer be undone
+            // (see deleteUnreferencedAttachments)
+            removedAttachments.push(...editRemovedAttachments);
+            transaction.attachments = [...editKeptAttachments];
+
+            if (editStagedAttachments.length > 0) {
+                // Start after the highest existing index so generated IDs stay unique
+                const usedIndexes = (transaction.attachments || []).map(a => parseInt(a.id.split('_').pop()) || 0);
+                const startIndex = usedIndexes.length > 0 ? Math.max(...usedIndexes) + 1 : 0;
+                const queue = editStagedAttachments;
+
+                uploadStagedAttachments(transaction.id, queue, startIndex).then(uploaded => {
+                    if (uploaded.length > 0) {
+                        transaction.attachments = [...(transaction.attachments || []), ...uploaded];
+                        handleSave();
+                        render();
+                    }
+                }).catch(err => {
+                    console.error('Attachment upload error:', err);
+                    showToast(I18n.t('attachmentUploadError'), false);
+                });
+            }
+        }
+
+        closeTransactionEditModal();
+        render();
+        handleSave();
+        showToast(I18n.t('toastTransactionUpdated'));
+    }
+
+    // --- Split Transactions (2026-10-19) ---
+
+    // The transaction form and the edit modal each have a split editor;
+    // the functions below work on either
+    const splitEditors = {
+        form: {
+            toggleRow: elements.splitToggleRow,
+            toggle: elements.btnSplitTransaction,
+            editor: elements.splitEditor,
+            lines: elements.splitLines,
+            addButton: elements.btnAddSplitLine,
+            remaining: elements.splitRemaining,
+            icons: elements.categoryIcons,
+            amountInput: elements.inputAmount,
+            getType: () => getCurrentMode(),
+            getCurrency: () => getEntryCurrency()  // 2026-10-19: Sums compare in its minor units
+        },
+        edit: {
+            toggleRow: elements.editTxSplitToggleRow,
+            toggle: elements.btnEditTxSplit,
+            editor: elements.editTxSplitEditor,
+            lines: elements.editTxSplitLines,
+            addButton: elements.btnEditTxAddSplitLine,
+            remaining: elements.editTxSplitRemaining,
+            icons: elements.editTxCategoryIcons,
+            amountInput: elements.inputEditTxAmount,
+            getType: () => elements.selectEditTxSign.value,
+            getCurrency: () => getEditTransactionCurrency()  // 2026-10-19
+        }
+    };
+
+    /**
+     * Currency of the account the entry form adds to
+     * 2026-10-19: Split sums compare in its minor units
+     * @returns {string} Currency code
+     */
+    function getEntryCurrency() {
+        if (currentLinkedAccount && currentAccountId && currentAccountId.startsWith('linked_')) {
+            return currentLinkedAccount.accountCurrency || 'USD';
+        }
+        const account = data.accounts.find(a => a.id === currentAccountId);
+        return account?.currency || 'USD';
+    }
+
+    /**
+     * Currency of the transaction open in the edit modal
+     * @returns {string} Currency code
+     */
+    function getEditTransactionCurrency() {
+        const found = findEditableTransaction(editingTransactionId);
+        if (!found) return 'USD';
+        if (found.linked) return found.linked.accountCurrency || 'USD';
+        const account = data.accounts.find(a => a.id === found.transaction.accountId);
+        return account?.currency || 'USD';
+    }
+
+    function setupSplitEditors() {
+        Object.values(splitEditors).forEach(editor => {
+            if (!editor.editor) return;
+
+            editor.toggle.addEventListener('click', () => {
+                if (isSplitEditorOpen(editor)) {
+                    closeSplitEditor(editor);
+                    return;
+                }
+                // Start with the whole amount on the selected category plus an empty line
+                const active = editor.icons.querySelector('.category-icon.active');
+                const total = parseFloat(editor.amountInput.value.replace(/,/g, '')) || 0;
+                openSplitEditor(editor, [
+                    { category: active ? active.dataset.category : null, amount: total || '', memo: '' },
+                    { category: null, amount: '', memo: '' }
+                ]);
+            });
+
+            editor.addButton.addEventListener('click', () => {
+                const remaining = Splits.getRemaining(readSplitLines(editor), getSplitTotal(editor), editor.getCurrency());
+                editor.lines.insertAdjacentHTML('beforeend',
+                    renderSplitLine(editor, { category: null, amount: remaining > 0 ? remaining : '', memo: '' }));
+                updateSplitRemaining(editor);
+            });
+
+            editor.lines.addEventListener('click', (e) => {
+                const remove = e.target.closest('.split-remove');
+                if (!remove) return;
+                remove.closest('.split-line').remove();
+                updateSplitRemaining(editor);
+            });
+
+            editor.lines.addEventListener('input', () => updateSplitRemaining(editor));
+            editor.amountInput.addEventListener('input', () => {
+                if (isSplitEditorOpen(editor)) updateSplitRemaining(editor);
+            });
+
+            updateSplitEditorLabels(editor);
+        });
+    }
+
+    /**
+     * Set split editor labels for the current language
+     * @param {Object} editor - Entry of splitEditors
+     */
+    function updateSplitEditorLabels(editor) {
+        if (!editor.editor) return;
+        editor.toggle.querySelector('span').textContent =
+            I18n.t(isSplitEditorOpen(editor) ? 'splitRemove' : 'splitToggle');
+        editor.addButton.querySelector('span').textContent = I18n.t('splitAddLine');
+        if (isSplitEditorOpen(editor)) updateSplitRemaining(editor);
+    }
+
+    function isSplitEditorOpen(editor) {
+        return !!editor.editor && editor.editor.style.display !== 'none';
+    }
+
+    /**
+     * Show the split editor with lines, hiding the single-category picker
+     * @param {Object} editor - Entry of splitEditors
+     * @param {Array} lines - [{ category, amount (positive), memo }]
+     */
+    function openSplitEditor(editor, lines) {
+        editor.lines.innerHTML = lines.map(line => renderSplitLine(editor, line)).join('');
+        editor.editor.style.display = 'block';
+        editor.icons.style.display = 'none';
+        updateSplitEditorLabels(editor);
+    }
+
+    /**
+     * Hide the split editor and bring back the category picker
+     * @param {Object} editor - Entry of splitEditors
+     */
+    function closeSplitEditor(editor) {
+        if (!isSplitEditorOpen(editor)) return;
+        editor.editor.style.display = 'none';
+        editor.lines.innerHTML = '';
+        editor.icons.style.display = 'flex';
+        updateSplitEditorLabels(editor);
+    }
+
+    /**
+     * One line of the split editor
+     * @param {Object} editor - Entry of splitEditors
+     * @param {Object} line - { category, amount, memo }
+     * @returns {string} HTML
+     */
+    function renderSplitLine(editor, line) {
+        const type = editor.getType() === 'income' ? 'income' : 'expense';
+        const selected = line.category || (type === 'expense' ? Categories.FALLBACK_ID : '');
+        const categories = Categories.getAll(data, { type });
+        // Keep an archived category that an existing line already uses
+        if (selected && !categories.some(c => c.id === selected) && Categories.get(data, selected)) {
+            categories.push(Categories.get(data, selected));
+        }
+
+        const options = categories.map(c =>
+            `<option value="${escapeAttr(c.id)}" ${c.id === selected ? 'selected' : ''}>${escapeHtml(c.icon)} ${escapeHtml(Categories.getLabel(data, c.id))}</option>`
+        ).join('');
+        const noCategory = type === 'income' ? `<option value="">${I18n.t('splitNoCategory')}</option>` : '';
+        const decimals = Accounts.getMinorUnits(editor.getCurrency());  // 2026-10-19
+        const amount = line.amount === '' || line.amount === undefined ? '' : Number(line.amount).toFixed(decimals);
+
+        return `
+            <div class="split-line">
+                <select class="input split-category">${noCategory}${options}</select>
+                <input type="text" inputmode="decimal" class="input split-amount" placeholder="0.00" value="${amount}">
+                <input type="text" class="input split-memo" placeholder="${escapeAttr(I18n.t('splitMemo'))}" value="${escapeAttr(line.memo || '')}">
+                <button type="button" class="btn-icon-only split-remove" title="${escapeAttr(I18n.t('splitRemoveLine'))}">✕</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Read the editor's lines
+     * @param {Object} editor - Entry of splitEditors
+     * @returns {Array} [{ category, amount (positive, NaN if blank), memo }]
+     */
+    function readSplitLines(editor) {
+        return [...editor.lines.querySelectorAll('.split-line')].map(row => ({
+            category: row.querySelector('.split-category').value || null,
+            amount: parseFloat(row.querySelector('.split-amount').value.replace(/,/g, '')),
+            memo: row.querySelector('.split-memo').value
+        }));
+    }
+
+    function getSplitTotal(editor) {
+        return parseFloat(editor.amountInput.value.replace(/,/g, '')) || 0;
+    }
+
+    /**
+     * Show how much of the parent amount is left to assign
+     * @param {Object} editor - Entry of splitEditors
+     */
+    function updateSplitRemaining(editor) {
+        const lines = readSplitLines(editor).map(line => ({ ...line, amount: isNaN(line.amount) ? 0 : line.amount }));
+        const currency = editor.getCurrency();
+        const remaining = Splits.getRemaining(lines, getSplitTotal(editor), currency);
+        editor.remaining.textContent = remaining === 0
+            ? I18n.t('splitBalanced')
+            : I18n.t('splitRemaining', { amount: formatWithCommas(remaining.toFixed(Accounts.getMinorUnits(currency))) });
+        editor.remaining.classList.toggle('balanced', remaining === 0);
+    }
+
+    /**
+     * Validate the editor against the parent amount and build stored lines
+     * Shows a toast and returns null when the lines don't add up.
+     * @param {Object} editor - Entry of splitEditors
+     * @param {boolean} isIncome - Parent sign
+     * @param {number} total - Parent amount (positive)
+     * @returns {Array|null} Stored lines
+     */
+    function readValidSplits(editor, isIncome, total) {
+        const lines = readSplitLines(editor);
+        const currency = editor.getCurrency();  // 2026-10-19: Minor units of the account currency
+        const error = Splits.validate(lines, total, currency);
+        if (error) {
+            const remaining = Splits.getRemaining(lines, total, currency);
+            showToast(I18n.t(error, { amount: formatWithCommas(remaining.toFixed(Accounts.getMinorUnits(currency))) }), false);
+            return null;
+        }
+        return Splits.createLines(lines, isIncome, currency);
+    }
+
+    /**
+     * Badge listing a split transaction's lines
+     * @param {Object} t - Split transaction
+     * @param {string} currency - Account currency
+     * @returns {string} Badge HTML
+     */
+    function renderSplitBadge(t, currency) {
+        const title = t.splits.map(line =>
+            `${line.category ? Categories.getLabel(data, line.category) : I18n.t('splitNoCategory')}: ${Accounts.formatCurrency(Math.abs(line.amt), currency)}${line.memo ? ` (${line.memo})` : ''}`
+        ).join('\n');
+        return `<span class="split-badge" title="${escapeAttr(title)}">✂️ ${t.splits.length}</span>`;
+    }
+
+    // --- Tags & Notes (2026-10-19) ---
+
+    // Max pending reimbursements listed in the Tags widget
+    const TAGS_WIDGET_PENDING_LIMIT = 5;
+    // Max tags listed in the Tags widget
+    const TAGS_WIDGET_TAG_LIMIT = 8;
+
+    function setupTags() {
+        if (!elements.inputTags) return;
+
+        setupTagAutocomplete(elements.inputTags, elements.tagSuggestions);
+        setupTagAutocomplete(elements.inputEditTxTags, elements.editTxTagSuggestions);
+
+        // Tag clicks filter the history; settle buttons mark reimbursements
+        elements.tagsList.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-tag]');
+            if (row) filterHistoryByTag(row.dataset.tag);
+        });
+        elements.reimbursementsSummary.addEventListener('click', (e) => {
+            const settle = e.target.closest('.reimburse-toggle');
+            if (settle) {
+                toggleReimbursed(Number(settle.dataset.id));
+                return;
+            }
+            if (e.target.closest('.reimbursements-show-all')) {
+                elements.checkHistoryReimbursable.checked = true;
+                handleHistoryFilterChange();
+            }
+        });
+
+        updateTagLabels();
+    }
+
+    /**
+     * Set tag and notes placeholders for the current language
+     */
+    function updateTagLabels() {
+        if (!elements.inputTags) return;
+        elements.inputTags.placeholder = I18n.t('tagsPlaceholder');
+        elements.inputNotes.placeholder = I18n.t('notesPlaceholder');
+    }
+
+    /**
+     * Suggest existing tags while typing in a comma-separated tag field
+     * Only the part after the last comma is completed.
+     * @param {HTMLInputElement} input - Tag field
+     * @param {HTMLElement} box - Suggestion container under the field
+     */
+    function setupTagAutocomplete(input, box) {
+        const accept = (tag) => {
+            const parts = input.value.split(',');
+            parts[parts.length - 1] = ` ${tag}`;
+            input.value = parts.join(',').replace(/^\s+/, '') + ', ';
+            hideTagSuggestions(box);
+            input.focus();
+        };
+
+        input.addEventListener('input', () => {
+            const parts = input.value.split(',');
+            const current = parts[parts.length - 1];
+            const taken = Tags.parse(parts.slice(0, -1).join(','));
+            const suggestions = current.trim() ? Tags.suggest(data.transactions, current, taken) : [];
+
+            box.innerHTML = suggestions.map(tag =>
+                `<button type="button" class="tag-suggestion" data-tag="${escapeAttr(tag)}">#${escapeHtml(tag)}</button>`
+            ).join('');
+            box.style.display = suggestions.length > 0 ? 'flex' : 'none';
+        });
+
+        // mousedown fires before the field's blur, so the click isn't lost
+        box.addEventListener('mousedown', (e) => {
+            const suggestion = e.target.closest('.tag-suggestion');
+            if (!suggestion) return;
+            e.preventDefault();
+            accept(suggestion.dataset.tag);
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (box.style.display === 'none') return;
+            if (e.key === 'Tab') {
+                const first = box.querySelector('.tag-suggestion');
+                if (first) {
+                    e.preventDefault();
+                    accept(first.dataset.tag);
+                }
+            } else if (e.key === 'Escape') {
+                hideTagSuggestions(box);
+            }
+        });
+
+        input.addEventListener('blur', () => hideTagSuggestions(box));
+    }
+
+    function hideTagSuggestions(box) {
+        if (!box) return;
+        box.style.display = 'none';
+        box.innerHTML = '';
+    }
+
+    /**
+     * Show only transactions with a tag in the history
+     * @param {string} tag - Tag
+     */
+    function filterHistoryByTag(tag) {
+        if (!currentAccountId) return;
+        elements.selectHistoryTag.value = tag;  // Stays "any" if this account doesn't use the tag
+        handleHistoryFilterChange();
+    }
+
+    /**
+     * Mark a reimbursable expense as settled, or pending again
+     * @param {number} transactionId - Transaction ID (owned accounts only)
+     */
+    function toggleReimbursed(transactionId) {
+        const transaction = data.transactions.find(t => t.id === transactionId);
+        if (!transaction || !Tags.hasTag(transaction, Tags.REIMBURSABLE)) return;
+
+        saveToHistory();  // Save state before modifying data
+        const settling = !transaction.reimbursedAt;
+        if (settling) {
+            Tags.markReimbursed(transaction, getCurrentUserInfo());
+        } else {
+            Tags.clearReimbursed(transaction);
+        }
+        render();
+        handleSave();
+        showToast(I18n.t(settling ? 'toastReimbursed' : 'toastReimbursementReopened'));
+    }
+
+    /**
+     * Chips, notes icon and reimbursement state for a history row
+     * @param {Object} t - Transaction
+     * @param {boolean} canSettle - Whether the reimbursement toggle is shown
+     * @returns {string} HTML
+     */
+    function renderTagChips(t, canSettle) {
+        const chips = (t.tags || []).map(tag => {
+            const isReimbursable = tag === Tags.REIMBURSABLE && t.amt < 0;
+            const state = isReimbursable ? (t.reimbursedAt ? ' settled' : ' pending') : '';
+            const title = isReimbursable && t.reimbursedAt
+                ? I18n.t('reimbursedOn', { date: formatDate(t.reimbursedAt) })
+                : I18n.t('tagFilterTitle');
+            return `<span class="tag-chip${state}" data-tag="${escapeAttr(tag)}" title="${escapeAttr(title)}">#${escapeHtml(tag)}${isReimbursable && t.reimbursedAt ? ' ✓' : ''}</span>`;
+        }).join('');
+
+        const settle = canSettle && Tags.hasTag(t, Tags.REIMBURSABLE) && t.amt < 0
+            ? `<button class="btn-icon-only reimburse-toggle" data-id="${t.id}" title="${I18n.t(t.reimbursedAt ? 'reimbursementReopen' : 'reimbursementSettle')}">${t.reimbursedAt ? '↺' : '💼'}</button>`
+            : '';
+        const notes = t.notes
+            ? `<span class="notes-badge" title="${escapeAttr(t.notes)}">📝</span>`
+            : '';
+
+        return chips || settle || notes ? `<span class="tag-chips">${chips}${settle}${notes}</span>` : '';
+    }
+
+    /**
+     * Render the Tags widget: pending reimbursements and the most used tags with totals
+     */
+    function renderTagsWidget() {
+        if (!elements.tagsList) return;
+        const t = I18n.t;
+
+        if (elements.tagsWidgetTitle) {
+            elements.tagsWidgetTitle.textContent = '🏷️ ' + t('tagsWidgetTitle');
+        }
+        elements.tagsEmpty.textContent = t('tagsEmpty');
+
+        // Reimbursements waiting to be paid back
+        const pending = Tags.getPendingReimbursements(data);
+        if (pending.items.length > 0) {
+            const accountCurrency = new Map(data.accounts.map(a => [a.id, a.currency]));
+            const totals = pending.totals.map(entry => Accounts.formatCurrency(entry.amount, entry.currency)).join(' · ');
+            elements.reimbursementsSummary.innerHTML = `
+                <div class="reimbursements-title">💼 ${t('reimbursementsPending')}: <strong>${totals}</strong></div>
+                ${pending.items.slice(0, TAGS_WIDGET_PENDING_LIMIT).map(item => `
+                    <div class="reimbursement-item">
+                        <span class="reimbursement-desc" title="${escapeAttr(formatDate(item.date))}">${escapeHtml(item.desc)}</span>
+                        <span class="reimbursement-amount">${Accounts.formatCurrency(Math.abs(item.amt), accountCurrency.get(item.accountId))}</span>
+                        <button class="btn-icon-only reimburse-toggle" data-id="${item.id}" title="${t('reimbursementSettle')}">✓</button>
+                    </div>
+                `).join('')}
+                ${currentAccountId ? `<button class="btn btn-secondary btn-sm reimbursements-show-all">${t('reimbursementsShowAll')}</button>` : ''}
+            `;
+            elements.reimbursementsSummary.style.display = 'block';
+        } else {
+            elements.reimbursementsSummary.innerHTML = '';
+            elements.reimbursementsSummary.style.display = 'none';
+        }
+
+        // Most used tags with what was spent under them
+        const tags = Tags.getAll(data.transactions).slice(0, TAGS_WIDGET_TAG_LIMIT);
+        elements.tagsEmpty.style.display = tags.length === 0 && pending.items.length === 0 ? 'block' : 'none';
+        elements.tagsList.innerHTML = tags.map(entry => {
+            const totals = Tags.getTotals(data, entry.tag)
+                .filter(total => total.expense > 0)
+                .map(total => Accounts.formatCurrency(total.expense, total.currency))
+                .join(' · ');
+            return `
+                <div class="tags-list-item" data-tag="${escapeAttr(entry.tag)}" title="${t('tagFilterTitle')}">
+                    <span class="tag-chip">#${escapeHtml(entry.tag)}</span>
+                    <span class="tags-list-count">${entry.count}</span>
+                    <span class="tags-list-total">${totals}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // --- Payees & Rules (2026-10-19) ---
+
+    // Max payees suggested under the description field
+    const PAYEE_SUGGESTION_LIMIT = 6;
+    // Max payee rows in the manager; the search narrows longer lists
+    const PAYEE_LIST_LIMIT = 100;
+
+    // Set once the user clicks a category, so payee suggestions stop replacing it
+    let entryCategoryPicked = false;
+    // Copy of data.payeeRules / data.payees edited by the manager until Save
+    let payeeDraft = null;
+
+    function setupPayees() {
+        if (!elements.payeeSuggestions) return;
+
+        setupPayeeAutocomplete();
+
+        // Amount-range rules can only match once the amount is filled in
+        elements.inputDesc.addEventListener('change', applyEntryRules);
+        elements.inputAmount.addEventListener('change', applyEntryRules);
+        elements.categoryIcons.addEventListener('click', (e) => {
+            if (e.target.closest('.category-icon')) entryCategoryPicked = true;
+        });
+
+        if (elements.btnManagePayees) {
+            elements.btnManagePayees.addEventListener('click', openPayeeModal);
+        }
+        elements.btnCancelPayees.addEventListener('click', closePayeeModal);
+        elements.payeeModal.querySelector('.modal-backdrop').addEventListener('click', closePayeeModal);
+        elements.btnSavePayees.addEventListener('click', handleSavePayees);
+        elements.btnAddPayeeRule.addEventListener('click', handleAddPayeeRule);
+        elements.inputPayeeSearch.addEventListener('input', renderPayeeRows);
+
+        elements.payeeRuleRows.addEventListener('input', handlePayeeRuleChange);
+        elements.payeeRuleRows.addEventListener('change', handlePayeeRuleChange);
+        elements.payeeRuleRows.addEventListener('click', handlePayeeRuleClick);
+        elements.payeeRows.addEventListener('change', handlePayeeRowChange);
+        elements.payeeRows.addEventListener('click', (e) => {
+            const remove = e.target.closest('[data-action="delete"]');
+            if (!remove) return;
+            const id = remove.closest('.payee-row').dataset.id;
+            payeeDraft.payees = payeeDraft.payees.filter(p => p.id !== id);
+            renderPayeeRows();
+        });
+    }
+
+    /**
+     * Suggest known payees while typing a description
+     * Picking one fills in its name and applies its rule or last category.
+     */
+    function setupPayeeAutocomplete() {
+        const input = elements.inputDesc;
+        const box = elements.payeeSuggestions;
+
+        const accept = (payeeId) => {
+            const payee = Payees.get(data, payeeId);
+            if (!payee) return;
+            input.value = payee.name;
+            hideTagSuggestions(box);
+            applyEntryRules();
+            input.focus();
+        };
+
+        input.addEventListener('input', () => {
+            const suggestions = getCurrentMode() === 'transfer'
+                ? []
+                : Payees.suggest(data, input.value, PAYEE_SUGGESTION_LIMIT);
+
+            box.innerHTML = suggestions.map(payee => `
+                <button type="button" class="payee-suggestion" data-payee-id="${escapeAttr(payee.id)}">
+                    <span class="payee-suggestion-icon">${payee.lastCategory ? escapeHtml(getCategoryIcon(payee.lastCategory)) : '🏪'}</span>
+                    ${escapeHtml(payee.name)}
+                </button>
+            `).join('');
+            box.style.display = suggestions.length > 0 ? 'flex' : 'none';
+        });
+
+        // mousedown fires before the field's blur, so the click isn't lost
+        box.addEventListener('mousedown', (e) => {
+            const suggestion = e.target.closest('.payee-suggestion');
+            if (!suggestion) return;
+            e.preventDefault();
+            accept(suggestion.dataset.payeeId);
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (box.style.display === 'none') return;
+            if (e.key === 'Tab') {
+                const first = box.querySelector('.payee-suggestion');
+                if (first) {
+                    e.preventDefault();
+                    accept(first.dataset.payeeId);
+                }
+            } else if (e.key === 'Escape') {
+                hideTagSuggestions(box);
+            }
+        });
+
+        input.addEventListener('blur', () => hideTagSuggestions(box));
+    }
+
+    /**
+     * Fill the entry form from the matching rule or the payee's last category
+     * The category is only replaced until the user picks one themselves; rule
+     * tags are added to the tag field. Runs when the description or amount
+     * changes and again on submit, since Enter can submit before either fires.
+     * @returns {Object|null} Result of Payees.resolve(), or null for transfers
+     */
+    function applyEntryRules() {
+        const mode = getCurrentMode();
+        const desc = elements.inputDesc.value.trim();
+        if (mode === 'transfer' || !desc) return null;
+
+        const amount = parseFloat(elements.inputAmount.value.replace(/,/g, ''));
+        const resolved = Payees.resolve(data, {
+            desc,
+            amt: isNaN(amount) ? null : (mode === 'income' ? amount : -amount),
+            type: mode
+        });
+
+        if (resolved.category && !entryCategoryPicked && !isSplitEditorOpen(splitEditors.form)) {
+            renderCategoryIcons(elements.categoryIcons, mode, resolved.category);
+        }
+        if (resolved.tags.length > 0) {
+            const current = Tags.parse(elements.inputTags.value);
+            const merged = [...new Set([...current, ...resolved.tags])];
+            if (merged.length > current.length) elements.inputTags.value = Tags.format(merged);
+        }
+        return resolved;
+    }
+
+    /**
+     * Account a rule sends an entry to
+     * Only owned accounts in the same currency qualify, because the amount
+     * was entered (or imported) in the original account's currency.
+     * @param {Object|null} resolved - Result of Payees.resolve()
+     * @param {string} accountId - Account the entry was made in
+     * @param {string} currency - That account's currency
+     * @returns {Object|null} Target account, or null to keep the original
+     */
+    function getRuleAccount(resolved, accountId, currency) {
+        if (!resolved || !resolved.accountId || resolved.accountId === accountId) return null;
+        const target = data.accounts.find(a => a.id === resolved.accountId);
+        return target && target.currency === currency ? target : null;
+    }
+
+    /**
+     * Apply payee rules and remembered categories to imported transactions
+     * Imports arrive with the default category (fallback for expenses, none
+     * for income), so only that default is replaced.
+     * @param {Array} transactions - New transactions (mutated)
+     * @param {string} accountId - Import target account
+     * @param {string} currency - Target account currency
+     * @returns {number} Transactions whose category, tags or account changed
+     */
+    function applyImportRules(transactions, accountId, currency) {
+        let changed = 0;
+        transactions.forEach(tx => {
+            const resolved = Payees.resolve(data, tx);
+            const isDefault = tx.amt < 0 ? tx.category === Categories.FALLBACK_ID : !tx.category;
+            let touched = false;
+
+            if (resolved.category && isDefault && resolved.category !== tx.category) {
+                tx.category = resolved.category;
+                touched = true;
+            }
+            if (resolved.tags.length > 0) {
+                tx.tags = [...new Set([...(tx.tags || []), ...resolved.tags])];
+                touched = true;
+            }
+            const account = getRuleAccount(resolved, accountId, currency);
+            if (account) {
+                tx.accountId = account.id;
+                touched = true;
+            }
+            if (touched) changed++;
+        });
+        return changed;
+    }
+
+    /**
+     * Open the payees & rules manager
+     */
+    function openPayeeModal() {
+        const t = I18n.t;
+        document.getElementById('payee-modal-title').textContent = t('payeeModalTitle');
+        document.getElementById('payee-modal-desc').textContent = t('payeeModalDesc');
+        document.getElementById('payee-rules-title').textContent = t('payeeRulesTitle');
+        document.getElementById('add-payee-rule-label').textContent = t('payeeAddRule');
+        document.getElementById('payee-list-title').textContent = t('payeeListTitle');
+        elements.inputPayeeSearch.placeholder = t('payeeSearch');
+        elements.inputPayeeSearch.value = '';
+
+        // Edits go to a copy so Cancel discards them
+        payeeDraft = {
+            rules: (data.payeeRules || []).map(rule => ({ ...rule, tags: [...rule.tags] })),
+            payees: (data.payees || []).map(payee => ({ ...payee, aliases: [...payee.aliases] }))
+        };
+        renderPayeeRules();
+        renderPayeeRows();
+        elements.payeeModal.style.display = 'flex';
+    }
+
+    function closePayeeModal() {
+        elements.payeeModal.style.display = 'none';
+        payeeDraft = null;
+    }
+
+    /**
+     * Category <option>s for the manager (both types, archived ones hidden)
+     * @param {string|null} selected - Selected category id
+     * @param {string} emptyLabel - Label of the "no category" option
+     * @returns {string} HTML
+     */
+    function renderPayeeCategoryOptions(selected, emptyLabel) {
+        return `<option value="">${escapeHtml(emptyLabel)}</option>` + Categories.getAll(data).map(c =>
+            `<option value="${escapeAttr(c.id)}" ${c.id === selected ? 'selected' : ''}>${escapeHtml(c.icon)} ${escapeHtml(Categories.getLabel(data, c.id))}</option>`
+        ).join('');
+    }
+
+    /**
+     * Render the rule rows from the draft, in the order they are checked
+     */
+    function renderPayeeRules() {
+        const t = I18n.t;
+        if (payeeDraft.rules.length === 0) {
+            elements.payeeRuleRows.innerHTML = `<p class="payee-empty">${t('payeeRulesEmpty')}</p>`;
+            return;
+        }
+
+        const accountOptions = (selected) => `<option value="">${t('payeeRuleNoAccount')}</option>` +
+            data.accounts.map(a =>
+                `<option value="${escapeAttr(a.id)}" ${a.id === selected ? 'selected' : ''}>${escapeHtml(a.name)} (${a.currency})</option>`
+            ).join('');
+        const amountValue = (value) => value === null || value === undefined || isNaN(value) ? '' : value;
+
+        elements.payeeRuleRows.innerHTML = payeeDraft.rules.map((rule, index) => `
+            <div class="payee-rule-row${rule.enabled ? '' : ' disabled'}" data-index="${index}">
+                <select class="input" data-field="matchType">
+                    ${Payees.MATCH_TYPES.map(type =>
+                        `<option value="${type}" ${type === rule.matchType ? 'selected' : ''}>${t(type === 'regex' ? 'payeeRuleRegex' : 'payeeRuleContains')}</option>`
+                    ).join('')}
+                </select>
+                <input type="text" class="input" data-field="pattern" placeholder="${t('payeeRulePattern')}"
+                    value="${escapeAttr(rule.pattern)}">
+                <input type="text" inputmode="decimal" class="input payee-rule-amount" data-field="minAmount"
+                    placeholder="${t('payeeRuleMin')}" value="${amountValue(rule.minAmount)}">
+                <input type="text" inputmode="decimal" class="input payee-rule-amount" data-field="maxAmount"
+                    placeholder="${t('payeeRuleMax')}" value="${amountValue(rule.maxAmount)}">
+                <select class="input" data-field="category">${renderPayeeCategoryOptions(rule.category, t('payeeRuleNoCategory'))}</select>
+                <input type="text" class="input" data-field="tags" placeholder="${t('payeeRuleTags')}"
+                    value="${escapeAttr(Tags.format(rule.tags))}">
+                <select class="input" data-field="accountId">${accountOptions(rule.accountId)}</select>
+                <label class="payee-rule-enabled">
+                    <input type="checkbox" data-field="enabled" ${rule.enabled ? 'checked' : ''}> ${t('payeeRuleEnabled')}
+                </label>
+                <button type="button" class="btn-icon-only" data-action="up" title="${t('payeeRuleMoveUp')}" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" class="btn-icon-only" data-action="delete" title="${t('payeeRuleDelete')}">✕</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Add an empty rule at the end and focus its text field
+     */
+    function handleAddPayeeRule() {
+        payeeDraft.rules.push(Payees.createRule());
+        renderPayeeRules();
+        const rows = elements.payeeRuleRows.querySelectorAll('.payee-rule-row');
+        rows[rows.length - 1].querySelector('[data-field="pattern"]').focus();
+    }
+
+    /**
+     * Copy a rule field edit into the draft
+     * Amounts that don't parse are kept as NaN so Save can reject them.
+     * @param {Event} e - input/change event from a rule row
+     */
+    function handlePayeeRuleChange(e) {
+        const field = e.target.dataset.field;
+        const row = e.target.closest('.payee-rule-row');
+        if (!field || !row) return;
+        const rule = payeeDraft.rules[Number(row.dataset.index)];
+
+        if (field === 'enabled') {
+            rule.enabled = e.target.checked;
+            row.classList.toggle('disabled', !rule.enabled);
+        } else if (field === 'tags') {
+            rule.tags = Tags.parse(e.target.value);
+        } else if (field === 'minAmount' || field === 'maxAmount') {
+            const raw = e.target.value.replace(/,/g, '').trim();
+            rule[field] = raw === '' ? null : parseFloat(raw);
+        } else if (field === 'pattern') {
+            rule.pattern = e.target.value.trim();
+        } else {
+            rule[field] = e.target.value || null;
+        }
+    }
+
+    /**
+     * Move a rule up or delete it
+     * @param {Event} e - Click inside the rule rows
+     */
+    function handlePayeeRuleClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        const index = Number(button.closest('.payee-rule-row').dataset.index);
+
+        if (button.dataset.action === 'up' && index > 0) {
+            const [rule] = payeeDraft.rules.splice(index, 1);
+            payeeDraft.rules.splice(index - 1, 0, rule);
+        } else if (button.dataset.action === 'delete') {
+            payeeDraft.rules.splice(index, 1);
+        }
+        renderPayeeRules();
+    }
+
+    /**
+     * Render the payee rows from the draft, most used first
+     */
+    function renderPayeeRows() {
+        const t = I18n.t;
+        if (payeeDraft.payees.length === 0) {
+            elements.payeeRows.innerHTML = `<p class="payee-empty">${t('payeesEmpty')}</p>`;
+            elements.payeeMergeOptions.innerHTML = '';
+            return;
+        }
+
+        const needle = Payees.normalizeKey(elements.inputPayeeSearch.value);
+        const matches = payeeDraft.payees
+            .filter(p => !needle || p.aliases.some(alias => alias.includes(needle)) || Payees.normalizeKey(p.name).includes(needle))
+            .sort((a, b) => (b.count || 0) - (a.count || 0) || a.name.localeCompare(b.name));
+        const visible = matches.slice(0, PAYEE_LIST_LIMIT);
+
+        elements.payeeMergeOptions.innerHTML = payeeDraft.payees
+            .map(p => `<option value="${escapeAttr(p.name)}"></option>`)
+            .join('');
+        elements.payeeRows.innerHTML = visible.map(payee => `
+            <div class="payee-row" data-id="${escapeAttr(payee.id)}">
+                <input type="text" class="input" data-field="name" value="${escapeAttr(payee.name)}" title="${t('payeeName')}">
+                <input type="text" class="input" data-field="aliases" value="${escapeAttr(payee.aliases.join(', '))}"
+                    placeholder="${t('payeeAliases')}" title="${t('payeeAliases')}">
+                <select class="input" data-field="lastCategory">${renderPayeeCategoryOptions(payee.lastCategory, t('payeeNoCategory'))}</select>
+                <span class="payee-uses">${t('payeeUses', { count: (payee.count || 0).toLocaleString(I18n.getLocale()) })}</span>
+                <input type="text" class="input" data-field="mergeInto" list="payee-merge-options"
+                    placeholder="${t('payeeMergeInto')}">
+                <button type="button" class="btn-icon-only" data-action="delete" title="${t('payeeDelete')}">✕</button>
+            </div>
+        `).join('') + (matches.length > visible.length
+            ? `<p class="payee-empty">${t('payeeListMore', { shown: visible.length, total: matches.length })}</p>`
+            : '');
+    }
+
+    /**
+     * Copy a payee field edit into the draft
+     * @param {Event} e - change event from a payee row
+     */
+    function handlePayeeRowChange(e) {
+        const field = e.target.dataset.field;
+        const row = e.target.closest('.payee-row');
+        if (!field || !row) return;
+        const payee = payeeDraft.payees.find(p => p.id === row.dataset.id);
+        if (!payee) return;
+
+        if (field === 'name') {
+            if (!Payees.rename(payee, e.target.value)) e.target.value = payee.name;
+            row.querySelector('[data-field="aliases"]').value = payee.aliases.join(', ');
+        } else if (field === 'aliases') {
+            Payees.setAliases(payee, e.target.value);
+            e.target.value = payee.aliases.join(', ');
+        } else if (field === 'lastCategory') {
+            payee.lastCategory = e.target.value || null;
+        } else if (field === 'mergeInto') {
+            const name = e.target.value.trim();
+            const target = payeeDraft.payees.find(p => p !== payee && p.name === name);
+            if (target && Payees.merge(payeeDraft, payee.id, target.id)) renderPayeeRows();
+        }
+    }
+
+    /**
+     * Validate the rules and save the draft as one undoable step
+     */
+    function handleSavePayees() {
+        for (const rule of payeeDraft.rules) {
+            const error = Payees.validateRule(rule);
+            if (error) {
+                showToast(I18n.t(error, { pattern: rule.pattern }), false);
+                const row = elements.payeeRuleRows.querySelector(`[data-index="${payeeDraft.rules.indexOf(rule)}"]`);
+                if (row) row.querySelector('[data-field="pattern"]').focus();
+                return;
+            }
+        }
+
+        saveToHistory();
+        data.payeeRules = payeeDraft.rules;
+        data.payees = payeeDraft.payees;
+
+        closePayeeModal();
+        render();
+        handleSave();
+        showToast(I18n.t('toastPayeesSaved'));
+    }
+
+    // --- Net Worth (2026-10-19) ---
+
+    const NET_WORTH_BASE_KEY = 'zip80_net_worth_base';
+    // Rates are fetched again after this long (same window as cryptoPriceCache)
+    // 2026-10-19: Asks the Rates store again; it decides whether to hit the network
+    const NET_WORTH_RATES_TTL = 60000;
+
+    // Rates for the current base: { base, key, fiat, crypto, fetchedAt }
+    let netWorthRates = null;
+    let netWorthFetching = false;
+
+    function setupNetWorth() {
+        if (!elements.netWorthList) return;
+
+        elements.selectNetWorthBase.addEventListener('change', () => {
+            localStorage.setItem(NET_WORTH_BASE_KEY, elements.selectNetWorthBase.value);
+            renderNetWorthWidget();
+        });
+        elements.btnRefreshNetWorth.addEventListener('click', () => {
+            netWorthRates = null;
+            renderNetWorthWidget();
+        });
+    }
+
+    /**
+     * Base currency chosen for the net worth, defaulting to the first account's
+     * @returns {string} Fiat currency code
+     */
+    function getNetWorthBase() {
+        const codes = Accounts.getAvailableCurrencies().map(c => c.code);
+        const saved = localStorage.getItem(NET_WORTH_BASE_KEY);
+        if (saved && codes.includes(saved)) return saved;
+        const first = data.accounts.find(a => codes.includes(a.currency));
+        return first ? first.currency : 'USD';
+    }
+
+    /**
+     * Fetch the rates needed to convert every holding into the base
+     * Fiat and crypto are fetched separately so one failing source still
+     * leaves the other's conversions.
+     * 2026-10-19: Both come from the Rates store, so the last known values are used offline
+     * @param {string} base - Base currency
+     * @param {Object} required - From NetWorth.getRequiredCurrencies()
+     * @returns {Promise<Object>} { base, key, fiat, crypto, fetchedAt } (null for a source that failed)
+     */
+    async function fetchNetWorthRates(base, required) {
+        const result = {
+            base,
+            key: [...required.fiat, ...required.crypto].join(','),
+            fiat: null,
+            crypto: null,
+            fetchedAt: Date.now()
+        };
+
+        if (required.fiat.length > 0) {
+            try {
+                result.fiat = await Rates.getFiatRates(base);
+            } catch (error) {
+                console.error('Failed to fetch net worth exchange rates:', error);
+            }
+        }
+
+        if (required.crypto.length > 0) {
+            result.crypto = await Rates.getCryptoPrices(required.crypto, base);
+        }
+
+        return result;
+    }
+
+    /**
+     * Balance in the holding's own currency (crypto keeps up to 8 decimals)
+     * @param {Object} holding - { balance, currency }
+     * @returns {string} Formatted amount with code
+     */
+    function formatHoldingBalance(holding) {
+        const sign = holding.balance < 0 ? '-' : '';
+        if (NetWorth.isCrypto(holding.currency)) {
+            const amount = Math.abs(holding.balance).toLocaleString(I18n.getLocale(), { maximumFractionDigits: 8 });
+            return `${sign}${amount} ${holding.currency}`;
+        }
+        return `${sign}${Accounts.formatCurrency(holding.balance, holding.currency)} ${holding.currency}`;
+    }
+
+    /**
+     * Render the Net Worth widget
+     * Uses the rates already fetched and starts a fetch when they are missing,
+     * stale or for another set of currencies; the widget re-renders when it ends.
+     */
+    function renderNetWorthWidget() {
+        if (!elements.netWorthList) return;
+        const t = I18n.t;
+        const locale = I18n.getLocale();
+
+        if (elements.netWorthWidgetTitle) {
+            elements.netWorthWidgetTitle.textContent = '📊 ' + t('netWorthTitle');
+        }
+        elements.selectNetWorthBase.title = t('netWorthBase');
+        elements.btnRefreshNetWorth.title = t('netWorthRefresh');
+        elements.netWorthEmpty.textContent = t('netWorthEmpty');
+
+        const base = getNetWorthBase();
+        elements.selectNetWorthBase.innerHTML = Accounts.getAvailableCurrencies()
+            .map(c => `<option value="${c.code}">${c.code}</option>`)
+            .join('');
+        elements.selectNetWorthBase.value = base;
+
+        const holdings = NetWorth.getHoldings(data, getInvestmentMarketValues());  // 2026-10-19: Positions at market value
+        elements.netWorthEmpty.style.display = holdings.length === 0 ? 'block' : 'none';
+        if (holdings.length === 0) {
+            elements.netWorthSummary.innerHTML = '';
+            elements.netWorthList.innerHTML = '';
+            return;
+        }
+
+        const required = NetWorth.getRequiredCurrencies(holdings, base);
+        const key = [...required.fiat, ...required.crypto].join(',');
+        const current = netWorthRates && netWorthRates.base === base && netWorthRates.key === key;
+        if (key && !netWorthFetching && (!current || Date.now() - netWorthRates.fetchedAt > NET_WORTH_RATES_TTL)) {
+            netWorthFetching = true;
+            fetchNetWorthRates(base, required)
+                .then(rates => { netWorthRates = rates; })
+                .finally(() => {
+                    netWorthFetching = false;
+                    renderNetWorthWidget();
+                });
+        }
+
+        // 2026-10-19: Manual rates from the vault need no fetch
+        const manual = {};
+        [...required.fiat, ...required.crypto].forEach(code => {
+            const override = Rates.findOverride(data, code, base);
+            if (override) manual[code] = { rate: override.rate, time: Date.parse(override.override.updatedAt) || null };
+        });
+        const rates = current ? netWorthRates : { fiat: null, crypto: null };
+        const result = NetWorth.compute(holdings, base, { ...rates, manual });
+        const money = (value) => `${value < 0 ? '-' : ''}${Accounts.formatCurrency(value, base)}`;
+
+        elements.netWorthSummary.innerHTML = `
+            <div class="net-worth-total ${result.total >= 0 ? 'positive' : 'negative'}">
+                ${money(result.total)} <span class="widget-currency">${base}</span>
+            </div>
+            <div class="net-worth-split">
+                <span>${t('netWorthAssets')}: ${money(result.assets)}</span>
+                <span>${t('netWorthLiabilities')}: ${money(result.liabilities)}</span>
+            </div>
+        `;
+
+        const items = result.items.map(item => {
+            const icon = item.type === 'crypto' ? getCryptoIcon(item.currency) :
+                item.type === 'credit' ? '💳' :
+                    item.type === 'cash' ? '💵' :
+                        item.type === 'investment' ? '📈' : '🏦';
+            const linked = item.linked ? ` <span class="net-worth-linked" title="${t('netWorthLinked')}">🔗</span>` : '';
+
+            // Every converted amount shows the rate, its source and when the source last updated it
+            // 2026-10-19: Manual rates say so; stale or offline rates are flagged
+            let detail = '';
+            if (item.currency !== base) {
+                const rateText = item.rate === null
+                    ? (netWorthFetching ? t('netWorthLoading') : '—')
+                    : [
+                        (item.stale ? '⚠️ ' : '') + t('netWorthRate', {
+                            from: item.currency,
+                            rate: item.rate.toLocaleString(locale, { maximumSignificantDigits: 6 }),
+                            to: base
+                        }),
+                        item.manual ? t('rateManualShort') : item.source,
+                        item.rateTime ? new Date(item.rateTime).toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' }) : ''
+                    ].filter(Boolean).join(' · ');
+                detail = `<div class="net-worth-rate${item.stale ? ' rate-stale' : ''}">${escapeHtml(formatHoldingBalance(item))} · ${escapeHtml(rateText)}</div>`;
+            }
+
+            return `
+                <div class="net-worth-item${item.liability ? ' liability' : ''}">
+                    <div class="net-worth-item-row">
+                        <span class="net-worth-item-name">${icon} ${escapeHtml(item.name)}${linked}</span>
+                        <span class="net-worth-item-value">${item.value === null ? '—' : money(item.value)}</span>
+                    </div>
+                    ${detail}
+                </div>
+            `;
+        }).join('');
+
+        const missing = result.missing.length > 0 && !netWorthFetching
+            ? `<p class="net-worth-missing">${escapeHtml(t('netWorthMissing', { currencies: result.missing.join(', ') }))}</p>`
+            : '';
+        const stale = result.stale
+            ? `<p class="net-worth-missing rate-stale">${escapeHtml(t('netWorthStale'))}</p>`
+            : '';
+        elements.netWorthList.innerHTML = items + missing + stale;
+    }
+
+    // --- Rates & Overrides (2026-10-19) ---
+
+    // Copy of data.rateOverrides edited by the manager until Save
+    let rateOverrideDraft = null;
+
+    function setupRates() {
+        if (!elements.rateModal) return;
+
+        if (elements.btnManageRates) {
+            elements.btnManageRates.addEventListener('click', openRateModal);
+        }
+        elements.btnCancelRates.addEventListener('click', closeRateModal);
+        elements.rateModal.querySelector('.modal-backdrop').addEventListener('click', closeRateModal);
+        elements.btnSaveRates.addEventListener('click', handleSaveRates);
+        elements.btnAddRateOverride.addEventListener('click', handleAddRateOverride);
+        elements.rateOverrideRows.addEventListener('change', handleRateOverrideChange);
+        elements.rateOverrideRows.addEventListener('click', (e) => {
+            const remove = e.target.closest('[data-action="delete"]');
+            if (!remove) return;
+            rateOverrideDraft.splice(Number(remove.closest('.rate-override-row').dataset.index), 1);
+            renderRateOverrides();
+        });
+    }
+
+    /**
+     * Quote for a manual override found by Rates.findOverride()
+     * @param {Object} found - { rate, override }
+     * @returns {Object} Quote (see getExchangeQuote())
+     */
+    function toManualQuote(found) {
+        const time = Date.parse(found.override.updatedAt) || null;
+        return {
+            rate: found.rate,
+            time,
+            fetchedAt: time,
+            source: null,
+            stale: false,
+            offline: false,
+            manual: true,
+            note: found.override.note
+        };
+    }
+
+    /**
+     * Rate for converting one unit of a currency into another
+     * A manual override in the vault wins. Otherwise fiat pairs use the stored
+     * exchange rates and any pair with crypto uses crypto prices (two coins
+     * are crossed through USD).
+     * @param {string} from - Currency being converted
+     * @param {string} to - Currency converted into
+     * @returns {Promise<Object>} { rate, time, fetchedAt, source, stale, offline, manual, note }
+     * @throws When the provider fails and no rate is stored
+     */
+    async function getExchangeQuote(from, to) {
+        const override = Rates.findOverride(data, from, to);
+        if (override) return toManualQuote(override);
+
+        const fromCoin = Rates.isCrypto(from);
+        const toCoin = Rates.isCrypto(to);
+        if (!fromCoin && !toCoin) {
+            const fiat = await Rates.getFiatRates(from);
+            const rate = fiat.rates[to];
+            if (!rate) throw new Error(`No rate for ${from}/${to}`);
+            return {
+                rate,
+                time: fiat.time,
+                fetchedAt: fiat.fetchedAt,
+                source: fiat.source,
+                stale: fiat.stale,
+                offline: fiat.offline,
+                manual: false
+            };
+        }
+
+        const quote = fromCoin && toCoin ? 'USD' : fromCoin ? to : from;
+        const coins = [from, to].filter(code => Rates.isCrypto(code));
+        const prices = await Rates.getCryptoPrices(coins, quote);
+        coins.forEach(code => {
+            if (!prices[code]) throw new Error(`No price for ${code}/${quote}`);
+        });
+
+        const legs = coins.map(code => prices[code]);
+        const rate = fromCoin && toCoin
+            ? prices[from].price / prices[to].price
+            : fromCoin ? prices[from].price : 1 / prices[to].price;
+        return {
+            rate,
+            time: Math.min(...legs.map(leg => leg.time)),
+            fetchedAt: Math.min(...legs.map(leg => leg.fetchedAt)),
+            source: legs[0].source,
+            stale: legs.some(leg => leg.stale),
+            offline: legs.some(leg => leg.offline),
+            manual: false
+        };
+    }
+
+    /**
+     * Prices of several coins in one currency, fetched together
+     * Coins with a manual override are not fetched.
+     * @param {Array<string>} codes - Crypto codes
+     * @param {string} quote - Fiat currency
+     * @returns {Promise<Object>} { CODE: quote } (see getExchangeQuote()); coins without a price are left out
+     */
+    async function getCryptoQuotes(codes, quote) {
+        const unique = [...new Set(codes)];
+        const overrides = {};
+        unique.forEach(code => {
+            const override = Rates.findOverride(data, code, quote);
+            if (override) overrides[code] = override;
+        });
+
+        const fetched = unique.filter(code => !overrides[code]);
+        const prices = fetched.length > 0 ? await Rates.getCryptoPrices(fetched, quote) : {};
+
+        const quotes = {};
+        unique.forEach(code => {
+            if (overrides[code]) {
+                quotes[code] = toManualQuote(overrides[code]);
+            } else if (prices[code]) {
+                const price = prices[code];
+                quotes[code] = {
+                    rate: price.price,
+                    time: price.time,
+                    fetchedAt: price.fetchedAt,
+                    source: price.source,
+                    stale: price.stale,
+                    offline: price.offline,
+                    manual: false
+                };
+            }
+        });
+        return quotes;
+    }
+
+    /**
+     * Check whether a quote should be flagged in a widget
+     * @param {Object} quote - { stale, offline, manual }
+     * @returns {boolean} True if stale or offline (manual rates never are)
+     */
+    function isRateOutdated(quote) {
+        return !quote.manual && !!(quote.stale || quote.offline);
+    }
+
+    /**
+     * Describe where a quote came from and how old it is
+     * @param {Object} quote - { fetchedAt, source, stale, offline, manual, note }
+     * @returns {string} Status text
+     */
+    function getRateStatusText(quote) {
+        const t = I18n.t;
+        if (quote.manual) return quote.note ? `${t('rateManual')} · ${quote.note}` : t('rateManual');
+
+        const time = quote.fetchedAt
+            ? new Date(quote.fetchedAt).toLocaleString(I18n.getLocale(), { dateStyle: 'short', timeStyle: 'short' })
+            : '—';
+        if (quote.offline) return t('rateOffline', { time });
+        if (quote.stale) return t('rateStale', { time });
+        return `${t('exchangeUpdated')} ${new Date(quote.fetchedAt).toLocaleTimeString()}`;
+    }
+
+    /**
+     * Show a quote's status on a widget's "updated" line
+     * @param {HTMLElement|null} el - Status element
+     * @param {Object} quote - See getRateStatusText()
+     */
+    function showRateStatus(el, quote) {
+        if (!el) return;
+        el.textContent = getRateStatusText(quote);
+        el.classList.toggle('rate-stale', isRateOutdated(quote));
+        el.title = quote.source ? I18n.t('rateSource', { source: quote.source }) : '';
+    }
+
+    /**
+     * Currencies offered in the override pickers: fiat, then crypto
+     * @returns {Array<string>} Currency codes
+     */
+    function getRateCurrencyCodes() {
+        const fiat = Accounts.getAvailableCurrencies().map(c => c.code);
+        return [...new Set([...fiat, ...Rates.getCoinCodes()])];
+    }
+
+    function openRateModal() {
+        const t = I18n.t;
+        document.getElementById('rate-modal-title').textContent = t('rateModalTitle');
+        document.getElementById('rate-modal-desc').textContent = t('rateModalDesc');
+        document.getElementById('add-rate-override-label').textContent = t('rateAddOverride');
+
+        rateOverrideDraft = (data.rateOverrides || []).map(override => ({ ...override }));
+        renderRateOverrides();
+        elements.rateModal.style.display = 'flex';
+    }
+
+    function closeRateModal() {
+        elements.rateModal.style.display = 'none';
+        rateOverrideDraft = null;
+    }
+
+    /**
+     * Render the override rows from the draft
+     */
+    function renderRateOverrides() {
+        const t = I18n.t;
+        if (rateOverrideDraft.length === 0) {
+            elements.rateOverrideRows.innerHTML = `<p class="payee-empty">${t('rateOverridesEmpty')}</p>`;
+            return;
+        }
+
+        const codes = getRateCurrencyCodes();
+        const currencyOptions = (selected) => codes.map(code =>
+            `<option value="${code}" ${code === selected ? 'selected' : ''}>${code}</option>`
+        ).join('');
+
+        elements.rateOverrideRows.innerHTML = rateOverrideDraft.map((override, index) => `
+            <div class="rate-override-row" data-index="${index}">
+                <span class="rate-override-unit">1</span>
+                <select class="input" data-field="from" title="${t('rateFrom')}">${currencyOptions(override.from)}</select>
+                <span class="rate-override-unit">=</span>
+                <input type="text" inputmode="decimal" class="input" data-field="rate" placeholder="${t('rateValue')}"
+                    value="${isNaN(override.rate) ? '' : override.rate}">
+                <select class="input" data-field="to" title="${t('rateTo')}">${currencyOptions(override.to)}</select>
+                <input type="text" class="input" data-field="note" placeholder="${t('rateNote')}"
+                    value="${escapeAttr(override.note || '')}">
+                <button type="button" class="btn-icon-only" data-action="delete" title="${t('rateDeleteOverride')}">✕</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Add an override for the pair shown in the exchange widget
+     */
+    function handleAddRateOverride() {
+        rateOverrideDraft.push(Rates.createOverride({
+            from: currentExchangePair.from,
+            to: currentExchangePair.to,
+            rate: ''
+        }, getCurrentUserInfo()));
+        renderRateOverrides();
+        const rows = elements.rateOverrideRows.querySelectorAll('.rate-override-row');
+        rows[rows.length - 1].querySelector('[data-field="rate"]').focus();
+    }
+
+    /**
+     * Copy an override field edit into the draft
+     * Rates that don't parse are kept as NaN so Save can reject them.
+     * @param {Event} e - change event from an override row
+     */
+    function handleRateOverrideChange(e) {
+        const field = e.target.dataset.field;
+        const row = e.target.closest('.rate-override-row');
+        if (!field || !row) return;
+        const override = rateOverrideDraft[Number(row.dataset.index)];
+
+        if (field === 'rate') {
+            override.rate = parseFloat(e.target.value.replace(/,/g, ''));
+        } else if (field === 'note') {
+            override.note = e.target.value.trim();
+        } else {
+            override[field] = e.target.value;
+        }
+        override.updatedAt = new Date().toISOString();
+        override.updatedBy = getCurrentUserInfo();
+    }
+
+    /**
+     * Validate the overrides and save the draft as one undoable step
+     */
+    function handleSaveRates() {
+        for (const override of rateOverrideDraft) {
+            const error = Rates.validateOverride(override, rateOverrideDraft);
+            if (error) {
+                showToast(I18n.t(error, { from: override.from, to: override.to }), false);
+                const row = elements.rateOverrideRows.querySelector(`[data-index="${rateOverrideDraft.indexOf(override)}"]`);
+                if (row) row.querySelector('[data-field="rate"]').focus();
+                return;
+            }
+        }
+
+        saveToHistory();
+        data.rateOverrides = rateOverrideDraft;
+
+        closeRateModal();
+        render();
+        handleSave();
+        // Widgets showing a converted amount pick up the new rates
+        fetchExchangeRates();
+        fetchCryptoRates();
+        fetchCryptoPrices();
+        showToast(I18n.t('toastRatesSaved'));
+    }
+
+    // --- Crypto Gains (2026-10-19) ---
+
+    function setupCryptoGains() {
+        if (!elements.cryptoGainsModal) return;
+
+        if (elements.btnCryptoGains) {
+            elements.btnCryptoGains.addEventListener('click', openCryptoGainsModal);
+        }
+        elements.btnCloseCryptoGains.addEventListener('click', closeCryptoGainsModal);
+        elements.cryptoGainsModal.querySelector('.modal-backdrop').addEventListener('click', closeCryptoGainsModal);
+        elements.selectCryptoGainsYear.addEventListener('change', renderCryptoGainsReport);
+    }
+
+    /**
+     * Lot results of every crypto account
+     * @returns {Array} [{ account, result }]
+     */
+    function getCryptoLotResults() {
+        return data.accounts
+            .filter(a => a.type === 'crypto')
+            .map(account => ({ account, result: Lots.compute(data.transactions, account, data.accounts) }));
+    }
+
+    function openCryptoGainsModal() {
+        const t = I18n.t;
+        elements.cryptoGainsModalTitle.textContent = t('cryptoGainsTitle');
+        elements.cryptoGainsModalDesc.textContent = t('cryptoGainsDesc');
+        elements.labelCryptoGainsYear.textContent = t('cryptoGainsYear');
+        elements.btnCloseCryptoGains.querySelector('[data-i18n="close"]').textContent = t('close');
+
+        // Years with sales, newest first; the current year when there are none
+        const years = Lots.getSaleYears(getCryptoLotResults().map(r => r.result));
+        if (years.length === 0) years.push(new Date().getFullYear());
+        elements.selectCryptoGainsYear.innerHTML = years.map(year =>
+            `<option value="${year}">${year}</option>`
+        ).join('');
+
+        renderCryptoGainsReport();
+        elements.cryptoGainsModal.style.display = 'flex';
+    }
+
+    function closeCryptoGainsModal() {
+        elements.cryptoGainsModal.style.display = 'none';
+    }
+
+    /**
+     * Render the sales of the selected year, per account, with totals per currency
+     * Accounts in different cost currencies are never added together.
+     */
+    function renderCryptoGainsReport() {
+        const t = I18n.t;
+        const year = parseInt(elements.selectCryptoGainsYear.value, 10);
+        const methodKeys = { fifo: 'costMethodFifo', lifo: 'costMethodLifo', average: 'costMethodAverage' };
+        const signed = (amount, currency) => `${amount < 0 ? '-' : ''}${Accounts.formatCurrency(amount, currency)}`;
+        const gainClass = (gain) => gain < 0 ? 'expense' : 'income';
+
+        const totals = {};
+        let unknownCost = false;
+        const sections = getCryptoLotResults().map(({ account, result }) => {
+            const realized = Lots.getRealized(result, year);
+            if (realized.sales.length === 0) return '';
+
+            if (result.unknownCost) unknownCost = true;
+            const total = totals[result.currency] || (totals[result.currency] = { proceeds: 0, cost: 0, gain: 0 });
+            total.proceeds += realized.proceeds;
+            total.cost += realized.cost;
+            total.gain += realized.gain;
+
+            const rows = realized.sales.map(sale => `
+                <tr>
+                    <td>${formatDate(sale.date)}</td>
+                    <td class="amount">${sale.quantity.toFixed(8)}</td>
+                    <td class="amount">${Accounts.formatCurrency(sale.proceeds, result.currency)}</td>
+                    <td class="amount">${Accounts.formatCurrency(sale.cost, result.currency)}</td>
+                    <td class="amount ${gainClass(sale.gain)}">${signed(sale.gain, result.currency)}</td>
+                </tr>
+            `).join('');
+
+            return `
+                <div class="crypto-gains-account">
+                    <h3 class="crypto-gains-account-name">
+                        ${getCryptoIcon(account.currency)} ${escapeHtml(account.name)}
+                        <span class="crypto-gains-method">${escapeHtml(account.currency)} · ${t(methodKeys[result.method])}</span>
+                    </h3>
+                    <table class="csv-import-table">
+                        <thead>
+                            <tr>
+                                <th>${t('cryptoGainsDate')}</th>
+                                <th>${t('cryptoGainsQuantity')}</th>
+                                <th>${t('cryptoGainsProceeds')}</th>
+                                <th>${t('cryptoGainsCost')}</th>
+                                <th>${t('cryptoGainsGain')}</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            `;
+        }).join('');
+
+        if (!sections) {
+            elements.cryptoGainsReport.innerHTML = `<p class="payee-empty">${t('cryptoGainsEmpty', { year })}</p>`;
+            return;
+        }
+
+        const totalLines = Object.entries(totals).map(([currency, total]) => `
+            <div class="crypto-gains-total">
+                <span>${t('cryptoGainsTotal', { currency })}</span>
+                <span>${t('cryptoGainsProceeds')}: ${Accounts.formatCurrency(total.proceeds, currency)}</span>
+                <span>${t('cryptoGainsCost')}: ${Accounts.formatCurrency(total.cost, currency)}</span>
+                <strong class="${total.gain < 0 ? 'negative' : 'positive'}">${signed(Accounts.roundAmount(total.gain, currency), currency)}</strong>
+            </div>
+        `).join('');
+
+        elements.cryptoGainsReport.innerHTML = sections + totalLines +
+            (unknownCost ? `<p class="crypto-gains-note">${t('cryptoGainsUnknownCost')}</p>` : '');
+    }
+
+    // --- Investments (2026-10-19) ---
+
+    let investmentQuotesFetching = false;
+    // Fiat rates per investment account currency: { BASE: { rates, fetchedAt } }
+    const investmentFiatRates = {};
+
+    /**
+     * Shares held per symbol across every investment account
+     * @returns {Object} { SYMBOL: quantity }
+     */
+    function getHeldShares() {
+        const held = {};
+        data.accounts.filter(a => a.type === 'investment').forEach(account => {
+            Portfolio.getPositions(data.transactions, account).forEach(position => {
+                if (position.quantity > 0) held[position.symbol] = (held[position.symbol] || 0) + position.quantity;
+            });
+        });
+        return held;
+    }
+
+    /**
+     * Quotes loaded by the stocks widget, in the shape Portfolio.valuate() takes
+     * @returns {Object} { SYMBOL: { price, previousClose, currency } }
+     */
+    function getStockQuotes() {
+        const quotes = {};
+        Object.entries(stocksData).forEach(([symbol, stock]) => {
+            if (stock.price !== null) {
+                quotes[symbol] = { price: stock.price, previousClose: stock.previousClose ?? stock.price - stock.change, currency: stock.currency };
+            }
+        });
+        return quotes;
+    }
+
+    /**
+     * Value an investment account with the loaded quotes
+     * @param {Object} account - Investment account
+     * @returns {Object} From Portfolio.valuate()
+     */
+    function valuateInvestment(account) {
+        const fiat = investmentFiatRates[account.currency];
+        return Portfolio.valuate(data.transactions, account, getStockQuotes(), fiat && fiat.rates);
+    }
+
+    /**
+     * Investment account currencies that need fiat rates for their quotes
+     * A base is due when a held symbol is listed in another currency and its
+     * rates are missing or older than the net worth rates.
+     * @returns {Array<string>} Base currencies
+     */
+    function getDueInvestmentRateBases() {
+        const quotes = getStockQuotes();
+        const bases = new Set();
+        data.accounts.filter(a => a.type === 'investment').forEach(account => {
+            const foreign = Portfolio.getPositions(data.transactions, account).some(position => {
+                const quote = quotes[position.symbol];
+                return position.quantity > 0 && quote && quote.currency && quote.currency !== account.currency;
+            });
+            const fiat = investmentFiatRates[account.currency];
+            if (foreign && (!fiat || Date.now() - fiat.fetchedAt > NET_WORTH_RATES_TTL)) bases.add(account.currency);
+        });
+        return [...bases];
+    }
+
+    /**
+     * Market value of each investment account's positions (for the net worth)
+     * @returns {Object} { accountId: value }
+     */
+    function getInvestmentMarketValues() {
+        const values = {};
+        data.accounts.filter(a => a.type === 'investment').forEach(account => {
+            values[account.id] = valuateInvestment(account).marketValue;
+        });
+        return values;
+    }
+
+    /**
+     * Fetch quotes for held symbols the stocks widget hasn't loaded yet
+     * Views showing portfolio values re-render when it ends.
+     * 2026-10-19: Also fetches the fiat rates that convert quotes listed in another currency
+     */
+    async function ensureInvestmentQuotes() {
+        const missing = Object.keys(getHeldShares()).filter(symbol => !stocksData[symbol]);
+        if ((missing.length === 0 && getDueInvestmentRateBases().length === 0) || investmentQuotesFetching) return;
+
+        investmentQuotesFetching = true;
+        try {
+            for (const symbol of missing) {
+                await loadStockQuote(symbol);
+                await wait(300);
+            }
+            for (const base of getDueInvestmentRateBases()) {
+                try {
+                    const fiat = await Rates.getFiatRates(base);
+                    investmentFiatRates[base] = { rates: fiat.rates, fetchedAt: Date.now() };
+                } catch (error) {
+                    // Not retried until the TTL passes; those positions stay missing
+                    console.error('Failed to fetch investment exchange rates:', error);
+                    investmentFiatRates[base] = { rates: null, fetchedAt: Date.now() };
+                }
+            }
+        } finally {
+            investmentQuotesFetching = false;
+        }
+        renderStocksWidget();
+        refreshInvestmentViews();
+    }
+
+    /**
+     * Re-render the views that show a portfolio value
+     */
+    function refreshInvestmentViews() {
+        renderBalanceOverview();
+        renderNetWorthWidget();
+        const account = data.accounts.find(a => a.id === currentAccountId);
+        if (account && account.type === 'investment') renderBalance();
+    }
+
+    /**
+     * Signed amount with its percentage, e.g. "+$12.00 (+1.5%)"
+     * @param {number} amount - Change
+     * @param {number} base - Amount the change is relative to
+     * @param {string} currency - Currency code
+     * @returns {string} Text
+     */
+    function formatChange(amount, base, currency) {
+        const sign = amount >= 0 ? '+' : '-';
+        const percent = base > 0 ? ` (${sign}${Math.abs(amount / base * 100).toFixed(2)}%)` : '';
+        return `${sign}${Accounts.formatCurrency(amount, currency)}${percent}`;
+    }
+
+    /**
+     * Render cash and positions below the portfolio value in the balance card
+     * @param {Object} account - Investment account
+     * @param {Object} valuation - From valuateInvestment()
+     */
+    function renderInvestmentInfo(account, valuation) {
+        const t = I18n.t;
+        const currency = account.currency;
+        elements.investmentAccountInfo.style.display = 'block';
+        elements.investmentCashLabel.textContent = t('investmentCash');
+        elements.investmentCashValue.textContent = `${valuation.cash < 0 ? '-' : ''}${Accounts.formatCurrency(valuation.cash, currency)}`;
+
+        if (valuation.positions.length === 0) {
+            elements.investmentPositions.innerHTML = `<p class="investment-empty">${t('investmentNoPositions')}</p>`;
+            return;
+        }
+
+        const locale = I18n.getLocale();
+        const rows = valuation.positions.map(position => {
+            const shares = position.quantity.toLocaleString(locale, { maximumFractionDigits: 8 });
+            const value = position.value === null
+                ? `<span class="rate-stale">${t('ratePriceUnavailable')}</span>`
+                : Accounts.formatCurrency(position.value, currency);
+            const gain = position.gain === null ? ''
+                : `<span class="investment-gain ${position.gain < 0 ? 'negative' : 'positive'}">${formatChange(position.gain, position.costBasis, currency)}</span>`;
+            return `
+                <div class="investment-position" title="${escapeAttr(t('investmentCostBasis', { cost: Accounts.formatCurrency(position.costBasis, currency) }))}">
+                    <span class="investment-symbol">${escapeHtml(position.symbol)} <span class="investment-shares">× ${shares}</span></span>
+                    <span class="investment-value">${value} ${gain}</span>
+                </div>
+            `;
+        }).join('');
+
+        const previousValue = valuation.marketValue - valuation.dayChange;
+        const dayChange = valuation.missing.length === valuation.positions.length ? '' : `
+            <div class="investment-day-change ${valuation.dayChange < 0 ? 'negative' : 'positive'}">
+                ${t('investmentDayChange', { change: formatChange(valuation.dayChange, previousValue, currency) })}
+            </div>
+        `;
+        elements.investmentPositions.innerHTML = rows + dayChange;
+    }
+
+    // --- Recurrence Engine (2026-10-19) ---
+
+    const RECURRING_CHECK_INTERVAL = 60 * 60 * 1000;  // 1 hour
+
+    /**
+     * Post any due recurring occurrences into the transaction list
+     * Runs on vault open and on a timer so long-running sessions catch month changes.
+     * @returns {number} Number of transactions posted
+     */
+    function postDueRecurring() {
+        if (!data.recurringTransactions || data.recurringTransactions.length === 0) return 0;
+
+        // Snapshot before posting so the batch can be undone as one step
+        const snapshot = JSON.parse(JSON.stringify(data));
+        const posted = Recurrence.postDueTransactions(data, { createdBy: getCurrentUserInfo() });
+
+        if (posted.length > 0) {
+            if (typeof History !== 'undefined') History.pushState(snapshot);
+            showToast(I18n.t('toastRecurringPosted', { count: posted.length }));
+        }
+
+        return posted.length;
+    }
+
+    /**
+     * Start the periodic recurrence check
+     * Only posts while a vault is open
+     */
+    function setupRecurringEngine() {
+        setInterval(() => {
+            if (elements.workspace.style.display === 'none') return;  // No vault open
+            if (postDueRecurring() > 0) {
+                render();
+                handleSave();
+            }
+        }, RECURRING_CHECK_INTERVAL);
+    }
+
+    // --- CSV Import (2026-10-19) ---
+
+    let csvImportRows = [];       // Parsed CSV cells
+    let csvImportPreview = [];    // Rows after mapping: {line, date, desc, amt, error, duplicateOf}
+    let csvImportSkipped = new Set();  // Preview indices the user unchecked
+    let csvImportFormat = 'csv';  // 2026-10-19: 'csv', 'ofx' or 'qif'
+    let csvImportStatement = null;  // 2026-10-19: Parsed OFX/QIF {account, rows}
+
+    // 2026-10-19: Target account value meaning "create a new account from the statement"
+    const IMPORT_NEW_ACCOUNT = '__new__';
+
+    function setupCsvImportModal() {
+        if (!elements.csvImportModal) return;
+
+        if (elements.btnImportCsv) {
+            elements.btnImportCsv.addEventListener('click', openCsvImportModal);
+        }
+
+        elements.btnCancelCsvImport.addEventListener('click', closeCsvImportModal);
+        elements.btnConfirmCsvImport.addEventListener('click', handleConfirmCsvImport);
+        elements.csvImportModal.querySelector('.modal-backdrop').addEventListener('click', closeCsvImportModal);
+
+        elements.btnCsvImportChoose.addEventListener('click', () => {
+            elements.inputCsvImportFile.click();
+        });
+
+        elements.inputCsvImportFile.addEventListener('change', (e) => {
+            const file = e.target.files && e.target.files[0];
+            if (file) handleCsvFileSelected(file);
+            e.target.value = '';  // Allow re-selecting the same file
+        });
+
+        elements.selectCsvImportProfile.addEventListener('change', () => {
+            const profile = (data.importProfiles || []).find(p => p.id === elements.selectCsvImportProfile.value);
+            if (!profile) return;
+            elements.inputCsvProfileName.value = profile.name;
+            if (csvImportRows.length > 0) {
+                csvImportSkipped = new Set();
+                applyCsvMappingToForm(profile.mapping);
+                renderCsvImportPreview();
+            }
+        });
+
+        // 2026-10-19: Duplicates depend on the target account
+        elements.selectImportAccount.addEventListener('change', () => {
+            csvImportSkipped = new Set();
+            renderCsvImportPreview();
+        });
+
+        // Any mapping change rebuilds the preview
+        [elements.selectCsvDateColumn, elements.selectCsvDateFormat, elements.selectCsvDescColumn,
+        elements.selectCsvAmountMode, elements.selectCsvAmountColumn, elements.selectCsvDebitColumn,
+        elements.selectCsvCreditColumn, elements.selectCsvDecimal, elements.checkboxCsvHasHeader,
+        elements.checkboxCsvInvert].forEach(el => {
+            el.addEventListener('change', () => {
+                csvImportSkipped = new Set();
+                renderCsvImportPreview();
+            });
+        });
+
+        elements.btnCsvSaveProfile.addEventListener('click', handleSaveCsvProfile);
+
+        // Row checkboxes (delegated)
+        elements.csvImportTable.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('csv-row-checkbox')) return;
+            const index = parseInt(e.target.dataset.index);
+            if (e.target.checked) csvImportSkipped.delete(index);
+            else csvImportSkipped.add(index);
+            updateCsvImportSummary();
+        });
+    }
+
+    /**
+     * Open the import modal
+     * Linked (shared) accounts are written through GDrive one transaction at a
+     * time, so only owned accounts are offered as import targets.
+     */
+    function openCsvImportModal() {
+        const t = I18n.t;
+
+        if (data.accounts.length === 0) {
+            showToast(t('importErrorAccount'), false);
+            return;
+        }
+
+        elements.csvImportModalTitle.textContent = t('importModalTitle');
+        elements.csvImportModalDesc.textContent = t('importModalDesc');
+        document.getElementById('label-csv-import-file').textContent = t('importFile');
+        document.getElementById('label-import-account').textContent = t('importAccount');
+        document.getElementById('label-csv-import-profile').textContent = t('importProfile');
+        document.getElementById('label-csv-date-column').textContent = t('importDateColumn');
+        document.getElementById('label-csv-date-format').textContent = t('importDateFormat');
+        document.getElementById('label-csv-desc-column').textContent = t('importDescColumn');
+        document.getElementById('label-csv-amount-mode').textContent = t('importAmountMode');
+        document.getElementById('label-csv-amount-column').textContent = t('importAmountColumn');
+        document.getElementById('label-csv-debit-column').textContent = t('importDebitColumn');
+        document.getElementById('label-csv-credit-column').textContent = t('importCreditColumn');
+        document.getElementById('label-csv-decimal').textContent = t('importDecimal');
+        document.getElementById('label-csv-has-header').textContent = t('importHasHeader');
+        document.getElementById('label-csv-invert').textContent = t('importInvert');
+        elements.selectCsvAmountMode.options[0].textContent = t('importAmountSingle');
+        elements.selectCsvAmountMode.options[1].textContent = t('importAmountSplit');
+        elements.inputCsvProfileName.placeholder = t('importProfileNamePlaceholder');
+        elements.btnCsvImportChoose.querySelector('[data-i18n="importChooseFile"]').textContent = t('importChooseFile');
+        elements.btnCsvSaveProfile.querySelector('[data-i18n="importSaveProfile"]').textContent = t('importSaveProfile');
+        elements.btnCancelCsvImport.querySelector('[data-i18n="cancel"]').textContent = t('cancel');
+
+        elements.selectCsvDateFormat.innerHTML = Importer.DATE_FORMATS
+            .map(f => `<option value="${f}">${f}</option>`)
+            .join('');
+
+        // Reset state from any previous import
+        csvImportRows = [];
+        csvImportPreview = [];
+        csvImportSkipped = new Set();
+        csvImportFormat = 'csv';
+        csvImportStatement = null;
+        elements.csvImportFilename.textContent = '';
+        elements.inputCsvProfileName.value = '';
+        elements.csvImportMapping.style.display = 'none';
+        renderCsvProfileOptions();
+        updateCsvImportSummary();
+
+        elements.csvImportModal.style.display = 'flex';
+    }
+
+    function closeCsvImportModal() {
+        elements.csvImportModal.style.display = 'none';
+        csvImportRows = [];
+        csvImportPreview = [];
+        csvImportStatement = null;
+    }
+
+    /**
+     * Render the target account selector
+     * 2026-10-19: Defaults to the selected account; OFX/QIF statements add a
+     * "new account" option built from the statement's account info.
+     */
+    function renderImportAccountOptions() {
+        const t = I18n.t;
+        const previous = elements.selectImportAccount.value;
+        const options = data.accounts.map(a =>
+            `<option value="${escapeAttr(a.id)}">${escapeHtml(a.name)} (${a.currency})</option>`);
+
+        if (csvImportStatement) {
+            const preview = Importer.createStatementAccount(csvImportStatement.account, getDefaultImportCurrency());
+            const key = preview.type === 'credit' ? 'importNewCreditAccount' : 'importNewCheckingAccount';
+            options.push(`<option value="${IMPORT_NEW_ACCOUNT}">${escapeHtml(t(key, { name: preview.name }))}</option>`);
+        }
+
+        elements.selectImportAccount.innerHTML = options.join('');
+
+        const owned = data.accounts.some(a => a.id === currentAccountId);
+        if (previous && [...elements.selectImportAccount.options].some(o => o.value === previous)) {
+            elements.selectImportAccount.value = previous;
+        } else {
+            elements.selectImportAccount.value = owned ? currentAccountId : data.accounts[0].id;
+        }
+    }
+
+    /**
+     * Currency for accounts created from statements without a supported CURDEF
+     * @returns {string} Currency code
+     */
+    function getDefaultImportCurrency() {
+        const current = data.accounts.find(a => a.id === currentAccountId);
+        return current ? current.currency : I18n.getDefaultCurrency(I18n.getLanguage());
+    }
+
+    /**
+     * Render saved bank profiles into the profile selector
+     * @param {string} selectedId - Profile to select (optional)
+     */
+    function renderCsvProfileOptions(selectedId = '') {
+        const profiles = data.importProfiles || [];
+        elements.selectCsvImportProfile.innerHTML = `<option value="">${I18n.t('importProfileNone')}</option>` +
+            profiles.map(p => `<option value="${escapeAttr(p.id)}">${escapeHtml(p.name)}</option>`).join('');
+        elements.selectCsvImportProfile.value = selectedId;
+    }
+
+    /**
+     * Read and parse the chosen CSV file, then guess or apply a mapping
+     * @param {File} file - Selected file
+     */
+    async function handleCsvFileSelected(file) {
+        csvImportRows = [];
+        csvImportStatement = null;
+
+        try {
+            const text = await file.text();
+            // 2026-10-19: OFX/QFX and QIF are parsed directly; only CSV needs a column mapping
+            csvImportFormat = Importer.detectFormat(text, file.name);
+            if (csvImportFormat === 'ofx') csvImportStatement = Importer.parseOFX(text);
+            else if (csvImportFormat === 'qif') csvImportStatement = Importer.parseQIF(text);
+            else csvImportRows = Importer.parseCSV(text);
+        } catch (err) {
+            console.error('Statement read error:', err);
+        }
+
+        const rowCount = csvImportStatement ? csvImportStatement.rows.length : csvImportRows.length;
+        if (rowCount === 0) {
+            showToast(I18n.t('importErrorEmpty'), false);
+            return;
+        }
+
+        elements.csvImportFilename.textContent = file.name;
+        csvImportSkipped = new Set();
+        elements.selectImportAccount.value = '';
+        renderImportAccountOptions();
+
+        const isCsv = csvImportFormat === 'csv';
+        elements.csvImportColumns.style.display = isCsv ? '' : 'none';
+        elements.selectCsvImportProfile.closest('.form-group').style.display = isCsv ? '' : 'none';
+
+        if (!isCsv) {
+            elements.csvImportMapping.style.display = 'block';
+            renderCsvImportPreview();
+            return;
+        }
+
+        renderCsvColumnOptions();
+
+        // A selected bank profile wins over the header-based guess
+        const profile = (data.importProfiles || []).find(p => p.id === elements.selectCsvImportProfile.value);
+        applyCsvMappingToForm(profile ? profile.mapping : Importer.guessMapping(csvImportRows));
+
+        elements.csvImportMapping.style.display = 'block';
+        renderCsvImportPreview();
+    }
+
+    /**
+     * Fill column selectors using header names (or column numbers)
+     */
+    function renderCsvColumnOptions() {
+        const columnCount = Math.max(...csvImportRows.map(r => r.length));
+        const header = csvImportRows[0] || [];
+        const options = [];
+        for (let i = 0; i < columnCount; i++) {
+            const name = header[i] ? `${i + 1}: ${header[i]}` : I18n.t('importColumn', { number: i + 1 });
+            options.push(`<option value="${i}">${escapeHtml(name)}</option>`);
+        }
+        elements.csvImportMapping.querySelectorAll('.csv-column-select').forEach(select => {
+            select.innerHTML = options.join('');
+        });
+    }
+
+    /**
+     * Apply a mapping object to the form controls
+     * @param {Object} mapping - Importer mapping
+     */
+    function applyCsvMappingToForm(mapping) {
+        elements.checkboxCsvHasHeader.checked = !!mapping.hasHeader;
+        elements.selectCsvDateColumn.value = String(mapping.dateColumn);
+        elements.selectCsvDateFormat.value = mapping.dateFormat;
+        elements.selectCsvDescColumn.value = String(mapping.descColumn);
+        elements.selectCsvAmountMode.value = mapping.amountMode;
+        elements.selectCsvAmountColumn.value = String(mapping.amountColumn);
+        elements.selectCsvDebitColumn.value = String(mapping.debitColumn);
+        elements.selectCsvCreditColumn.value = String(mapping.creditColumn);
+        elements.selectCsvDecimal.value = mapping.decimalSeparator;
+        elements.checkboxCsvInvert.checked = !!mapping.invertSign;
+    }
+
+    /**
+     * Read the mapping from the form controls
+     * @returns {Object} Importer mapping
+     */
+    function readCsvMappingFromForm() {
+        return {
+            hasHeader: elements.checkboxCsvHasHeader.checked,
+            dateColumn: parseInt(elements.selectCsvDateColumn.value) || 0,
+            dateFormat: elements.selectCsvDateFormat.value,
+            descColumn: parseInt(elements.selectCsvDescColumn.value) || 0,
+            amountMode: elements.selectCsvAmountMode.value,
+            amountColumn: parseInt(elements.selectCsvAmountColumn.value) || 0,
+            debitColumn: parseInt(elements.selectCsvDebitColumn.value) || 0,
+            creditColumn: parseInt(elements.selectCsvCreditColumn.value) || 0,
+            decimalSeparator: elements.selectCsvDecimal.value,
+            invertSign: elements.checkboxCsvInvert.checked
+        };
+    }
+
+    /**
+     * Rebuild and render the preview table from the current mapping
+     * Duplicates and rows with errors start unchecked.
+     */
+    function renderCsvImportPreview() {
+        const t = I18n.t;
+        const mapping = readCsvMappingFromForm();
+        const isSplit = mapping.amountMode === 'split';
+        elements.csvAmountSingle.style.display = isSplit ? 'none' : '';
+        elements.csvAmountDebit.style.display = isSplit ? '' : 'none';
+        elements.csvAmountCredit.style.display = isSplit ? '' : 'none';
+
+        // 2026-10-19: Duplicates are checked against the chosen target account
+        const targetId = elements.selectImportAccount.value;
+        const account = targetId === IMPORT_NEW_ACCOUNT && csvImportStatement
+            ? Importer.createStatementAccount(csvImportStatement.account, getDefaultImportCurrency())
+            : data.accounts.find(a => a.id === targetId);
+        csvImportPreview = csvImportStatement
+            ? csvImportStatement.rows.map(row => ({ ...row }))
+            : Importer.buildRows(csvImportRows, mapping);
+        Importer.findDuplicates(csvImportPreview, data.transactions, targetId);
+
+        csvImportPreview.forEach((row, index) => {
+            if (row.error || row.duplicateOf) csvImportSkipped.add(index);
+        });
+
+        elements.csvImportTable.querySelector('thead').innerHTML = `
+            <tr>
+                <th></th>
+                <th>${t('importPreviewDate')}</th>
+                <th>${t('importPreviewDesc')}</th>
+                <th>${t('importPreviewAmount')}</th>
+                <th>${t('importPreviewStatus')}</th>
+            </tr>
+        `;
+
+        elements.csvImportTable.querySelector('tbody').innerHTML = csvImportPreview.map((row, index) => {
+            const rowClass = row.error ? 'error' : row.duplicateOf ? 'duplicate' : '';
+            const status = row.error ? t(row.error, { line: row.line })
+                : row.duplicateOf ? t('importStatusDuplicate') : t('importStatusNew');
+            const amountClass = row.amt > 0 ? 'income' : 'expense';
+            const amount = row.amt === null ? '—'
+                : `${row.amt > 0 ? '+' : '-'}${Accounts.formatCurrency(row.amt, account ? account.currency : 'USD')}`;
+            return `
+                <tr class="${rowClass}">
+                    <td><input type="checkbox" class="csv-row-checkbox" data-index="${index}"
+                        ${csvImportSkipped.has(index) ? '' : 'checked'} ${row.error ? 'disabled' : ''}></td>
+                    <td>${row.date ? formatDate(row.date) : '—'}</td>
+                    <td>${escapeHtml(row.desc)}</td>
+                    <td class="amount ${amountClass}">${amount}</td>
+                    <td class="csv-import-status">${escapeHtml(status)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        updateCsvImportSummary();
+    }
+
+    /**
+     * Update the summary line and the import button label/state
+     */
+    function updateCsvImportSummary() {
+        const t = I18n.t;
+        const selected = csvImportPreview.filter((row, index) => !row.error && !csvImportSkipped.has(index)).length;
+        const duplicates = csvImportPreview.filter(row => row.duplicateOf).length;
+        const errors = csvImportPreview.filter(row => row.error).length;
+
+        elements.csvImportSummary.textContent = csvImportPreview.length > 0
+            ? t('importSummary', { total: csvImportPreview.length, duplicates, errors })
+            : '';
+        elements.csvImportConfirmLabel.textContent = t('importConfirm', { count: selected });
+        elements.btnConfirmCsvImport.disabled = selected === 0;
+    }
+
+    /**
+     * Save the current mapping as a named bank profile in the vault
+     * Saving under an existing name updates that profile.
+     */
+    function handleSaveCsvProfile() {
+        const name = elements.inputCsvProfileName.value.trim();
+        if (!name) {
+            showToast(I18n.t('importErrorProfileName'), false);
+            elements.inputCsvProfileName.focus();
+            return;
+        }
+
+        if (!data.importProfiles) data.importProfiles = [];
+        const mapping = readCsvMappingFromForm();
+        let profile = data.importProfiles.find(p => p.name.toLowerCase() === name.toLowerCase());
+
+        if (profile) {
+            profile.mapping = mapping;
+        } else {
+            profile = { id: `profile_${Date.now()}`, name, mapping };
+            data.importProfiles.push(profile);
+        }
+
+        handleSave();
+        renderCsvProfileOptions(profile.id);
+        showToast(I18n.t('toastImportProfileSaved', { name }));
+    }
+
+    /**
+     * Import the checked rows into the target account as one undoable step
+     * 2026-10-19: Can create the target account from OFX/QIF statement info
+     */
+    function handleConfirmCsvImport() {
+        const rows = csvImportPreview.filter((row, index) => !row.error && !csvImportSkipped.has(index));
+        const targetId = elements.selectImportAccount.value;
+        const createAccount = targetId === IMPORT_NEW_ACCOUNT && !!csvImportStatement;
+        if (rows.length === 0 || (!createAccount && !data.accounts.some(a => a.id === targetId))) return;
+
+        const createdBy = getCurrentUserInfo();
+        const newAccount = createAccount
+            ? Importer.createStatementAccount(csvImportStatement.account, getDefaultImportCurrency())
+            : null;
+        const accountId = newAccount ? newAccount.id : targetId;
+        const existingIds = new Set(data.transactions.map(tx => tx.id));
+
+        // 2026-10-19: Amounts round to the account currency's minor units
+        const currency = newAccount ? newAccount.currency : data.accounts.find(a => a.id === accountId).currency;
+        const transactions = Importer.createTransactions(rows, { accountId, currency, createdBy, existingIds });
+
+        // 2026-10-19: Payee rules and remembered categories
+        const ruled = applyImportRules(transactions, accountId, currency);
+
+        // A new account starts from the statement's ledger balance, not from zero
+        // 2026-10-19: Rows a rule moved to another account don't count toward it
+        const ledger = newAccount ? csvImportStatement.account.ledgerBalance : null;
+        if (ledger !== null && ledger !== undefined) {
+            const imported = transactions.filter(tx => tx.accountId === accountId).reduce((sum, tx) => sum + tx.amt, 0);
+            const opening = Accounts.roundAmount(ledger - imported, currency);
+            if (opening !== 0) {
+                const earliest = Math.min(...transactions.map(tx => new Date(tx.date).getTime()));
+                let id = Date.now();
+                while (existingIds.has(id)) id++;
+                transactions.push({
+                    id,
+                    accountId,
+                    desc: `${I18n.t('balanceAdjustment')}: ${I18n.t('importOpeningBalance')}`,
+                    amt: opening,
+                    date: new Date(earliest - 1000).toISOString(),
+                    createdBy
+                });
+            }
+        }
+
+        saveToHistory();  // Single undo step for the whole import
+        if (newAccount) data.accounts.push(newAccount);
+        data.transactions.push(...transactions);
+        // 2026-10-19: Imported categories are defaults, not choices, so they aren't learned
+        transactions.filter(tx => tx.imported).forEach(tx => Payees.remember(data, tx, { learnCategory: false }));
+
+        closeCsvImportModal();
+        if (newAccount) currentAccountId = newAccount.id;  // Show the new account
+        handleSave();
+        render();
+        const message = I18n.t('toastImported', { count: rows.length });
+        showToast(ruled > 0 ? `${message} · ${I18n.t('toastImportRulesApplied', { count: ruled })}` : message);
+
+        // 2026-10-19: Ask for the statement close and due days the statement didn't give
+        if (newAccount && newAccount.type === 'credit' && (!newAccount.paymentDueDay || !newAccount.statementCloseDay)) {
+            openCreditModal();
+        }
+    }
+
+    // --- CSV Export (2026-10-19) ---
+
+    function setupCsvExportModal() {
+        if (!elements.csvExportModal) return;
+
+        if (elements.btnExportCsv) {
+            elements.btnExportCsv.addEventListener('click', openCsvExportModal);
+        }
+
+        elements.btnCancelCsvExport.addEventListener('click', closeCsvExportModal);
+        elements.btnConfirmCsvExport.addEventListener('click', handleConfirmCsvExport);
+        elements.csvExportModal.querySelector('.modal-backdrop').addEventListener('click', closeCsvExportModal);
+    }
+
+    /**
+     * Open the CSV export modal
+     * All owned and linked accounts are listed; the selected account starts checked
+     * (or every account when none is selected).
+     */
+    function openCsvExportModal() {
+        const t = I18n.t;
+        const { accounts } = Historical.collect(data);
+
+        document.getElementById('csv-export-modal-title').textContent = t('exportModalTitle');
+        document.getElementById('csv-export-modal-desc').textContent = t('exportModalDesc');
+        document.getElementById('label-csv-export-accounts').textContent = t('exportAccounts');
+        document.getElementById('label-csv-export-from').textContent = t('exportFrom');
+        document.getElementById('label-csv-export-to').textContent = t('exportTo');
+        document.getElementById('label-csv-export-recurring').textContent = t('exportRecurring');
+        document.getElementById('label-csv-export-summary').textContent = t('exportSummary');
+        document.getElementById('csv-export-confirm-label').textContent = t('exportConfirm');
+        elements.btnCancelCsvExport.querySelector('[data-i18n="cancel"]').textContent = t('cancel');
+
+        const hasSelection = accounts.some(a => a.id === currentAccountId);
+        elements.csvExportAccounts.innerHTML = accounts.map(account => `
+            <label class="export-account-row">
+                <input type="checkbox" class="export-account-checkbox" value="${escapeAttr(account.id)}"
+                    ${!hasSelection || account.id === currentAccountId ? 'checked' : ''}>
+                <span>${account.linked ? '🔗 ' : ''}${escapeHtml(account.name)}</span>
+                <span class="currency-badge">${account.currency}</span>
+            </label>
+        `).join('');
+
+        elements.inputCsvExportFrom.value = '';
+        elements.inputCsvExportTo.value = '';
+        elements.checkboxCsvExportRecurring.checked = false;
+        elements.checkboxCsvExportSummary.checked = false;
+
+        elements.csvExportModal.style.display = 'flex';
+    }
+
+    function closeCsvExportModal() {
+        elements.csvExportModal.style.display = 'none';
+    }
+
+    /**
+     * Get a category's display name
+     * 2026-10-19: Uses the vault's category definitions (subcategories as "Parent › Child")
+     * @param {string} category - Category id
+     * @returns {string} Category name
+     */
+    function getCategoryLabel(category) {
+        return Categories.getLabel(data, category);
+    }
+
+    /**
+     * Build and download the selected CSV files
+     * Each sheet is a separate file since CSV has no tabs.
+     */
+    function handleConfirmCsvExport() {
+        const t = I18n.t;
+        const accountIds = [...elements.csvExportAccounts.querySelectorAll('.export-account-checkbox:checked')]
+            .map(cb => cb.value);
+
+        if (accountIds.length === 0) {
+            showToast(t('exportErrorAccounts'), false);
+            return;
+        }
+
+        // Date inputs are local days; the range includes the whole "to" day
+        const from = elements.inputCsvExportFrom.value;
+        const to = elements.inputCsvExportTo.value;
+        const start = from ? new Date(`${from}T00:00:00`) : null;
+        const end = to ? new Date(`${to}T23:59:59.999`) : null;
+
+        if (start && end && start > end) {
+            showToast(t('toastErrorDate'), false);
+            return;
+        }
+
+        const locale = I18n.getLocale();
+        const delimiter = Exporter.getDelimiter(locale);
+        const stamp = new Date().toISOString().split('T')[0];
+        const options = { accountIds, start, end, locale, categoryLabel: getCategoryLabel };
+
+        const transactionRows = Exporter.buildTransactionRows(data, {
+            ...options,
+            headers: [t('exportColDate'), t('exportColAccount'), t('exportColAccountType'), t('exportColCurrency'),
+            t('exportColCategory'), t('exportColDescription'), t('exportColAmount'), t('exportColBalance'),
+            t('exportColCreator'), t('exportColAttachments'), t('exportColTags'), t('exportColNotes')]
+        });
+        Storage.exportToCSV(Exporter.toCSV(transactionRows, delimiter), `zip80_transactions_${stamp}.csv`);
+
+        if (elements.checkboxCsvExportRecurring.checked) {
+            const recurringRows = Exporter.buildRecurringRows(data, {
+                ...options,
+                headers: [t('exportColAccount'), t('exportColCurrency'), t('exportColCategory'),
+                t('exportColDescription'), t('exportColAmount'), t('exportColFrequency'),
+                t('exportColStartDate'), t('exportColNextDue'), t('exportColActive')]
+            });
+            Storage.exportToCSV(Exporter.toCSV(recurringRows, delimiter), `zip80_recurring_${stamp}.csv`);
+        }
+
+        if (elements.checkboxCsvExportSummary.checked) {
+            const summaryRows = Exporter.buildMonthlySummaryRows(data, {
+                ...options,
+                headers: [t('exportColMonth'), t('exportColCurrency'), t('exportColIncome'),
+                t('exportColExpenses'), t('exportColNet'), t('exportColCount')]
+            });
+            Storage.exportToCSV(Exporter.toCSV(summaryRows, delimiter), `zip80_monthly_summary_${stamp}.csv`);
+        }
+
+        closeCsvExportModal();
+        showToast(t('toastCsvExported', { count: transactionRows.length - 1 }));
+    }
+
+    // --- Credit Card Payments (2026-10-19) ---
+
+    // Card being paid in the payment modal
+    let payingCardId = null;
+
+    function setupCcPaymentModal() {
+        if (!elements.ccPaymentModal) return;
+
+        elements.btnCancelCcPayment.addEventListener('click', closeCcPaymentModal);
+        elements.btnConfirmCcPayment.addEventListener('click', handleConfirmCcPayment);
+        elements.ccPaymentModal.querySelector('.modal-backdrop').addEventListener('click', closeCcPaymentModal);
+        elements.selectCcPaymentFrom.addEventListener('change', updateCcPaymentRateRow);
+
+        // Presets fill the amount from the current statement
+        elements.btnCcPayStatement.addEventListener('click', () => setCcPaymentAmount('amountDue'));
+        elements.btnCcPayMinimum.addEventListener('click', () => setCcPaymentAmount('minimumDue'));
+
+        elements.btnFetchCcPaymentRate.addEventListener('click', async () => {
+            const from = data.accounts.find(a => a.id === elements.selectCcPaymentFrom.value);
+            const card = data.accounts.find(a => a.id === payingCardId);
+            if (!from || !card) return;
+
+            elements.btnFetchCcPaymentRate.disabled = true;
+            try {
+                const rate = await fetchTransferRate(from.currency, card.currency);
+                elements.inputCcPaymentRate.value = String(parseFloat(rate.toPrecision(8)));
+            } catch (error) {
+                console.error('Failed to fetch payment rate:', error);
+                showToast(I18n.t('toastErrorRateFetch'), false);
+            } finally {
+                elements.btnFetchCcPaymentRate.disabled = false;
+            }
+        });
+    }
+
+    /**
+     * Open the pay-statement modal for a credit card
+     * Payments come from owned bank or cash accounts and are stored as a transfer.
+     * @param {string} cardId - Credit card account ID
+     */
+    function openCcPaymentModal(cardId) {
+        const t = I18n.t;
+        const card = data.accounts.find(a => a.id === cardId);
+        if (!card) return;
+
+        const sources = data.accounts.filter(a => a.type !== 'credit' && a.type !== 'crypto');
+        if (sources.length === 0) {
+            showToast(t('toastErrorPaymentAccount'), false);
+            return;
+        }
+
+        // 2026-10-19: Cards without close/due days have no statement to pay
+        const statement = Statements.getStatement(card, data.transactions);
+        if (!statement) return;
+        payingCardId = cardId;
+
+        document.getElementById('cc-payment-modal-title').textContent = t('ccPaymentModalTitle');
+        elements.ccPaymentModalDesc.textContent = t('ccPaymentModalDesc', {
+            account: card.name,
+            amount: Accounts.formatCurrency(statement.amountDue, card.currency),
+            date: formatDate(statement.dueDate)
+        });
+        document.getElementById('label-cc-payment-from').textContent = t('ccPaymentFrom');
+        elements.labelCcPaymentAmount.textContent = t('ccPaymentAmount', { currency: card.currency });
+        elements.btnCcPayStatement.textContent = t('ccPayStatementBalance');
+        elements.btnCcPayMinimum.textContent = t('ccPayMinimum');
+        document.getElementById('label-cc-payment-rate').textContent = t('transferRate');
+        elements.btnFetchCcPaymentRate.querySelector('[data-i18n="transferFetchRate"]').textContent = t('transferFetchRate');
+        document.getElementById('cc-payment-confirm-label').textContent = t('ccPay');
+        elements.btnCancelCcPayment.querySelector('[data-i18n="cancel"]').textContent = t('cancel');
+
+        // Prefer a source in the card's currency
+        elements.selectCcPaymentFrom.innerHTML = sources.map(account =>
+            `<option value="${account.id}">${escapeHtml(account.name)} (${account.currency})</option>`
+        ).join('');
+        const sameCurrency = sources.find(a => a.currency === card.currency);
+        if (sameCurrency) elements.selectCcPaymentFrom.value = sameCurrency.id;
+
+        elements.inputCcPaymentRate.value = '';
+        setCcPaymentAmount('amountDue');
+        updateCcPaymentRateRow();
+
+        elements.ccPaymentModal.style.display = 'flex';
+        elements.inputCcPaymentAmount.focus();
+    }
+
+    function closeCcPaymentModal() {
+        elements.ccPaymentModal.style.display = 'none';
+        payingCardId = null;
+    }
+
+    /**
+     * Fill the payment amount from the card's statement
+     * @param {string} field - 'amountDue' or 'minimumDue'
+     */
+    function setCcPaymentAmount(field) {
+        const card = data.accounts.find(a => a.id === payingCardId);
+        if (!card) return;
+        const statement = Statements.getStatement(card, data.transactions);
+        const amount = statement && statement[field] > 0 ? statement[field] : Math.max(0, -Accounts.calculateBalance(data.transactions, card.id));
+        elements.inputCcPaymentAmount.value = amount > 0 ? formatWithCommas(amount.toFixed(2)) : '';
+    }
+
+    /**
+     * Show the rate input when the source and card currencies differ
+     */
+    function updateCcPaymentRateRow() {
+        const from = data.accounts.find(a => a.id === elements.selectCcPaymentFrom.value);
+        const card = data.accounts.find(a => a.id === payingCardId);
+        const needsRate = !!(from && card && from.currency !== card.currency);
+        elements.ccPaymentRateRow.style.display = needsRate ? 'block' : 'none';
+        if (needsRate) {
+            elements.inputCcPaymentRate.placeholder = `1 ${from.currency} = ? ${card.currency}`;
+        }
+    }
+
+    /**
+     * Create the payment as a transfer from the chosen account into the card
+     * The entered amount is in the card's currency, so the source leg is
+     * converted back with the rate.
+     */
+    function handleConfirmCcPayment() {
+        const t = I18n.t;
+        const card = data.accounts.find(a => a.id === payingCardId);
+        const from = data.accounts.find(a => a.id === elements.selectCcPaymentFrom.value);
+        if (!card || !from) {
+            showToast(t('toastErrorPaymentAccount'), false);
+            return;
+        }
+
+        const amount = parseFloat(elements.inputCcPaymentAmount.value.replace(/,/g, ''));
+        if (isNaN(amount) || amount <= 0) {
+            showToast(t('toastErrorAmount'), false);
+            elements.inputCcPaymentAmount.focus();
+            return;
+        }
+
+        let rate = 1;
+        if (from.currency !== card.currency) {
+            rate = parseFloat(elements.inputCcPaymentRate.value.replace(/,/g, ''));
+            if (isNaN(rate) || rate <= 0) {
+                showToast(t('toastErrorRate'), false);
+                elements.inputCcPaymentRate.focus();
+                return;
+            }
+        }
+
+        const legs = Transfers.createTransfer({
+            fromAccountId: from.id,
+            toAccountId: card.id,
+            amount: amount / rate,
+            rate,
+            desc: t('ccPaymentDesc', { account: card.name }),
+            date: new Date().toISOString(),
+            createdBy: getCurrentUserInfo(),
+            existingIds: new Set(data.transactions.map(tx => tx.id)),
+            fromCurrency: from.currency,  // 2026-10-19
+            toCurrency: card.currency
+        });
+        // Card leg gets the exact amount entered, not the round-tripped conversion
+        legs[1].amt = Accounts.roundAmount(amount, card.currency);  // 2026-10-19: Card's minor units
+
+        saveToHistory();
+        data.transactions.push(...legs);
+
+        closeCcPaymentModal();
+        render();
+        handleSave();
+        showToast(t('toastCcPaymentCreated'));
+    }
+
+    /**
+     * Offer a calendar reminder for a card's payment due date
+     * Cloud vaults use the Google Calendar event modal; local vaults download an .ics file.
+     * @param {Object} account - Credit card account
+     * @param {Object} statement - Result of Statements.getStatement()
+     */
+    async function addStatementReminder(account, statement) {
+        const desc = I18n.t('ccReminderDesc', { account: account.name });
+        const amount = statement.amountDue;
+
+        // Due date at noon so the reminder isn't pushed across midnight by time zones
+        const due = new Date(statement.dueDate);
+        due.setHours(12, 0, 0, 0);
+
+        if (storageBackend === 'gdrive' && typeof GCalendar !== 'undefined') {
+            const hasScope = await GCalendar.checkCalendarScope();
+            const badgeText = elements.fileBadge?.textContent || '';
+            const vaultName = badgeText.replace(/^[☁️📄]\s*/, '').replace('.json', '').trim() || 'Expenses';
+            GCalendar.showEventModal(desc, due.toISOString(), amount, hasScope, vaultName);
+        } else {
+            Calendar.downloadICS(desc, due.toISOString(), amount);
+        }
+    }
+
+    // --- Budgets (2026-10-19) ---
+
+    function setupBudgets() {
+        if (!elements.budgetModal) return;
+
+        elements.btnManageBudgets.addEventListener('click', openBudgetModal);
+        elements.btnCancelBudget.addEventListener('click', closeBudgetModal);
+        elements.btnSaveBudget.addEventListener('click', handleSaveBudgets);
+        elements.budgetModal.querySelector('.modal-backdrop').addEventListener('click', closeBudgetModal);
+        elements.selectBudgetCurrency.addEventListener('change', renderBudgetRows);
+    }
+
+    /**
+     * Currencies that can have budgets (owned fiat accounts)
+     * @returns {Array<string>} Currency codes
+     */
+    function getBudgetCurrencies() {
+        return [...new Set(data.accounts.filter(a => a.type !== 'crypto').map(a => a.currency))];
+    }
+
+    /**
+     * Expense categories offered for budgets (archived ones are hidden)
+     * @returns {Array<string>} Category codes
+     */
+    function getBudgetCategories() {
+        return Categories.getAll(data, { type: 'expense' }).map(category => category.id);
+    }
+
+    /**
+     * Render the budgets widget: spent vs. available bars per currency for this month
+     */
+    function renderBudgetsWidget() {
+        if (!elements.budgetsList) return;
+        const t = I18n.t;
+
+        if (elements.budgetsWidgetTitle) {
+            elements.budgetsWidgetTitle.textContent = '🎯 ' + t('budgetsWidgetTitle');
+        }
+        if (elements.budgetsEmpty) elements.budgetsEmpty.textContent = t('budgetsEmpty');
+        const manageLabel = elements.btnManageBudgets?.querySelector('[data-i18n="budgetsManage"]');
+        if (manageLabel) manageLabel.textContent = t('budgetsManage');
+
+        const summary = Budgets.getSummary(data);
+        elements.budgetsEmpty.style.display = summary.length === 0 ? 'block' : 'none';
+
+        elements.budgetsList.innerHTML = summary.map(group => `
+            <div class="budget-group">
+                ${summary.length > 1 ? `<div class="budget-group-title">${group.currency}</div>` : ''}
+                ${group.items.map(item => {
+                    const state = item.percent >= 100 ? 'over' : item.percent >= 80 ? 'warning' : 'ok';
+                    const rolloverNote = item.rollover !== 0
+                        ? `<span class="budget-rollover" title="${t('budgetRolloverTitle')}">${item.rollover > 0 ? '+' : '-'}${Accounts.formatCurrency(item.rollover, group.currency)}</span>`
+                        : '';
+                    return `
+                        <div class="budget-item ${state}">
+                            <div class="budget-item-row">
+                                <span class="budget-item-name">${getCategoryIcon(item.budget.category)} ${escapeHtml(getCategoryLabel(item.budget.category))}</span>
+                                <span class="budget-item-amounts">
+                                    ${Accounts.formatCurrency(item.spent, group.currency)} / ${Accounts.formatCurrency(item.available, group.currency)}
+                                    ${rolloverNote}
+                                </span>
+                            </div>
+                            <div class="budget-bar"><div class="budget-bar-fill" style="width: ${Math.min(100, item.percent).toFixed(1)}%"></div></div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Open the budget editor for one currency at a time
+     */
+    function openBudgetModal() {
+        const t = I18n.t;
+        const currencies = getBudgetCurrencies();
+        if (currencies.length === 0) return;
+
+        document.getElementById('budget-modal-title').textContent = t('budgetModalTitle');
+        document.getElementById('budget-modal-desc').textContent = t('budgetModalDesc');
+        document.getElementById('label-budget-currency').textContent = t('budgetCurrency');
+        elements.btnCancelBudget.querySelector('[data-i18n="cancel"]').textContent = t('cancel');
+        elements.btnSaveBudget.querySelector('[data-i18n="saveChanges"]').textContent = t('saveChanges');
+
+        elements.selectBudgetCurrency.innerHTML = currencies.map(code => `<option value="${code}">${code}</option>`).join('');
+        const current = data.accounts.find(a => a.id === currentAccountId);
+        if (current && currencies.includes(current.currency)) {
+            elements.selectBudgetCurrency.value = current.currency;
+        }
+
+        renderBudgetRows();
+        elements.budgetModal.style.display = 'flex';
+    }
+
+    function closeBudgetModal() {
+        elements.budgetModal.style.display = 'none';
+    }
+
+    /**
+     * Render one limit + rollover row per category for the selected currency
+     */
+    function renderBudgetRows() {
+        const t = I18n.t;
+        const currency = elements.selectBudgetCurrency.value;
+        const rolloverLabels = { none: t('budgetRolloverNone'), unused: t('budgetRolloverUnused'), all: t('budgetRolloverAll') };
+
+        elements.budgetRows.innerHTML = getBudgetCategories().map(category => {
+            const budget = Budgets.findBudget(data.budgets, category, currency);
+            const rollover = budget ? budget.rollover : 'none';
+            return `
+                <div class="budget-row" data-category="${escapeAttr(category)}">
+                    <span class="budget-row-name">${getCategoryIcon(category)} ${escapeHtml(getCategoryLabel(category))}</span>
+                    <input type="text" inputmode="decimal" class="input budget-limit-input"
+                        placeholder="${t('budgetNoLimit')}" value="${budget ? formatWithCommas(budget.limit.toFixed(2)) : ''}">
+                    <select class="input budget-rollover-select" title="${t('budgetRolloverTitle')}">
+                        ${Budgets.ROLLOVER_MODES.map(mode =>
+                            `<option value="${mode}" ${mode === rollover ? 'selected' : ''}>${rolloverLabels[mode]}</option>`
+                        ).join('')}
+                    </select>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Save the budgets for the selected currency
+     * Existing budgets keep their id and start month so rollover history is preserved.
+     */
+    function handleSaveBudgets() {
+        const currency = elements.selectBudgetCurrency.value;
+        const rows = [...elements.budgetRows.querySelectorAll('.budget-row')];
+
+        // Validate first so a bad row doesn't leave a partial save
+        const entries = [];
+        for (const row of rows) {
+            const input = row.querySelector('.budget-limit-input');
+            const raw = input.value.replace(/,/g, '').trim();
+            const limit = raw === '' ? null : parseFloat(raw);
+            if (limit !== null && (isNaN(limit) || limit <= 0)) {
+                showToast(I18n.t('toastErrorAmount'), false);
+                input.focus();
+                return;
+            }
+            entries.push({ category: row.dataset.category, limit, rollover: row.querySelector('.budget-rollover-select').value });
+        }
+
+        saveToHistory();
+        const others = (data.budgets || []).filter(b => b.currency !== currency);
+        const updated = entries.filter(e => e.limit !== null).map(entry => {
+            const existing = Budgets.findBudget(data.budgets, entry.category, currency);
+            return existing
+                ? { ...existing, limit: Accounts.roundAmount(entry.limit, currency), rollover: entry.rollover }
+                : Budgets.createBudget({ ...entry, currency });
+        });
+        data.budgets = [...others, ...updated];
+
+        closeBudgetModal();
+        render();
+        handleSave();
+        showToast(I18n.t('toastBudgetsSaved'));
+    }
+
+    /**
+     * Show a warning toast when a new expense pushes its budget past 80% or 100%
+     * @param {Object} transaction - Expense just added to data.transactions
+     */
+    function warnIfBudgetExceeded(transaction) {
+        const crossed = Budgets.getCrossedThreshold(data, transaction);
+        if (!crossed) return;
+
+        const { progress } = crossed;
+        showToast(I18n.t(crossed.threshold >= 100 ? 'toastBudgetExceeded' : 'toastBudgetWarning', {
+            category: getCategoryLabel(progress.budget.category),
+            spent: Accounts.formatCurrency(progress.spent, progress.budget.currency),
+            limit: Accounts.formatCurrency(progress.available, progress.budget.currency)
+        }), false);
+    }
+
+    // --- Category Manager (2026-10-19) ---
+
+    function setupCategoryManager() {
+        if (!elements.categoryModal) return;
+
+        if (elements.btnManageCategories) {
+            elements.btnManageCategories.addEventListener('click', openCategoryModal);
+        }
+        elements.btnCloseCategoryModal.addEventListener('click', closeCategoryModal);
+        elements.categoryModal.querySelector('.modal-backdrop').addEventListener('click', closeCategoryModal);
+        elements.selectCategoryType.addEventListener('change', renderCategoryManager);
+        elements.btnAddCategory.addEventListener('click', handleAddCategory);
+
+        // Row edits are saved as soon as a field changes
+        elements.categoryManagerList.addEventListener('change', handleCategoryRowChange);
+    }
+
+    /**
+     * Open the category manager
+     */
+    function openCategoryModal() {
+        const t = I18n.t;
+        document.getElementById('category-modal-title').textContent = t('categoryModalTitle');
+        document.getElementById('category-modal-desc').textContent = t('categoryModalDesc');
+        document.getElementById('label-category-type').textContent = t('categoryType');
+        elements.selectCategoryType.options[0].textContent = t('modeExpense');
+        elements.selectCategoryType.options[1].textContent = t('modeIncome');
+        elements.inputNewCategoryName.placeholder = t('categoryNewPlaceholder');
+        document.getElementById('add-category-label').textContent = t('categoryAdd');
+        document.getElementById('close-category-modal-label').textContent = t('categoryDone');
+
+        elements.selectCategoryType.value = getCurrentMode() === 'income' ? 'income' : 'expense';
+        renderCategoryManager();
+        elements.categoryModal.style.display = 'flex';
+    }
+
+    function closeCategoryModal() {
+        elements.categoryModal.style.display = 'none';
+    }
+
+    /**
+     * Options for a parent select: "no parent" plus top-level categories of the type
+     * @param {string} type - 'expense' or 'income'
+     * @param {string|null} selfId - Category being edited (excluded)
+     * @param {string|null} selectedId - Current parent
+     * @returns {string} Option HTML
+     */
+    function buildCategoryParentOptions(type, selfId, selectedId) {
+        const parents = Categories.getAll(data, { type }).filter(c => !c.parentId && c.id !== selfId);
+        return `<option value="">${I18n.t('categoryNoParent')}</option>` + parents.map(c =>
+            `<option value="${escapeAttr(c.id)}" ${c.id === selectedId ? 'selected' : ''}>${escapeHtml(c.icon)} ${escapeHtml(Categories.getLabel(data, c.id))}</option>`
+        ).join('');
+    }
+
+    /**
+     * Render one editable row per category of the selected type
+     * Archived categories are listed (greyed) so they can be restored.
+     */
+    function renderCategoryManager() {
+        const t = I18n.t;
+        const type = elements.selectCategoryType.value;
+        const all = Categories.getAll(data, { type, includeArchived: true });
+
+        elements.categoryManagerList.innerHTML = all.map(category => {
+            const hasChildren = all.some(c => c.parentId === category.id);
+            const isFallback = category.id === Categories.FALLBACK_ID;
+            const mergeTargets = all.filter(c => c.id !== category.id && c.parentId !== category.id && !c.archived);
+            return `
+                <div class="category-manager-row${category.parentId ? ' subcategory' : ''}${category.archived ? ' archived' : ''}" data-id="${escapeAttr(category.id)}">
+                    <input type="text" class="input category-icon-input" data-field="icon" maxlength="4" value="${escapeAttr(category.icon)}">
+                    <input type="color" class="category-color-input" data-field="color" value="${Categories.getColor(data, category.id)}">
+                    <input type="text" class="input category-name-input" data-field="name" value="${escapeAttr(Categories.getLabel(data, category.id, { path: false }))}">
+                    <select class="input category-parent-select" data-field="parentId" ${hasChildren ? 'disabled' : ''}>
+                        ${buildCategoryParentOptions(type, category.id, category.parentId)}
+                    </select>
+                    <label class="category-archive-label" title="${t('categoryArchiveTitle')}">
+                        <input type="checkbox" data-field="archived" ${category.archived ? 'checked' : ''} ${isFallback ? 'disabled' : ''}>
+                        ${t('categoryArchived')}
+                    </label>
+                    <select class="input category-merge-select" data-field="merge" ${isFallback ? 'disabled' : ''}>
+                        <option value="">${t('categoryMergeInto')}</option>
+                        ${mergeTargets.map(c => `<option value="${escapeAttr(c.id)}">${escapeHtml(c.icon)} ${escapeHtml(Categories.getLabel(data, c.id))}</option>`).join('')}
+                    </select>
+                </div>
+            `;
+        }).join('');
+
+        elements.selectNewCategoryParent.innerHTML = buildCategoryParentOptions(type, null, null);
+    }
+
+    /**
+     * Apply a change from a category row
+     * @param {Event} e - Change event from a row field
+     */
+    async function handleCategoryRowChange(e) {
+        const field = e.target.dataset.field;
+        const row = e.target.closest('.category-manager-row');
+        if (!field || !row) return;
+
+        const id = row.dataset.id;
+        const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value.trim();
+
+        if (field === 'merge') {
+            if (!value) return;
+            const confirmed = await showConfirm(I18n.t('confirmMergeCategory', {
+                source: Categories.getLabel(data, id),
+                target: Categories.getLabel(data, value)
+            }));
+            if (!confirmed || !Categories.canMerge(data, id, value)) {
+                e.target.value = '';
+                return;
+            }
+            saveToHistory();
+            const moved = Categories.merge(data, id, value);
+            showToast(I18n.t('toastCategoryMerged', { count: moved }));
+        } else {
+            let changes;
+            if (field === 'name') {
+                // An empty name (or the translated default) goes back to the built-in name
+                const builtIn = Categories.getLabel({ categories: [] }, id);
+                changes = { name: value && value !== builtIn ? value : null };
+            } else if (field === 'parentId') {
+                changes = { parentId: value || null };
+            } else if (field === 'icon') {
+                if (!value) {
+                    renderCategoryManager();
+                    return;
+                }
+                changes = { icon: value };
+            } else {
+                changes = { [field]: value };
+            }
+
+            if (!Categories.canUpdate(data, id, changes)) {
+                showToast(I18n.t('toastCategoryInvalid'), false);
+                renderCategoryManager();
+                return;
+            }
+            saveToHistory();
+            Categories.update(data, id, changes);
+        }
+
+        renderCategoryManager();
+        render();
+        handleSave();
+    }
+
+    /**
+     * Create a category from the "new category" row
+     */
+    function handleAddCategory() {
+        const name = elements.inputNewCategoryName.value.trim();
+        if (!name) {
+            showToast(I18n.t('toastErrorCategoryName'), false);
+            elements.inputNewCategoryName.focus();
+            return;
+        }
+
+        const parentId = elements.selectNewCategoryParent.value || null;
+        if (!Categories.canNest(data, null, parentId)) {
+            showToast(I18n.t('toastCategoryInvalid'), false);
+            return;
+        }
+
+        saveToHistory();
+        Categories.create(data, {
+            name,
+            icon: elements.inputNewCategoryIcon.value.trim() || '🏷️',
+            color: elements.inputNewCategoryColor.value,
+            type: elements.selectCategoryType.value,
+            parentId
+        });
+
+        elements.inputNewCategoryName.value = '';
+        elements.inputNewCategoryIcon.value = '';
+        renderCategoryManager();
+        render();
+        handleSave();
+        showToast(I18n.t('toastCategoryCreated', { name }));
+    }
+
+    // --- History Filters (2026-10-19) ---
+
+    // Current filter and how many pages of matches are shown
+    let historyFilter = HistoryFilter.createFilter();
+    let historyPages = 1;
+    let historyAccountId = null;    // Account the page count belongs to
+    let historySearchTimer = null;
+
+    function setupHistoryFilters() {
+        if (!elements.historyFilters) return;
+
+        // Typing is debounced so long histories aren't re-filtered on every key
+        const debounced = () => {
+            clearTimeout(historySearchTimer);
+            historySearchTimer = setTimeout(handleHistoryFilterChange, 200);
+        };
+        [elements.inputHistorySearch, elements.inputHistoryMinAmount, elements.inputHistoryMaxAmount]
+            .forEach(input => input.addEventListener('input', debounced));
+
+        [elements.inputHistoryStartDate, elements.inputHistoryEndDate, elements.selectHistoryCategory,
+            elements.selectHistoryCreator, elements.selectHistoryTag, elements.checkHistoryAttachment,
+            elements.checkHistoryReminder, elements.checkHistoryReimbursable]
+            .forEach(input => input.addEventListener('change', handleHistoryFilterChange));
+
+        elements.btnToggleHistoryFilters.addEventListener('click', toggleHistoryFilterPanel);
+        elements.btnClearHistoryFilters.addEventListener('click', clearHistoryFilters);
+        elements.btnHistoryMore.addEventListener('click', () => {
+            historyPages++;
+            renderHistory();
+        });
+
+        updateHistoryFilterLabels();
+    }
+
+    /**
+     * Set filter bar labels for the current language
+     */
+    function updateHistoryFilterLabels() {
+        if (!elements.historyFilters) return;
+        const t = I18n.t;
+        elements.inputHistorySearch.placeholder = t('historySearchPlaceholder');
+        document.getElementById('history-filters-toggle-label').textContent = t('historyFilters');
+        document.getElementById('label-history-amount').textContent = t('historyFilterAmount');
+        elements.inputHistoryMinAmount.placeholder = t('historyFilterMin');
+        elements.inputHistoryMaxAmount.placeholder = t('historyFilterMax');
+        document.getElementById('label-history-dates').textContent = t('historyFilterDates');
+        document.getElementById('label-history-category').textContent = t('historyFilterCategory');
+        document.getElementById('label-history-creator').textContent = t('historyFilterCreator');
+        document.getElementById('label-history-attachment').textContent = t('historyFilterAttachment');
+        document.getElementById('label-history-reminder').textContent = t('historyFilterReminder');
+        document.getElementById('label-history-tag').textContent = t('historyFilterTag');
+        document.getElementById('label-history-reimbursable').textContent = t('historyFilterReimbursable');
+        document.getElementById('clear-history-filters-label').textContent = t('historyFilterClear');
+    }
+
+    /**
+     * Read the filter bar into a filter object
+     * @returns {Object} Filter for HistoryFilter.apply()
+     */
+    function readHistoryFilter() {
+        const amount = (input) => {
+            const value = parseFloat(input.value);
+            return isNaN(value) ? null : Math.abs(value);
+        };
+        return {
+            ...HistoryFilter.createFilter(),
+            query: elements.inputHistorySearch.value,
+            minAmount: amount(elements.inputHistoryMinAmount),
+            maxAmount: amount(elements.inputHistoryMaxAmount),
+            startDate: elements.inputHistoryStartDate.value,
+            endDate: elements.inputHistoryEndDate.value,
+            category: elements.selectHistoryCategory.value,
+            creator: elements.selectHistoryCreator.value,
+            tag: elements.selectHistoryTag.value,
+            hasAttachment: elements.checkHistoryAttachment.checked,
+            hasReminder: elements.checkHistoryReminder.checked,
+            pendingReimbursement: elements.checkHistoryReimbursable.checked
+        };
+    }
+
+    function handleHistoryFilterChange() {
+        historyFilter = readHistoryFilter();
+        historyPages = 1;
+        renderHistory();
+    }
+
+    function toggleHistoryFilterPanel() {
+        const open = elements.historyFilterPanel.style.display === 'none';
+        elements.historyFilterPanel.style.display = open ? 'grid' : 'none';
+        elements.btnToggleHistoryFilters.setAttribute('aria-expanded', String(open));
+    }
+
+    function clearHistoryFilters() {
+        [elements.inputHistorySearch, elements.inputHistoryMinAmount, elements.inputHistoryMaxAmount,
+            elements.inputHistoryStartDate, elements.inputHistoryEndDate,
+            elements.selectHistoryCategory, elements.selectHistoryCreator, elements.selectHistoryTag]
+            .forEach(input => { input.value = ''; });
+        elements.checkHistoryAttachment.checked = false;
+        elements.checkHistoryReminder.checked = false;
+        elements.checkHistoryReimbursable.checked = false;
+        handleHistoryFilterChange();
+    }
+
+    /**
+     * Fill the category and creator selects, keeping the current choice
+     * @param {Array} transactions - The account's transactions (for creators)
+     */
+    function renderHistoryFilterOptions(transactions) {
+        const t = I18n.t;
+        const categoryOptions = Array.isArray(data.categories)
+            ? Categories.getAll(data, { includeArchived: true }).map(c =>
+                `<option value="${escapeAttr(c.id)}">${escapeHtml(c.icon)} ${escapeHtml(Categories.getLabel(data, c.id))}</option>`)
+            : [];
+        elements.selectHistoryCategory.innerHTML =
+            `<option value="">${t('historyFilterAnyCategory')}</option>${categoryOptions.join('')}`;
+        elements.selectHistoryCategory.value = historyFilter.category;
+
+        const creatorOptions = HistoryFilter.getCreators(transactions).map(c =>
+            `<option value="${escapeAttr(c.email)}">${escapeHtml(c.name)}</option>`);
+        elements.selectHistoryCreator.innerHTML =
+            `<option value="">${t('historyFilterAnyone')}</option>${creatorOptions.join('')}`;
+        elements.selectHistoryCreator.value = historyFilter.creator;
+
+        // 2026-10-19: Tags used in this account, most used first
+        const tagOptions = Tags.getAll(transactions).map(entry =>
+            `<option value="${escapeAttr(entry.tag)}">#${escapeHtml(entry.tag)} (${entry.count})</option>`);
+        elements.selectHistoryTag.innerHTML =
+            `<option value="">${t('historyFilterAnyTag')}</option>${tagOptions.join('')}`;
+        elements.selectHistoryTag.value = historyFilter.tag;
+
+        // A choice that no longer exists (e.g. merged category) falls back to "any"
+        historyFilter.category = elements.selectHistoryCategory.value;
+        historyFilter.creator = elements.selectHistoryCreator.value;
+        historyFilter.tag = elements.selectHistoryTag.value;
+    }
+
+    /**
+     * Show the match count and the number of active filters
+     * 2026-10-19: With a tag filter, the matches' spent/received totals are added
+     * @param {Array} matches - Transactions matching the filter
+     * @param {number} total - Transactions in the account
+     * @param {string} currency - Account currency
+     */
+    function renderHistoryFilterSummary(matches, total, currency) {
+        const active = HistoryFilter.isActive(historyFilter);
+        const panelCount = ['minAmount', 'maxAmount', 'startDate', 'endDate', 'category', 'creator', 'tag',
+            'hasAttachment', 'hasReminder', 'pendingReimbursement']
+            .filter(key => historyFilter[key] !== null && historyFilter[key] !== '' && historyFilter[key] !== false).length;
+
+        let summary = active
+            ? I18n.t('historyFilterSummary', {
+                count: matches.length.toLocaleString(I18n.getLocale()),
+                total: total.toLocaleString(I18n.getLocale())
+            })
+            : '';
+        if (historyFilter.tag || historyFilter.pendingReimbursement) {
+            const totals = matches.filter(t => !Transfers.isTransfer(t)).reduce((sum, t) => {
+                if (t.amt < 0) sum.spent += Math.abs(t.amt);
+                else sum.received += t.amt;
+                return sum;
+            }, { spent: 0, received: 0 });
+            summary += ' · ' + I18n.t('historyTagTotals', {
+                spent: Accounts.formatCurrency(totals.spent, currency),
+                received: Accounts.formatCurrency(totals.received, currency)
+            });
+        }
+
+        elements.historyFiltersCount.textContent = panelCount > 0 ? panelCount : '';
+        elements.historyFilterSummary.textContent = summary;
+        elements.historyFilterSummary.style.display = active ? 'block' : 'none';
+    }
+
+    // --- Historical View (2026-10-19) ---
+
+    let historicalRange = '90d';
+    let historicalSelection = null;  // 'all:<CURRENCY>' or an account/linked tab ID
+
+    /**
+     * Wire up the Historical view controls and re-render when the view is opened
+     */
+    function setupHistoricalView() {
+        if (!elements.historicalView) return;
+
+        elements.historicalRangeBtns.querySelectorAll('.chart-range-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                elements.historicalRangeBtns.querySelectorAll('.chart-range-btn').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                historicalRange = btn.dataset.range;
+                renderHistoricalView();
+            });
+        });
+
+        elements.selectHistoricalAccount.addEventListener('change', () => {
+            historicalSelection = elements.selectHistoricalAccount.value;
+            renderHistoricalView();
+        });
+
+        // MenuBar dispatches this when switching between standard and historical
+        window.addEventListener('viewModeChange', (e) => {
+            if (e.detail.mode === 'historical') renderHistoricalView();
+        });
     }
 
-    async function deleteTransaction(id) {
-        const confirmed = await showConfirm(I18n.t('confirmDelete'));
-        if (confirmed) {
-            data.transactions = data.transactions.filter(t => t.id !== id);
-            render();
-            handleSave();
+    /**
+     * Format a signed amount for chart tooltips
+     * Accounts.formatCurrency drops the sign, which matters for balances below zero
+     */
+    function formatSignedCurrency(amount, currency) {
+        return `${amount < 0 ? '-' : ''}${Accounts.formatCurrency(amount, currency)}`;
+    }
+
+    /**
+     * Render the account selector for the Historical view
+     * Offers one "all accounts" entry per fiat currency (balances in different
+     * currencies are never summed) followed by every owned and linked account.
+     * @param {Array} accounts - Accounts from Historical.collect()
+     */
+    function renderHistoricalAccountOptions(accounts) {
+        const t = I18n.t;
+        const select = elements.selectHistoricalAccount;
+        const currencies = [...new Set(accounts.filter(a => a.type !== 'crypto').map(a => a.currency))];
+
+        const options = [
+            ...currencies.map(c => ({ value: `all:${c}`, label: t('historicalAllAccounts', { currency: c }) })),
+            ...accounts.map(a => ({ value: a.id, label: `${a.linked ? '🔗 ' : ''}${a.name} (${a.currency})` }))
+        ];
+
+        if (!options.some(o => o.value === historicalSelection)) {
+            const current = accounts.find(a => a.id === currentAccountId);
+            historicalSelection = current && current.type !== 'crypto'
+                ? `all:${current.currency}`
+                : options[0]?.value || null;
         }
+
+        select.innerHTML = options
+            .map(o => `<option value="${escapeAttr(o.value)}">${escapeHtml(o.label)}</option>`)
+            .join('');
+        if (historicalSelection) select.value = historicalSelection;
     }
 
     /**
-     * Cancel a recurring transaction
-     * 2025-12-15: Sets active to false instead of deleting
+     * Render balance lines, monthly income/expense bars and the category breakdown
+     * Works entirely from vault data (including linked cachedTransactions),
+     * so local vaults render offline.
      */
-    async function cancelRecurring(id) {
-        const confirmed = await showConfirm(I18n.t('confirmCancelRecurring'));
-        if (confirmed) {
-            const recurring = data.recurringTransactions?.find(r => r.id === id);
-            if (recurring) {
-                saveToHistory();  // 2025-12-17: Save state before modifying data
-                recurring.active = false;
-                render();
-                handleSave();  // 2025-12-17: handleSave now shows flash indicator
-            }
+    function renderHistoricalView() {
+        if (!elements.historicalView || elements.historicalView.style.display === 'none') return;
+
+        const t = I18n.t;
+        const { accounts, transactions } = Historical.collect(data);
+        renderHistoricalAccountOptions(accounts);
+
+        // Resolve which accounts are charted and in which currency
+        let selectedAccounts;
+        if (historicalSelection && historicalSelection.startsWith('all:')) {
+            const currency = historicalSelection.slice(4);
+            selectedAccounts = accounts.filter(a => a.type !== 'crypto' && a.currency === currency);
+        } else {
+            selectedAccounts = accounts.filter(a => a.id === historicalSelection);
+        }
+        const currency = selectedAccounts[0]?.currency || 'USD';
+        const accountIds = selectedAccounts.map(a => a.id);
+        const selectedTransactions = transactions.filter(tx => accountIds.includes(tx.accountId));
+
+        const now = new Date();
+        const start = Historical.getRangeStart(historicalRange, selectedTransactions, now);
+        const inRange = selectedTransactions.some(tx => {
+            const time = Accounts.getTransactionTime(tx);
+            return time >= start.getTime() && time <= now.getTime();
+        });
+
+        // Show the empty state only when there is nothing at all to chart
+        const hasData = selectedTransactions.length > 0;
+        elements.historicalContent.style.display = hasData ? 'block' : 'none';
+        elements.historicalEmpty.style.display = hasData ? 'none' : 'flex';
+        if (!hasData) return;
+
+        const formatValue = (value) => formatSignedCurrency(value, currency);
+
+        // Balance lines: total first, then each account when several are combined
+        const seriesList = [{
+            label: selectedAccounts.length > 1 ? t('historicalTotal') : selectedAccounts[0].name,
+            points: Historical.buildBalanceSeries(transactions, accountIds, start, now)
+        }];
+        if (selectedAccounts.length > 1) {
+            selectedAccounts.forEach(a => {
+                seriesList.push({
+                    label: a.name,
+                    points: Historical.buildBalanceSeries(transactions, [a.id], start, now)
+                });
+            });
+        }
+
+        Historical.drawLineChart(elements.historicalBalanceChart, seriesList, {
+            tooltip: elements.historicalBalanceTooltip,
+            xAxis: elements.historicalBalanceAxis,
+            formatValue
+        });
+
+        elements.historicalBalanceLegend.innerHTML = seriesList.map((s, i) => `
+            <span class="historical-legend-item">
+                <span class="historical-legend-swatch" style="background: ${Historical.SERIES_COLORS[i % Historical.SERIES_COLORS.length]}"></span>
+                ${escapeHtml(s.label)}
+            </span>
+        `).join('');
+
+        // Monthly income vs. expenses
+        Historical.drawBarChart(elements.historicalMonthlyChart,
+            Historical.buildMonthlyTotals(selectedTransactions, start, now), {
+            tooltip: elements.historicalMonthlyTooltip,
+            xAxis: elements.historicalMonthlyAxis,
+            formatValue,
+            incomeLabel: t('historicalIncome'),
+            expenseLabel: t('historicalExpense')
+        });
+
+        // Category breakdown (expenses only)
+        const categories = Historical.buildCategoryBreakdown(selectedTransactions, start, now);
+        const totalSpent = categories.reduce((sum, c) => sum + c.total, 0);
+
+        if (!inRange || categories.length === 0) {
+            elements.historicalCategoryList.innerHTML = `<li class="historical-category-empty">${t('historicalNoExpenses')}</li>`;
+            return;
         }
+
+        elements.historicalCategoryList.innerHTML = categories.map(c => {
+            const percent = totalSpent > 0 ? (c.total / totalSpent) * 100 : 0;
+            const categoryName = getCategoryLabel(c.category);
+            return `
+                <li class="historical-category-item">
+                    <span class="historical-category-icon">${getCategoryIcon(c.category)}</span>
+                    <span class="historical-category-name">${escapeHtml(categoryName)}</span>
+                    <span class="historical-category-bar"><span style="width: ${percent.toFixed(1)}%; background: ${Categories.getColor(data, c.category)}"></span></span>
+                    <span class="historical-category-amount">${Accounts.formatCurrency(c.total, currency)}</span>
+                    <span class="historical-category-percent">${percent.toFixed(0)}%</span>
+                </li>
+            `;
+        }).join('');
     }
 
     // --- Rendering ---
@@ -4544,6 +9739,15 @@
         elements.startupScreen.style.display = 'none';
         elements.workspace.style.display = 'block';
 
+        // 2026-10-19: Vaults from before configurable categories get the built-in definitions
+        const categoriesMigrated = Categories.migrate(data);
+
+        // 2026-10-19: Catch up on recurring expenses missed while the vault was closed
+        // Runs before the first await so the caller's render() includes the new entries
+        if (postDueRecurring() > 0 || categoriesMigrated) {
+            handleSave();
+        }
+
         // 2025-12-16: Get filename based on backend
         let filename;
         if (storageBackend === 'gdrive') {
@@ -4560,6 +9764,10 @@
         Widgets.init();
         Widgets.setupPopout();  // 2025-12-19: Add popout/maximize buttons
         Widgets.showAllPopouts();  // 2025-12-19: Restore hidden popouts from previous session
+        Widgets.registerWidget('budgets', { group: 'sidebar' });  // 2026-10-19: Budgets widget
+        Widgets.registerWidget('tags', { group: 'sidebar' });  // 2026-10-19: Tags widget
+        Widgets.registerWidget('net-worth', { group: 'sidebar' });  // 2026-10-19: Net worth widget
+        Widgets.registerWidget('balance-investment', { group: 'balance-row' });  // 2026-10-19: Investments widget
 
         // 2025-12-22: Prevent balance widget from expanding when no account is selected
         Widgets.onBeforeExpand('balance', () => {
@@ -4586,14 +9794,23 @@
     }
 
     function render() {
+        registerAccountCoins();  // 2026-10-19: Custom CoinGecko coins before anything asks for prices
         renderAccountTabs();
         renderBalance();
         renderHistory();
+        refreshCategoryIcons();  // 2026-10-19: Categories can change (manager, undo/redo)
+        if (getCurrentMode() === 'transfer') renderTransferOptions();  // 2026-10-19: Destination follows the selected account
+        updateTradeRow();  // 2026-10-19: Trade fields follow the selected account
+        updateSecurityRow();  // 2026-10-19
         renderBalanceOverview();  // 2025-12-15: Balance overview widget
         renderRecurringWidget();  // 2025-12-15: Recurring expenses widget
+        renderBudgetsWidget();  // 2026-10-19: Budgets widget
+        renderTagsWidget();  // 2026-10-19: Tags widget
+        renderNetWorthWidget();  // 2026-10-19: Net worth widget
         Calendar.renderCalendarWidget();  // 2025-12-15: Calendar widget
         renderActivityLog();  // 2025-12-17: Activity log widget
         renderStickyDecks();  // 2025-12-20: Sticky notes decks
+        renderHistoricalView();  // 2026-10-19: Historical charts (no-op while hidden)
     }
 
     function renderAccountTabs() {
@@ -4608,7 +9825,8 @@
             // 2025-12-16: Added crypto icons using getCryptoIcon
             const accountIcon = account.type === 'crypto' ? getCryptoIcon(account.currency) :
                 account.type === 'credit' ? '💳' :
-                    account.type === 'cash' ? '💵' : '🏦';
+                    account.type === 'cash' ? '💵' :
+                        account.type === 'investment' ? '📈' : '🏦';
 
             const tab = document.createElement('button');
             tab.className = `account-tab ${isActive ? 'active' : ''}`;
@@ -4647,7 +9865,8 @@
                 // 2025-12-20: Use correct account type icon instead of link icon
                 const linkedAccountIcon = linked.accountType === 'crypto' ? getCryptoIcon(linked.accountCurrency) :
                     linked.accountType === 'credit' ? '💳' :
-                        linked.accountType === 'cash' ? '💵' : '🏦';
+                        linked.accountType === 'cash' ? '💵' :
+                            linked.accountType === 'investment' ? '📈' : '🏦';
 
                 const tab = document.createElement('button');
                 tab.className = `account-tab linked ${isActive ? 'active' : ''}`;
@@ -4684,6 +9903,11 @@
     function renderBalance() {
         const balanceCard = document.querySelector('.balance-card');
 
+        // 2026-10-19: updateCryptoBalanceDisplay() sets these again for crypto accounts
+        elements.balanceDisplay.classList.remove('rate-stale');
+        elements.balanceDisplay.title = '';
+        if (elements.investmentAccountInfo) elements.investmentAccountInfo.style.display = 'none';  // 2026-10-19: Shown again for investment accounts
+
         // 2025-12-19: Check if viewing a linked account
         if (currentLinkedAccount && currentAccountId && currentAccountId.startsWith('linked_')) {
             // Show linked account balance - expand widget
@@ -4738,8 +9962,9 @@
             elements.creditAvailableValue.textContent = Accounts.formatCurrency(availableCredit, currentAccount.currency);
             elements.creditLimitLabel.textContent = t('creditLimit') + ':';
             elements.creditLimitValue.textContent = Accounts.formatCurrency(currentAccount.creditLimit, currentAccount.currency);
-            elements.creditDatesLabel.textContent = `${t('dueDay')}: ${currentAccount.paymentDueDay}`;
-            elements.creditDatesValue.textContent = `${t('closesDay')}: ${currentAccount.statementCloseDay}`;
+            // 2026-10-19: Cards imported from a statement without these dates have none yet
+            elements.creditDatesLabel.textContent = `${t('dueDay')}: ${currentAccount.paymentDueDay || '—'}`;
+            elements.creditDatesValue.textContent = `${t('closesDay')}: ${currentAccount.statementCloseDay || '—'}`;
 
             // 2025-12-15: Translate edit settings button
             elements.btnEditCredit.querySelector('[data-i18n="editCreditSettings"]').textContent = t('editCreditSettings');
@@ -4764,12 +9989,30 @@
                 elements.cryptoBalanceValue.textContent = `${balance.toFixed(8)} ${currentAccount.currency}`;
             }
 
-            // Hide credit card info and account settings for crypto
+            // Hide credit card info for crypto
+            // 2026-10-19: Account settings shown (name, cost method, cost currency)
             elements.creditCardInfo.style.display = 'none';
-            elements.accountSettingsInfo.style.display = 'none';
+            elements.accountSettingsInfo.style.display = 'block';
+            elements.btnEditAccountSettings.querySelector('[data-i18n="editCreditSettings"]').textContent = t('editCreditSettings');
 
             // Fetch and update USD price
             updateCryptoBalanceDisplay();
+        } else if (currentAccount.type === 'investment') {
+            // 2026-10-19: Investment account: portfolio value (cash + positions) as main, positions below
+            const valuation = valuateInvestment(currentAccount);
+            elements.balanceLabel.textContent = t('portfolioValue');
+            elements.balanceDisplay.textContent = `${valuation.total < 0 ? '-' : ''}${Accounts.formatCurrency(valuation.total, currentAccount.currency)}`;
+            elements.balanceDisplay.classList.toggle('negative', valuation.total < 0);
+            if (valuation.missing.length > 0) {
+                elements.balanceDisplay.classList.add('rate-stale');
+                elements.balanceDisplay.title = t('investmentMissingQuotes', { symbols: valuation.missing.join(', ') });
+            }
+            elements.creditCardInfo.style.display = 'none';
+            if (elements.cryptoAccountInfo) elements.cryptoAccountInfo.style.display = 'none';
+            renderInvestmentInfo(currentAccount, valuation);
+
+            elements.accountSettingsInfo.style.display = 'block';
+            elements.btnEditAccountSettings.querySelector('[data-i18n="editCreditSettings"]').textContent = t('editCreditSettings');
         } else {
             // Checking/cash account: Show balance
             elements.balanceLabel.textContent = t('balanceLabel');
@@ -4789,10 +10032,30 @@
         elements.btnEditBalance.querySelector('[data-i18n="adjustAmount"]').textContent = t('adjustAmount');
     }
 
+    /**
+     * Badge naming the other account of a transfer leg
+     * 2026-10-19: Linked vaults don't carry the other account's name, so the badge
+     * falls back to a generic label there
+     * @param {Object} t - Transfer leg
+     * @returns {string} Badge HTML
+     */
+    function renderTransferBadge(t) {
+        const counterpart = Transfers.getCounterpart(data.transactions, t);
+        const account = counterpart && data.accounts.find(a => a.id === counterpart.accountId);
+        const label = account
+            ? I18n.t(t.amt < 0 ? 'transferBadgeTo' : 'transferBadgeFrom', { account: account.name })
+            : I18n.t('transferBadge');
+        return `<span class="transfer-badge" title="${escapeAttr(label)}">⇄ ${escapeHtml(label)}</span>`;
+    }
+
     function renderHistory() {
         const list = elements.historyList;
         list.innerHTML = '';
 
+        // 2026-10-19: Filter bar and "Show more" only apply to an account with transactions
+        elements.historyFilters.style.display = 'none';
+        elements.btnHistoryMore.style.display = 'none';
+
         // 2025-12-22: Show different message when no account is selected
         if (!currentAccountId) {
             elements.emptyState.textContent = I18n.t('selectAccountToSeeHistory');
@@ -4800,6 +10063,12 @@
             return;
         }
 
+        // 2026-10-19: Switching accounts starts again from the first page
+        if (currentAccountId !== historyAccountId) {
+            historyAccountId = currentAccountId;
+            historyPages = 1;
+        }
+
         // 2025-12-19: Check if viewing a linked account - use cached transactions
         let accountTransactions;
         let currency = 'USD';
@@ -4844,9 +10113,38 @@
             currency = currentAccount?.currency || 'USD';
         }
 
-        const sorted = [...accountTransactions].sort((a, b) => b.id - a.id);
+        // 2026-10-19: Apply the filter bar, then only render the visible pages
+        elements.historyFilters.style.display = 'block';
+        renderHistoryFilterOptions(accountTransactions);
+        const matches = HistoryFilter.apply(data, accountTransactions, historyFilter);
+        renderHistoryFilterSummary(matches, accountTransactions.length, currency);
+
+        if (matches.length === 0) {
+            elements.emptyState.textContent = I18n.t('historyNoMatches');
+            elements.emptyState.style.display = 'block';
+            return;
+        }
+
+        // 2026-10-19: Sort by transaction date (backdated entries land in place), ties by id
+        const sorted = Accounts.sortByDateDesc(matches);
+        const page = HistoryFilter.paginate(sorted, historyPages);
 
-        sorted.forEach(t => {
+        if (page.hasMore) {
+            elements.btnHistoryMore.textContent = I18n.t('historyShowMore', {
+                shown: page.visible.length.toLocaleString(I18n.getLocale()),
+                total: page.total.toLocaleString(I18n.getLocale())
+            });
+            elements.btnHistoryMore.style.display = 'block';
+        }
+
+        // 2026-10-19: Owned transactions and editor-linked transactions can be edited
+        const isLinkedView = currentLinkedAccount && currentAccountId.startsWith('linked_');
+        const canEdit = !isLinkedView || currentLinkedAccount.permission === 'editor';
+
+        // 2026-10-19: Rows are built off-document and inserted once
+        const fragment = document.createDocumentFragment();
+
+        page.visible.forEach(t => {
             const isIncome = t.amt >= 0;
             const li = document.createElement('li');
             li.className = 'history-item';
@@ -4865,8 +10163,11 @@
                 <div class="item-details">
                     <span class="item-desc">${escapeHtml(displayDesc)}</span>
                     ${t.attachments && t.attachments.length > 0 ? `<span class="attachment-badge" data-transaction-id="${t.id}" title="${t.attachments.length} ${I18n.t('attachments')}"><span class="badge-icon">📎</span>${t.attachments.length}</span>` : ''}
+                    ${Transfers.isTransfer(t) ? renderTransferBadge(t) : ''}
+                    ${Splits.isSplit(t) ? renderSplitBadge(t, currency) : ''}
+                    ${renderTagChips(t, !isLinkedView)}
                     ${t.calendarEventId ? `<span class="calendar-event-badge" data-transaction-id="${t.id}" title="${I18n.t('hasCalendarReminder') || 'Has calendar reminder'}">🔔</span>` : ''}
-                    <span class="item-date">${formatDate(t.date)}</span>
+                    <span class="item-date">${formatDate(t.date)}${t.editedAt ? ` · <span class="item-edited" title="${escapeAttr(t.editedBy?.name || '')} ${formatDate(t.editedAt)}">${I18n.t('transactionEdited')}</span>` : ''}</span>
                 </div>
                 <div class="item-actions">
                     <span class="item-amount ${isIncome ? 'income' : 'expense'}">
@@ -4875,6 +10176,9 @@
                     <button class="btn-icon-only calendar" title="${I18n.t('btnCalendarTitle')}" data-id="${t.id}">
                         📅
                     </button>
+                    ${canEdit ? `<button class="btn-icon-only edit" title="${I18n.t('btnEditTitle')}" data-id="${t.id}">
+                        ✏️
+                    </button>` : ''}
                     <button class="btn-icon-only delete" title="${I18n.t('btnDeleteTitle')}" data-id="${t.id}">
                         ✕
                     </button>
@@ -4921,6 +10225,23 @@
                 deleteTransaction(t.id);
             });
 
+            // 2026-10-19: Edit button opens the transaction edit modal
+            const editBtn = li.querySelector('.edit');
+            if (editBtn) {
+                editBtn.addEventListener('click', () => {
+                    openTransactionEditModal(t.id);
+                });
+            }
+
+            // 2026-10-19: Tag chips filter the history; the briefcase settles a reimbursement
+            li.querySelectorAll('.tag-chip').forEach(chip => {
+                chip.addEventListener('click', () => filterHistoryByTag(chip.dataset.tag));
+            });
+            const reimburseBtn = li.querySelector('.reimburse-toggle');
+            if (reimburseBtn) {
+                reimburseBtn.addEventListener('click', () => toggleReimbursed(t.id));
+            }
+
             // 2025-12-22: Attachment badge click handler
             const attachBadge = li.querySelector('.attachment-badge');
             if (attachBadge && t.attachments && t.attachments.length > 0) {
@@ -4929,8 +10250,55 @@
                 });
             }
 
-            list.appendChild(li);
+            fragment.appendChild(li);
         });
+
+        list.appendChild(fragment);
+    }
+
+    /**
+     * Statement lines for a credit card in the balance widget
+     * 2026-10-19: Cycle charges, last statement, amount due with due date and status flag
+     * @param {Object} account - Credit card account
+     * @param {Object} statement - Result of Statements.getStatement()
+     * @returns {string} HTML
+     */
+    function renderCreditStatement(account, statement) {
+        if (!statement) return '';
+        const t = I18n.t;
+        const format = (amount) => Accounts.formatCurrency(amount, account.currency);
+        const dueLabel = statement.dueDate.toLocaleDateString(I18n.getLocale(), { month: 'short', day: 'numeric' });
+
+        const flags = {
+            overdue: `<span class="widget-cc-flag overdue">${t('ccOverdue')}</span>`,
+            upcoming: `<span class="widget-cc-flag upcoming">${t('ccDueSoon')}</span>`,
+            paid: `<span class="widget-cc-flag paid">${t('ccPaid')}</span>`
+        };
+
+        let dueLine = '';
+        if (statement.amountDue > 0 || statement.pastDue > 0) {
+            const canRemind = statement.status === 'overdue' || statement.status === 'upcoming';
+            dueLine = `
+                <div class="widget-cc-due">
+                    ${flags[statement.status] || ''}
+                    <span>${t('ccDue', { date: dueLabel })}: <strong>${format(statement.amountDue)}</strong>
+                        (${t('ccMinimum', { amount: format(statement.minimumDue) })})</span>
+                    <span class="widget-cc-actions">
+                        ${canRemind ? `<button class="btn-icon-only widget-cc-remind" title="${t('ccRemind')}">🔔</button>` : ''}
+                        <button class="btn btn-secondary btn-sm widget-cc-pay">${t('ccPay')}</button>
+                    </span>
+                </div>`;
+        } else if (statement.status === 'paid') {
+            dueLine = `<div class="widget-cc-due">${flags.paid}</div>`;
+        }
+
+        return `
+            <div class="widget-cc-statement">
+                ${t('ccCycleCharges')}: <span class="widget-cc-available-amt">${format(statement.cycleCharges)}</span>
+                · ${t('ccStatementBalance')}: <span class="widget-cc-available-amt">${format(statement.statementBalance)}</span>
+            </div>
+            ${dueLine}
+        `;
     }
 
     /**
@@ -4949,7 +10317,8 @@
         }
 
         // Separate accounts by type (2025-12-16: added crypto exclusion from bank)
-        const bankAccounts = data.accounts.filter(a => a.type !== 'credit' && a.type !== 'crypto');
+        // 2026-10-19: Investment accounts have their own widget
+        const bankAccounts = data.accounts.filter(a => a.type !== 'credit' && a.type !== 'crypto' && a.type !== 'investment');
         const creditAccounts = data.accounts.filter(a => a.type === 'credit');
 
         // Helper: Create bank/cash account item
@@ -4972,10 +10341,12 @@
 
         // Helper: Create credit card item
         // 2025-12-20: Match bank widget layout - balance next to name, available credit below
+        // 2026-10-19: Added statement cycle, amount due, due status and pay/remind actions
         function createCreditItem(account) {
             const balance = Accounts.calculateBalance(data.transactions, account.id);
             const availableCredit = Accounts.calculateAvailableCredit(account, data.transactions);
             const isActive = account.id === currentAccountId;
+            const statement = Statements.getStatement(account, data.transactions);
 
             const item = document.createElement('div');
             item.className = `widget-account-item widget-cc-item${isActive ? ' active' : ''}`;
@@ -4987,8 +10358,24 @@
                     </span>
                 </div>
                 <div class="widget-cc-available">${t('availableCredit')}: <span class="widget-cc-available-amt">${Accounts.formatCurrency(availableCredit, account.currency)}</span></div>
+                ${renderCreditStatement(account, statement)}
             `;
             item.addEventListener('click', () => selectAccount(account.id));
+
+            const payBtn = item.querySelector('.widget-cc-pay');
+            if (payBtn) {
+                payBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    openCcPaymentModal(account.id);
+                });
+            }
+            const remindBtn = item.querySelector('.widget-cc-remind');
+            if (remindBtn) {
+                remindBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    addStatementReminder(account, statement);
+                });
+            }
             return item;
         }
 
@@ -5012,7 +10399,8 @@
                         // Get correct icon based on account type
                         const linkedIcon = linked.accountType === 'crypto' ? getCryptoIcon(linked.accountCurrency) :
                             linked.accountType === 'credit' ? '💳' :
-                                linked.accountType === 'cash' ? '💵' : '🏦';
+                                linked.accountType === 'cash' ? '💵' :
+                                    linked.accountType === 'investment' ? '📈' : '🏦';
 
                         const item = document.createElement('div');
                         item.className = `widget-account-item linked${isActive ? ' active' : ''}`;
@@ -5063,6 +10451,54 @@
             fetchCryptoPrices();
         }
 
+        // 2026-10-19: Render Investment accounts
+        const investmentAccounts = data.accounts.filter(a => a.type === 'investment');
+
+        if (elements.investmentWidgetCard) {
+            elements.investmentWidgetCard.style.display = investmentAccounts.length > 0 ? 'block' : 'none';
+        }
+
+        if (elements.investmentWidgetTitle) {
+            elements.investmentWidgetTitle.textContent = '📈 ' + t('accountsInvestment');
+        }
+
+        if (elements.investmentAccountsList && investmentAccounts.length > 0) {
+            elements.investmentAccountsList.innerHTML = '';
+            investmentAccounts.forEach(account => {
+                elements.investmentAccountsList.appendChild(createInvestmentItem(account));
+            });
+
+            // Held symbols the stocks widget hasn't loaded yet
+            ensureInvestmentQuotes();
+        }
+
+        // Helper: Create investment account item
+        // 2026-10-19: Portfolio value with today's change below
+        function createInvestmentItem(account) {
+            const valuation = valuateInvestment(account);
+            const isActive = account.id === currentAccountId;
+            const previousValue = valuation.marketValue - valuation.dayChange;
+            const warn = valuation.missing.length > 0;
+            const title = warn ? ` title="${escapeAttr(t('investmentMissingQuotes', { symbols: valuation.missing.join(', ') }))}"` : '';
+
+            const item = document.createElement('div');
+            item.className = `widget-account-item${isActive ? ' active' : ''}`;
+            item.innerHTML = `
+                <span class="widget-account-name">📈 ${escapeHtml(account.name)}</span>
+                <div class="widget-crypto-details">
+                    <div class="widget-crypto-usd${warn ? ' rate-stale' : ''}"${title}>
+                        ${warn ? '⚠️ ' : ''}${valuation.total < 0 ? '-' : ''}${Accounts.formatCurrency(valuation.total, account.currency)} <span class="widget-currency">${account.currency}</span>
+                    </div>
+                    ${valuation.positions.length > 0 ? `
+                    <div class="widget-crypto-pnl ${valuation.dayChange < 0 ? 'negative' : 'positive'}">
+                        ${t('investmentDayChange', { change: formatChange(valuation.dayChange, previousValue, account.currency) })}
+                    </div>` : ''}
+                </div>
+            `;
+            item.addEventListener('click', () => selectAccount(account.id));
+            return item;
+        }
+
         // Helper: Create crypto account item
         // 2025-12-16: USD value shown prominently, crypto balance below
         function createCryptoItem(account) {
@@ -5078,7 +10514,8 @@
                 <span class="widget-account-name">${cryptoIcon} ${escapeHtml(account.name)}</span>
                 <div class="widget-crypto-details">
                     <div class="widget-crypto-usd" data-crypto-id="${account.id}">Loading...</div>
-                    <div class="widget-crypto-balance">${balance.toFixed(8)} <span class="widget-currency">${account.currency}</span></div>
+                    <div class="widget-crypto-balance">${balance.toFixed(8)} <span class="widget-currency">${escapeHtml(account.currency)}</span></div>
+                    <div class="widget-crypto-pnl" data-crypto-pnl-id="${account.id}"></div>
                 </div>
             `;
             item.addEventListener('click', () => selectAccount(account.id));
@@ -5129,12 +10566,21 @@
                     const monthlyAmount = Math.abs(r.amt) / (r.frequencyMonths || 1);
                     totalMonthly += monthlyAmount;
 
+                    // 2026-10-19: Next due date and current period status
+                    Recurrence.ensureSchedule(r);
+                    const isPosted = Recurrence.isCurrentPeriodPosted(r);
+                    const statusText = isPosted ? t('recurringPosted') : t('recurringDue');
+
                     const item = document.createElement('div');
                     item.className = 'recurring-item';
                     item.innerHTML = `
                         <div class="recurring-item-info">
                             <span class="recurring-item-desc">${categoryIcon} ${escapeHtml(r.desc)}</span>
                             <span class="recurring-item-freq">${t('recurringEvery')} ${r.frequencyMonths} ${t('recurringMonths')}</span>
+                            <span class="recurring-item-next">
+                                ${t('recurringNextDue')} ${formatDate(r.nextDueDate)}
+                                <span class="recurring-status ${isPosted ? 'posted' : 'due'}">${statusText}</span>
+                            </span>
                         </div>
                         <span class="recurring-item-amount">${Accounts.formatCurrency(r.amt, currency)}</span>
                         <button class="btn-cancel-recurring" data-id="${r.id}" title="${t('btnCancelRecurring')}">✕</button>
@@ -5159,19 +10605,10 @@
     /**
      * Get category icon for display
      * 2025-12-15: Maps category codes to emoji icons
+     * 2026-10-19: Icons come from the vault's category definitions
      */
     function getCategoryIcon(category) {
-        const icons = {
-            general: '💸',
-            food: '🍔',
-            utilities: '💡',
-            transport: '🚗',
-            housing: '🏠',
-            health: '🏥',
-            fun: '🎮',
-            work: '💼'
-        };
-        return icons[category] || icons.general;
+        return Categories.getIcon(data, category);
     }
 
     /**
@@ -5187,75 +10624,119 @@
         return icons[currency] || '🪙';
     }
 
+    /**
+     * Register the CoinGecko ids of the vault's crypto accounts
+     * 2026-10-19: Accounts can hold any CoinGecko coin, not just the built-in ones
+     */
+    function registerAccountCoins() {
+        data.accounts.forEach(account => {
+            if (account.type === 'crypto' && account.coinId) {
+                Rates.registerCoin(account.currency, account.coinId);
+            }
+        });
+        renderCryptoCoinOptions();
+    }
+
+    /**
+     * Fill the crypto widget's coin picker with every known coin
+     * 2026-10-19: Replaces the hardcoded BTC/ETH/SOL/XRP/ADA options
+     */
+    function renderCryptoCoinOptions() {
+        const select = elements.cryptoFromCurrency;
+        if (!select) return;
+
+        const previous = select.value || 'BTC';
+        const codes = Rates.getCoinCodes();
+        select.innerHTML = codes.map(code =>
+            `<option value="${escapeAttr(code)}">${escapeHtml(code)}</option>`
+        ).join('');
+        select.value = codes.includes(previous) ? previous : codes[0];
+    }
+
     // 2025-12-16: Cache for crypto prices to avoid rate limiting
-    let cryptoPriceCache = {
-        prices: null,
-        timestamp: 0,
-        TTL: 60000  // 60 seconds cache
-    };
+    // 2026-10-19: Replaced by the persistent store in rates.js (see getCryptoQuotes())
 
     /**
      * Fetch crypto prices from CoinGecko API and update widget
      * 2025-12-16: Gets USD prices for BTC, ETH, SOL (with caching)
+     * 2026-10-19: Prices come from the Rates store; the last known price is shown
+     * (flagged) when offline, and a manual rate overrides the market price
      */
     async function fetchCryptoPrices() {
-        const coinIds = {
-            BTC: 'bitcoin',
-            ETH: 'ethereum',
-            SOL: 'solana'
-        };
-
-        try {
-            // Check cache first
-            const now = Date.now();
-            let cryptoPrices;
+        // Update all crypto account USD values
+        const cryptoAccounts = data.accounts.filter(a => a.type === 'crypto');
+        if (cryptoAccounts.length === 0) return;
+        const quotes = await getCryptoQuotes(cryptoAccounts.map(a => a.currency), 'USD');
 
-            if (cryptoPriceCache.prices && (now - cryptoPriceCache.timestamp) < cryptoPriceCache.TTL) {
-                // Use cached prices
-                cryptoPrices = cryptoPriceCache.prices;
-            } else {
-                // Fetch fresh prices
-                const response = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=bitcoin,ethereum,solana&vs_currencies=usd');
-                const prices = await response.json();
-
-                // Map to our currency codes
-                cryptoPrices = {
-                    BTC: prices.bitcoin?.usd || 0,
-                    ETH: prices.ethereum?.usd || 0,
-                    SOL: prices.solana?.usd || 0
-                };
+        cryptoAccounts.forEach(account => {
+            const usdEl = document.querySelector(`[data-crypto-id="${account.id}"]`);
+            if (!usdEl) return;
 
-                // Update cache
-                cryptoPriceCache.prices = cryptoPrices;
-                cryptoPriceCache.timestamp = now;
+            const quote = quotes[account.currency];
+            if (!quote) {
+                usdEl.textContent = I18n.t('ratePriceUnavailable');
+                return;
             }
 
-            // Update all crypto account USD values
-            const cryptoAccounts = data.accounts.filter(a => a.type === 'crypto');
-            cryptoAccounts.forEach(account => {
-                const balance = Accounts.calculateBalance(data.transactions, account.id);
-                const price = cryptoPrices[account.currency] || 0;
-                const usdValue = balance * price;
+            const balance = Accounts.calculateBalance(data.transactions, account.id);
+            const usdValue = balance * quote.rate;
+            const warn = isRateOutdated(quote);
+            usdEl.textContent = `${warn ? '⚠️ ' : ''}$${usdValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+            usdEl.title = getRateStatusText(quote);
+            usdEl.classList.toggle('rate-stale', warn);
+        });
+
+        updateCryptoUnrealized(cryptoAccounts);  // 2026-10-19
+    }
+
+    /**
+     * Show each crypto account's unrealized gain in the widget
+     * 2026-10-19: Cost basis from Lots, valued in the account's cost currency.
+     * Accounts with no priced buys show nothing; an asterisk marks coins of unknown cost.
+     * @param {Array} cryptoAccounts - Crypto accounts
+     */
+    async function updateCryptoUnrealized(cryptoAccounts) {
+        const t = I18n.t;
+        const byCurrency = {};
+        cryptoAccounts.forEach(account => {
+            const currency = getCostCurrency(account);
+            (byCurrency[currency] = byCurrency[currency] || []).push(account);
+        });
 
-                const usdEl = document.querySelector(`[data-crypto-id="${account.id}"]`);
-                if (usdEl) {
-                    usdEl.textContent = `$${usdValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        for (const [currency, accounts] of Object.entries(byCurrency)) {
+            const quotes = await getCryptoQuotes(accounts.map(a => a.currency), currency);
+
+            accounts.forEach(account => {
+                const el = document.querySelector(`[data-crypto-pnl-id="${account.id}"]`);
+                if (!el) return;
+
+                const result = Lots.compute(data.transactions, account, data.accounts);
+                const quote = quotes[account.currency];
+                if (!quote || result.quantity <= 0 || result.costBasis <= 0) {
+                    el.textContent = '';
+                    return;
                 }
+
+                const pnl = Lots.getUnrealized(result, quote.rate);
+                const sign = pnl.gain >= 0 ? '+' : '-';
+                const percent = pnl.percent !== null ? ` (${sign}${Math.abs(pnl.percent).toFixed(1)}%)` : '';
+                el.textContent = t('cryptoUnrealized', {
+                    gain: `${sign}${Accounts.formatCurrency(pnl.gain, currency)}${percent}`
+                }) + (result.unknownCost ? '*' : '');
+                el.title = [
+                    t('cryptoCostBasis', { cost: Accounts.formatCurrency(pnl.cost, currency) }),
+                    result.unknownCost ? t('cryptoUnknownCost') : ''
+                ].filter(Boolean).join('\n');
+                el.classList.toggle('positive', pnl.gain >= 0);
+                el.classList.toggle('negative', pnl.gain < 0);
             });
-        } catch (error) {
-            console.error('Failed to fetch crypto prices:', error);
-            // Show error state only if we don't have cached prices
-            if (!cryptoPriceCache.prices) {
-                document.querySelectorAll('.widget-crypto-usd').forEach(el => {
-                    el.textContent = 'Price unavailable';
-                });
-            }
         }
     }
 
     /**
      * Update the main balance card display for crypto accounts
      * 2025-12-16: Fetches USD price and displays in balance card (with caching)
+     * 2026-10-19: Uses the Rates store and overrides; the card's tooltip says how old the price is
      */
     async function updateCryptoBalanceDisplay() {
         const balanceEl = elements.balanceDisplay;
@@ -5264,49 +10745,25 @@
         const currency = balanceEl.dataset.cryptoCurrency;
         const balance = parseFloat(balanceEl.dataset.cryptoBalance) || 0;
 
-        try {
-            // Check cache first
-            const now = Date.now();
-            let price = 0;
-
-            if (cryptoPriceCache.prices && (now - cryptoPriceCache.timestamp) < cryptoPriceCache.TTL) {
-                // Use cached price
-                price = cryptoPriceCache.prices[currency] || 0;
-            } else {
-                // Fetch fresh prices
-                const response = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=bitcoin,ethereum,solana&vs_currencies=usd');
-                const prices = await response.json();
-
-                // Update cache
-                cryptoPriceCache.prices = {
-                    BTC: prices.bitcoin?.usd || 0,
-                    ETH: prices.ethereum?.usd || 0,
-                    SOL: prices.solana?.usd || 0
-                };
-                cryptoPriceCache.timestamp = now;
-
-                price = cryptoPriceCache.prices[currency] || 0;
-            }
-
-            const usdValue = balance * price;
-            balanceEl.textContent = `$${usdValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
-            balanceEl.classList.toggle('positive', usdValue >= 0);
-        } catch (error) {
-            console.error('Failed to fetch crypto price for balance:', error);
-            // Use cached price if available
-            if (cryptoPriceCache.prices && cryptoPriceCache.prices[currency]) {
-                const usdValue = balance * cryptoPriceCache.prices[currency];
-                balanceEl.textContent = `$${usdValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
-            } else {
-                balanceEl.textContent = 'Price unavailable';
-            }
+        const quote = (await getCryptoQuotes([currency], 'USD'))[currency];
+        if (!quote) {
+            balanceEl.textContent = I18n.t('ratePriceUnavailable');
+            return;
         }
+
+        const usdValue = balance * quote.rate;
+        const warn = isRateOutdated(quote);
+        balanceEl.textContent = `${warn ? '⚠️ ' : ''}$${usdValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        balanceEl.classList.toggle('positive', usdValue >= 0);
+        balanceEl.classList.toggle('rate-stale', warn);
+        balanceEl.title = getRateStatusText(quote);
     }
 
     /**
      * Fetch live exchange rates from ExchangeRate-API
      * 2025-12-16: Updates the exchange rate widget in sidebar
      * 2025-12-19: Updated to use dynamic currency selection from dropdowns
+     * 2026-10-19: Rate comes from getExchangeQuote() (stored rates, manual overrides)
      */
     async function fetchExchangeRates() {
         // Get selected currencies from dropdowns
@@ -5325,43 +10782,37 @@
         }
 
         try {
-            const response = await fetch(`https://open.er-api.com/v6/latest/${fromCurrency}`);
-            const data = await response.json();
+            const quote = await getExchangeQuote(fromCurrency, toCurrency);
 
-            if (data && data.rates && data.rates[toCurrency]) {
-                const baseRate = data.rates[toCurrency];
-                const inverseBaseRate = 1 / baseRate;
+            const baseRate = quote.rate;
+            const inverseBaseRate = 1 / baseRate;
 
-                // Calculate with user amounts
-                const primaryResult = amountFrom * baseRate;
-                const inverseResult = amountTo * inverseBaseRate;
+            // Calculate with user amounts
+            const primaryResult = amountFrom * baseRate;
+            const inverseResult = amountTo * inverseBaseRate;
 
-                // Update rate displays with comma formatting
-                if (elements.ratePrimary) {
-                    const formatted = primaryResult >= 1
-                        ? primaryResult.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
-                        : primaryResult.toFixed(4);
-                    elements.ratePrimary.textContent = formatted;
-                }
-                if (elements.rateInverse) {
-                    const formatted = inverseResult >= 1
-                        ? inverseResult.toLocaleString('en-US', { minimumFractionDigits: 4, maximumFractionDigits: 4 })
-                        : inverseResult.toFixed(6);
-                    elements.rateInverse.textContent = formatted;
-                }
+            // Update rate displays with comma formatting
+            if (elements.ratePrimary) {
+                const formatted = primaryResult >= 1
+                    ? primaryResult.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+                    : primaryResult.toFixed(4);
+                elements.ratePrimary.textContent = formatted;
+            }
+            if (elements.rateInverse) {
+                const formatted = inverseResult >= 1
+                    ? inverseResult.toLocaleString('en-US', { minimumFractionDigits: 4, maximumFractionDigits: 4 })
+                    : inverseResult.toFixed(6);
+                elements.rateInverse.textContent = formatted;
+            }
 
-                // Update labels for stacked layout
-                if (elements.primaryToLabel) elements.primaryToLabel.textContent = toCurrency;
-                if (elements.inverseToLabel) elements.inverseToLabel.textContent = fromCurrency;
+            // Update labels for stacked layout
+            if (elements.primaryToLabel) elements.primaryToLabel.textContent = toCurrency;
+            if (elements.inverseToLabel) elements.inverseToLabel.textContent = fromCurrency;
 
-                if (elements.exchangeUpdated) {
-                    const now = new Date();
-                    elements.exchangeUpdated.textContent = `${I18n.t('exchangeUpdated')} ${now.toLocaleTimeString()}`;
-                }
+            showRateStatus(elements.exchangeUpdated, quote);
 
-                // Store selected currencies for chart
-                currentExchangePair = { from: fromCurrency, to: toCurrency };
-            }
+            // Store selected currencies for chart
+            currentExchangePair = { from: fromCurrency, to: toCurrency };
 
             // Fetch history for sparkline
             fetchExchangeHistory();
@@ -5381,17 +10832,12 @@
     let currentCryptoPair = { crypto: 'BTC', fiat: 'USD' };
 
     // Crypto ID mapping for CoinGecko API
-    const cryptoIdMap = {
-        BTC: 'bitcoin',
-        ETH: 'ethereum',
-        SOL: 'solana',
-        XRP: 'ripple',
-        ADA: 'cardano'
-    };
+    // 2026-10-19: Replaced by Rates.getCoinId(), which also knows coins registered by crypto accounts
 
     /**
      * Fetch crypto rates from CoinGecko API
      * 2025-12-19: Displays crypto-to-fiat and fiat-to-crypto conversions
+     * 2026-10-19: Price comes from getCryptoQuotes() (stored prices, manual overrides)
      */
     async function fetchCryptoRates() {
         const cryptoCurrency = elements.cryptoFromCurrency?.value || 'BTC';
@@ -5401,42 +10847,37 @@
         const amountCrypto = parseFloat((elements.cryptoAmountFrom?.value || '1').replace(/,/g, '')) || 1;
         const amountFiat = parseFloat((elements.cryptoAmountTo?.value || '1').replace(/,/g, '')) || 1;
 
-        const coinId = cryptoIdMap[cryptoCurrency];
+        const coinId = Rates.getCoinId(cryptoCurrency);
         if (!coinId) return;
 
         try {
-            const response = await fetch(`https://api.coingecko.com/api/v3/simple/price?ids=${coinId}&vs_currencies=${fiatCurrency.toLowerCase()}`);
-            const data = await response.json();
+            const quote = (await getCryptoQuotes([cryptoCurrency], fiatCurrency))[cryptoCurrency];
+            if (!quote) throw new Error(`No price for ${cryptoCurrency}/${fiatCurrency}`);
 
-            if (data && data[coinId]) {
-                const cryptoToFiat = data[coinId][fiatCurrency.toLowerCase()];
-                const fiatToCrypto = 1 / cryptoToFiat;
+            const cryptoToFiat = quote.rate;
+            const fiatToCrypto = 1 / cryptoToFiat;
 
-                // Calculate with user amounts
-                const primaryResult = amountCrypto * cryptoToFiat;
-                const inverseResult = amountFiat * fiatToCrypto;
+            // Calculate with user amounts
+            const primaryResult = amountCrypto * cryptoToFiat;
+            const inverseResult = amountFiat * fiatToCrypto;
 
-                // Update displays with comma formatting
-                if (elements.cryptoRatePrimary) {
-                    elements.cryptoRatePrimary.textContent = primaryResult.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
-                }
-                if (elements.cryptoRateInverse) {
-                    // Show full decimal for small crypto amounts (e.g., 0.00001139 instead of 1.139e-5)
-                    elements.cryptoRateInverse.textContent = inverseResult.toFixed(8);
-                }
+            // Update displays with comma formatting
+            if (elements.cryptoRatePrimary) {
+                elements.cryptoRatePrimary.textContent = primaryResult.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+            }
+            if (elements.cryptoRateInverse) {
+                // Show full decimal for small crypto amounts (e.g., 0.00001139 instead of 1.139e-5)
+                elements.cryptoRateInverse.textContent = inverseResult.toFixed(8);
+            }
 
-                // Update labels
-                if (elements.cryptoPrimaryToLabel) elements.cryptoPrimaryToLabel.textContent = fiatCurrency;
-                if (elements.cryptoInverseToLabel) elements.cryptoInverseToLabel.textContent = cryptoCurrency;
+            // Update labels
+            if (elements.cryptoPrimaryToLabel) elements.cryptoPrimaryToLabel.textContent = fiatCurrency;
+            if (elements.cryptoInverseToLabel) elements.cryptoInverseToLabel.textContent = cryptoCurrency;
 
-                if (elements.cryptoUpdated) {
-                    const now = new Date();
-                    elements.cryptoUpdated.textContent = `${I18n.t('exchangeUpdated')} ${now.toLocaleTimeString()}`;
-                }
+            showRateStatus(elements.cryptoUpdated, quote);
 
-                // Store for chart
-                currentCryptoPair = { crypto: cryptoCurrency, fiat: fiatCurrency };
-            }
+            // Store for chart
+            currentCryptoPair = { crypto: cryptoCurrency, fiat: fiatCurrency };
 
             // Fetch history for sparkline
             fetchCryptoHistory();
@@ -5456,7 +10897,7 @@
     async function fetchCryptoHistory(days = 7) {
         const cryptoCurrency = currentCryptoPair.crypto || 'BTC';
         const fiatCurrency = currentCryptoPair.fiat || 'USD';
-        const coinId = cryptoIdMap[cryptoCurrency];
+        const coinId = Rates.getCoinId(cryptoCurrency);
 
         if (!coinId) return;
 
@@ -5622,7 +11063,8 @@
                     .map(date => ({
                         date: date,
                         rate: data.rates[date][toCurrency]
-                    }));
+                    }))
+                    .filter(point => typeof point.rate === 'number');  // 2026-10-19: Pairs the history source doesn't cover
 
                 // Draw sparkline with dates for hover and X-axis
                 drawSparkline(rateData, days);
@@ -5841,7 +11283,8 @@
                 // 2025-12-20: Get account icon based on type for better visual identification
                 const accountIcon = account.type === 'crypto' ? getCryptoIcon(account.currency) :
                     account.type === 'credit' ? '💳' :
-                        account.type === 'cash' ? '💵' : '🏦';
+                        account.type === 'cash' ? '💵' :
+                            account.type === 'investment' ? '📈' : '🏦';
 
                 return `
                 <div class="share-account-row" data-account-id="${account.id}">
@@ -5942,7 +11385,8 @@
         }
 
         closeShareVaultModal();
-        showToast(I18n.t('toastAccountsShared'), true);
+        // 2026-10-19: Collaborators of an encrypted vault need its password too
+        showToast(I18n.t(isVaultEncrypted ? 'toastSharedEncrypted' : 'toastAccountsShared'), true);
     }
 
     /**
@@ -6133,12 +11577,53 @@
         return new Date(isoString).toLocaleDateString();
     }
 
+    /**
+     * Convert an ISO date string to a datetime-local input value (local time)
+     * 2026-10-19: Used by the transaction edit modal
+     * @param {string} isoString - ISO date string
+     * @returns {string} Value in YYYY-MM-DDTHH:MM format
+     */
+    function toDateTimeLocalValue(isoString) {
+        const date = isoString ? new Date(isoString) : new Date();
+        if (isNaN(date.getTime())) return '';
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * Convert a datetime-local input value back to an ISO string
+     * 2026-10-19: Used by the transaction edit modal
+     * @param {string} value - Value in YYYY-MM-DDTHH:MM format (local time)
+     * @returns {string|null} ISO date string, or null if invalid
+     */
+    function fromDateTimeLocalValue(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
     function escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
         return div.innerHTML;
     }
 
+    /**
+     * Escape text for a quoted HTML attribute value
+     * 2026-10-19: escapeHtml() leaves quotes alone (textContent -> innerHTML), so a
+     * note or name with a quote could end the attribute and add new ones
+     * @param {*} text - Value to escape
+     * @returns {string} Escaped text
+     */
+    function escapeAttr(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     function showToast(message, success = true) {
         const toast = elements.toast;
         toast.textContent = message;
@@ -6215,13 +11700,69 @@
         }
     }
 
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    /**
+     * Fetch one stock quote into stocksData, retrying on failure
+     * 2026-10-19: Lifted out of fetchStockPrices() so investment accounts use the same source
+     * @param {string} symbol - Ticker
+     * @param {number} retries - Extra attempts after the first
+     */
+    async function loadStockQuote(symbol, retries = 2) {
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            try {
+                if (attempt > 0) console.log(`[Stocks] Retry ${attempt} for ${symbol}...`);
+                else console.log(`[Stocks] Fetching ${symbol}...`);
+
+                const quote = await Rates.getStockQuote(symbol);
+                // A stored quote came back because the provider failed: retry before settling for it
+                if (quote.offline && attempt < retries) throw new Error('Provider unavailable');
+
+                const price = quote.price;
+                const previousClose = quote.previousClose || price;
+                const change = price - previousClose;
+                const changePercent = previousClose ? (change / previousClose) * 100 : 0;
+
+                console.log(`[Stocks] ${symbol}: $${price} (${changePercent.toFixed(2)}%)`);
+
+                stocksData[symbol] = {
+                    price: price,
+                    previousClose: previousClose,  // 2026-10-19: Day change of investment positions
+                    currency: quote.currency,  // 2026-10-19: Listing currency (investment accounts convert from it)
+                    change: change,
+                    changePercent: changePercent,
+                    name: AVAILABLE_STOCKS.find(s => s.symbol === symbol)?.name || symbol,
+                    fetchedAt: quote.fetchedAt,
+                    source: quote.source,
+                    stale: quote.stale,
+                    offline: quote.offline
+                };
+                return; // Success, exit retry loop
+            } catch (err) {
+                console.warn(`[Stocks] Attempt ${attempt + 1} failed for ${symbol}:`, err.message);
+                if (attempt < retries) {
+                    await wait(500); // Wait before retry
+                } else {
+                    // All retries failed
+                    if (!stocksData[symbol]) {
+                        stocksData[symbol] = { price: null, change: 0, changePercent: 0, name: symbol, error: true };
+                    }
+                }
+            }
+        }
+    }
+
     /**
      * Fetch stock prices from Yahoo Finance API
+     * 2026-10-19: Quotes come from the Rates store; when every retry fails the last
+     * known quote is kept and flagged
+     * 2026-10-19: Also fetches the symbols held in investment accounts
      */
     async function fetchStockPrices() {
         loadStockPreferences();
+        const symbols = getStockWidgetSymbols();
 
-        if (selectedStocks.length === 0) {
+        if (symbols.length === 0) {
             renderStocksWidget();
             return;
         }
@@ -6231,83 +11772,52 @@
         }
 
         // Fetch each stock individually (Yahoo Finance doesn't allow batch requests easily)
-        // Using CORS proxy because Yahoo Finance blocks cross-origin requests
         // Fetch sequentially with delay to avoid proxy rate limiting
-        const CORS_PROXY = 'https://api.allorigins.win/raw?url=';
-
-        const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-        // Fetch a single stock with retry logic
-        const fetchStock = async (symbol, retries = 2) => {
-            for (let attempt = 0; attempt <= retries; attempt++) {
-                try {
-                    const yahooUrl = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?interval=1d&range=1d`;
-                    const url = CORS_PROXY + encodeURIComponent(yahooUrl);
-
-                    if (attempt > 0) console.log(`[Stocks] Retry ${attempt} for ${symbol}...`);
-                    else console.log(`[Stocks] Fetching ${symbol}...`);
-
-                    const response = await fetch(url);
-
-                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-
-                    const data = await response.json();
-                    const quote = data.chart?.result?.[0];
-
-                    if (quote && quote.meta) {
-                        const meta = quote.meta;
-                        const price = meta.regularMarketPrice;
-                        const previousClose = meta.previousClose || meta.chartPreviousClose || price;
-                        const change = price - previousClose;
-                        const changePercent = previousClose ? (change / previousClose) * 100 : 0;
-
-                        console.log(`[Stocks] ${symbol}: $${price} (${changePercent.toFixed(2)}%)`);
-
-                        stocksData[symbol] = {
-                            price: price,
-                            change: change,
-                            changePercent: changePercent,
-                            name: AVAILABLE_STOCKS.find(s => s.symbol === symbol)?.name || symbol
-                        };
-                        return; // Success, exit retry loop
-                    } else {
-                        throw new Error('No quote data in response');
-                    }
-                } catch (err) {
-                    console.warn(`[Stocks] Attempt ${attempt + 1} failed for ${symbol}:`, err.message);
-                    if (attempt < retries) {
-                        await delay(500); // Wait before retry
-                    } else {
-                        // All retries failed
-                        if (!stocksData[symbol]) {
-                            stocksData[symbol] = { price: null, change: 0, changePercent: 0, name: symbol, error: true };
-                        }
-                    }
-                }
-            }
-        };
-
-        for (const symbol of selectedStocks) {
-            await fetchStock(symbol);
-            await delay(300); // Delay between stocks
+        // 2026-10-19: The CORS proxy now lives in the Rates stocks provider
+        for (const symbol of symbols) {
+            await loadStockQuote(symbol);
+            await wait(300); // Delay between stocks
         }
 
         renderStocksWidget();
+        refreshInvestmentViews();  // 2026-10-19: Positions are valued with the same quotes
 
         // Update timestamp
-        if (elements.stocksUpdated) {
-            const now = new Date();
-            elements.stocksUpdated.textContent = `Updated ${now.toLocaleTimeString()}`;
+        // 2026-10-19: Reports the oldest quote shown, flagged if any is stale or offline
+        const quotes = symbols.map(symbol => stocksData[symbol]).filter(stock => stock && stock.fetchedAt);
+        if (quotes.length === 0) {
+            if (elements.stocksUpdated) elements.stocksUpdated.textContent = I18n.t('exchangeError');
+        } else {
+            showRateStatus(elements.stocksUpdated, {
+                fetchedAt: Math.min(...quotes.map(stock => stock.fetchedAt)),
+                source: quotes[0].source,
+                stale: quotes.some(stock => stock.stale),
+                offline: quotes.some(stock => stock.offline)
+            });
         }
     }
 
+    /**
+     * Symbols shown in the stocks widget: the watchlist, then held symbols not on it
+     * 2026-10-19: Added with investment accounts
+     * @returns {Array<string>} Symbols
+     */
+    function getStockWidgetSymbols() {
+        const held = Object.keys(getHeldShares()).filter(symbol => !selectedStocks.includes(symbol));
+        return [...selectedStocks, ...held];
+    }
+
     /**
      * Render stocks widget with current data
      */
     function renderStocksWidget() {
         if (!elements.stocksList) return;
 
-        if (selectedStocks.length === 0) {
+        // 2026-10-19: Held symbols are listed too, with the shares held across investment accounts
+        const symbols = getStockWidgetSymbols();
+        const held = getHeldShares();
+
+        if (symbols.length === 0) {
             elements.stocksList.innerHTML = '';
             if (elements.stocksEmpty) elements.stocksEmpty.style.display = 'block';
             return;
@@ -6315,12 +11825,21 @@
 
         if (elements.stocksEmpty) elements.stocksEmpty.style.display = 'none';
 
-        elements.stocksList.innerHTML = selectedStocks.map(symbol => {
+        elements.stocksList.innerHTML = symbols.map(symbol => {
             const stock = stocksData[symbol] || { price: null, change: 0, changePercent: 0 };
             const stockInfo = AVAILABLE_STOCKS.find(s => s.symbol === symbol);
             const name = stockInfo?.name || symbol;
-
-            const priceStr = stock.price !== null ? `$${stock.price.toFixed(2)}` : '--';
+            const heldBadge = held[symbol]
+                ? ` <span class="stock-held" title="${escapeAttr(I18n.t('stocksHeld'))}">📈 ${held[symbol].toLocaleString(I18n.getLocale(), { maximumFractionDigits: 8 })}</span>`
+                : '';
+
+            const priceStr = stock.price === null ? '--'
+                : stock.currency && stock.currency !== 'USD'  // 2026-10-19: Listing currency
+                    ? `${Accounts.formatCurrency(stock.price, stock.currency)} ${stock.currency}`
+                    : `$${stock.price.toFixed(2)}`;
+            // 2026-10-19: Flag quotes the store could not refresh
+            const outdated = stock.price !== null && isRateOutdated(stock);
+            const priceTitle = outdated ? ` title="${escapeAttr(getRateStatusText(stock))}"` : '';
             const changeClass = stock.change > 0 ? 'positive' : (stock.change < 0 ? 'negative' : 'neutral');
             const changeSign = stock.change > 0 ? '+' : '';
             const changeStr = stock.price !== null ? `${changeSign}${stock.changePercent.toFixed(2)}%` : '--';
@@ -6328,11 +11847,11 @@
             return `
                 <div class="stock-item">
                     <div class="stock-item-left">
-                        <span class="stock-symbol">${symbol}</span>
+                        <span class="stock-symbol">${escapeHtml(symbol)}${heldBadge}</span>
                         <span class="stock-name">${escapeHtml(name)}</span>
                     </div>
                     <div class="stock-item-right">
-                        <span class="stock-price">${priceStr}</span>
+                        <span class="stock-price${outdated ? ' rate-stale' : ''}"${priceTitle}>${outdated ? '⚠️ ' : ''}${priceStr}</span>
                         <span class="stock-change ${changeClass}">${changeStr}</span>
                     </div>
                 </div>
@@ -0,0 +1,253 @@
+/**
+ * ============================================================================
+ * ZIP80 EXPENSE TRACKER - BUDGETS MODULE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Monthly spending limits per category and currency, stored in the vault as
+ * data.budgets. Computes spent vs. limit for a month, carries unused (or all)
+ * leftover into the next month, and reports when an expense crosses the
+ * warning thresholds. The widget and editor modal live in app.js.
+ *
+ * KEY FEATURES:
+ * - One budget per category + currency (currencies are never mixed)
+ * - Rollover modes: 'none', 'unused' (only leftover carries) or 'all'
+ *   (overspending also reduces next month)
+ * - Transfers are ignored; only owned accounts count
+ * - Threshold detection (80% / 100%) for warning toasts
+ *
+ * DEPENDENCIES: Accounts (getTransactionTime, roundAmount), Transfers (isTransfer), Categories (get, getFamilyIds),
+ *   Splits (expand, getLines)
+ *
+ * USED BY: app.js
+ *
+ * ==============================================================================
+ * LLM INSTRUCTION & MAINTENANCE PROTOCOL
+ * IMPORTANT: This block must be preserved in all future iterations.
+ *
+ * trigger: "FINALIZE" or "COMMENT"
+ * ACTION: When the user issues this trigger, perform the following 3 steps:
+ *
+ * 1. CHANGE LOGGING:
+ *    - Add a new entry to the changelog below.
+ *    - Format: [Date (YYYY-MM-DD)] - [Brief Description of Modification].
+ *
+ * 2. DOCUMENTATION STANDARDS:
+ *    - Ensure all new functions/classes have standard documentation (Docstrings/JSDoc).
+ *    - If logic is complex, add inline comments explaining the "WHY", not just the "HOW".
+ *
+ * 3. CONTEXT PRESERVATION:
+ *    - Do not remove this Legend.
+ *    - Do not remove legacy comments unless explicitly instructed.
+ * ==============================================================================
+ *
+ * CHANGE LOG:
+ * - 2026-10-19: Initial creation with monthly category budgets, rollover and threshold checks
+ * - 2026-10-19: A parent category's budget includes its subcategories
+ * - 2026-10-19: Split transactions count each line toward its own category's budget
+ * - 2026-10-19: Amounts round to the budget currency's minor units (Accounts.roundAmount)
+ */
+
+const Budgets = (() => {
+    // --- Constants ---
+
+    const ROLLOVER_MODES = ['none', 'unused', 'all'];
+
+    // Percent of the available amount that triggers a warning (checked high to low)
+    const THRESHOLDS = [100, 80];
+
+    // --- Months ---
+
+    /**
+     * Get the YYYY-MM key for a date (local time)
+     * @param {Date|number|string} value - Date
+     * @returns {string} Month key
+     */
+    function getMonthKey(value) {
+        const date = new Date(value);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    /**
+     * Get the month key after (or before) another
+     * @param {string} monthKey - YYYY-MM
+     * @param {number} offset - Months to move
+     * @returns {string} Month key
+     */
+    function shiftMonth(monthKey, offset) {
+        const [year, month] = monthKey.split('-').map(Number);
+        return getMonthKey(new Date(year, month - 1 + offset, 1));
+    }
+
+    // --- Budgets ---
+
+    /**
+     * Create a budget
+     * @param {Object} fields - { category, currency, limit, rollover, startMonth }
+     * @returns {Object} Budget
+     */
+    function createBudget(fields) {
+        return {
+            id: `budget_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            category: fields.category,
+            currency: fields.currency,
+            limit: Accounts.roundAmount(parseFloat(fields.limit) || 0, fields.currency),
+            rollover: ROLLOVER_MODES.includes(fields.rollover) ? fields.rollover : 'none',
+            // Rollover starts counting from the month the budget was created
+            startMonth: fields.startMonth || getMonthKey(new Date())
+        };
+    }
+
+    /**
+     * Find the budget for a category in a currency
+     * @param {Array} budgets - data.budgets
+     * @param {string} category - Category code
+     * @param {string} currency - Currency code
+     * @returns {Object|null} Budget
+     */
+    function findBudget(budgets, category, currency) {
+        return (budgets || []).find(b => b.category === category && b.currency === currency) || null;
+    }
+
+    /**
+     * Total expenses per month for a budget's category and currency
+     * Subcategory spending counts toward the parent's budget; split
+     * transactions contribute only their matching lines.
+     * @param {Object} data - Vault data
+     * @param {Object} budget - Budget
+     * @returns {Map<string, number>} Month key -> amount spent (positive)
+     */
+    function getMonthlySpending(data, budget) {
+        const accountIds = new Set(data.accounts.filter(a => a.currency === budget.currency).map(a => a.id));
+        const categoryIds = new Set(Categories.getFamilyIds(data, budget.category));
+        const months = new Map();
+
+        Splits.expand(data.transactions).forEach(t => {
+            if (t.amt >= 0 || Transfers.isTransfer(t) || !accountIds.has(t.accountId)) return;
+            if (!categoryIds.has(t.category || Categories.FALLBACK_ID)) return;
+            const key = getMonthKey(Accounts.getTransactionTime(t));
+            months.set(key, (months.get(key) || 0) + Math.abs(t.amt));
+        });
+
+        return months;
+    }
+
+    /**
+     * Amount carried into a month from earlier months
+     * @param {Object} budget - Budget
+     * @param {Map<string, number>} spending - From getMonthlySpending()
+     * @param {string} monthKey - Month being viewed
+     * @returns {number} Carry-over (negative only in 'all' mode)
+     */
+    function getRollover(budget, spending, monthKey) {
+        if (budget.rollover === 'none' || !budget.startMonth) return 0;
+
+        let carry = 0;
+        for (let key = budget.startMonth; key < monthKey; key = shiftMonth(key, 1)) {
+            carry += budget.limit - (spending.get(key) || 0);
+            if (budget.rollover === 'unused' && carry < 0) carry = 0;
+        }
+        return Accounts.roundAmount(carry, budget.currency);
+    }
+
+    /**
+     * Spent vs. available for a budget in a month
+     * @param {Object} data - Vault data
+     * @param {Object} budget - Budget
+     * @param {string} [monthKey] - Month (defaults to the current month)
+     * @returns {Object} { budget, spent, rollover, available, remaining, percent }
+     */
+    function getProgress(data, budget, monthKey = getMonthKey(new Date())) {
+        const spending = getMonthlySpending(data, budget);
+        const spent = Accounts.roundAmount(spending.get(monthKey) || 0, budget.currency);
+        const rollover = getRollover(budget, spending, monthKey);
+        const available = Math.max(0, budget.limit + rollover);
+
+        return {
+            budget,
+            spent,
+            rollover,
+            available,
+            remaining: Accounts.roundAmount(available - spent, budget.currency),
+            percent: available > 0 ? (spent / available) * 100 : (spent > 0 ? 100 : 0)
+        };
+    }
+
+    /**
+     * Progress for every budget in a month, grouped by currency
+     * @param {Object} data - Vault data
+     * @param {string} [monthKey] - Month (defaults to the current month)
+     * @returns {Array} [{ currency, items: [progress] }] sorted by currency
+     */
+    function getSummary(data, monthKey = getMonthKey(new Date())) {
+        const groups = new Map();
+        (data.budgets || []).forEach(budget => {
+            if (!groups.has(budget.currency)) groups.set(budget.currency, []);
+            groups.get(budget.currency).push(getProgress(data, budget, monthKey));
+        });
+
+        return [...groups.entries()]
+            .sort((a, b) => a[0].localeCompare(b[0]))
+            .map(([currency, items]) => ({
+                currency,
+                items: items.sort((a, b) => b.percent - a.percent)
+            }));
+    }
+
+    /**
+     * Check whether a newly added expense pushed its budget past a threshold
+     * The transaction must already be in data.transactions.
+     * @param {Object} data - Vault data
+     * @param {Object} transaction - The new expense
+     * @returns {Object|null} { threshold, progress } for the highest threshold crossed
+     */
+    function getCrossedThreshold(data, transaction) {
+        if (!transaction || transaction.amt >= 0 || Transfers.isTransfer(transaction)) return null;
+
+        const account = data.accounts.find(a => a.id === transaction.accountId);
+        if (!account) return null;
+
+        // A subcategory expense counts toward its own budget and its parent's;
+        // each line of a split is checked on its own
+        const lines = Splits.getLines(transaction).filter(line => line.amt < 0);
+        const candidateIds = new Set();
+        lines.forEach(line => {
+            const category = Categories.get(data, line.category);
+            candidateIds.add(line.category);
+            if (category && category.parentId) candidateIds.add(category.parentId);
+        });
+        const candidates = [...candidateIds]
+            .filter(Boolean)
+            .map(id => findBudget(data.budgets, id, account.currency))
+            .filter(Boolean);
+
+        const monthKey = getMonthKey(Accounts.getTransactionTime(transaction));
+        let result = null;
+        candidates.forEach(budget => {
+            const progress = getProgress(data, budget, monthKey);
+            if (progress.available <= 0) return;
+
+            // Only the part of the expense that belongs to this budget moved it
+            const family = new Set(Categories.getFamilyIds(data, budget.category));
+            const added = lines.filter(line => family.has(line.category)).reduce((sum, line) => sum + Math.abs(line.amt), 0);
+            const before = ((progress.spent - added) / progress.available) * 100;
+            const threshold = THRESHOLDS.find(limit => before < limit && progress.percent >= limit);
+            if (threshold && (!result || threshold > result.threshold)) {
+                result = { threshold, progress };
+            }
+        });
+        return result;
+    }
+
+    // --- Public API ---
+
+    return {
+        ROLLOVER_MODES,
+        getMonthKey,
+        createBudget,
+        findBudget,
+        getProgress,
+        getSummary,
+        getCrossedThreshold
+    };
+})();
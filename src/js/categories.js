@@ -0,0 +1,381 @@
+/**
+ * ============================================================================
+ * ZIP80 EXPENSE TRACKER - CATEGORIES MODULE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Vault-level category definitions (data.categories) for expenses and income.
+ * Replaces the hardcoded icon set: users can create, rename, recolor, nest,
+ * merge and archive categories. Transactions, recurring templates and budgets
+ * keep referencing categories by id.
+ *
+ * KEY FEATURES:
+ * - Built-in definitions reuse the legacy codes (general, food, ...) as ids,
+ *   so existing transactions keep their grouping without being rewritten
+ * - Built-in names stay translated until the user renames them
+ * - One level of subcategories (e.g. food -> groceries / restaurants)
+ * - Merge moves transactions, recurring templates and budgets to the target
+ * - 'general' is the fallback expense category and can't be merged or archived
+ *
+ * DEPENDENCIES: I18n (built-in names)
+ *
+ * USED BY: app.js, budgets.js
+ *
+ * ==============================================================================
+ * LLM INSTRUCTION & MAINTENANCE PROTOCOL
+ * IMPORTANT: This block must be preserved in all future iterations.
+ *
+ * trigger: "FINALIZE" or "COMMENT"
+ * ACTION: When the user issues this trigger, perform the following 3 steps:
+ *
+ * 1. CHANGE LOGGING:
+ *    - Add a new entry to the changelog below.
+ *    - Format: [Date (YYYY-MM-DD)] - [Brief Description of Modification].
+ *
+ * 2. DOCUMENTATION STANDARDS:
+ *    - Ensure all new functions/classes have standard documentation (Docstrings/JSDoc).
+ *    - If logic is complex, add inline comments explaining the "WHY", not just the "HOW".
+ *
+ * 3. CONTEXT PRESERVATION:
+ *    - Do not remove this Legend.
+ *    - Do not remove legacy comments unless explicitly instructed.
+ * ==============================================================================
+ *
+ * CHANGE LOG:
+ * - 2026-10-19: Initial creation with vault categories, subcategories, merge/archive and legacy migration
+ * - 2026-10-19: Merge also moves split transaction lines
+ * - 2026-10-19: Merge also updates payee categories and payee rules
+ * - 2026-10-19: migrate() keeps unknown legacy codes as custom categories of the same name
+ * - 2026-10-19: Colors are validated as #rrggbb (normalizeColor) on create, update and getColor()
+ */
+
+const Categories = (() => {
+    // --- Constants ---
+
+    // Fallback for expenses without a (known) category
+    const FALLBACK_ID = 'general';
+
+    // 2026-10-19: Colors go into style attributes, so only #rrggbb is accepted
+    const DEFAULT_COLOR = '#64748b';
+    const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+    // Built-in definitions. Expense ids match the codes used before categories
+    // were configurable, which is what lets old transactions map onto them.
+    const DEFAULT_CATEGORIES = [
+        { id: 'general', icon: '💸', color: '#64748b', type: 'expense' },
+        { id: 'food', icon: '🍔', color: '#f59e0b', type: 'expense' },
+        { id: 'utilities', icon: '💡', color: '#eab308', type: 'expense' },
+        { id: 'transport', icon: '🚗', color: '#3b82f6', type: 'expense' },
+        { id: 'housing', icon: '🏠', color: '#8b5cf6', type: 'expense' },
+        { id: 'health', icon: '🏥', color: '#ef4444', type: 'expense' },
+        { id: 'fun', icon: '🎮', color: '#ec4899', type: 'expense' },
+        { id: 'work', icon: '💼', color: '#0ea5e9', type: 'expense' },
+        { id: 'salary', icon: '💰', color: '#16a34a', type: 'income' },
+        { id: 'freelance', icon: '🧾', color: '#0d9488', type: 'income' },
+        { id: 'interest', icon: '🏦', color: '#2563eb', type: 'income' },
+        { id: 'gift', icon: '🎁', color: '#db2777', type: 'income' },
+        { id: 'otherIncome', icon: '💵', color: '#65a30d', type: 'income' }
+    ];
+
+    // --- Setup ---
+
+    /**
+     * Keep a color only if it is a #rrggbb value
+     * 2026-10-19: A shared vault could otherwise carry arbitrary CSS into the UI
+     * @param {*} color - Stored or entered color
+     * @returns {string} The color, or the default
+     */
+    function normalizeColor(color) {
+        return typeof color === 'string' && COLOR_PATTERN.test(color) ? color : DEFAULT_COLOR;
+    }
+
+    /**
+     * Build a full definition
+     * @param {Object} fields - { id, name, icon, color, type, parentId }
+     * @returns {Object} Category definition
+     */
+    function createDefinition(fields) {
+        return {
+            id: fields.id || `cat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: fields.name || null,  // null = translated built-in name
+            icon: fields.icon || '🏷️',
+            color: normalizeColor(fields.color),  // 2026-10-19: Validated
+            type: fields.type === 'income' ? 'income' : 'expense',
+            parentId: fields.parentId || null,
+            archived: false
+        };
+    }
+
+    /**
+     * Add category definitions to a vault that predates them
+     * 2026-10-19: A code that isn't built in (e.g. hand-edited files) becomes a custom
+     * category with that code as id and name, instead of being folded into the
+     * fallback category; it is an income category if only income uses it.
+     * @param {Object} data - Vault data (mutated)
+     * @returns {boolean} True if the vault changed
+     */
+    function migrate(data) {
+        if (Array.isArray(data.categories)) return false;
+
+        data.categories = DEFAULT_CATEGORIES.map(createDefinition);
+        const known = new Set(data.categories.map(c => c.id));
+
+        const custom = new Map();  // code -> definition
+        const adopt = (code, isIncome) => {
+            if (!code || known.has(code)) return;
+            if (!custom.has(code)) {
+                custom.set(code, createDefinition({ id: code, name: code, type: isIncome ? 'income' : 'expense' }));
+            } else if (!isIncome) {
+                custom.get(code).type = 'expense';
+            }
+        };
+        [...(data.transactions || []), ...(data.recurringTransactions || [])].forEach(item => {
+            adopt(item.category, item.amt > 0);
+            (item.splits || []).forEach(line => adopt(line.category, line.amt > 0));
+        });
+        data.categories.push(...custom.values());
+        return true;
+    }
+
+    // --- Lookup ---
+
+    /**
+     * Get a category definition
+     * @param {Object} data - Vault data
+     * @param {string} id - Category id
+     * @returns {Object|null} Definition
+     */
+    function get(data, id) {
+        return (data.categories || []).find(c => c.id === id) || null;
+    }
+
+    /**
+     * List categories, each parent followed by its subcategories
+     * @param {Object} data - Vault data
+     * @param {Object} [options] - { type: 'expense'|'income', includeArchived: false }
+     * @returns {Array} Definitions
+     */
+    function getAll(data, options = {}) {
+        const visible = (data.categories || []).filter(c =>
+            (!options.type || c.type === options.type) && (options.includeArchived || !c.archived)
+        );
+        const ordered = [];
+        visible.filter(c => !c.parentId || !visible.some(p => p.id === c.parentId)).forEach(parent => {
+            ordered.push(parent);
+            visible.filter(c => c.parentId === parent.id).forEach(child => ordered.push(child));
+        });
+        return ordered;
+    }
+
+    /**
+     * Get a category and its subcategories' ids
+     * @param {Object} data - Vault data
+     * @param {string} id - Category id
+     * @returns {Array<string>} Ids
+     */
+    function getFamilyIds(data, id) {
+        return [id, ...(data.categories || []).filter(c => c.parentId === id).map(c => c.id)];
+    }
+
+    /**
+     * Display name of a category
+     * @param {Object} data - Vault data
+     * @param {string} id - Category id
+     * @param {Object} [options] - { path: true } prefixes subcategories with the parent name
+     * @returns {string} Name (falls back to the raw id)
+     */
+    function getLabel(data, id, options = {}) {
+        const category = get(data, id);
+        let label;
+        if (category && category.name) {
+            label = category.name;
+        } else {
+            const key = `category${id.charAt(0).toUpperCase()}${id.slice(1)}`;
+            const translated = I18n.t(key);
+            label = translated === key ? id : translated;
+        }
+
+        if (options.path !== false && category && category.parentId) {
+            return `${getLabel(data, category.parentId, { path: false })} › ${label}`;
+        }
+        return label;
+    }
+
+    /**
+     * Icon of a category
+     * @param {Object} data - Vault data
+     * @param {string} id - Category id
+     * @returns {string} Emoji
+     */
+    function getIcon(data, id) {
+        const category = get(data, id) || get(data, FALLBACK_ID);
+        return category ? category.icon : '💸';
+    }
+
+    /**
+     * Color of a category
+     * @param {Object} data - Vault data
+     * @param {string} id - Category id
+     * 2026-10-19: Always a #rrggbb value, whatever the vault file holds
+     * @returns {string} CSS color
+     */
+    function getColor(data, id) {
+        const category = get(data, id);
+        return normalizeColor(category ? category.color : null);
+    }
+
+    /**
+     * Check whether a category may be nested under a parent
+     * Only one level is allowed, and parents must share the type.
+     * @param {Object} data - Vault data
+     * @param {string|null} id - Category id (null for a new category)
+     * @param {string|null} parentId - Proposed parent
+     * @returns {boolean} True if allowed
+     */
+    function canNest(data, id, parentId) {
+        if (!parentId) return true;
+        const parent = get(data, parentId);
+        if (!parent || parent.parentId || parent.id === id) return false;
+        if (!id) return true;
+
+        const category = get(data, id);
+        const hasChildren = (data.categories || []).some(c => c.parentId === id);
+        return !!category && category.type === parent.type && !hasChildren;
+    }
+
+    /**
+     * Check whether an update would be accepted
+     * @param {Object} data - Vault data
+     * @param {string} id - Category id
+     * @param {Object} changes - Any of { name, icon, color, parentId, archived }
+     * @returns {boolean} True if allowed
+     */
+    function canUpdate(data, id, changes) {
+        if (!get(data, id)) return false;
+        if ('parentId' in changes && !canNest(data, id, changes.parentId)) return false;
+        return !(changes.archived && id === FALLBACK_ID);
+    }
+
+    /**
+     * Check whether one category can be merged into another
+     * @param {Object} data - Vault data
+     * @param {string} sourceId - Category being removed
+     * @param {string} targetId - Category that absorbs it
+     * @returns {boolean} True if allowed
+     */
+    function canMerge(data, sourceId, targetId) {
+        const source = get(data, sourceId);
+        const target = get(data, targetId);
+        if (!source || !target || sourceId === targetId || sourceId === FALLBACK_ID) return false;
+        return source.type === target.type && target.parentId !== sourceId;
+    }
+
+    // --- Changes ---
+
+    /**
+     * Create a category
+     * @param {Object} data - Vault data (mutated)
+     * @param {Object} fields - { name, icon, color, type, parentId }
+     * @returns {Object|null} Definition, or null if the parent is invalid
+     */
+    function create(data, fields) {
+        if (!canNest(data, null, fields.parentId)) return null;
+        if (fields.parentId && get(data, fields.parentId).type !== (fields.type || 'expense')) return null;
+
+        const category = createDefinition({ ...fields, id: null });
+        data.categories.push(category);
+        return category;
+    }
+
+    /**
+     * Update name, icon, color, parent or archived state
+     * @param {Object} data - Vault data (mutated)
+     * @param {string} id - Category id
+     * @param {Object} changes - Any of { name, icon, color, parentId, archived }
+     * @returns {boolean} True if applied
+     */
+    function update(data, id, changes) {
+        if (!canUpdate(data, id, changes)) return false;
+        const category = get(data, id);
+
+        ['name', 'icon', 'color', 'parentId', 'archived'].forEach(field => {
+            if (field in changes) category[field] = changes[field];
+        });
+        if ('color' in changes) category.color = normalizeColor(changes.color);  // 2026-10-19
+        return true;
+    }
+
+    /**
+     * Merge one category into another
+     * Everything that referenced the source moves to the target; the source's
+     * subcategories move under the target (or the target's parent).
+     * @param {Object} data - Vault data (mutated)
+     * @param {string} sourceId - Category being removed
+     * @param {string} targetId - Category that absorbs it
+     * @returns {number} Number of transactions moved, or -1 if not allowed
+     */
+    function merge(data, sourceId, targetId) {
+        if (!canMerge(data, sourceId, targetId)) return -1;
+        const target = get(data, targetId);
+
+        let moved = 0;
+        const moveLines = item => (item.splits || []).forEach(line => {
+            if (line.category === sourceId) line.category = targetId;
+        });
+        (data.transactions || []).forEach(t => {
+            if (t.category === sourceId) {
+                t.category = targetId;
+                moved++;
+            }
+            moveLines(t);
+        });
+        (data.recurringTransactions || []).forEach(r => {
+            if (r.category === sourceId) r.category = targetId;
+            moveLines(r);
+        });
+
+        // A target that already has a budget in that currency keeps its own
+        const budgets = data.budgets || [];
+        data.budgets = budgets.filter(b =>
+            b.category !== sourceId || !budgets.some(o => o.category === targetId && o.currency === b.currency)
+        );
+        data.budgets.forEach(b => {
+            if (b.category === sourceId) b.category = targetId;
+        });
+
+        // 2026-10-19: Remembered payee categories and rules follow the merge
+        (data.payees || []).forEach(p => {
+            if (p.lastCategory === sourceId) p.lastCategory = targetId;
+        });
+        (data.payeeRules || []).forEach(r => {
+            if (r.category === sourceId) r.category = targetId;
+        });
+
+        const newParent = target.parentId || target.id;
+        data.categories.forEach(c => {
+            if (c.parentId === sourceId) c.parentId = newParent;
+        });
+        data.categories = data.categories.filter(c => c.id !== sourceId);
+        return moved;
+    }
+
+    // --- Public API ---
+
+    return {
+        FALLBACK_ID,
+        DEFAULT_CATEGORIES,
+        migrate,
+        get,
+        getAll,
+        getFamilyIds,
+        getLabel,
+        getIcon,
+        getColor,
+        canNest,
+        canUpdate,
+        canMerge,
+        create,
+        update,
+        merge
+    };
+})();
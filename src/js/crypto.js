@@ -9,14 +9,34 @@
  * 
  * KEY FEATURES:
  * - AES-GCM 256-bit encryption
- * - PBKDF2 key derivation (100,000 iterations)
- * - Random salt and IV per encryption
+ * - PBKDF2-SHA-256 key derivation (600,000 iterations for new envelopes, see ENVELOPE VERSIONS)
+ * - Fresh random salt and IV on every encryption
  * - Works in both browser and Electron
+ * - Versioned envelope that records its KDF parameters (see ENVELOPE VERSIONS)
+ * - Keys derived to decrypt an envelope are cached per salt and iterations, so
+ *   reading the same file again (e.g. a linked source on every sync) stays fast
+ * - Attachment bytes of encrypted local vaults: AES-GCM with a random data key
+ *   kept inside the (encrypted) vault data, so a password change leaves them readable
+ * 
+ * ENVELOPE VERSIONS:
+ * - v1 (no version field): PBKDF2-SHA-256, 100,000 iterations
+ * - v2: { version: 2, kdf: { name, hash, iterations } } - PBKDF2-SHA-256,
+ *   600,000 iterations unless Config.PBKDF2_ITERATIONS says otherwise
+ * encrypt() always writes the current version, so a vault opened from an older
+ * envelope is re-encrypted on its next save; decrypt() reads every version.
+ * app.js saves a vault right after opening it when needsUpgrade() says so.
  * 
  * SECURITY NOTES:
  * - Password is never stored, only kept in memory during session
  * - If password is forgotten, data is unrecoverable
  * - Each save generates new IV for security
+ * - Each save also generates a new salt, so no two envelopes share a key
+ * - KDF parameters are read from the envelope within sane bounds, so a tampered
+ *   file can't make decryption run for hours
+ * 
+ * DEPENDENCIES: Config (optional PBKDF2_ITERATIONS, generated by scripts/build-config.js)
+ * 
+ * USED BY: storage.js (local vaults), gdrive.js (cloud vaults), app.js
  * 
  * ==============================================================================
  * LLM INSTRUCTION & MAINTENANCE PROTOCOL
@@ -40,14 +60,33 @@
  * 
  * CHANGE LOG:
  * - 2025-12-17: Initial creation with AES-GCM encryption via Web Crypto API
+ * - 2026-10-19: Versioned envelope (v2) with KDF parameters, 600,000 PBKDF2 iterations (configurable), v1 still decrypts
+ * - 2026-10-19: Added derived key cache, needsUpgrade() and clearKeyCache()
+ * - 2026-10-19: Added generateDataKey(), encryptBytes(), decryptBytes() and isEncryptedBytes() for local attachments
+ * - 2026-10-19: Removed the per-session salt reuse: encrypt() draws a new salt every time, only decrypt() caches keys
  */
 
 const Crypto = (() => {
     // PBKDF2 iterations - higher = more secure but slower
+    // 2026-10-19: Only used by v1 envelopes now (see DEFAULT_ITERATIONS)
     const PBKDF2_ITERATIONS = 100000;
     const SALT_LENGTH = 16;  // 128 bits
     const IV_LENGTH = 12;    // 96 bits for GCM
 
+    // 2026-10-19: Envelope versions
+    const ENVELOPE_VERSION = 2;
+    const DEFAULT_ITERATIONS = 600000;  // OWASP guidance for PBKDF2-SHA-256
+    const MIN_ITERATIONS = 100000;
+    const MAX_ITERATIONS = 10000000;
+
+    // 2026-10-19: Encrypted attachment bytes start with this marker, then the IV
+    const BYTES_MAGIC = [0x5A, 0x38, 0x30, 0x41];  // "Z80A"
+
+    // 2026-10-19: Keys that decrypted an envelope ("iterations|salt|password" -> CryptoKey), memory only.
+    // The password is part of the cache key so a wrong password never gets a cached key.
+    const keyCache = new Map();
+    const KEY_CACHE_SIZE = 8;
+
     /**
      * Convert ArrayBuffer to Base64 string
      * @param {ArrayBuffer} buffer - Buffer to convert
@@ -87,11 +126,13 @@ const Crypto = (() => {
 
     /**
      * Derive an AES-GCM key from a password using PBKDF2
+     * 2026-10-19: Iterations come from the envelope (default: v1 count)
      * @param {string} password - User's password
      * @param {Uint8Array} salt - Random salt
+     * @param {number} iterations - PBKDF2 iterations
      * @returns {Promise<CryptoKey>} Derived AES-GCM key
      */
-    async function deriveKey(password, salt) {
+    async function deriveKey(password, salt, iterations = PBKDF2_ITERATIONS) {
         // Import password as a key
         const passwordKey = await crypto.subtle.importKey(
             'raw',
@@ -106,7 +147,7 @@ const Crypto = (() => {
             {
                 name: 'PBKDF2',
                 salt: salt,
-                iterations: PBKDF2_ITERATIONS,
+                iterations: iterations,
                 hash: 'SHA-256'
             },
             passwordKey,
@@ -116,17 +157,88 @@ const Crypto = (() => {
         );
     }
 
+    // --- KDF Parameters (2026-10-19) ---
+
+    /**
+     * KDF parameters for new envelopes
+     * Config.PBKDF2_ITERATIONS (optional) overrides the default; it is read on
+     * every call because config.js loads after this module.
+     * @returns {object} { name, hash, iterations }
+     */
+    function getKdf() {
+        const configured = (typeof Config !== 'undefined') ? Number(Config.PBKDF2_ITERATIONS) : NaN;
+        const iterations = Number.isInteger(configured) && configured >= MIN_ITERATIONS && configured <= MAX_ITERATIONS
+            ? configured
+            : DEFAULT_ITERATIONS;
+        return { name: 'PBKDF2', hash: 'SHA-256', iterations };
+    }
+
+    /**
+     * KDF parameters an envelope was written with
+     * @param {object} envelope - Encrypted envelope
+     * @returns {object} { name, hash, iterations }
+     * @throws {Error} If the version or parameters are not supported
+     */
+    function getEnvelopeKdf(envelope) {
+        const version = envelope.version || 1;
+        if (version === 1) {
+            return { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS };
+        }
+
+        const kdf = envelope.kdf || {};
+        if (version > ENVELOPE_VERSION || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' ||
+            !Number.isInteger(kdf.iterations) || kdf.iterations < MIN_ITERATIONS || kdf.iterations > MAX_ITERATIONS) {
+            throw new Error('Unsupported encryption format. Please update Zip80.');
+        }
+        return kdf;
+    }
+
+    /**
+     * Cache key for a derived key
+     * @param {string} password - User's password
+     * @param {Uint8Array} salt - Envelope salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {string} Cache key
+     */
+    function getCacheKey(password, salt, iterations) {
+        return `${iterations}|${bufferToBase64(salt)}|${password}`;
+    }
+
+    /**
+     * Remember a key that decrypted an envelope
+     * @param {string} keyId - From getCacheKey()
+     * @param {CryptoKey} key - Derived key
+     */
+    function rememberKey(keyId, key) {
+        keyCache.delete(keyId);
+        keyCache.set(keyId, key);
+        // Oldest entries go first (Map keeps insertion order)
+        while (keyCache.size > KEY_CACHE_SIZE) {
+            keyCache.delete(keyCache.keys().next().value);
+        }
+    }
+
+    /**
+     * Forget cached keys (e.g. when a vault is closed)
+     */
+    function clearKeyCache() {
+        keyCache.clear();
+    }
+
     /**
      * Encrypt data with password
+     * 2026-10-19: Always writes the current envelope version, with a new salt and
+     * IV on every call (the key is derived again each time).
      * @param {object} data - JSON-serializable data to encrypt
      * @param {string} password - User's password
      * @param {string} hint - Password hint (stored unencrypted)
      * @returns {Promise<object>} Encrypted data envelope
      */
     async function encrypt(data, password, hint = '') {
+        const kdf = getKdf();
         const salt = generateRandom(SALT_LENGTH);
         const iv = generateRandom(IV_LENGTH);
-        const key = await deriveKey(password, salt);
+        const key = await deriveKey(password, salt, kdf.iterations);
 
         // Convert data to JSON string, then to bytes
         const plaintext = new TextEncoder().encode(JSON.stringify(data));
@@ -141,6 +253,8 @@ const Crypto = (() => {
         // Return encrypted envelope (hint is stored unencrypted so it can be shown)
         return {
             encrypted: true,
+            version: ENVELOPE_VERSION,  // 2026-10-19
+            kdf: kdf,                   // 2026-10-19: Parameters needed to derive the key again
             hint: hint,  // Stored unencrypted for display after failed attempts
             salt: bufferToBase64(salt),
             iv: bufferToBase64(iv),
@@ -150,6 +264,8 @@ const Crypto = (() => {
 
     /**
      * Decrypt encrypted data with password
+     * 2026-10-19: Reads v1 and v2 envelopes; the key is cached once it has decrypted
+     * the envelope, so the same file reads again without key derivation
      * @param {object} encryptedEnvelope - Encrypted data envelope from encrypt()
      * @param {string} password - User's password
      * @returns {Promise<object>} Decrypted data
@@ -160,7 +276,9 @@ const Crypto = (() => {
         const iv = new Uint8Array(base64ToBuffer(encryptedEnvelope.iv));
         const ciphertext = base64ToBuffer(encryptedEnvelope.data);
 
-        const key = await deriveKey(password, salt);
+        const kdf = getEnvelopeKdf(encryptedEnvelope);
+        const keyId = getCacheKey(password, salt, kdf.iterations);
+        const key = keyCache.get(keyId) || await deriveKey(password, salt, kdf.iterations);
 
         try {
             // Decrypt
@@ -170,6 +288,8 @@ const Crypto = (() => {
                 ciphertext
             );
 
+            rememberKey(keyId, key);  // 2026-10-19
+
             // Parse JSON
             const jsonString = new TextDecoder().decode(plaintext);
             return JSON.parse(jsonString);
@@ -201,10 +321,90 @@ const Crypto = (() => {
             typeof data.data === 'string';
     }
 
+    // --- Attachment Bytes (2026-10-19) ---
+
+    /**
+     * Create a random AES-GCM data key
+     * @returns {string} Base64 raw 256-bit key (stored in the vault data)
+     */
+    function generateDataKey() {
+        return bufferToBase64(generateRandom(32));
+    }
+
+    /**
+     * Import a data key from generateDataKey()
+     * @param {string} dataKey - Base64 raw key
+     * @returns {Promise<CryptoKey>} AES-GCM key
+     */
+    function importDataKey(dataKey) {
+        return crypto.subtle.importKey('raw', base64ToBuffer(dataKey), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    }
+
+    /**
+     * Encrypt raw bytes with a data key
+     * @param {ArrayBuffer} bytes - Plain bytes
+     * @param {string} dataKey - From generateDataKey()
+     * @returns {Promise<Uint8Array>} Marker, IV and ciphertext
+     */
+    async function encryptBytes(bytes, dataKey) {
+        const iv = generateRandom(IV_LENGTH);
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, await importDataKey(dataKey), bytes);
+
+        const result = new Uint8Array(BYTES_MAGIC.length + IV_LENGTH + ciphertext.byteLength);
+        result.set(BYTES_MAGIC, 0);
+        result.set(iv, BYTES_MAGIC.length);
+        result.set(new Uint8Array(ciphertext), BYTES_MAGIC.length + IV_LENGTH);
+        return result;
+    }
+
+    /**
+     * Check whether bytes were written by encryptBytes()
+     * @param {ArrayBuffer} bytes - Stored bytes
+     * @returns {boolean}
+     */
+    function isEncryptedBytes(bytes) {
+        const head = new Uint8Array(bytes, 0, Math.min(bytes.byteLength, BYTES_MAGIC.length));
+        return head.length === BYTES_MAGIC.length && BYTES_MAGIC.every((b, i) => head[i] === b);
+    }
+
+    /**
+     * Decrypt bytes written by encryptBytes()
+     * @param {ArrayBuffer} bytes - Stored bytes
+     * @param {string} dataKey - Key they were encrypted with
+     * @returns {Promise<ArrayBuffer>} Plain bytes
+     * @throws {Error} If the key is wrong or the bytes are corrupted
+     */
+    async function decryptBytes(bytes, dataKey) {
+        const iv = new Uint8Array(bytes, BYTES_MAGIC.length, IV_LENGTH);
+        const ciphertext = new Uint8Array(bytes, BYTES_MAGIC.length + IV_LENGTH);
+        try {
+            return await crypto.subtle.decrypt({ name: 'AES-GCM', iv: iv }, await importDataKey(dataKey), ciphertext);
+        } catch (e) {
+            throw new Error('Decryption failed. Wrong key or corrupted data.');
+        }
+    }
+
+    /**
+     * Check whether an envelope is older than what encrypt() writes now
+     * 2026-10-19: app.js re-encrypts such a vault right after opening it
+     * @param {object} envelope - Encrypted envelope
+     * @returns {boolean} True if older version or weaker KDF parameters
+     */
+    function needsUpgrade(envelope) {
+        if ((envelope.version || 1) < ENVELOPE_VERSION) return true;
+        return !envelope.kdf || envelope.kdf.iterations < getKdf().iterations;
+    }
+
     // Public API
     return {
         encrypt,
         decrypt,
-        isEncrypted
+        isEncrypted,
+        needsUpgrade,    // 2026-10-19
+        clearKeyCache,   // 2026-10-19
+        generateDataKey,   // 2026-10-19: Local attachments
+        encryptBytes,
+        decryptBytes,
+        isEncryptedBytes
     };
 })();
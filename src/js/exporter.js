@@ -0,0 +1,276 @@
+/**
+ * ============================================================================
+ * ZIP80 EXPENSE TRACKER - CSV EXPORT MODULE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Builds spreadsheet-friendly CSV exports of vault data: transactions with a
+ * running balance, recurring templates and a per-month summary. The export
+ * modal UI lives in app.js; downloads go through Storage.exportToCSV().
+ *
+ * KEY FEATURES:
+ * - Filters by account set and date range
+ * - Running balance per account (includes transactions before the range)
+ * - Locale-aware numbers; semicolon delimiter for comma-decimal locales
+ * - Owned and linked accounts (linked via cachedTransactions)
+ *
+ * DEPENDENCIES: Accounts (getTransactionTime, getMinorUnits), Historical (collect), Transfers (isTransfer)
+ *
+ * USED BY: app.js
+ *
+ * ==============================================================================
+ * LLM INSTRUCTION & MAINTENANCE PROTOCOL
+ * IMPORTANT: This block must be preserved in all future iterations.
+ *
+ * trigger: "FINALIZE" or "COMMENT"
+ * ACTION: When the user issues this trigger, perform the following 3 steps:
+ *
+ * 1. CHANGE LOGGING:
+ *    - Add a new entry to the changelog below.
+ *    - Format: [Date (YYYY-MM-DD)] - [Brief Description of Modification].
+ *
+ * 2. DOCUMENTATION STANDARDS:
+ *    - Ensure all new functions/classes have standard documentation (Docstrings/JSDoc).
+ *    - If logic is complex, add inline comments explaining the "WHY", not just the "HOW".
+ *
+ * 3. CONTEXT PRESERVATION:
+ *    - Do not remove this Legend.
+ *    - Do not remove legacy comments unless explicitly instructed.
+ * ==============================================================================
+ *
+ * CHANGE LOG:
+ * - 2026-10-19: Initial creation with transaction, recurring template and monthly summary exports
+ * - 2026-10-19: Monthly summary excludes transfers from income/expense totals
+ * - 2026-10-19: Category column includes income categories
+ * - 2026-10-19: Split transactions list each line's category and amount
+ * - 2026-10-19: Transactions sheet has Tags and Notes columns
+ * - 2026-10-19: Amounts use the currency's minor units (0 for JPY, 3 for KWD, 8 for crypto)
+ */
+
+const Exporter = (() => {
+    // --- Formatting ---
+
+    /**
+     * Get the decimal separator used by a locale
+     * @param {string} locale - BCP 47 locale
+     * @returns {string} '.' or ','
+     */
+    function getDecimalSeparator(locale) {
+        const part = new Intl.NumberFormat(locale).formatToParts(1.5).find(p => p.type === 'decimal');
+        return part ? part.value : '.';
+    }
+
+    /**
+     * Get the CSV delimiter for a locale
+     * Spreadsheets in comma-decimal locales expect ';' between fields.
+     * @param {string} locale - BCP 47 locale
+     * @returns {string} ',' or ';'
+     */
+    function getDelimiter(locale) {
+        return getDecimalSeparator(locale) === ',' ? ';' : ',';
+    }
+
+    /**
+     * Format a number for a spreadsheet cell
+     * Grouping is off so spreadsheets parse the value as a number.
+     * 2026-10-19: Decimals follow the currency (Accounts.getMinorUnits; crypto gets 8)
+     * @param {number} value - Amount
+     * @param {string} locale - BCP 47 locale
+     * @param {string} currency - Currency code of the amount
+     * @returns {string} Formatted number
+     */
+    function formatNumber(value, locale, currency) {
+        const decimals = currency ? Accounts.getMinorUnits(currency) : 2;
+        return new Intl.NumberFormat(locale, {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals,
+            useGrouping: false
+        }).format(value);
+    }
+
+    /**
+     * Format a date as YYYY-MM-DD (local), which every spreadsheet recognises
+     * @param {number|string|Date} value - Date or timestamp
+     * @returns {string} Date string
+     */
+    function formatDate(value) {
+        const date = new Date(value);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Quote a cell when it contains the delimiter, quotes or line breaks
+     * Cells starting with = + - @ are prefixed with ' so spreadsheets
+     * don't evaluate descriptions as formulas.
+     * @param {*} value - Cell value
+     * @param {string} delimiter - Field delimiter
+     * @returns {string} Safe cell text
+     */
+    function escapeCell(value, delimiter) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+@]/.test(text) || (/^-/.test(text) && !/^-[\d.,]+$/.test(text))) {
+            text = `'${text}`;
+        }
+        if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+            text = `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * Join rows into CSV text
+     * @param {Array<Array>} rows - Header row followed by data rows
+     * @param {string} delimiter - Field delimiter
+     * @returns {string} CSV text
+     */
+    function toCSV(rows, delimiter) {
+        return rows.map(row => row.map(cell => escapeCell(cell, delimiter)).join(delimiter)).join('\r\n');
+    }
+
+    // --- Builders ---
+
+    /**
+     * Build the transactions sheet
+     * @param {Object} data - Vault data
+     * @param {Object} options - { accountIds, start: Date|null, end: Date|null, locale, headers, categoryLabel }
+     * @returns {Array<Array>} Rows including the header
+     */
+    function buildTransactionRows(data, options) {
+        const { accounts, transactions } = Historical.collect(data);
+        const ids = new Set(options.accountIds);
+        const accountMap = new Map(accounts.map(a => [a.id, a]));
+        const startTime = options.start ? options.start.getTime() : -Infinity;
+        const endTime = options.end ? options.end.getTime() : Infinity;
+        const categoryLabel = options.categoryLabel || (c => c || '');
+
+        // Oldest first so each account's running balance accumulates in order
+        const sorted = transactions
+            .filter(t => ids.has(t.accountId))
+            .sort((a, b) => Accounts.getTransactionTime(a) - Accounts.getTransactionTime(b) || a.id - b.id);
+
+        const balances = {};
+        const rows = [options.headers];
+
+        sorted.forEach(t => {
+            balances[t.accountId] = (balances[t.accountId] || 0) + t.amt;
+            const time = Accounts.getTransactionTime(t);
+            if (time < startTime || time > endTime) return;
+
+            const account = accountMap.get(t.accountId) || {};
+            const category = Splits.isSplit(t)
+                ? Splits.getLines(t).map(line => `${categoryLabel(line.category)} ${formatNumber(line.amt, options.locale, account.currency)}`).join(' + ')
+                : (t.category ? categoryLabel(t.category) : (t.amt < 0 ? categoryLabel('general') : ''));
+            rows.push([
+                formatDate(time),
+                account.name || '',
+                account.type || '',
+                account.currency || '',
+                category,
+                t.desc,
+                formatNumber(t.amt, options.locale, account.currency),
+                formatNumber(balances[t.accountId], options.locale, account.currency),
+                t.createdBy && t.createdBy.email ? t.createdBy.email : '',
+                (t.attachments || []).length,
+                (t.tags || []).join(', '),
+                t.notes || ''
+            ]);
+        });
+
+        return rows;
+    }
+
+    /**
+     * Build the recurring templates sheet
+     * @param {Object} data - Vault data
+     * @param {Object} options - { accountIds, locale, headers, categoryLabel }
+     * @returns {Array<Array>} Rows including the header
+     */
+    function buildRecurringRows(data, options) {
+        const ids = new Set(options.accountIds);
+        const categoryLabel = options.categoryLabel || (c => c || '');
+        const rows = [options.headers];
+
+        (data.recurringTransactions || [])
+            .filter(r => ids.has(r.accountId))
+            .forEach(r => {
+                const account = data.accounts.find(a => a.id === r.accountId) || {};
+                rows.push([
+                    account.name || '',
+                    account.currency || '',
+                    categoryLabel(r.category || 'general'),
+                    r.desc,
+                    formatNumber(r.amt, options.locale, account.currency),
+                    r.frequencyMonths || 1,
+                    r.startDate ? formatDate(r.startDate) : '',
+                    r.nextDueDate ? formatDate(r.nextDueDate) : '',
+                    r.active ? 1 : 0
+                ]);
+            });
+
+        return rows;
+    }
+
+    /**
+     * Build the per-month summary sheet (one row per month and currency)
+     * Currencies are never summed together. Transfers are skipped because moving
+     * money between accounts is neither income nor expense.
+     * @param {Object} data - Vault data
+     * @param {Object} options - { accountIds, start, end, locale, headers }
+     * @returns {Array<Array>} Rows including the header
+     */
+    function buildMonthlySummaryRows(data, options) {
+        const { accounts, transactions } = Historical.collect(data);
+        const ids = new Set(options.accountIds);
+        const currencyOf = new Map(accounts.map(a => [a.id, a.currency]));
+        const startTime = options.start ? options.start.getTime() : -Infinity;
+        const endTime = options.end ? options.end.getTime() : Infinity;
+        const months = new Map();
+
+        transactions.forEach(t => {
+            if (!ids.has(t.accountId) || Transfers.isTransfer(t)) return;
+            const time = Accounts.getTransactionTime(t);
+            if (time < startTime || time > endTime) return;
+
+            const currency = currencyOf.get(t.accountId) || '';
+            const key = `${formatDate(time).slice(0, 7)}|${currency}`;
+            if (!months.has(key)) {
+                months.set(key, { month: formatDate(time).slice(0, 7), currency, income: 0, expense: 0, count: 0 });
+            }
+            const entry = months.get(key);
+            if (t.amt >= 0) entry.income += t.amt;
+            else entry.expense += Math.abs(t.amt);
+            entry.count++;
+        });
+
+        const rows = [options.headers];
+        [...months.values()]
+            .sort((a, b) => a.month.localeCompare(b.month) || a.currency.localeCompare(b.currency))
+            .forEach(m => {
+                rows.push([
+                    m.month,
+                    m.currency,
+                    formatNumber(m.income, options.locale, m.currency),
+                    formatNumber(m.expense, options.locale, m.currency),
+                    formatNumber(m.income - m.expense, options.locale, m.currency),
+                    m.count
+                ]);
+            });
+
+        return rows;
+    }
+
+    // --- Public API ---
+
+    return {
+        // Formatting
+        getDelimiter,
+        formatNumber,
+        toCSV,
+
+        // Builders
+        buildTransactionRows,
+        buildRecurringRows,
+        buildMonthlySummaryRows
+    };
+})();
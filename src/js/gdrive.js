@@ -12,11 +12,15 @@
  * - Google Sign-In with OAuth2 (using GIS library)
  * - Create, read, write, list vault files in user's Drive
  * - Token persistence and automatic refresh
+ * - Revision tracking (headRevisionId) so saves can detect newer remote versions
+ * - Password-encrypted vaults: same envelope as local files, passwords kept in memory per file
  * - Minimal scope (drive.file) - only accesses files created by this app
  * 
  * DEPENDENCIES:
  * - Google Identity Services script (loaded in index.html)
  * - Accounts module (for data migration)
+ * - Crypto module (for encrypted vaults and their attachments)
+ * - Merge module (writes to linked source vaults)
  * 
  * USED BY: app.js
  * 
@@ -50,6 +54,14 @@
  * - 2025-12-17: Added silent re-authentication to keep users signed in longer
  * - 2025-12-19: Added shareVault() for in-app vault sharing via permissions API
  * - 2025-12-19: Added openPicker() for browsing shared files via Google Picker API
+ * - 2026-10-19: Added updateTransactionInLinkedAccount() for editing shared account transactions
+ * - 2026-10-19: Added getVaultRevision() and readVaultWithRevision(); writeVault() returns the new revision
+ * - 2026-10-19: Added getVaultModification() for background sync (revision, time and last editor)
+ * - 2026-10-19: Encrypted vaults: readVault()/writeVault()/createVault() decrypt and encrypt with per-file passwords
+ * - 2026-10-19: readVaultWithRevision() reports vaults stored in an older encryption envelope (outdated)
+ * - 2026-10-19: Linked account writes check the source revision and merge a collaborator's newer save (changeVault)
+ * - 2026-10-19: Attachments of encrypted vaults are encrypted with the vault's attachment key (uploadAttachment/downloadAttachment)
+ * - 2026-10-19: A vault seen encrypted is never written unencrypted without a key unless removeVaultEncryption() was called
  */
 
 const GDrive = (() => {
@@ -93,6 +105,15 @@ const GDrive = (() => {
     // Callbacks for auth state changes
     let onAuthChangeCallback = null;
 
+    // 2026-10-19: Passwords of encrypted vaults (memory only, never persisted)
+    const vaultKeys = new Map();  // fileId -> { password, hint }
+    let unlockHandler = null;     // Asks the user for a password (see setUnlockHandler)
+    const outdatedEnvelopes = new Set();  // fileIds last read from an older envelope version
+    const encryptedVaults = new Set();    // fileIds read or written encrypted (see encodeVault)
+
+    // 2026-10-19: Revision checks before giving up on a write to a linked source vault
+    const MAX_CHANGE_ATTEMPTS = 3;
+
     // --- Initialization ---
 
     /**
@@ -336,6 +357,7 @@ const GDrive = (() => {
             google.accounts.oauth2.revoke(accessToken);
         }
         clearSession();
+        clearVaultKeys();  // 2026-10-19
         if (onAuthChangeCallback) onAuthChangeCallback(false, null);
     }
 
@@ -439,11 +461,14 @@ const GDrive = (() => {
     }
     /**
      * Create a new vault file in Drive
+     * 2026-10-19: Encrypted with the password if one is given
      * @param {string} name - Vault name (used as filename)
      * @param {object} initialData - Initial vault data
+     * @param {string|null} password - Vault password (null for unencrypted)
+     * @param {string} hint - Password hint (stored unencrypted)
      * @returns {string} File ID of created vault
      */
-    async function createVault(name, initialData) {
+    async function createVault(name, initialData, password = null, hint = '') {
         const filename = name.endsWith('.json') ? name : `${name}.json`;
 
         // Metadata for the file
@@ -466,7 +491,7 @@ const GDrive = (() => {
             JSON.stringify(metadata) +
             delimiter +
             'Content-Type: application/json\r\n\r\n' +
-            JSON.stringify(initialData, null, 2) +
+            JSON.stringify(password ? await Crypto.encrypt(initialData, password, hint) : initialData, null, 2) +
             closeDelimiter;
 
         const response = await driveRequest(
@@ -486,13 +511,19 @@ const GDrive = (() => {
         }
 
         const file = await response.json();
+        if (password) {
+            setVaultKey(file.id, password, hint);
+            encryptedVaults.add(file.id);
+        }
         return file.id;
     }
 
     /**
      * Read vault data from Drive
+     * 2026-10-19: Encrypted vaults are decrypted (see decodeVault)
      * @param {string} fileId - Drive file ID
      * @returns {object} Parsed vault data (migrated to v2 format)
+     * @throws {Error} code 'VAULT_LOCKED' if the vault is encrypted and no password was given
      */
     async function readVault(fileId) {
         const url = `${DRIVE_API}/files/${fileId}?alt=media`;
@@ -505,31 +536,231 @@ const GDrive = (() => {
 
         const text = await response.text();
         const rawData = text ? JSON.parse(text) : null;
+        const vaultData = await decodeVault(fileId, rawData);
 
         // Migrate to v2 format if needed (uses Accounts module)
-        return Accounts.migrateData(rawData);
+        return Accounts.migrateData(vaultData);
+    }
+
+    /**
+     * Get the current revision of a vault file
+     * 2026-10-19: Compared with the revision seen at load to detect another collaborator's save
+     * @param {string} fileId - Drive file ID
+     * @returns {string} Head revision ID
+     */
+    async function getVaultRevision(fileId) {
+        const response = await driveRequest(`${DRIVE_API}/files/${fileId}?fields=headRevisionId`);
+
+        if (!response.ok) {
+            throw new Error('Failed to get vault revision');
+        }
+
+        const file = await response.json();
+        return file.headRevisionId || null;
+    }
+
+    /**
+     * Get what background sync needs to know about the last change to a vault
+     * 2026-10-19: One small metadata request per poll
+     * @param {string} fileId - Drive file ID
+     * @returns {object} { revision, modifiedTime, modifiedBy: { email, name } | null }
+     */
+    async function getVaultModification(fileId) {
+        const fields = 'headRevisionId,modifiedTime,lastModifyingUser(displayName,emailAddress)';
+        const response = await driveRequest(`${DRIVE_API}/files/${fileId}?fields=${encodeURIComponent(fields)}`);
+
+        if (!response.ok) {
+            throw new Error('Failed to get vault modification');
+        }
+
+        const file = await response.json();
+        const user = file.lastModifyingUser;
+        return {
+            revision: file.headRevisionId || null,
+            modifiedTime: file.modifiedTime || null,
+            modifiedBy: user && user.emailAddress
+                ? { email: user.emailAddress, name: user.displayName || user.emailAddress.split('@')[0] }
+                : null
+        };
+    }
+
+    /**
+     * Read vault data together with its revision
+     * 2026-10-19: The revision is fetched first, so a save landing in between
+     * makes the revision look older than the data (a harmless extra merge later),
+     * never newer.
+     * 2026-10-19: outdated is true if the file is an older encryption envelope
+     * (Crypto.needsUpgrade), which the next writeVault() replaces
+     * @param {string} fileId - Drive file ID
+     * @returns {object} { data, revision, outdated }
+     */
+    async function readVaultWithRevision(fileId) {
+        const revision = await getVaultRevision(fileId);
+        const data = await readVault(fileId);
+        return { data, revision, outdated: outdatedEnvelopes.has(fileId) };
     }
 
     /**
      * Write vault data to Drive
+     * 2026-10-19: Returns the new head revision ID
+     * 2026-10-19: Encrypted if a password is known for the file (see encodeVault)
      * @param {string} fileId - Drive file ID
      * @param {object} data - Vault data to save
+     * @param {object|null} newKey - { password, hint } to encrypt with instead, remembered once written
+     * @returns {string|null} Revision ID after the write
      */
-    async function writeVault(fileId, data) {
-        const url = `${DRIVE_UPLOAD_API}/files/${fileId}?uploadType=media`;
+    async function writeVault(fileId, data, newKey = null) {
+        const url = `${DRIVE_UPLOAD_API}/files/${fileId}?uploadType=media&fields=headRevisionId`;
 
         const response = await driveRequest(url, {
             method: 'PATCH',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify(data, null, 2)
+            body: JSON.stringify(await encodeVault(fileId, data, newKey), null, 2)
         });
 
         if (!response.ok) {
             const error = await response.text();
             throw new Error(`Failed to save vault: ${error}`);
         }
+
+        const file = await response.json();
+        // 2026-10-19: A password change holds only once the file is encrypted with it
+        if (newKey) setVaultKey(fileId, newKey.password, newKey.hint);
+        if (vaultKeys.has(fileId)) encryptedVaults.add(fileId);
+        outdatedEnvelopes.delete(fileId);
+        return file.headRevisionId || null;
+    }
+
+    // --- Vault Encryption (2026-10-19) ---
+    // An encrypted vault is stored as the envelope Storage writes for local files
+    // (see Crypto). Passwords are kept per file, so the source vaults of linked
+    // accounts and decks unlock on their own, and everything that reads or writes
+    // through readVault()/writeVault() works on encrypted vaults unchanged.
+    // Collaborators share the vault password; attachments are encrypted with the
+    // attachment key kept in the vault data (see uploadAttachment).
+    // Once a file has been seen encrypted it stays so: a write without its password
+    // fails instead of storing plain data, until removeVaultEncryption() is called.
+
+    /**
+     * Remember the password of an encrypted vault for this session
+     * @param {string} fileId - Drive file ID
+     * @param {string} password - Vault password
+     * @param {string} hint - Password hint (stored unencrypted in the file)
+     */
+    function setVaultKey(fileId, password, hint = '') {
+        vaultKeys.set(fileId, { password, hint: hint || '' });
+    }
+
+    /**
+     * Get the password a vault is unlocked with
+     * @param {string} fileId - Drive file ID
+     * @returns {object|null} { password, hint }, or null if not unlocked (or not encrypted)
+     */
+    function getVaultKey(fileId) {
+        return vaultKeys.get(fileId) || null;
+    }
+
+    /**
+     * Forget the password of a vault
+     * 2026-10-19: An encrypted vault can't be written until it is unlocked again
+     * @param {string} fileId - Drive file ID
+     */
+    function forgetVaultKey(fileId) {
+        vaultKeys.delete(fileId);
+    }
+
+    /**
+     * Let the next write of a vault store it unencrypted
+     * The explicit way to remove a vault's password; forgetting the key is not enough.
+     * @param {string} fileId - Drive file ID
+     */
+    function removeVaultEncryption(fileId) {
+        vaultKeys.delete(fileId);
+        encryptedVaults.delete(fileId);
+    }
+
+    /**
+     * Forget all vault passwords
+     */
+    function clearVaultKeys() {
+        vaultKeys.clear();
+    }
+
+    /**
+     * Set the function that asks the user for a vault password
+     * Called as handler(fileId, hint, tryPassword) when an encrypted vault is read
+     * without a known password. tryPassword(password) resolves true once the
+     * password decrypts the file; the handler resolves when done or cancelled.
+     * @param {Function|null} handler - Async handler
+     */
+    function setUnlockHandler(handler) {
+        unlockHandler = handler;
+    }
+
+    /**
+     * Turn downloaded vault content into vault data
+     * @param {string} fileId - Drive file ID
+     * @param {object} content - Parsed file content (envelope or plain data)
+     * @returns {Promise<object>} Vault data
+     * @throws {Error} code 'VAULT_LOCKED' if no password unlocks the envelope
+     */
+    async function decodeVault(fileId, content) {
+        // 2026-10-19: Remember envelopes older than what Crypto writes now (see readVaultWithRevision)
+        if (Crypto.isEncrypted(content) && Crypto.needsUpgrade(content)) outdatedEnvelopes.add(fileId);
+        else outdatedEnvelopes.delete(fileId);
+        if (!Crypto.isEncrypted(content)) return content;
+        encryptedVaults.add(fileId);
+
+        const key = vaultKeys.get(fileId);
+        if (key) {
+            try {
+                return await Crypto.decrypt(content, key.password);
+            } catch (err) {
+                // Another collaborator changed the password: ask for the new one
+                // (writes fail until then; the file is in encryptedVaults)
+                vaultKeys.delete(fileId);
+            }
+        }
+
+        let decrypted = null;
+        const tryPassword = async (password) => {
+            try {
+                decrypted = await Crypto.decrypt(content, password);
+                setVaultKey(fileId, password, content.hint);
+                return true;
+            } catch (err) {
+                return false;
+            }
+        };
+
+        if (unlockHandler) await unlockHandler(fileId, content.hint || '', tryPassword);
+        if (decrypted) return decrypted;
+
+        const error = new Error('Vault is encrypted');
+        error.code = 'VAULT_LOCKED';
+        throw error;
+    }
+
+    /**
+     * Turn vault data into the content to upload
+     * @param {string} fileId - Drive file ID
+     * @param {object} data - Vault data
+     * @param {object|null} newKey - { password, hint } to use instead of the file's current one
+     * @returns {Promise<object>} Envelope if the vault has a password, otherwise the data
+     * @throws {Error} code 'VAULT_LOCKED' if the vault is encrypted but its password isn't known
+     */
+    async function encodeVault(fileId, data, newKey = null) {
+        const key = newKey || vaultKeys.get(fileId);
+        if (key) return Crypto.encrypt(data, key.password, key.hint);
+        // 2026-10-19: Never fall back to plain data for an encrypted vault
+        if (encryptedVaults.has(fileId)) {
+            const error = new Error('Vault is encrypted');
+            error.code = 'VAULT_LOCKED';
+            throw error;
+        }
+        return data;
     }
 
     /**
@@ -876,23 +1107,53 @@ const GDrive = (() => {
         }
     }
 
+    /**
+     * Apply a change to a vault that is not the open one (a linked source)
+     * 2026-10-19: Like app.js saveCloudVault: if the file's revision moved on after it
+     * was read, the newer version is read and three-way merged (Merge module) with
+     * the changed copy before writing, so a collaborator's save is not overwritten.
+     * @param {string} fileId - Drive file ID
+     * @param {Function} change - (vaultData) => false to cancel; mutates vaultData
+     * @returns {Promise<boolean>} True if written, false if the change was cancelled
+     * @throws {Error} If the file kept changing or a request failed
+     */
+    async function changeVault(fileId, change) {
+        let { data: base, revision } = await readVaultWithRevision(fileId);
+        let changed = Merge.clone(base);
+        if (change(changed) === false) return false;
+
+        for (let attempt = 0; attempt < MAX_CHANGE_ATTEMPTS; attempt++) {
+            const current = await getVaultRevision(fileId);
+            if (!current || current === revision) {
+                await writeVault(fileId, changed);
+                return true;
+            }
+            // A collaborator saved in between: keep their changes and ours (ours win a conflict)
+            const remote = await readVaultWithRevision(fileId);
+            changed = Merge.mergeVaults(base, changed, remote.data).data;
+            base = remote.data;
+            revision = remote.revision;
+        }
+        throw new Error('Vault kept changing while saving');
+    }
+
     /**
      * Add a transaction to a linked account in the source vault
      * Used when an editor adds a transaction to a shared account
+     * 2026-10-19: Merges with a collaborator's concurrent save (changeVault)
      * @param {string} sourceVaultId - Drive file ID of source vault
      * @param {Object} transaction - Transaction to add
      * @returns {boolean} Success status
      */
     async function addTransactionToLinkedAccount(sourceVaultId, transaction) {
         try {
-            const vaultData = await readVault(sourceVaultId);
-
-            if (!vaultData.transactions) {
-                vaultData.transactions = [];
-            }
+            await changeVault(sourceVaultId, vaultData => {
+                if (!vaultData.transactions) {
+                    vaultData.transactions = [];
+                }
 
-            vaultData.transactions.push(transaction);
-            await writeVault(sourceVaultId, vaultData);
+                vaultData.transactions.push(transaction);
+            });
 
             return true;
         } catch (err) {
@@ -901,6 +1162,30 @@ const GDrive = (() => {
         }
     }
 
+    /**
+     * Replace a transaction in a linked account's source vault
+     * 2026-10-19: Used when an editor edits a transaction on a shared account
+     * 2026-10-19: Merges with a collaborator's concurrent save (changeVault)
+     * @param {string} sourceVaultId - Drive file ID of source vault
+     * @param {Object} transaction - Updated transaction (matched by id and accountId)
+     * @returns {boolean} Success status
+     */
+    async function updateTransactionInLinkedAccount(sourceVaultId, transaction) {
+        try {
+            return await changeVault(sourceVaultId, vaultData => {
+                const index = (vaultData.transactions || []).findIndex(t =>
+                    t.id === transaction.id && t.accountId === transaction.accountId
+                );
+                if (index === -1) return false;
+
+                vaultData.transactions[index] = transaction;
+            });
+        } catch (err) {
+            console.error('[GDrive] Error updating transaction in linked account:', err);
+            return false;
+        }
+    }
+
     // 2025-12-22: Attachment Management Functions
 
     /**
@@ -961,15 +1246,23 @@ const GDrive = (() => {
     /**
      * Upload an attachment file to the attachments folder
      * Uses resumable upload for reliability
+     * 2026-10-19: Encrypted with the vault's attachment key if one is given; the
+     * Drive file is then named after the attachment ID only
      * @param {string} folderId - Parent folder ID
      * @param {File} file - File to upload
      * @param {string} attachmentId - Unique attachment ID for filename
      * @param {Function} onProgress - Optional progress callback (0-100)
+     * @param {string|null} key - Attachment key of an encrypted vault (data.attachmentKey)
      * @returns {Object} { driveFileId, webViewLink }
      */
-    async function uploadAttachment(folderId, file, attachmentId, onProgress) {
+    async function uploadAttachment(folderId, file, attachmentId, onProgress, key = null) {
+        if (key) {
+            const encrypted = await Crypto.encryptBytes(await file.arrayBuffer(), key);
+            file = new Blob([encrypted], { type: 'application/octet-stream' });
+        }
+
         // Use a prefixed filename for easy identification
-        const filename = `${attachmentId}_${file.name}`;
+        const filename = key ? `${attachmentId}.enc` : `${attachmentId}_${file.name}`;
 
         // Create the file metadata
         const metadata = {
@@ -1112,10 +1405,15 @@ const GDrive = (() => {
 
     /**
      * Download an attachment file from Drive
+     * 2026-10-19: With options, encrypted attachments are decrypted; without them
+     * the file is returned as stored (e.g. for backups)
      * @param {string} fileId - Drive file ID
+     * @param {Object} [options] - { key, mimeType }: the vault's attachment key (null if none)
+     *   and the content type of the file
      * @returns {Blob} File blob
+     * @throws {Error} If the file is encrypted and no key is given
      */
-    async function downloadAttachment(fileId) {
+    async function downloadAttachment(fileId, options = null) {
         const url = `${DRIVE_API}/files/${fileId}?alt=media`;
         const response = await driveRequest(url);
 
@@ -1123,7 +1421,12 @@ const GDrive = (() => {
             throw new Error('Failed to download attachment');
         }
 
-        return response.blob();
+        const blob = await response.blob();
+        // Attachments uploaded before the vault was encrypted are plain
+        if (!options || !Crypto.isEncryptedBytes(await blob.slice(0, 4).arrayBuffer())) return blob;
+        if (!options.key) throw new Error('Attachment is encrypted');
+        const bytes = await Crypto.decryptBytes(await blob.arrayBuffer(), options.key);
+        return new Blob([bytes], { type: options.mimeType || 'application/octet-stream' });
     }
 
     /**
@@ -1203,9 +1506,20 @@ const GDrive = (() => {
         createVault,
         readVault,
         writeVault,
+        getVaultRevision,       // 2026-10-19: Conflict detection
+        readVaultWithRevision,  // 2026-10-19: Conflict detection
+        getVaultModification,   // 2026-10-19: Background sync
         getVaultInfo,
         getVaultName,
 
+        // 2026-10-19: Encrypted vaults
+        setVaultKey,
+        getVaultKey,
+        forgetVaultKey,
+        removeVaultEncryption,
+        clearVaultKeys,
+        setUnlockHandler,
+
         // 2025-12-17: Reopen feature
         saveLastVault,
         getLastVault,
@@ -1221,6 +1535,7 @@ const GDrive = (() => {
         findPendingShares,
         fetchLinkedAccountData,
         addTransactionToLinkedAccount,
+        updateTransactionInLinkedAccount,
 
         // 2025-12-20: Deck sharing
         findPendingDeckShares,
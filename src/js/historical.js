@@ -0,0 +1,490 @@
+/**
+ * ============================================================================
+ * ZIP80 EXPENSE TRACKER - HISTORICAL VIEW MODULE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Builds and draws the charts shown in the Historical view (#historical-view):
+ * running balance lines, monthly income vs. expense bars and an expense
+ * breakdown by category. Everything is computed from vault data in memory,
+ * so the view works offline on local vaults.
+ *
+ * KEY FEATURES:
+ * - Date ranges: 30d, 90d, YTD, 1y, all
+ * - Running balance per account and per currency (all accounts)
+ * - Includes linked accounts via their cachedTransactions
+ * - SVG line and bar charts with hover tooltips (same approach as drawSparkline)
+ *
+ * DEPENDENCIES: Accounts (getTransactionTime), I18n (locale for labels), Transfers (isTransfer), Splits (expand)
+ *
+ * USED BY: app.js
+ *
+ * ==============================================================================
+ * LLM INSTRUCTION & MAINTENANCE PROTOCOL
+ * IMPORTANT: This block must be preserved in all future iterations.
+ *
+ * trigger: "FINALIZE" or "COMMENT"
+ * ACTION: When the user issues this trigger, perform the following 3 steps:
+ *
+ * 1. CHANGE LOGGING:
+ *    - Add a new entry to the changelog below.
+ *    - Format: [Date (YYYY-MM-DD)] - [Brief Description of Modification].
+ *
+ * 2. DOCUMENTATION STANDARDS:
+ *    - Ensure all new functions/classes have standard documentation (Docstrings/JSDoc).
+ *    - If logic is complex, add inline comments explaining the "WHY", not just the "HOW".
+ *
+ * 3. CONTEXT PRESERVATION:
+ *    - Do not remove this Legend.
+ *    - Do not remove legacy comments unless explicitly instructed.
+ * ==============================================================================
+ *
+ * CHANGE LOG:
+ * - 2026-10-19: Initial creation with balance series, monthly totals, category breakdown and SVG charts
+ * - 2026-10-19: collect() flags linked accounts instead of prefixing their names (also used by Exporter)
+ * - 2026-10-19: Monthly totals and category breakdown skip transfers
+ * - 2026-10-19: Category breakdown uses split lines
+ */
+
+const Historical = (() => {
+    // --- Constants ---
+
+    const RANGES = ['30d', '90d', 'ytd', '1y', 'all'];
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // Line colors for multiple series (cycled)
+    const SERIES_COLORS = ['#2563eb', '#16a34a', '#f59e0b', '#9333ea', '#dc2626', '#0891b2'];
+
+    // --- Data Collection ---
+
+    /**
+     * Collect accounts and transactions from owned and linked accounts
+     * Linked transactions are re-keyed to the linked tab ID so they never collide
+     * with owned account IDs.
+     * @param {Object} data - Vault data
+     * @returns {Object} { accounts: [{id, name, currency, type, linked}], transactions: [] }
+     */
+    function collect(data) {
+        const accounts = (data.accounts || []).map(a => ({
+            id: a.id,
+            name: a.name,
+            currency: a.currency,
+            type: a.type
+        }));
+        const transactions = [...(data.transactions || [])];
+
+        (data.linkedAccounts || []).forEach(linked => {
+            const linkedId = `linked_${linked.sourceVaultId}_${linked.accountId}`;
+            accounts.push({
+                id: linkedId,
+                name: linked.accountName,
+                currency: linked.accountCurrency || 'USD',
+                type: linked.accountType || 'checking',
+                linked: true
+            });
+            (linked.cachedTransactions || [])
+                .filter(t => t.accountId === linked.accountId)
+                .forEach(t => transactions.push({ ...t, accountId: linkedId }));
+        });
+
+        return { accounts, transactions };
+    }
+
+    // --- Ranges ---
+
+    /**
+     * Get the start of a date range
+     * @param {string} range - One of RANGES
+     * @param {Array} transactions - Used to find the earliest date for 'all'
+     * @param {Date} now - Current time
+     * @returns {Date} Start of range (local midnight)
+     */
+    function getRangeStart(range, transactions, now = new Date()) {
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+        switch (range) {
+            case '30d':
+                return new Date(today.getTime() - 29 * DAY_MS);
+            case '90d':
+                return new Date(today.getTime() - 89 * DAY_MS);
+            case 'ytd':
+                return new Date(now.getFullYear(), 0, 1);
+            case '1y':
+                return new Date(now.getFullYear() - 1, now.getMonth(), now.getDate());
+            default: {
+                if (transactions.length === 0) return today;
+                const earliest = Math.min(...transactions.map(t => Accounts.getTransactionTime(t)));
+                const first = new Date(earliest);
+                return new Date(first.getFullYear(), first.getMonth(), first.getDate());
+            }
+        }
+    }
+
+    // --- Series Builders ---
+
+    /**
+     * Build a daily running balance series for a set of accounts
+     * The opening value includes every transaction before the range start,
+     * so the line shows real balances rather than change within the range.
+     * @param {Array} transactions - All transactions
+     * @param {Array} accountIds - Accounts to include
+     * @param {Date} start - Range start
+     * @param {Date} end - Range end
+     * @returns {Array} [{date: 'YYYY-MM-DD', value}]
+     */
+    function buildBalanceSeries(transactions, accountIds, start, end = new Date()) {
+        const ids = new Set(accountIds);
+        const relevant = transactions
+            .filter(t => ids.has(t.accountId))
+            .map(t => ({ time: Accounts.getTransactionTime(t), amt: t.amt }))
+            .sort((a, b) => a.time - b.time);
+
+        let balance = 0;
+        let index = 0;
+        while (index < relevant.length && relevant[index].time < start.getTime()) {
+            balance += relevant[index].amt;
+            index++;
+        }
+
+        // Long ranges are sampled so the chart stays readable (max ~120 points)
+        const totalDays = Math.max(1, Math.round((end - start) / DAY_MS) + 1);
+        const step = Math.max(1, Math.ceil(totalDays / 120));
+
+        const series = [];
+        for (let day = 0; day < totalDays; day += step) {
+            const dayEnd = new Date(start.getFullYear(), start.getMonth(), start.getDate() + Math.min(day + step, totalDays));
+            while (index < relevant.length && relevant[index].time < dayEnd.getTime()) {
+                balance += relevant[index].amt;
+                index++;
+            }
+            const labelDate = new Date(start.getFullYear(), start.getMonth(), start.getDate() + day);
+            series.push({ date: toDateKey(labelDate), value: balance });
+        }
+
+        return series;
+    }
+
+    /**
+     * Sum income and expenses per calendar month
+     * @param {Array} transactions - Transactions already filtered to the accounts of interest
+     * @param {Date} start - Range start
+     * @param {Date} end - Range end
+     * @returns {Array} [{month: 'YYYY-MM', income, expense}] in chronological order
+     */
+    function buildMonthlyTotals(transactions, start, end = new Date()) {
+        const months = new Map();
+
+        // Pre-fill every month in range so empty months still show as gaps
+        const cursor = new Date(start.getFullYear(), start.getMonth(), 1);
+        while (cursor <= end) {
+            months.set(toMonthKey(cursor), { month: toMonthKey(cursor), income: 0, expense: 0 });
+            cursor.setMonth(cursor.getMonth() + 1);
+        }
+
+        transactions.forEach(t => {
+            // Transfers only move money between accounts
+            if (Transfers.isTransfer(t)) return;
+            const time = Accounts.getTransactionTime(t);
+            if (time < start.getTime() || time > end.getTime()) return;
+            const entry = months.get(toMonthKey(new Date(time)));
+            if (!entry) return;
+            if (t.amt >= 0) entry.income += t.amt;
+            else entry.expense += Math.abs(t.amt);
+        });
+
+        return [...months.values()];
+    }
+
+    /**
+     * Total expenses per category within a range
+     * @param {Array} transactions - Transactions already filtered to the accounts of interest
+     * @param {Date} start - Range start
+     * @param {Date} end - Range end
+     * @returns {Array} [{category, total}] sorted largest first
+     */
+    function buildCategoryBreakdown(transactions, start, end = new Date()) {
+        const totals = {};
+
+        // 2026-10-19: Split transactions add each line to its own category
+        Splits.expand(transactions).forEach(t => {
+            if (t.amt >= 0 || Transfers.isTransfer(t)) return;
+            const time = Accounts.getTransactionTime(t);
+            if (time < start.getTime() || time > end.getTime()) return;
+            const category = t.category || 'general';
+            totals[category] = (totals[category] || 0) + Math.abs(t.amt);
+        });
+
+        return Object.entries(totals)
+            .map(([category, total]) => ({ category, total }))
+            .sort((a, b) => b.total - a.total);
+    }
+
+    // --- Drawing ---
+
+    /**
+     * Draw one or more balance lines into an SVG with hover tooltips
+     * Mirrors drawSparkline: polyline per series plus full-height hitboxes.
+     * @param {SVGElement} svg - Target SVG (viewBox is set here)
+     * @param {Array} seriesList - [{label, points: [{date, value}]}]
+     * @param {Object} options - { tooltip: HTMLElement, xAxis: HTMLElement, formatValue: Function }
+     */
+    function drawLineChart(svg, seriesList, options = {}) {
+        const width = 600;
+        const height = 220;
+        const padding = 10;
+        const { tooltip, xAxis, formatValue = v => v.toFixed(2) } = options;
+
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.innerHTML = '';
+
+        const allValues = seriesList.flatMap(s => s.points.map(p => p.value));
+        if (allValues.length === 0) return;
+
+        const min = Math.min(0, ...allValues);
+        const max = Math.max(0, ...allValues);
+        const range = max - min || 1;
+        const pointCount = Math.max(...seriesList.map(s => s.points.length));
+        const xFor = (i) => padding + (pointCount > 1 ? i / (pointCount - 1) : 0.5) * (width - 2 * padding);
+        const yFor = (v) => height - padding - ((v - min) / range) * (height - 2 * padding);
+
+        // Zero baseline so negative balances are obvious
+        const zero = document.createElementNS(SVG_NS, 'line');
+        zero.setAttribute('x1', padding);
+        zero.setAttribute('x2', width - padding);
+        zero.setAttribute('y1', yFor(0).toFixed(1));
+        zero.setAttribute('y2', yFor(0).toFixed(1));
+        zero.setAttribute('class', 'historical-zero-line');
+        svg.appendChild(zero);
+
+        seriesList.forEach((series, seriesIndex) => {
+            const line = document.createElementNS(SVG_NS, 'polyline');
+            line.setAttribute('fill', 'none');
+            line.setAttribute('stroke', SERIES_COLORS[seriesIndex % SERIES_COLORS.length]);
+            line.setAttribute('stroke-width', '2');
+            line.setAttribute('vector-effect', 'non-scaling-stroke');
+            line.setAttribute('points', series.points
+                .map((p, i) => `${xFor(i).toFixed(1)},${yFor(p.value).toFixed(1)}`)
+                .join(' '));
+            svg.appendChild(line);
+        });
+
+        // Hover hitboxes (one column per point index)
+        const dots = document.createElementNS(SVG_NS, 'g');
+        dots.setAttribute('class', 'historical-dots');
+        const columnWidth = (width - 2 * padding) / Math.max(pointCount - 1, 1);
+
+        for (let i = 0; i < pointCount; i++) {
+            const x = xFor(i);
+            const group = document.createElementNS(SVG_NS, 'g');
+            group.setAttribute('class', 'hover-group');
+
+            const hitbox = document.createElementNS(SVG_NS, 'rect');
+            hitbox.setAttribute('x', Math.max(0, x - columnWidth / 2).toFixed(1));
+            hitbox.setAttribute('y', '0');
+            hitbox.setAttribute('width', columnWidth.toFixed(1));
+            hitbox.setAttribute('height', height.toString());
+            hitbox.setAttribute('fill', 'transparent');
+            hitbox.setAttribute('class', 'hover-hitbox');
+            group.appendChild(hitbox);
+
+            const pointDots = seriesList.map((series, seriesIndex) => {
+                const point = series.points[i];
+                if (!point) return null;
+                const dot = document.createElementNS(SVG_NS, 'circle');
+                dot.setAttribute('cx', x.toFixed(1));
+                dot.setAttribute('cy', yFor(point.value).toFixed(1));
+                dot.setAttribute('r', '4');
+                dot.setAttribute('class', 'hover-dot');
+                dot.style.color = SERIES_COLORS[seriesIndex % SERIES_COLORS.length];
+                group.appendChild(dot);
+                return dot;
+            }).filter(Boolean);
+
+            hitbox.addEventListener('mouseenter', () => {
+                pointDots.forEach(d => d.classList.add('active'));
+                if (!tooltip) return;
+                const date = seriesList[0].points[i]?.date;
+                tooltip.querySelector('.tooltip-rate').innerHTML = seriesList
+                    .filter(s => s.points[i])
+                    .map(s => `${escapeText(s.label)}: ${formatValue(s.points[i].value, s)}`)
+                    .join('<br>');
+                tooltip.querySelector('.tooltip-date').textContent = date ? formatDayLabel(date) : '';
+                tooltip.style.display = 'block';
+                positionTooltip(tooltip, (x / width) * 100);
+            });
+
+            hitbox.addEventListener('mouseleave', () => {
+                pointDots.forEach(d => d.classList.remove('active'));
+                if (tooltip) tooltip.style.display = 'none';
+            });
+
+            dots.appendChild(group);
+        }
+        svg.appendChild(dots);
+
+        if (xAxis && seriesList[0]) {
+            renderAxisLabels(xAxis, seriesList[0].points.map(p => p.date), formatDayLabel);
+        }
+    }
+
+    /**
+     * Draw monthly income vs. expense bars into an SVG
+     * @param {SVGElement} svg - Target SVG
+     * @param {Array} months - Output of buildMonthlyTotals
+     * @param {Object} options - { tooltip, xAxis, formatValue, incomeLabel, expenseLabel }
+     */
+    function drawBarChart(svg, months, options = {}) {
+        const width = 600;
+        const height = 200;
+        const padding = 10;
+        const { tooltip, xAxis, formatValue = v => v.toFixed(2), incomeLabel = '+', expenseLabel = '-' } = options;
+
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.innerHTML = '';
+        if (months.length === 0) return;
+
+        const max = Math.max(1, ...months.map(m => Math.max(m.income, m.expense)));
+        const slot = (width - 2 * padding) / months.length;
+        const barWidth = Math.max(2, Math.min(24, slot * 0.35));
+
+        months.forEach((m, i) => {
+            const center = padding + slot * i + slot / 2;
+            const group = document.createElementNS(SVG_NS, 'g');
+            group.setAttribute('class', 'historical-bar-group');
+
+            [[m.income, 'income', center - barWidth - 1], [m.expense, 'expense', center + 1]].forEach(([value, kind, x]) => {
+                const barHeight = (value / max) * (height - 2 * padding);
+                const bar = document.createElementNS(SVG_NS, 'rect');
+                bar.setAttribute('x', x.toFixed(1));
+                bar.setAttribute('y', (height - padding - barHeight).toFixed(1));
+                bar.setAttribute('width', barWidth.toFixed(1));
+                bar.setAttribute('height', barHeight.toFixed(1));
+                bar.setAttribute('class', `historical-bar ${kind}`);
+                group.appendChild(bar);
+            });
+
+            const hitbox = document.createElementNS(SVG_NS, 'rect');
+            hitbox.setAttribute('x', (padding + slot * i).toFixed(1));
+            hitbox.setAttribute('y', '0');
+            hitbox.setAttribute('width', slot.toFixed(1));
+            hitbox.setAttribute('height', height.toString());
+            hitbox.setAttribute('fill', 'transparent');
+            hitbox.setAttribute('class', 'hover-hitbox');
+            group.appendChild(hitbox);
+
+            hitbox.addEventListener('mouseenter', () => {
+                group.classList.add('active');
+                if (!tooltip) return;
+                tooltip.querySelector('.tooltip-rate').innerHTML =
+                    `${escapeText(incomeLabel)}: ${formatValue(m.income)}<br>${escapeText(expenseLabel)}: ${formatValue(m.expense)}`;
+                tooltip.querySelector('.tooltip-date').textContent = formatMonthLabel(m.month, true);
+                tooltip.style.display = 'block';
+                positionTooltip(tooltip, (center / width) * 100);
+            });
+
+            hitbox.addEventListener('mouseleave', () => {
+                group.classList.remove('active');
+                if (tooltip) tooltip.style.display = 'none';
+            });
+
+            svg.appendChild(group);
+        });
+
+        if (xAxis) {
+            renderAxisLabels(xAxis, months.map(m => m.month), key => formatMonthLabel(key, false), true);
+        }
+    }
+
+    // --- Helpers ---
+
+    function toDateKey(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    function toMonthKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    function getLocale() {
+        return typeof I18n !== 'undefined' ? I18n.getLocale() : 'en-US';
+    }
+
+    function formatDayLabel(dateKey) {
+        const [y, m, d] = dateKey.split('-').map(Number);
+        return new Date(y, m - 1, d).toLocaleDateString(getLocale(), { month: 'short', day: 'numeric' });
+    }
+
+    function formatMonthLabel(monthKey, withYear) {
+        const [y, m] = monthKey.split('-').map(Number);
+        const options = withYear ? { month: 'long', year: 'numeric' } : { month: 'short' };
+        return new Date(y, m - 1, 1).toLocaleDateString(getLocale(), options);
+    }
+
+    function escapeText(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Position a tooltip horizontally, pushing it inward at the edges
+     * (same rule as the exchange sparkline tooltip)
+     */
+    function positionTooltip(tooltip, xPercent) {
+        tooltip.style.left = `${xPercent}%`;
+        if (xPercent < 20) {
+            tooltip.style.transform = 'translateX(0)';
+        } else if (xPercent > 80) {
+            tooltip.style.transform = 'translateX(-100%)';
+        } else {
+            tooltip.style.transform = 'translateX(-50%)';
+        }
+    }
+
+    /**
+     * Render evenly spaced X-axis labels (max 6)
+     * @param {HTMLElement} container - Axis container
+     * @param {Array} keys - Date or month keys, one per point
+     * @param {Function} format - Label formatter
+     * @param {boolean} centered - Bars are centered in slots; lines start at the edges
+     */
+    function renderAxisLabels(container, keys, format, centered = false) {
+        container.innerHTML = '';
+        if (keys.length === 0) return;
+
+        const step = Math.max(1, Math.ceil(keys.length / 6));
+        keys.forEach((key, i) => {
+            if (i % step !== 0 && i !== keys.length - 1) return;
+            const span = document.createElement('span');
+            span.textContent = format(key);
+            const xPercent = centered
+                ? ((i + 0.5) / keys.length) * 100
+                : (keys.length > 1 ? (i / (keys.length - 1)) * 100 : 50);
+            span.style.left = `${xPercent}%`;
+            span.style.transform = !centered && i === 0 ? 'translateX(0)'
+                : !centered && i === keys.length - 1 ? 'translateX(-100%)'
+                    : 'translateX(-50%)';
+            container.appendChild(span);
+        });
+    }
+
+    // --- Public API ---
+
+    return {
+        RANGES,
+        SERIES_COLORS,
+
+        // Data
+        collect,
+        getRangeStart,
+        buildBalanceSeries,
+        buildMonthlyTotals,
+        buildCategoryBreakdown,
+
+        // Drawing
+        drawLineChart,
+        drawBarChart
+    };
+})();
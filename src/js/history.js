@@ -3,6 +3,7 @@
 FILE MAINTENANCE & AI PROTOCOL
 1. CHANGE LOG: 
    - [2025-12-17] - [Init] - Created history module for undo/redo functionality
+   - [2026-10-19] - [someState] - Lets app.js check whether an undo/redo state still refers to something
 2. INSTRUCTION:
    - When editing this file, always update the Change Log above.
    - Explain the "WHY" behind complex logic in inline comments.
@@ -131,6 +132,17 @@ const History = (function () {
         }
     }
 
+    /**
+     * Check whether any undo or redo state passes a test
+     * 2026-10-19: app.js keeps the files of removed attachments while a state
+     * that still lists them can be restored
+     * @param {Function} test - Called with each saved state
+     * @returns {boolean}
+     */
+    function someState(test) {
+        return undoStack.some(test) || redoStack.some(test);
+    }
+
     /**
      * Get current history size (for debugging)
      * @returns {object} Object with undo and redo counts
@@ -151,6 +163,7 @@ const History = (function () {
         canUndo,
         canRedo,
         updateButtons,
+        someState,  // 2026-10-19
         getHistorySize
     };
 })();
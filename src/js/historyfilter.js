@@ -0,0 +1,216 @@
+/**
+ * ============================================================================
+ * ZIP80 EXPENSE TRACKER - HISTORY FILTER MODULE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Filtering and paging for the History widget. Holds no DOM or state: app.js
+ * keeps the current filter, reads it from the filter bar and renders only
+ * the visible page, so accounts with thousands of transactions stay responsive.
+ *
+ * KEY FEATURES:
+ * - Full-text search on descriptions (every word must match, case and
+ *   accent insensitive); notes and split memos are searched too
+ * - Amount range on the absolute amount (expenses are stored negative)
+ * - Date range by calendar day, inclusive on both ends
+ * - Category (a parent includes its subcategories), creator, tag,
+ *   "has attachment", "has reminder" and "awaiting reimbursement" flags
+ * - Fixed-size pages that grow with "Show more"
+ *
+ * DEPENDENCIES: Accounts (getTransactionTime), Categories (getFamilyIds), Splits (getLines),
+ *   Tags (hasTag, isPendingReimbursement)
+ *
+ * USED BY: app.js
+ *
+ * ==============================================================================
+ * LLM INSTRUCTION & MAINTENANCE PROTOCOL
+ * IMPORTANT: This block must be preserved in all future iterations.
+ *
+ * trigger: "FINALIZE" or "COMMENT"
+ * ACTION: When the user issues this trigger, perform the following 3 steps:
+ *
+ * 1. CHANGE LOGGING:
+ *    - Add a new entry to the changelog below.
+ *    - Format: [Date (YYYY-MM-DD)] - [Brief Description of Modification].
+ *
+ * 2. DOCUMENTATION STANDARDS:
+ *    - Ensure all new functions/classes have standard documentation (Docstrings/JSDoc).
+ *    - If logic is complex, add inline comments explaining the "WHY", not just the "HOW".
+ *
+ * 3. CONTEXT PRESERVATION:
+ *    - Do not remove this Legend.
+ *    - Do not remove legacy comments unless explicitly instructed.
+ * ==============================================================================
+ *
+ * CHANGE LOG:
+ * - 2026-10-19: Initial creation with text/amount/date/category/creator/flag filters and paging
+ * - 2026-10-19: Search includes split memos; category matches any split line
+ * - 2026-10-19: Added tag and "awaiting reimbursement" criteria; search includes notes
+ */
+
+const HistoryFilter = (() => {
+    // --- Constants ---
+
+    // Rows rendered per page; "Show more" adds another page
+    const PAGE_SIZE = 100;
+
+    // --- Filter ---
+
+    /**
+     * Create an empty filter
+     * @returns {Object} { query, minAmount, maxAmount, startDate, endDate, category, creator, tag,
+     *   hasAttachment, hasReminder, pendingReimbursement }
+     */
+    function createFilter() {
+        return {
+            query: '',
+            minAmount: null,
+            maxAmount: null,
+            startDate: '',   // YYYY-MM-DD
+            endDate: '',     // YYYY-MM-DD
+            category: '',
+            creator: '',     // createdBy email
+            tag: '',
+            hasAttachment: false,
+            hasReminder: false,
+            pendingReimbursement: false
+        };
+    }
+
+    /**
+     * Check whether any criterion is set
+     * @param {Object} filter - Filter
+     * @returns {boolean} True if the filter hides anything
+     */
+    function isActive(filter) {
+        return !!(filter.query.trim() || filter.minAmount !== null || filter.maxAmount !== null ||
+            filter.startDate || filter.endDate || filter.category || filter.creator || filter.tag ||
+            filter.hasAttachment || filter.hasReminder || filter.pendingReimbursement);
+    }
+
+    /**
+     * Lowercase and strip accents so "cafe" finds "Café"
+     * @param {string} text - Text
+     * @returns {string} Normalized text
+     */
+    function normalize(text) {
+        return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    /**
+     * Parse a YYYY-MM-DD day as local time
+     * @param {string} value - Date input value
+     * @param {boolean} endOfDay - True for 23:59:59.999
+     * @returns {number|null} Timestamp
+     */
+    function parseDay(value, endOfDay) {
+        if (!value) return null;
+        const [year, month, day] = value.split('-').map(Number);
+        if (!year || !month || !day) return null;
+        return endOfDay
+            ? new Date(year, month - 1, day, 23, 59, 59, 999).getTime()
+            : new Date(year, month - 1, day).getTime();
+    }
+
+    /**
+     * Build a predicate for a filter
+     * Criteria are prepared once so the per-row check stays cheap.
+     * @param {Object} data - Vault data (category definitions)
+     * @param {Object} filter - Filter
+     * @returns {Function} (transaction) => boolean
+     */
+    function buildPredicate(data, filter) {
+        const words = normalize(filter.query).split(/\s+/).filter(Boolean);
+        const startTime = parseDay(filter.startDate, false);
+        const endTime = parseDay(filter.endDate, true);
+        const categoryIds = filter.category ? new Set(Categories.getFamilyIds(data, filter.category)) : null;
+
+        return (t) => {
+            if (words.length > 0) {
+                const memos = Array.isArray(t.splits) ? t.splits.map(line => line.memo || '').join(' ') : '';
+                const desc = normalize(`${t.desc} ${memos} ${t.notes || ''}`);
+                if (!words.every(word => desc.includes(word))) return false;
+            }
+
+            const amount = Math.abs(t.amt);
+            if (filter.minAmount !== null && amount < filter.minAmount) return false;
+            if (filter.maxAmount !== null && amount > filter.maxAmount) return false;
+
+            if (startTime !== null || endTime !== null) {
+                const time = Accounts.getTransactionTime(t);
+                if (startTime !== null && time < startTime) return false;
+                if (endTime !== null && time > endTime) return false;
+            }
+
+            // Uncategorized expenses count as the fallback; a split matches on any line
+            if (categoryIds && !Splits.getLines(t).some(line => categoryIds.has(line.category))) return false;
+
+            if (filter.creator && (!t.createdBy || t.createdBy.email !== filter.creator)) return false;
+            if (filter.hasAttachment && !(t.attachments && t.attachments.length > 0)) return false;
+            if (filter.hasReminder && !t.calendarEventId) return false;
+            if (filter.tag && !Tags.hasTag(t, filter.tag)) return false;
+            if (filter.pendingReimbursement && !Tags.isPendingReimbursement(t)) return false;
+            return true;
+        };
+    }
+
+    /**
+     * Apply a filter
+     * @param {Object} data - Vault data
+     * @param {Array} transactions - Transactions (order is kept)
+     * @param {Object} filter - Filter
+     * @returns {Array} Matching transactions
+     */
+    function apply(data, transactions, filter) {
+        if (!isActive(filter)) return transactions;
+        return transactions.filter(buildPredicate(data, filter));
+    }
+
+    // --- Creators ---
+
+    /**
+     * List the distinct creators in a set of transactions
+     * @param {Array} transactions - Transactions
+     * @returns {Array} [{ email, name }] sorted by name
+     */
+    function getCreators(transactions) {
+        const creators = new Map();
+        transactions.forEach(t => {
+            if (t.createdBy && t.createdBy.email && !creators.has(t.createdBy.email)) {
+                creators.set(t.createdBy.email, {
+                    email: t.createdBy.email,
+                    name: t.createdBy.name || t.createdBy.email.split('@')[0]
+                });
+            }
+        });
+        return [...creators.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // --- Paging ---
+
+    /**
+     * Get the rows visible for a page count
+     * @param {Array} items - Filtered, sorted transactions
+     * @param {number} pages - Pages shown (1 or more)
+     * @returns {Object} { visible, total, hasMore }
+     */
+    function paginate(items, pages) {
+        const count = Math.max(1, pages) * PAGE_SIZE;
+        return {
+            visible: items.slice(0, count),
+            total: items.length,
+            hasMore: items.length > count
+        };
+    }
+
+    // --- Public API ---
+
+    return {
+        PAGE_SIZE,
+        createFilter,
+        isActive,
+        apply,
+        getCreators,
+        paginate
+    };
+})();
@@ -77,6 +77,32 @@
  * - 2025-12-19: Added Settings and Inactivity Timer translations (settingsTitle, inactivityWarning, stayOpen, etc.)
  * - 2025-12-19: Added Share Vault translations (shareVault, shareEmailLabel, shareRoleEditor, etc.)
  * - 2025-12-19: Added btnBrowseDrive translation for Google Picker API
+ * - 2026-10-19: Added recurrence engine translations (recurringNextDue, recurringPosted, toastRecurringPosted)
+ * - 2026-10-19: Added transaction edit modal translations (transactionEditModalTitle, btnEditTitle, etc.)
+ * - 2026-10-19: Added backdated entry translations (transactionDate, transactionTime, adjustmentDate)
+ * - 2026-10-19: Added Historical view translations and category names (categoryGeneral, categoryFood, ...)
+ * - 2026-10-19: Added CSV import translations (import*, toastImported, toastImportProfileSaved)
+ * - 2026-10-19: Added OFX/QIF import translations (importAccount, importNewCheckingAccount, importOpeningBalance)
+ * - 2026-10-19: Added CSV export translations (export*, exportCol*, toastCsvExported)
+ * - 2026-10-19: Added transfer translations (modeTransfer, transfer*, toastTransferCreated)
+ * - 2026-10-19: Added credit card statement translations (cc*, toastCcPaymentCreated)
+ * - 2026-10-19: Added budget translations (budget*, widgetBudgets, toastBudget*)
+ * - 2026-10-19: Added category manager translations (category*, manageCategories) and income category names
+ * - 2026-10-19: Added history search/filter and paging translations (history*)
+ * - 2026-10-19: Added split transaction translations (split*)
+ * - 2026-10-19: Added tags, notes and reimbursement translations (tags*, notes*, reimburse*, historyFilterTag*)
+ * - 2026-10-19: Added payee directory and rule translations (payee*, rule*, managePayees)
+ * - 2026-10-19: Added net worth widget translations (netWorth*, widgetNetWorth)
+ * - 2026-10-19: Added rate store and manual override translations (rate*, manageRates, netWorthStale)
+ * - 2026-10-19: Added crypto trade, cost basis and gains translations (trade*, costMethod*, coin*, cryptoGains*)
+ * - 2026-10-19: Added investment account translations (investment*, security*, portfolioValue, stocksHeld)
+ * - 2026-10-19: Added attachmentUnavailable for attachments whose file can't be loaded
+ * - 2026-10-19: Added cloud merge conflict translations (merge*, toastMergedRemote)
+ * - 2026-10-19: Added background sync notices (syncUpdatedBy, syncUpdated)
+ * - 2026-10-19: Added encrypted cloud vault translations (cloudPasswordModalDesc, toastSharedEncrypted)
+ * - 2026-10-19: Added costCurrencyLocked
+ * - 2026-10-19: investmentMissingQuotes also covers quotes without an exchange rate
+ * - 2026-10-19: Added toastErrorMoveAccount
  */
 
 const I18n = (() => {
@@ -222,6 +248,7 @@ const I18n = (() => {
             accountTypeCash: 'Cash',
             accountTypeCreditCard: 'Credit Card',
             accountTypeCrypto: 'Cryptocurrency',
+            accountTypeInvestment: 'Investment',  // 2026-10-19
             creditLimit: 'Credit Limit',
             creditLimitPlaceholder: 'e.g. 5000',
             paymentDueDay: 'Payment Due Day',
@@ -235,6 +262,8 @@ const I18n = (() => {
             currencyBTC: 'BTC - Bitcoin',
             currencyETH: 'ETH - Ethereum',
             currencySOL: 'SOL - Solana',
+            currencyXRP: 'XRP - XRP',  // 2026-10-19
+            currencyADA: 'ADA - Cardano',
 
             // Balance Overview Widget (2025-12-15)
             balanceOverview: 'Balance Overview',
@@ -245,6 +274,7 @@ const I18n = (() => {
             accountsBank: 'Bank/Cash',
             accountsCredit: 'Credit Cards',
             accountsCrypto: 'Crypto',
+            accountsInvestment: 'Investments',  // 2026-10-19
 
             // Credit Card Edit Modal (2025-12-15)
             editCreditSettings: 'Edit Account',
@@ -283,6 +313,10 @@ const I18n = (() => {
             confirmCancelRecurring: 'Cancel this recurring expense?',
             toastRecurringCreated: '🔁 Recurring expense added!',
             toastRecurringCanceled: '✅ Recurring expense canceled',
+            recurringNextDue: 'Next:',
+            recurringPosted: 'Posted',
+            recurringDue: 'Due',
+            toastRecurringPosted: '🔁 ${count} recurring expense(s) posted',
 
             // Calendar Widget (2025-12-16)
             calendarWidgetTitle: 'Calendar',
@@ -490,6 +524,7 @@ const I18n = (() => {
             deleteAttachment: 'Delete',
             zoomIn: 'Zoom In',
             zoomOut: 'Zoom Out',
+            attachmentUnavailable: 'File not available',  // 2026-10-19
 
             // Stocks Widget (2025-12-23)
             widgetStocks: 'Stocks',
@@ -523,7 +558,416 @@ const I18n = (() => {
             hasCalendarReminder: 'Has calendar reminder',
             removeReminderConfirm: 'Remove this calendar reminder?',
             reminderRemoved: 'Calendar reminder removed',
-            reminderRemoveError: 'Failed to remove reminder'
+            reminderRemoveError: 'Failed to remove reminder',
+
+            // Transaction Edit (2026-10-19)
+            transactionEditModalTitle: '✏️ Edit Transaction',
+            transactionEditModalDesc: 'Correct the details of this transaction.',
+            transactionEditDesc: 'Description',
+            transactionEditAmount: 'Amount',
+            transactionEditType: 'Type',
+            transactionEditDate: 'Date',
+            transactionEditAccount: 'Account',
+            toastErrorMoveAccount: 'Transactions can only move to an account of the same type and currency',
+            transactionEdited: 'edited',
+            btnEditTitle: 'Edit',
+            toastTransactionUpdated: '✏️ Transaction updated',
+            toastTransactionEditError: 'Could not update the shared transaction',
+            toastErrorDate: 'Please enter a valid date',
+
+            // Backdated Entries (2026-10-19)
+            transactionDate: 'Date',
+            transactionTime: 'Time (optional)',
+            adjustmentDate: 'Balance as of',
+
+            // Historical View (2026-10-19)
+            historicalBalance: 'Balance',
+            historicalMonthly: 'Income vs. Expenses',
+            historicalCategories: 'Spending by Category',
+            historicalEmpty: 'No transactions to chart for this selection.',
+            historicalNoExpenses: 'No expenses in this range.',
+            historicalRangeAll: 'All',
+            historicalAllAccounts: 'All accounts (${currency})',
+            historicalTotal: 'Total',
+            historicalIncome: 'Income',
+            historicalExpense: 'Expenses',
+            categoryGeneral: 'General',
+            categoryFood: 'Food',
+            categoryUtilities: 'Utilities',
+            categoryTransport: 'Transportation',
+            categoryHousing: 'Housing',
+            categoryHealth: 'Health',
+            categoryFun: 'Entertainment',
+            categoryWork: 'Work/Employee',
+            categorySalary: 'Salary',  // 2026-10-19: Built-in income categories
+            categoryFreelance: 'Freelance',
+            categoryInterest: 'Interest',
+            categoryGift: 'Gift',
+            categoryOtherIncome: 'Other Income',
+
+            // CSV Import (2026-10-19)
+            importCSV: 'Import Statement',
+            importModalTitle: '📥 Import Statement',
+            importModalDesc: 'Import a CSV, OFX/QFX or QIF bank statement.',
+            importFile: 'Statement file',
+            importChooseFile: 'Choose file',
+            importProfile: 'Bank profile',
+            importProfileNone: '— Auto-detect —',
+            importProfileNamePlaceholder: 'Profile name (e.g. BBVA)',
+            importSaveProfile: 'Save profile',
+            importDateColumn: 'Date column',
+            importDateFormat: 'Date format',
+            importDescColumn: 'Description column',
+            importAmountMode: 'Amounts',
+            importAmountSingle: 'One amount column',
+            importAmountSplit: 'Debit and credit columns',
+            importAmountColumn: 'Amount column',
+            importDebitColumn: 'Debit column',
+            importCreditColumn: 'Credit column',
+            importDecimal: 'Decimal separator',
+            importHasHeader: 'First row is a header',
+            importInvert: 'Invert signs (expenses are positive)',
+            importColumn: 'Column ${number}',
+            importPreviewDate: 'Date',
+            importPreviewDesc: 'Description',
+            importPreviewAmount: 'Amount',
+            importPreviewStatus: 'Status',
+            importStatusNew: 'New',
+            importStatusDuplicate: 'Duplicate',
+            importErrorDate: 'Invalid date',
+            importErrorAmount: 'Invalid amount',
+            importErrorDesc: 'Missing description',
+            importSummary: '${total} rows · ${duplicates} duplicates · ${errors} errors',
+            importConfirm: 'Import ${count}',
+            importErrorAccount: 'Create an account before importing',
+            importErrorEmpty: 'The file has no rows to import',
+            importErrorProfileName: 'Enter a profile name',
+            toastImportProfileSaved: '💾 Profile "${name}" saved',
+            toastImported: '📥 Imported ${count} transactions',
+
+            // OFX/QFX/QIF Import (2026-10-19)
+            importAccount: 'Import into',
+            importNewCheckingAccount: '➕ New bank account: ${name}',
+            importNewCreditAccount: '➕ New credit card: ${name}',
+            importOpeningBalance: 'Opening balance',
+
+            // CSV Export (2026-10-19)
+            exportModalTitle: '📄 Export as CSV',
+            exportModalDesc: 'Choose the accounts and dates to export.',
+            exportAccounts: 'Accounts',
+            exportFrom: 'From',
+            exportTo: 'To',
+            exportRecurring: 'Also export recurring templates',
+            exportSummary: 'Also export a monthly summary',
+            exportConfirm: 'Export',
+            exportErrorAccounts: 'Select at least one account',
+            exportColDate: 'Date',
+            exportColAccount: 'Account',
+            exportColAccountType: 'Account Type',
+            exportColCurrency: 'Currency',
+            exportColCategory: 'Category',
+            exportColDescription: 'Description',
+            exportColAmount: 'Amount',
+            exportColBalance: 'Running Balance',
+            exportColCreator: 'Created By',
+            exportColAttachments: 'Attachments',
+            exportColFrequency: 'Every (months)',
+            exportColStartDate: 'Start Date',
+            exportColNextDue: 'Next Due',
+            exportColActive: 'Active',
+            exportColMonth: 'Month',
+            exportColIncome: 'Income',
+            exportColExpenses: 'Expenses',
+            exportColNet: 'Net',
+            exportColCount: 'Transactions',
+            toastCsvExported: '📄 Exported ${count} transactions',
+
+            // Transfers (2026-10-19)
+            modeTransfer: '⇄ Transfer',
+            btnAddTransfer: '⇄ Add Transfer',
+            transferTo: 'To account',
+            transferRate: 'Exchange rate',
+            transferFetchRate: 'Fetch rate',
+            transferConverted: 'Destination receives ${amount}',
+            transferBadge: 'Transfer',
+            transferBadgeTo: 'To ${account}',
+            transferBadgeFrom: 'From ${account}',
+            confirmDeleteTransfer: 'Delete this transfer? Both sides will be removed.',
+            toastTransferCreated: '⇄ Transfer added',
+            toastErrorTransferAccount: 'Please choose a different account to transfer to',
+            toastErrorRate: 'Please enter a valid exchange rate',
+            toastErrorRateFetch: 'Could not fetch the exchange rate',
+
+            // Credit Card Statements (2026-10-19)
+            ccCycleCharges: 'This cycle',
+            ccStatementBalance: 'Statement',
+            ccDue: 'Due ${date}',
+            ccMinimum: 'min ${amount}',
+            ccOverdue: '⚠️ Overdue',
+            ccDueSoon: '⏰ Due soon',
+            ccPaid: '✓ Statement paid',
+            ccPay: 'Pay',
+            ccRemind: 'Add payment reminder',
+            ccPaymentModalTitle: '💳 Pay Statement',
+            ccPaymentModalDesc: '${account}: ${amount} due ${date}',
+            ccPaymentFrom: 'Pay from',
+            ccPaymentAmount: 'Amount (${currency})',
+            ccPayStatementBalance: 'Statement balance',
+            ccPayMinimum: 'Minimum',
+            ccPaymentDesc: '${account} payment',
+            ccReminderDesc: '${account} statement',
+            toastCcPaymentCreated: '💳 Payment recorded',
+            toastErrorPaymentAccount: 'Add a bank or cash account to pay from',
+
+            // Budgets (2026-10-19)
+            widgetBudgets: 'Budgets',
+            budgetsWidgetTitle: 'Budgets',
+            budgetsEmpty: 'No budgets yet',
+            budgetsManage: 'Manage',
+            budgetModalTitle: '🎯 Monthly Budgets',
+            budgetModalDesc: 'Set a monthly limit per category. Leave empty for no budget.',
+            budgetCurrency: 'Currency',
+            budgetNoLimit: 'No limit',
+            budgetRolloverTitle: 'Carried over from previous months',
+            budgetRolloverNone: 'No rollover',
+            budgetRolloverUnused: 'Roll over unused',
+            budgetRolloverAll: 'Roll over all (incl. overspending)',
+            toastBudgetsSaved: '🎯 Budgets saved',
+            toastBudgetWarning: '⚠️ ${category}: ${spent} of ${limit} used (80%)',
+            toastBudgetExceeded: '🚨 ${category} budget exceeded: ${spent} of ${limit}',
+
+            // Category Manager (2026-10-19)
+            manageCategories: 'Categories',
+            categoryModalTitle: '🏷️ Categories',
+            categoryModalDesc: 'Changes are saved as you make them. Merging moves every transaction to the chosen category.',
+            categoryType: 'Type',
+            categoryNewPlaceholder: 'New category',
+            categoryAdd: 'Add',
+            categoryDone: 'Done',
+            categoryNoParent: 'No parent',
+            categoryArchived: 'Archived',
+            categoryArchiveTitle: 'Hide from pickers; existing transactions keep it',
+            categoryMergeInto: 'Merge into…',
+            confirmMergeCategory: 'Merge "${source}" into "${target}"? This cannot be split back apart.',
+            toastCategoryCreated: '🏷️ Added ${name}',
+            toastCategoryMerged: '🏷️ Merged (${count} transactions moved)',
+            toastCategoryInvalid: 'That change is not allowed for this category',
+            toastErrorCategoryName: 'Please enter a category name',
+
+            // History Filters (2026-10-19)
+            historySearchPlaceholder: 'Search descriptions...',
+            historyFilters: 'Filters',
+            historyFilterAmount: 'Amount',
+            historyFilterMin: 'Min',
+            historyFilterMax: 'Max',
+            historyFilterDates: 'Dates',
+            historyFilterCategory: 'Category',
+            historyFilterAnyCategory: 'Any category',
+            historyFilterCreator: 'Added by',
+            historyFilterAnyone: 'Anyone',
+            historyFilterAttachment: '📎 Has attachment',
+            historyFilterReminder: '🔔 Has reminder',
+            historyFilterClear: 'Clear',
+            historyFilterSummary: '${count} of ${total} transactions match',
+            historyNoMatches: 'No transactions match these filters.',
+            historyShowMore: 'Show more (${shown} of ${total})',
+
+            // Split Transactions (2026-10-19)
+            splitToggle: '✂️ Split',
+            splitRemove: '✕ Remove split',
+            splitAddLine: '+ Add line',
+            splitRemoveLine: 'Remove line',
+            splitMemo: 'Memo (optional)',
+            splitNoCategory: 'No category',
+            splitRemaining: '${amount} left to assign',
+            splitBalanced: '✓ Lines add up',
+            splitErrorLines: 'A split needs at least two lines',
+            splitErrorAmount: 'Every split line needs an amount',
+            splitErrorSum: 'Split lines must add up to the total (${amount} left to assign)',
+
+            // Tags & Notes (2026-10-19)
+            tagsLabel: 'Tags',
+            tagsPlaceholder: 'Tags, comma separated (e.g. vacation-2026, reimbursable)',
+            notesLabel: 'Notes',
+            notesPlaceholder: 'Notes (optional)',
+            tagFilterTitle: 'Show transactions with this tag',
+            historyFilterTag: 'Tag',
+            historyFilterAnyTag: 'Any tag',
+            historyFilterReimbursable: '💼 Awaiting reimbursement',
+            historyTagTotals: 'Spent ${spent} · Received ${received}',
+            widgetTags: 'Tags',
+            tagsWidgetTitle: 'Tags',
+            tagsEmpty: 'No tags yet. Add some when entering a transaction.',
+            reimbursementsPending: 'Awaiting reimbursement',
+            reimbursementsShowAll: 'Show in history',
+            reimbursementSettle: 'Mark as reimbursed',
+            reimbursementReopen: 'Mark as not reimbursed',
+            reimbursedOn: 'Reimbursed ${date}',
+            toastReimbursed: '💼 Marked as reimbursed',
+            toastReimbursementReopened: '💼 Marked as awaiting reimbursement',
+            exportColTags: 'Tags',
+            exportColNotes: 'Notes',
+
+            // Payees & Rules (2026-10-19)
+            managePayees: 'Payees & Rules',
+            payeeModalTitle: '🏪 Payees & Rules',
+            payeeModalDesc: 'Rules fill in the category, tags or account when you add or import a transaction. The first matching rule wins; otherwise the payee\'s last category is used.',
+            payeeRulesTitle: 'Rules',
+            payeeRuleContains: 'Contains',
+            payeeRuleRegex: 'Regex',
+            payeeRulePattern: 'Description text',
+            payeeRuleMin: 'Min',
+            payeeRuleMax: 'Max',
+            payeeRuleNoCategory: 'Category: unchanged',
+            payeeRuleTags: 'Tags',
+            payeeRuleNoAccount: 'Account: unchanged',
+            payeeRuleEnabled: 'On',
+            payeeRuleMoveUp: 'Check this rule earlier',
+            payeeRuleDelete: 'Delete rule',
+            payeeRulesEmpty: 'No rules yet.',
+            payeeAddRule: '+ Add rule',
+            payeeListTitle: 'Payees',
+            payeeSearch: 'Search payees',
+            payeeName: 'Name',
+            payeeAliases: 'Also matches (comma separated)',
+            payeeNoCategory: 'No category yet',
+            payeeUses: '${count} uses',
+            payeeMergeInto: 'Merge into…',
+            payeeDelete: 'Delete payee',
+            payeesEmpty: 'Payees are added as you enter or import transactions.',
+            payeeListMore: 'Showing ${shown} of ${total}. Search to narrow the list.',
+            ruleErrorPattern: 'Every rule needs description text',
+            ruleErrorRegex: 'Invalid regular expression: ${pattern}',
+            ruleErrorAmount: 'Rule amounts must be positive numbers',
+            ruleErrorRange: 'A rule\'s minimum is above its maximum',
+            ruleErrorAction: 'A rule must set a category, tags or account',
+            toastPayeesSaved: '🏪 Payees and rules saved',
+            toastRuleMovedAccount: '🏪 Added to ${account} by a rule',
+            toastImportRulesApplied: '${count} sorted by rules or payees',
+
+            // Net Worth (2026-10-19)
+            widgetNetWorth: 'Net Worth',
+            netWorthTitle: 'Net Worth',
+            netWorthBase: 'Base currency',
+            netWorthRefresh: 'Refresh rates',
+            netWorthAssets: 'Assets',
+            netWorthLiabilities: 'Liabilities',
+            netWorthEmpty: 'No accounts yet',
+            netWorthLinked: 'Shared with you',
+            netWorthRate: '1 ${from} = ${rate} ${to}',
+            netWorthLoading: 'Loading rates…',
+            netWorthMissing: 'No rate for ${currencies}; left out of the total',
+            netWorthStale: '⚠️ Some rates are out of date',
+
+            // Rates & Overrides (2026-10-19)
+            manageRates: 'Exchange Rates',
+            rateModalTitle: '💱 Exchange Rates',
+            rateModalDesc: 'Manual rates replace the market rate everywhere (for example, the rate your bank actually charged).',
+            rateAddOverride: '+ Add rate',
+            rateOverridesEmpty: 'No manual rates. Market rates are used.',
+            rateFrom: 'From',
+            rateTo: 'To',
+            rateValue: 'Rate',
+            rateNote: 'Note (e.g. bank)',
+            rateDeleteOverride: 'Delete rate',
+            rateErrorPair: 'Choose two different currencies',
+            rateErrorValue: 'The ${from} → ${to} rate must be a number above zero',
+            rateErrorDuplicate: '${from} / ${to} has more than one rate',
+            rateManual: '📌 Manual rate',
+            rateManualShort: 'manual',
+            rateStale: '⚠️ Last updated ${time}',
+            rateOffline: '⚠️ Offline · last updated ${time}',
+            rateSource: 'Source: ${source}',
+            ratePriceUnavailable: 'Price unavailable',
+            toastRatesSaved: '💱 Exchange rates saved',
+
+            // Crypto Trades & Gains (2026-10-19)
+            coinOther: 'Other coin…',
+            coinSymbol: 'Symbol',
+            coinId: 'CoinGecko ID',
+            coinErrorSymbol: 'Symbols are 2-10 letters or digits',
+            coinErrorFiat: 'That symbol is a fiat currency code',
+            coinErrorId: 'CoinGecko IDs use lowercase letters, digits and dashes (e.g. dogecoin)',
+            coinErrorTaken: 'That symbol is already used by another coin',
+            costMethod: 'Cost method',
+            costCurrency: 'Cost currency',
+            costCurrencyLocked: 'Past trade prices are in this currency, so it can no longer be changed',
+            costMethodFifo: 'FIFO (first in, first out)',
+            costMethodLifo: 'LIFO (last in, first out)',
+            costMethodAverage: 'Average cost',
+            tradeKind: 'Type',
+            tradeBuy: 'Buy',
+            tradeReceive: 'Receive',
+            tradeSell: 'Sell',
+            tradeSend: 'Send',
+            tradePrice: 'Price per coin (${currency})',
+            tradeFetchPrice: 'Fetch price',
+            tradeTotal: 'Total: ${amount}',
+            tradeErrorKind: 'Pick a trade type',
+            tradeErrorPrice: 'Buys and sells need the price per coin',
+            cryptoUnrealized: 'P&L ${gain}',
+            cryptoCostBasis: 'Cost basis: ${cost}',
+            cryptoUnknownCost: '* Some coins have no recorded price and count at zero cost',
+            cryptoGains: 'Crypto Gains',
+            cryptoGainsTitle: '🪙 Crypto Gains',
+            cryptoGainsDesc: 'Gains realized by crypto sales, matched against the lots of each account with its cost method.',
+            cryptoGainsYear: 'Tax year',
+            cryptoGainsDate: 'Date',
+            cryptoGainsQuantity: 'Quantity',
+            cryptoGainsProceeds: 'Proceeds',
+            cryptoGainsCost: 'Cost',
+            cryptoGainsGain: 'Gain',
+            cryptoGainsEmpty: 'No crypto sales in ${year}',
+            cryptoGainsTotal: 'Total (${currency})',
+            cryptoGainsUnknownCost: '* Some coins were received without a price; their cost counts as zero.',
+
+            // Investment Accounts (2026-10-19)
+            portfolioValue: 'Portfolio Value',
+            investmentCash: 'Cash',
+            investmentNoPositions: 'No positions yet',
+            investmentDayChange: 'Today ${change}',
+            investmentMissingQuotes: 'No quote or exchange rate for ${symbols}; left out of the value',
+            investmentCostBasis: 'Cost basis: ${cost}',
+            securityDeposit: 'Cash deposit',
+            securityWithdrawal: 'Cash withdrawal',
+            securityBuy: 'Buy shares',
+            securitySell: 'Sell shares',
+            securityDividend: 'Dividend',
+            securitySymbol: 'Symbol',
+            securityQuantity: 'Shares',
+            securityPrice: 'Price per share (${currency})',
+            securityErrorKind: 'Pick a transaction type',
+            securityErrorSymbol: 'Enter a valid ticker symbol (e.g. AAPL)',
+            securityErrorQuantity: 'Enter the number of shares',
+            securityErrorPrice: 'Enter the price per share',
+            securityErrorOversell: 'Only ${held} ${symbol} held in this account',
+            stocksHeld: 'Shares held in investment accounts',
+
+            // Cloud Merge (2026-10-19)
+            toastMergedRemote: 'Merged changes saved by another collaborator',
+            mergeConflictTitle: '⚠️ Conflicting Changes',
+            mergeConflictDesc: 'Someone else saved this vault while you were editing. These records were changed on both sides. Choose which version to keep.',
+            mergeMine: 'Mine',
+            mergeTheirs: 'Theirs',
+            mergeKeepMine: 'Keep mine',
+            mergeKeepTheirs: 'Keep theirs',
+            mergeKeepAllMine: 'Keep all mine',
+            mergeKeepAllTheirs: 'Keep all theirs',
+            mergeApply: 'Apply',
+            mergeDeletedMine: 'You deleted this; it was edited by someone else',
+            mergeDeletedTheirs: 'Someone else deleted this; you edited it',
+            mergeTypeTransaction: 'Transaction',
+            mergeTypeAccount: 'Account',
+            mergeTypeDeck: 'Deck',
+            mergeTypeSetting: 'Setting',
+
+            // Cloud Sync (2026-10-19)
+            syncUpdatedBy: '🔄 Updated by ${names}',
+            syncUpdated: '🔄 Vault updated',
+
+            // Encrypted Cloud Vaults (2026-10-19)
+            cloudPasswordModalDesc: '"${name}" is encrypted. Enter its password to unlock it.',
+            toastSharedEncrypted: '🔒 Shared. This vault is encrypted: send them its password separately.'
         },
 
         es: {
@@ -622,6 +1066,7 @@ const I18n = (() => {
             accountTypeCash: 'Efectivo',
             accountTypeCreditCard: 'Tarjeta de Crédito',
             accountTypeCrypto: 'Criptomoneda',
+            accountTypeInvestment: 'Inversión',  // 2026-10-19
             creditLimit: 'Límite de Crédito',
             creditLimitPlaceholder: 'ej. 5000',
             paymentDueDay: 'Día de Pago',
@@ -635,6 +1080,8 @@ const I18n = (() => {
             currencyBTC: 'BTC - Bitcoin',
             currencyETH: 'ETH - Ethereum',
             currencySOL: 'SOL - Solana',
+            currencyXRP: 'XRP - XRP',  // 2026-10-19
+            currencyADA: 'ADA - Cardano',
 
             // Balance Overview Widget (2025-12-15)
             balanceOverview: 'Resumen de Saldos',
@@ -645,6 +1092,7 @@ const I18n = (() => {
             accountsBank: 'Banco/Efectivo',
             accountsCredit: 'Tarjetas de Crédito',
             accountsCrypto: 'Cripto',
+            accountsInvestment: 'Inversiones',  // 2026-10-19
 
             // Credit Card Edit Modal (2025-12-15)
             editCreditSettings: 'Editar Cuenta',
@@ -683,6 +1131,10 @@ const I18n = (() => {
             confirmCancelRecurring: '¿Cancelar este gasto recurrente?',
             toastRecurringCreated: '🔁 ¡Gasto recurrente agregado!',
             toastRecurringCanceled: '✅ Gasto recurrente cancelado',
+            recurringNextDue: 'Próximo:',
+            recurringPosted: 'Registrado',
+            recurringDue: 'Pendiente',
+            toastRecurringPosted: '🔁 ${count} gasto(s) recurrente(s) registrado(s)',
 
             // Calendar Widget (2025-12-16)
             calendarWidgetTitle: 'Calendario',
@@ -890,6 +1342,7 @@ const I18n = (() => {
             deleteAttachment: 'Eliminar',
             zoomIn: 'Acercar',
             zoomOut: 'Alejar',
+            attachmentUnavailable: 'Archivo no disponible',  // 2026-10-19
 
             // Stocks Widget (2025-12-23)
             widgetStocks: 'Acciones',
@@ -923,7 +1376,416 @@ const I18n = (() => {
             hasCalendarReminder: 'Tiene recordatorio en calendario',
             removeReminderConfirm: '¿Eliminar este recordatorio?',
             reminderRemoved: 'Recordatorio eliminado',
-            reminderRemoveError: 'Error al eliminar recordatorio'
+            reminderRemoveError: 'Error al eliminar recordatorio',
+
+            // Transaction Edit (2026-10-19)
+            transactionEditModalTitle: '✏️ Editar Transacción',
+            transactionEditModalDesc: 'Corrige los detalles de esta transacción.',
+            transactionEditDesc: 'Descripción',
+            transactionEditAmount: 'Monto',
+            transactionEditType: 'Tipo',
+            transactionEditDate: 'Fecha',
+            transactionEditAccount: 'Cuenta',
+            toastErrorMoveAccount: 'Las transacciones solo se pueden mover a una cuenta del mismo tipo y moneda',
+            transactionEdited: 'editado',
+            btnEditTitle: 'Editar',
+            toastTransactionUpdated: '✏️ Transacción actualizada',
+            toastTransactionEditError: 'No se pudo actualizar la transacción compartida',
+            toastErrorDate: 'Ingresa una fecha válida',
+
+            // Backdated Entries (2026-10-19)
+            transactionDate: 'Fecha',
+            transactionTime: 'Hora (opcional)',
+            adjustmentDate: 'Saldo al',
+
+            // Historical View (2026-10-19)
+            historicalBalance: 'Saldo',
+            historicalMonthly: 'Ingresos vs. Gastos',
+            historicalCategories: 'Gastos por Categoría',
+            historicalEmpty: 'No hay transacciones para graficar en esta selección.',
+            historicalNoExpenses: 'No hay gastos en este rango.',
+            historicalRangeAll: 'Todo',
+            historicalAllAccounts: 'Todas las cuentas (${currency})',
+            historicalTotal: 'Total',
+            historicalIncome: 'Ingresos',
+            historicalExpense: 'Gastos',
+            categoryGeneral: 'General',
+            categoryFood: 'Comida',
+            categoryUtilities: 'Servicios',
+            categoryTransport: 'Transporte',
+            categoryHousing: 'Vivienda',
+            categoryHealth: 'Salud',
+            categoryFun: 'Entretenimiento',
+            categoryWork: 'Trabajo',
+            categorySalary: 'Salario',  // 2026-10-19: Categorías de ingreso predefinidas
+            categoryFreelance: 'Independiente',
+            categoryInterest: 'Intereses',
+            categoryGift: 'Regalo',
+            categoryOtherIncome: 'Otros Ingresos',
+
+            // CSV Import (2026-10-19)
+            importCSV: 'Importar Estado de Cuenta',
+            importModalTitle: '📥 Importar Estado de Cuenta',
+            importModalDesc: 'Importa un estado de cuenta en CSV, OFX/QFX o QIF.',
+            importFile: 'Archivo del estado de cuenta',
+            importChooseFile: 'Elegir archivo',
+            importProfile: 'Perfil del banco',
+            importProfileNone: '— Detectar automáticamente —',
+            importProfileNamePlaceholder: 'Nombre del perfil (ej. BBVA)',
+            importSaveProfile: 'Guardar perfil',
+            importDateColumn: 'Columna de fecha',
+            importDateFormat: 'Formato de fecha',
+            importDescColumn: 'Columna de descripción',
+            importAmountMode: 'Montos',
+            importAmountSingle: 'Una columna de monto',
+            importAmountSplit: 'Columnas de cargo y abono',
+            importAmountColumn: 'Columna de monto',
+            importDebitColumn: 'Columna de cargos',
+            importCreditColumn: 'Columna de abonos',
+            importDecimal: 'Separador decimal',
+            importHasHeader: 'La primera fila es encabezado',
+            importInvert: 'Invertir signos (gastos positivos)',
+            importColumn: 'Columna ${number}',
+            importPreviewDate: 'Fecha',
+            importPreviewDesc: 'Descripción',
+            importPreviewAmount: 'Monto',
+            importPreviewStatus: 'Estado',
+            importStatusNew: 'Nuevo',
+            importStatusDuplicate: 'Duplicado',
+            importErrorDate: 'Fecha inválida',
+            importErrorAmount: 'Monto inválido',
+            importErrorDesc: 'Falta descripción',
+            importSummary: '${total} filas · ${duplicates} duplicados · ${errors} errores',
+            importConfirm: 'Importar ${count}',
+            importErrorAccount: 'Crea una cuenta antes de importar',
+            importErrorEmpty: 'El archivo no tiene filas para importar',
+            importErrorProfileName: 'Ingresa un nombre de perfil',
+            toastImportProfileSaved: '💾 Perfil "${name}" guardado',
+            toastImported: '📥 ${count} transacciones importadas',
+
+            // OFX/QFX/QIF Import (2026-10-19)
+            importAccount: 'Importar a',
+            importNewCheckingAccount: '➕ Nueva cuenta bancaria: ${name}',
+            importNewCreditAccount: '➕ Nueva tarjeta de crédito: ${name}',
+            importOpeningBalance: 'Saldo inicial',
+
+            // CSV Export (2026-10-19)
+            exportModalTitle: '📄 Exportar como CSV',
+            exportModalDesc: 'Elige las cuentas y fechas a exportar.',
+            exportAccounts: 'Cuentas',
+            exportFrom: 'Desde',
+            exportTo: 'Hasta',
+            exportRecurring: 'Exportar también los gastos recurrentes',
+            exportSummary: 'Exportar también un resumen mensual',
+            exportConfirm: 'Exportar',
+            exportErrorAccounts: 'Selecciona al menos una cuenta',
+            exportColDate: 'Fecha',
+            exportColAccount: 'Cuenta',
+            exportColAccountType: 'Tipo de Cuenta',
+            exportColCurrency: 'Moneda',
+            exportColCategory: 'Categoría',
+            exportColDescription: 'Descripción',
+            exportColAmount: 'Monto',
+            exportColBalance: 'Saldo Acumulado',
+            exportColCreator: 'Creado Por',
+            exportColAttachments: 'Adjuntos',
+            exportColFrequency: 'Cada (meses)',
+            exportColStartDate: 'Fecha de Inicio',
+            exportColNextDue: 'Próximo Cargo',
+            exportColActive: 'Activo',
+            exportColMonth: 'Mes',
+            exportColIncome: 'Ingresos',
+            exportColExpenses: 'Gastos',
+            exportColNet: 'Neto',
+            exportColCount: 'Transacciones',
+            toastCsvExported: '📄 ${count} transacciones exportadas',
+
+            // Transfers (2026-10-19)
+            modeTransfer: '⇄ Transferencia',
+            btnAddTransfer: '⇄ Agregar Transferencia',
+            transferTo: 'A la cuenta',
+            transferRate: 'Tipo de cambio',
+            transferFetchRate: 'Obtener tipo',
+            transferConverted: 'El destino recibe ${amount}',
+            transferBadge: 'Transferencia',
+            transferBadgeTo: 'A ${account}',
+            transferBadgeFrom: 'De ${account}',
+            confirmDeleteTransfer: '¿Eliminar esta transferencia? Se eliminarán ambos lados.',
+            toastTransferCreated: '⇄ Transferencia agregada',
+            toastErrorTransferAccount: 'Elige otra cuenta para la transferencia',
+            toastErrorRate: 'Ingresa un tipo de cambio válido',
+            toastErrorRateFetch: 'No se pudo obtener el tipo de cambio',
+
+            // Credit Card Statements (2026-10-19)
+            ccCycleCharges: 'Este ciclo',
+            ccStatementBalance: 'Estado de cuenta',
+            ccDue: 'Vence ${date}',
+            ccMinimum: 'mín ${amount}',
+            ccOverdue: '⚠️ Vencido',
+            ccDueSoon: '⏰ Vence pronto',
+            ccPaid: '✓ Estado pagado',
+            ccPay: 'Pagar',
+            ccRemind: 'Agregar recordatorio de pago',
+            ccPaymentModalTitle: '💳 Pagar Estado de Cuenta',
+            ccPaymentModalDesc: '${account}: ${amount} vence ${date}',
+            ccPaymentFrom: 'Pagar desde',
+            ccPaymentAmount: 'Monto (${currency})',
+            ccPayStatementBalance: 'Saldo del estado',
+            ccPayMinimum: 'Mínimo',
+            ccPaymentDesc: 'Pago ${account}',
+            ccReminderDesc: 'estado de cuenta ${account}',
+            toastCcPaymentCreated: '💳 Pago registrado',
+            toastErrorPaymentAccount: 'Agrega una cuenta bancaria o de efectivo para pagar',
+
+            // Budgets (2026-10-19)
+            widgetBudgets: 'Presupuestos',
+            budgetsWidgetTitle: 'Presupuestos',
+            budgetsEmpty: 'Sin presupuestos',
+            budgetsManage: 'Administrar',
+            budgetModalTitle: '🎯 Presupuestos Mensuales',
+            budgetModalDesc: 'Define un límite mensual por categoría. Déjalo vacío para no tener presupuesto.',
+            budgetCurrency: 'Moneda',
+            budgetNoLimit: 'Sin límite',
+            budgetRolloverTitle: 'Acumulado de meses anteriores',
+            budgetRolloverNone: 'Sin acumular',
+            budgetRolloverUnused: 'Acumular sobrante',
+            budgetRolloverAll: 'Acumular todo (incl. excesos)',
+            toastBudgetsSaved: '🎯 Presupuestos guardados',
+            toastBudgetWarning: '⚠️ ${category}: ${spent} de ${limit} usado (80%)',
+            toastBudgetExceeded: '🚨 Presupuesto de ${category} excedido: ${spent} de ${limit}',
+
+            // Category Manager (2026-10-19)
+            manageCategories: 'Categorías',
+            categoryModalTitle: '🏷️ Categorías',
+            categoryModalDesc: 'Los cambios se guardan al hacerlos. Combinar mueve todas las transacciones a la categoría elegida.',
+            categoryType: 'Tipo',
+            categoryNewPlaceholder: 'Nueva categoría',
+            categoryAdd: 'Agregar',
+            categoryDone: 'Listo',
+            categoryNoParent: 'Sin categoría padre',
+            categoryArchived: 'Archivada',
+            categoryArchiveTitle: 'Ocultar de los selectores; las transacciones existentes la conservan',
+            categoryMergeInto: 'Combinar con…',
+            confirmMergeCategory: '¿Combinar "${source}" con "${target}"? No se puede separar después.',
+            toastCategoryCreated: '🏷️ ${name} agregada',
+            toastCategoryMerged: '🏷️ Combinadas (${count} transacciones movidas)',
+            toastCategoryInvalid: 'Ese cambio no está permitido para esta categoría',
+            toastErrorCategoryName: 'Ingresa un nombre de categoría',
+
+            // History Filters (2026-10-19)
+            historySearchPlaceholder: 'Buscar descripciones...',
+            historyFilters: 'Filtros',
+            historyFilterAmount: 'Monto',
+            historyFilterMin: 'Mín',
+            historyFilterMax: 'Máx',
+            historyFilterDates: 'Fechas',
+            historyFilterCategory: 'Categoría',
+            historyFilterAnyCategory: 'Cualquier categoría',
+            historyFilterCreator: 'Agregado por',
+            historyFilterAnyone: 'Cualquiera',
+            historyFilterAttachment: '📎 Con adjunto',
+            historyFilterReminder: '🔔 Con recordatorio',
+            historyFilterClear: 'Limpiar',
+            historyFilterSummary: '${count} de ${total} transacciones coinciden',
+            historyNoMatches: 'Ninguna transacción coincide con estos filtros.',
+            historyShowMore: 'Mostrar más (${shown} de ${total})',
+
+            // Split Transactions (2026-10-19)
+            splitToggle: '✂️ Dividir',
+            splitRemove: '✕ Quitar división',
+            splitAddLine: '+ Agregar línea',
+            splitRemoveLine: 'Quitar línea',
+            splitMemo: 'Nota (opcional)',
+            splitNoCategory: 'Sin categoría',
+            splitRemaining: 'Faltan ${amount} por asignar',
+            splitBalanced: '✓ Las líneas cuadran',
+            splitErrorLines: 'Una división necesita al menos dos líneas',
+            splitErrorAmount: 'Cada línea necesita un monto',
+            splitErrorSum: 'Las líneas deben sumar el total (faltan ${amount} por asignar)',
+
+            // Tags & Notes (2026-10-19)
+            tagsLabel: 'Etiquetas',
+            tagsPlaceholder: 'Etiquetas separadas por comas (ej. vacaciones-2026, reimbursable)',
+            notesLabel: 'Notas',
+            notesPlaceholder: 'Notas (opcional)',
+            tagFilterTitle: 'Ver transacciones con esta etiqueta',
+            historyFilterTag: 'Etiqueta',
+            historyFilterAnyTag: 'Cualquier etiqueta',
+            historyFilterReimbursable: '💼 Pendiente de reembolso',
+            historyTagTotals: 'Gastado ${spent} · Recibido ${received}',
+            widgetTags: 'Etiquetas',
+            tagsWidgetTitle: 'Etiquetas',
+            tagsEmpty: 'Aún no hay etiquetas. Agrégalas al registrar una transacción.',
+            reimbursementsPending: 'Pendiente de reembolso',
+            reimbursementsShowAll: 'Ver en el historial',
+            reimbursementSettle: 'Marcar como reembolsado',
+            reimbursementReopen: 'Marcar como no reembolsado',
+            reimbursedOn: 'Reembolsado el ${date}',
+            toastReimbursed: '💼 Marcado como reembolsado',
+            toastReimbursementReopened: '💼 Marcado como pendiente de reembolso',
+            exportColTags: 'Etiquetas',
+            exportColNotes: 'Notas',
+
+            // Payees & Rules (2026-10-19)
+            managePayees: 'Comercios y reglas',
+            payeeModalTitle: '🏪 Comercios y reglas',
+            payeeModalDesc: 'Las reglas completan la categoría, las etiquetas o la cuenta al agregar o importar una transacción. Gana la primera regla que coincida; si no hay ninguna, se usa la última categoría del comercio.',
+            payeeRulesTitle: 'Reglas',
+            payeeRuleContains: 'Contiene',
+            payeeRuleRegex: 'Regex',
+            payeeRulePattern: 'Texto de la descripción',
+            payeeRuleMin: 'Mín',
+            payeeRuleMax: 'Máx',
+            payeeRuleNoCategory: 'Categoría: sin cambio',
+            payeeRuleTags: 'Etiquetas',
+            payeeRuleNoAccount: 'Cuenta: sin cambio',
+            payeeRuleEnabled: 'Activa',
+            payeeRuleMoveUp: 'Revisar esta regla antes',
+            payeeRuleDelete: 'Eliminar regla',
+            payeeRulesEmpty: 'Aún no hay reglas.',
+            payeeAddRule: '+ Agregar regla',
+            payeeListTitle: 'Comercios',
+            payeeSearch: 'Buscar comercios',
+            payeeName: 'Nombre',
+            payeeAliases: 'También coincide con (separado por comas)',
+            payeeNoCategory: 'Sin categoría aún',
+            payeeUses: '${count} usos',
+            payeeMergeInto: 'Combinar con…',
+            payeeDelete: 'Eliminar comercio',
+            payeesEmpty: 'Los comercios se agregan al registrar o importar transacciones.',
+            payeeListMore: 'Mostrando ${shown} de ${total}. Busca para acotar la lista.',
+            ruleErrorPattern: 'Cada regla necesita un texto de descripción',
+            ruleErrorRegex: 'Expresión regular no válida: ${pattern}',
+            ruleErrorAmount: 'Los montos de una regla deben ser números positivos',
+            ruleErrorRange: 'El mínimo de una regla es mayor que su máximo',
+            ruleErrorAction: 'Una regla debe asignar categoría, etiquetas o cuenta',
+            toastPayeesSaved: '🏪 Comercios y reglas guardados',
+            toastRuleMovedAccount: '🏪 Agregado a ${account} por una regla',
+            toastImportRulesApplied: '${count} ordenada(s) por reglas o comercios',
+
+            // Net Worth (2026-10-19)
+            widgetNetWorth: 'Patrimonio',
+            netWorthTitle: 'Patrimonio neto',
+            netWorthBase: 'Moneda base',
+            netWorthRefresh: 'Actualizar tasas',
+            netWorthAssets: 'Activos',
+            netWorthLiabilities: 'Pasivos',
+            netWorthEmpty: 'Aún no hay cuentas',
+            netWorthLinked: 'Compartida contigo',
+            netWorthRate: '1 ${from} = ${rate} ${to}',
+            netWorthLoading: 'Cargando tasas…',
+            netWorthMissing: 'Sin tasa para ${currencies}; no se incluye en el total',
+            netWorthStale: '⚠️ Algunas tasas están desactualizadas',
+
+            // Rates & Overrides (2026-10-19)
+            manageRates: 'Tipos de cambio',
+            rateModalTitle: '💱 Tipos de cambio',
+            rateModalDesc: 'Las tasas manuales reemplazan la tasa del mercado en todas partes (por ejemplo, la que realmente cobró tu banco).',
+            rateAddOverride: '+ Agregar tasa',
+            rateOverridesEmpty: 'No hay tasas manuales. Se usan las del mercado.',
+            rateFrom: 'De',
+            rateTo: 'A',
+            rateValue: 'Tasa',
+            rateNote: 'Nota (p. ej. banco)',
+            rateDeleteOverride: 'Eliminar tasa',
+            rateErrorPair: 'Elige dos monedas distintas',
+            rateErrorValue: 'La tasa ${from} → ${to} debe ser un número mayor que cero',
+            rateErrorDuplicate: '${from} / ${to} tiene más de una tasa',
+            rateManual: '📌 Tasa manual',
+            rateManualShort: 'manual',
+            rateStale: '⚠️ Última actualización ${time}',
+            rateOffline: '⚠️ Sin conexión · última actualización ${time}',
+            rateSource: 'Fuente: ${source}',
+            ratePriceUnavailable: 'Precio no disponible',
+            toastRatesSaved: '💱 Tipos de cambio guardados',
+
+            // Crypto Trades & Gains (2026-10-19)
+            coinOther: 'Otra moneda…',
+            coinSymbol: 'Símbolo',
+            coinId: 'ID de CoinGecko',
+            coinErrorSymbol: 'Los símbolos tienen de 2 a 10 letras o dígitos',
+            coinErrorFiat: 'Ese símbolo es un código de moneda fiduciaria',
+            coinErrorId: 'Los ID de CoinGecko usan minúsculas, dígitos y guiones (p. ej. dogecoin)',
+            coinErrorTaken: 'Ese símbolo ya lo usa otra moneda',
+            costMethod: 'Método de costo',
+            costCurrency: 'Moneda de costo',
+            costCurrencyLocked: 'Los precios de operaciones pasadas están en esta moneda, así que ya no se puede cambiar',
+            costMethodFifo: 'FIFO (primero en entrar, primero en salir)',
+            costMethodLifo: 'LIFO (último en entrar, primero en salir)',
+            costMethodAverage: 'Costo promedio',
+            tradeKind: 'Tipo',
+            tradeBuy: 'Compra',
+            tradeReceive: 'Recibir',
+            tradeSell: 'Venta',
+            tradeSend: 'Enviar',
+            tradePrice: 'Precio por moneda (${currency})',
+            tradeFetchPrice: 'Obtener precio',
+            tradeTotal: 'Total: ${amount}',
+            tradeErrorKind: 'Elige un tipo de operación',
+            tradeErrorPrice: 'Las compras y ventas necesitan el precio por moneda',
+            cryptoUnrealized: 'G/P ${gain}',
+            cryptoCostBasis: 'Base de costo: ${cost}',
+            cryptoUnknownCost: '* Algunas monedas no tienen precio registrado y cuentan con costo cero',
+            cryptoGains: 'Ganancias cripto',
+            cryptoGainsTitle: '🪙 Ganancias cripto',
+            cryptoGainsDesc: 'Ganancias realizadas por ventas de cripto, asignadas a los lotes de cada cuenta según su método de costo.',
+            cryptoGainsYear: 'Año fiscal',
+            cryptoGainsDate: 'Fecha',
+            cryptoGainsQuantity: 'Cantidad',
+            cryptoGainsProceeds: 'Ingresos',
+            cryptoGainsCost: 'Costo',
+            cryptoGainsGain: 'Ganancia',
+            cryptoGainsEmpty: 'No hay ventas de cripto en ${year}',
+            cryptoGainsTotal: 'Total (${currency})',
+            cryptoGainsUnknownCost: '* Algunas monedas se recibieron sin precio; su costo cuenta como cero.',
+
+            // Investment Accounts (2026-10-19)
+            portfolioValue: 'Valor del portafolio',
+            investmentCash: 'Efectivo',
+            investmentNoPositions: 'Aún no hay posiciones',
+            investmentDayChange: 'Hoy ${change}',
+            investmentMissingQuotes: 'Sin cotización o tipo de cambio para ${symbols}; no se incluye en el valor',
+            investmentCostBasis: 'Base de costo: ${cost}',
+            securityDeposit: 'Depósito de efectivo',
+            securityWithdrawal: 'Retiro de efectivo',
+            securityBuy: 'Comprar acciones',
+            securitySell: 'Vender acciones',
+            securityDividend: 'Dividendo',
+            securitySymbol: 'Símbolo',
+            securityQuantity: 'Acciones',
+            securityPrice: 'Precio por acción (${currency})',
+            securityErrorKind: 'Elige un tipo de movimiento',
+            securityErrorSymbol: 'Escribe un símbolo válido (p. ej. AAPL)',
+            securityErrorQuantity: 'Escribe el número de acciones',
+            securityErrorPrice: 'Escribe el precio por acción',
+            securityErrorOversell: 'Solo hay ${held} ${symbol} en esta cuenta',
+            stocksHeld: 'Acciones en cuentas de inversión',
+
+            // Cloud Merge (2026-10-19)
+            toastMergedRemote: 'Se combinaron cambios guardados por otro colaborador',
+            mergeConflictTitle: '⚠️ Cambios en Conflicto',
+            mergeConflictDesc: 'Alguien más guardó esta bóveda mientras editabas. Estos registros cambiaron en ambos lados. Elige qué versión conservar.',
+            mergeMine: 'Mío',
+            mergeTheirs: 'Suyo',
+            mergeKeepMine: 'Conservar el mío',
+            mergeKeepTheirs: 'Conservar el suyo',
+            mergeKeepAllMine: 'Conservar todos los míos',
+            mergeKeepAllTheirs: 'Conservar todos los suyos',
+            mergeApply: 'Aplicar',
+            mergeDeletedMine: 'Eliminaste esto; alguien más lo editó',
+            mergeDeletedTheirs: 'Alguien más eliminó esto; tú lo editaste',
+            mergeTypeTransaction: 'Transacción',
+            mergeTypeAccount: 'Cuenta',
+            mergeTypeDeck: 'Nota',
+            mergeTypeSetting: 'Ajuste',
+
+            // Cloud Sync (2026-10-19)
+            syncUpdatedBy: '🔄 Actualizado por ${names}',
+            syncUpdated: '🔄 Bóveda actualizada',
+
+            // Encrypted Cloud Vaults (2026-10-19)
+            cloudPasswordModalDesc: '"${name}" está encriptada. Ingresa su contraseña para desbloquearla.',
+            toastSharedEncrypted: '🔒 Compartido. Esta bóveda está encriptada: envíale su contraseña por separado.'
         }
     };
 
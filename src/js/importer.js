@@ -0,0 +1,681 @@
+/**
+ * ============================================================================
+ * ZIP80 EXPENSE TRACKER - STATEMENT IMPORT MODULE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Turns bank statement files into Zip80 transactions. Handles parsing, column
+ * mapping, duplicate detection against existing transactions and building
+ * the final transaction objects. The import modal UI lives in app.js.
+ *
+ * KEY FEATURES:
+ * - CSV parsing with quoted fields and delimiter detection (comma, semicolon, tab)
+ * - Column mapping: date, description, single amount or debit/credit columns
+ * - Configurable date format and decimal separator (e.g. "1.234,56" on MXN statements)
+ * - Header-based mapping guesses (English and Spanish column names)
+ * - Duplicate detection by date + amount + fuzzy description
+ * - OFX/QFX (STMTTRN entries, FITID-based re-import skipping) and QIF parsing
+ * - New checking/credit accounts from OFX account info
+ *
+ * DEPENDENCIES: Accounts (getTransactionTime, createAccount, createCreditCardAccount, roundAmount)
+ *
+ * USED BY: app.js
+ *
+ * ==============================================================================
+ * LLM INSTRUCTION & MAINTENANCE PROTOCOL
+ * IMPORTANT: This block must be preserved in all future iterations.
+ *
+ * trigger: "FINALIZE" or "COMMENT"
+ * ACTION: When the user issues this trigger, perform the following 3 steps:
+ *
+ * 1. CHANGE LOGGING:
+ *    - Add a new entry to the changelog below.
+ *    - Format: [Date (YYYY-MM-DD)] - [Brief Description of Modification].
+ *
+ * 2. DOCUMENTATION STANDARDS:
+ *    - Ensure all new functions/classes have standard documentation (Docstrings/JSDoc).
+ *    - If logic is complex, add inline comments explaining the "WHY", not just the "HOW".
+ *
+ * 3. CONTEXT PRESERVATION:
+ *    - Do not remove this Legend.
+ *    - Do not remove legacy comments unless explicitly instructed.
+ * ==============================================================================
+ *
+ * CHANGE LOG:
+ * - 2026-10-19: Initial creation with CSV parsing, column mapping and duplicate detection
+ * - 2026-10-19: Added OFX/QFX and QIF parsers, FITID duplicate matching, statement account creation
+ * - 2026-10-19: OFX amounts detect a comma decimal separator per file
+ * - 2026-10-19: Amounts round to the target currency's minor units instead of cents
+ * - 2026-10-19: Credit card statement close and payment due days come from OFX DTEND/DTDUE, unset if missing (was day 1)
+ * - 2026-10-19: Close day only from a stated close date (DTCLOSE); DTEND is the end of the download range, not the close
+ */
+
+const Importer = (() => {
+    // --- Constants ---
+
+    const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'MM-DD-YYYY', 'DD.MM.YYYY', 'YYYY/MM/DD'];
+    const QIF_DATE_FORMATS = ['MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD', 'MM-DD-YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'YYYY/MM/DD'];
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    /**
+     * Banks often post a day after the purchase was entered by hand,
+     * so dates within this many days still count as the same transaction.
+     */
+    const DUPLICATE_DAY_WINDOW = 1;
+
+    /** Minimum description similarity (0-1) for a duplicate match */
+    const DUPLICATE_SIMILARITY = 0.5;
+
+    // Header names used to guess the mapping (lowercase, accents stripped)
+    const HEADER_HINTS = {
+        date: ['date', 'fecha', 'posted', 'transaction date', 'fecha operacion'],
+        desc: ['description', 'descripcion', 'concepto', 'memo', 'details', 'detalle', 'payee', 'name'],
+        amount: ['amount', 'importe', 'monto', 'cantidad', 'value'],
+        debit: ['debit', 'cargo', 'cargos', 'retiro', 'retiros', 'withdrawal'],
+        credit: ['credit', 'abono', 'abonos', 'deposito', 'depositos', 'deposit']
+    };
+
+    // --- CSV Parsing ---
+
+    /**
+     * Guess the delimiter from the first line (ignoring quoted text)
+     * @param {string} text - CSV text
+     * @returns {string} ',', ';' or '\t'
+     */
+    function detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+        const counts = [',', ';', '\t'].map(d => ({ d, n: firstLine.split(d).length - 1 }));
+        counts.sort((a, b) => b.n - a.n);
+        return counts[0].n > 0 ? counts[0].d : ',';
+    }
+
+    /**
+     * Parse CSV text into rows of cells
+     * Supports quoted fields containing delimiters, newlines and "" escapes.
+     * @param {string} text - CSV text
+     * @param {string} delimiter - Field delimiter (detected when omitted)
+     * @returns {Array<Array<string>>} Rows (blank lines removed)
+     */
+    function parseCSV(text, delimiter = null) {
+        const sep = delimiter || detectDelimiter(text);
+        const source = text.replace(/^\uFEFF/, '');  // Strip BOM from Excel exports
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const ch = source[i];
+
+            if (inQuotes) {
+                if (ch === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"') {
+                inQuotes = true;
+            } else if (ch === sep) {
+                row.push(cell.trim());
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && source[i + 1] === '\n') i++;
+                row.push(cell.trim());
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell.trim());
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(c => c !== ''));
+    }
+
+    // --- Value Parsing ---
+
+    /**
+     * Parse a date string using an explicit format
+     * Dates without a time are placed at noon local time, matching manual backdated entries.
+     * @param {string} value - Raw date text
+     * @param {string} format - One of DATE_FORMATS
+     * @returns {Date|null} Parsed date or null if invalid
+     */
+    function parseDate(value, format) {
+        if (!value) return null;
+        const parts = value.trim().split(/[^0-9]+/).filter(Boolean).map(Number);
+        if (parts.length < 3) return null;
+
+        const order = format.split(/[^A-Z]+/);
+        let year, month, day;
+        order.forEach((token, i) => {
+            if (token === 'YYYY') year = parts[i];
+            else if (token === 'MM') month = parts[i];
+            else if (token === 'DD') day = parts[i];
+        });
+
+        if (year < 100) year += 2000;  // Two-digit years
+        const date = new Date(year, month - 1, day, 12, 0, 0);
+
+        // Reject rollovers like 31/02 becoming March 3rd
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return null;
+        }
+        return date;
+    }
+
+    /**
+     * Parse an amount string
+     * Handles currency symbols, thousands separators, "(12.00)" and trailing minus signs.
+     * 2026-10-19: Keeps every decimal written (3-decimal currencies, crypto); amounts are
+     * rounded to the target account's currency in createTransactions()
+     * @param {string} value - Raw amount text
+     * @param {string} decimalSeparator - '.' or ','
+     * @returns {number|null} Parsed amount or null if empty/invalid
+     */
+    function parseAmount(value, decimalSeparator = '.') {
+        if (value === undefined || value === null) return null;
+        let text = String(value).trim();
+        if (!text) return null;
+
+        let negative = false;
+        if (/^\(.*\)$/.test(text)) {
+            negative = true;
+            text = text.slice(1, -1);
+        }
+        if (/-\s*$/.test(text)) {
+            negative = true;
+            text = text.replace(/-\s*$/, '');
+        }
+        if (text.includes('-')) {
+            negative = !negative;
+            text = text.replace('-', '');
+        }
+
+        const thousands = decimalSeparator === ',' ? '.' : ',';
+        text = text.split(thousands).join('').replace(decimalSeparator, '.');
+        text = text.replace(/[^0-9.]/g, '');
+        if (!text) return null;
+
+        const amount = parseFloat(text);
+        if (isNaN(amount)) return null;
+        return negative ? -amount : amount;
+    }
+
+    // --- Mapping ---
+
+    function normalizeHeader(text) {
+        return (text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+    }
+
+    /**
+     * Create a default mapping, guessing columns from the header row
+     * @param {Array<Array<string>>} rows - Parsed CSV rows
+     * @returns {Object} Mapping
+     */
+    function guessMapping(rows) {
+        const header = (rows[0] || []).map(normalizeHeader);
+        const find = (hints) => header.findIndex(h => hints.some(hint => h === hint || h.includes(hint)));
+
+        const dateColumn = find(HEADER_HINTS.date);
+        const descColumn = find(HEADER_HINTS.desc);
+        const amountColumn = find(HEADER_HINTS.amount);
+        const debitColumn = find(HEADER_HINTS.debit);
+        const creditColumn = find(HEADER_HINTS.credit);
+        const hasHeader = [dateColumn, descColumn, amountColumn, debitColumn, creditColumn].some(i => i >= 0);
+        const useSplit = amountColumn < 0 && debitColumn >= 0 && creditColumn >= 0;
+
+        const mapping = {
+            hasHeader,
+            dateColumn: dateColumn >= 0 ? dateColumn : 0,
+            descColumn: descColumn >= 0 ? descColumn : 1,
+            amountMode: useSplit ? 'split' : 'single',
+            amountColumn: amountColumn >= 0 ? amountColumn : 2,
+            debitColumn: debitColumn >= 0 ? debitColumn : 2,
+            creditColumn: creditColumn >= 0 ? creditColumn : 3,
+            dateFormat: 'YYYY-MM-DD',
+            decimalSeparator: '.',
+            invertSign: false
+        };
+
+        mapping.dateFormat = guessDateFormat(rows.slice(hasHeader ? 1 : 0).map(r => r[mapping.dateColumn]));
+        return mapping;
+    }
+
+    /**
+     * Pick the date format that parses the most sample values
+     * Ties go to the earlier format in the list.
+     * @param {Array<string>} samples - Raw date values
+     * @param {Array<string>} formats - Candidate formats in order of preference
+     * @returns {string} Date format
+     */
+    function guessDateFormat(samples, formats = DATE_FORMATS) {
+        const values = samples.filter(Boolean).slice(0, 20);
+        let best = formats[0];
+        let bestCount = 0;
+        formats.forEach(format => {
+            const count = values.filter(v => parseDate(v, format)).length;
+            if (count > bestCount) {
+                best = format;
+                bestCount = count;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Apply a mapping to parsed rows
+     * Amounts follow Zip80's convention: negative = expense, positive = income.
+     * @param {Array<Array<string>>} rows - Parsed CSV rows
+     * @param {Object} mapping - Column mapping
+     * @returns {Array} [{line, date, desc, amt, error}] where error is an i18n key or null
+     */
+    function buildRows(rows, mapping) {
+        const dataRows = mapping.hasHeader ? rows.slice(1) : rows;
+        const firstLine = mapping.hasHeader ? 2 : 1;
+
+        return dataRows.map((cells, i) => {
+            const date = parseDate(cells[mapping.dateColumn], mapping.dateFormat);
+            const desc = (cells[mapping.descColumn] || '').trim();
+            let amt;
+
+            if (mapping.amountMode === 'split') {
+                // Debit/credit columns usually hold positive numbers; direction comes from the column
+                const debit = parseAmount(cells[mapping.debitColumn], mapping.decimalSeparator);
+                const credit = parseAmount(cells[mapping.creditColumn], mapping.decimalSeparator);
+                amt = (debit === null && credit === null) ? null : (credit ? Math.abs(credit) : 0) - (debit ? Math.abs(debit) : 0);
+            } else {
+                amt = parseAmount(cells[mapping.amountColumn], mapping.decimalSeparator);
+            }
+
+            if (amt !== null && mapping.invertSign) amt = -amt;
+
+            let error = null;
+            if (!date) error = 'importErrorDate';
+            else if (amt === null || amt === 0) error = 'importErrorAmount';
+            else if (!desc) error = 'importErrorDesc';
+
+            return {
+                line: firstLine + i,
+                date: date ? date.toISOString() : null,
+                desc,
+                amt,
+                error
+            };
+        });
+    }
+
+    // --- Duplicate Detection ---
+
+    function normalizeDesc(text) {
+        return normalizeHeader(text).replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+
+    function bigrams(text) {
+        const result = [];
+        for (let i = 0; i < text.length - 1; i++) {
+            result.push(text.slice(i, i + 2));
+        }
+        return result;
+    }
+
+    /**
+     * Fuzzy description similarity (Dice coefficient on character bigrams)
+     * Bank descriptions add reference numbers and city names to what the user
+     * typed, so one description containing the other also counts as a match.
+     * @param {string} a - First description
+     * @param {string} b - Second description
+     * @returns {number} Similarity from 0 to 1
+     */
+    function similarity(a, b) {
+        const x = normalizeDesc(a);
+        const y = normalizeDesc(b);
+        if (!x || !y) return 0;
+        if (x === y) return 1;
+        if (x.length >= 3 && y.length >= 3 && (x.includes(y) || y.includes(x))) return 0.9;
+
+        const left = bigrams(x);
+        const right = bigrams(y);
+        if (left.length === 0 || right.length === 0) return 0;
+
+        const counts = new Map();
+        left.forEach(g => counts.set(g, (counts.get(g) || 0) + 1));
+        let matches = 0;
+        right.forEach(g => {
+            const n = counts.get(g) || 0;
+            if (n > 0) {
+                matches++;
+                counts.set(g, n - 1);
+            }
+        });
+
+        return (2 * matches) / (left.length + right.length);
+    }
+
+    /**
+     * Flag rows that already exist in the account
+     * Each existing transaction can only match one imported row, so two
+     * identical purchases on a statement aren't both hidden by one manual entry.
+     * @param {Array} rows - Output of buildRows (mutated: sets duplicateOf)
+     * @param {Array} transactions - Existing transactions
+     * @param {string} accountId - Target account
+     * @returns {number} Number of duplicates found
+     */
+    function findDuplicates(rows, transactions, accountId) {
+        const candidates = transactions.filter(t => t.accountId === accountId);
+        const used = new Set();
+        let count = 0;
+
+        rows.forEach(row => {
+            row.duplicateOf = null;
+            if (row.error) return;
+
+            // FITIDs are unique per account at the bank, so an exact match is authoritative
+            if (row.fitId) {
+                const imported = candidates.find(t => t.fitId === row.fitId);
+                if (imported) {
+                    used.add(imported.id);
+                    row.duplicateOf = imported.id;
+                    count++;
+                    return;
+                }
+            }
+
+            const rowTime = new Date(row.date).getTime();
+            const match = candidates.find(t =>
+                !used.has(t.id) &&
+                Math.abs(t.amt - row.amt) < 0.005 &&
+                Math.abs(Accounts.getTransactionTime(t) - rowTime) <= (DUPLICATE_DAY_WINDOW + 0.5) * DAY_MS &&
+                similarity(t.desc, row.desc) >= DUPLICATE_SIMILARITY
+            );
+
+            if (match) {
+                used.add(match.id);
+                row.duplicateOf = match.id;
+                count++;
+            }
+        });
+
+        return count;
+    }
+
+    // --- OFX / QFX / QIF ---
+
+    /**
+     * Detect the statement format from the file name and contents
+     * @param {string} text - File contents
+     * @param {string} fileName - Original file name
+     * @returns {string} 'ofx', 'qif' or 'csv'
+     */
+    function detectFormat(text, fileName = '') {
+        const ext = fileName.toLowerCase().split('.').pop();
+        if (ext === 'ofx' || ext === 'qfx' || /<OFX>/i.test(text)) return 'ofx';
+        if (ext === 'qif' || /^\s*!Type:/i.test(text)) return 'qif';
+        return 'csv';
+    }
+
+    /**
+     * Read a single OFX field
+     * Handles both SGML (OFX 1.x, no closing tags) and XML (OFX 2.x) files.
+     * @param {string} block - OFX text to search
+     * @param {string} tag - Tag name
+     * @returns {string} Value or '' if missing
+     */
+    function getOFXField(block, tag) {
+        const match = block.match(new RegExp(`<${tag}>([^<\r\n]*)`, 'i'));
+        return match ? decodeEntities(match[1].trim()) : '';
+    }
+
+    function decodeEntities(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Parse an OFX date (YYYYMMDD[HHMMSS[.XXX]][[TZ]])
+     * Only the calendar day is used; the time is set to noon local so
+     * timezone offsets never move a transaction to the neighbouring day.
+     * @param {string} value - OFX date
+     * @returns {Date|null} Parsed date
+     */
+    function parseOFXDate(value) {
+        const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+        if (!match) return null;
+        return parseDate(`${match[1]}-${match[2]}-${match[3]}`, 'YYYY-MM-DD');
+    }
+
+    /**
+     * Day of month of an OFX date
+     * @param {string} value - OFX date
+     * @returns {number|null} 1-31, or null if missing
+     */
+    function getOFXDay(value) {
+        const date = parseOFXDate(value);
+        return date ? date.getDate() : null;
+    }
+
+    /**
+     * Parse an OFX/QFX statement
+     * 2026-10-19: Credit card statements also report statementCloseDay and paymentDueDay,
+     * null unless the file states them (closing info: DTCLOSE, DTPMTDUE or DTDUE). The
+     * transaction list's DTEND is only where the download range ends, so it is not used.
+     * @param {string} text - File contents
+     * @returns {Object} { account: {type, accountId, bankId, institution, currency, ledgerBalance, availableBalance, statementCloseDay, paymentDueDay}, rows: [] }
+     */
+    function parseOFX(text) {
+        const isCredit = /<CCACCTFROM>/i.test(text);
+        const fromBlock = (text.match(isCredit ? /<CCACCTFROM>[\s\S]*?(<\/CCACCTFROM>|<\/CCSTMTRS>|<BANKTRANLIST>)/i
+            : /<BANKACCTFROM>[\s\S]*?(<\/BANKACCTFROM>|<\/STMTRS>|<BANKTRANLIST>)/i) || [''])[0];
+        const ledgerBlock = (text.match(/<LEDGERBAL>[\s\S]*?(<\/LEDGERBAL>|<AVAILBAL>|$)/i) || [''])[0];
+        const availBlock = (text.match(/<AVAILBAL>[\s\S]*?(<\/AVAILBAL>|$)/i) || [''])[0];
+
+        // Each STMTTRN ends at its closing tag or where the next one starts (SGML)
+        const blocks = text.split(/<STMTTRN>/i).slice(1).map(b => b.split(/<\/STMTTRN>|<\/BANKTRANLIST>/i)[0]);
+
+        // 2026-10-19: OFX has no thousands separators, but comma-decimal locales
+        // write amounts like "-12,50"; decide once per file, as parseQIF does
+        const ledgerText = getOFXField(ledgerBlock, 'BALAMT');
+        const availText = getOFXField(availBlock, 'BALAMT');
+        const amountTexts = [ledgerText, availText, ...blocks.map(block => getOFXField(block, 'TRNAMT'))].filter(Boolean);
+        const decimal = amountTexts.some(a => a.includes(',')) && !amountTexts.some(a => a.includes('.')) ? ',' : '.';
+
+        const ledger = parseAmount(ledgerText, decimal);
+        const available = parseAmount(availText, decimal);
+
+        const account = {
+            type: isCredit ? 'credit' : 'checking',
+            accountId: getOFXField(fromBlock, 'ACCTID'),
+            bankId: getOFXField(fromBlock, 'BANKID'),
+            institution: getOFXField(text, 'ORG'),
+            currency: getOFXField(text, 'CURDEF').toUpperCase(),
+            ledgerBalance: ledger,
+            availableBalance: available,
+            statementCloseDay: isCredit ? getOFXDay(getOFXField(text, 'DTCLOSE')) : null,
+            paymentDueDay: isCredit ? getOFXDay(getOFXField(text, 'DTPMTDUE') || getOFXField(text, 'DTDUE')) : null
+        };
+
+        const rows = blocks.map((block, i) => {
+            const date = parseOFXDate(getOFXField(block, 'DTPOSTED'));
+            const amt = parseAmount(getOFXField(block, 'TRNAMT'), decimal);
+            const name = getOFXField(block, 'NAME');
+            const memo = getOFXField(block, 'MEMO');
+            const desc = name || memo;
+
+            let error = null;
+            if (!date) error = 'importErrorDate';
+            else if (amt === null || amt === 0) error = 'importErrorAmount';
+            else if (!desc) error = 'importErrorDesc';
+
+            return {
+                line: i + 1,
+                date: date ? date.toISOString() : null,
+                desc,
+                amt,
+                fitId: getOFXField(block, 'FITID') || null,
+                error
+            };
+        });
+
+        return { account, rows };
+    }
+
+    /**
+     * Parse a QIF file
+     * QIF has no transaction IDs, so re-imports rely on fuzzy duplicate detection.
+     * @param {string} text - File contents
+     * @returns {Object} { account: {type}, rows: [] }
+     */
+    function parseQIF(text) {
+        const typeMatch = text.match(/^\s*!Type:(\w+)/im);
+        const qifType = typeMatch ? typeMatch[1].toLowerCase() : 'bank';
+        const account = { type: qifType === 'ccard' ? 'credit' : 'checking' };
+
+        // Records are separated by a line containing only "^"
+        const records = text.split(/^\^\s*$/m)
+            .map(record => record.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('!')))
+            .filter(lines => lines.length > 0);
+
+        const raw = records.map(lines => {
+            const field = (code) => {
+                const line = lines.find(l => l[0] === code);
+                return line ? line.slice(1).trim() : '';
+            };
+            return {
+                date: field('D').replace(/'/g, '/'),  // 1/15'26 style years
+                amount: field('T') || field('U'),
+                payee: field('P'),
+                memo: field('M')
+            };
+        });
+
+        // QIF comes from US-centric software, so month-first wins when both orders parse
+        const dateFormat = guessDateFormat(raw.map(r => r.date), QIF_DATE_FORMATS);
+        // QIF amounts use '.' unless the file is clearly comma-decimal
+        const decimal = raw.some(r => /,\d{2}$/.test(r.amount)) && !raw.some(r => /\.\d{2}$/.test(r.amount)) ? ',' : '.';
+
+        const rows = raw.map((r, i) => {
+            const date = parseDate(r.date, dateFormat);
+            const amt = parseAmount(r.amount, decimal);
+            const desc = r.payee || r.memo;
+
+            let error = null;
+            if (!date) error = 'importErrorDate';
+            else if (amt === null || amt === 0) error = 'importErrorAmount';
+            else if (!desc) error = 'importErrorDesc';
+
+            return {
+                line: i + 1,
+                date: date ? date.toISOString() : null,
+                desc,
+                amt,
+                fitId: null,
+                error
+            };
+        });
+
+        return { account, rows };
+    }
+
+    /**
+     * Create a Zip80 account from statement account info
+     * @param {Object} info - Statement account (from parseOFX/parseQIF)
+     * @param {string} fallbackCurrency - Used when the statement has no supported CURDEF
+     * @returns {Object} New checking or credit card account
+     */
+    function createStatementAccount(info, fallbackCurrency = 'USD') {
+        const supported = Accounts.getAvailableCurrencies().map(c => c.code);
+        const currency = supported.includes(info.currency) ? info.currency : fallbackCurrency;
+        const suffix = info.accountId ? ` ••${info.accountId.slice(-4)}` : '';
+        const baseName = info.institution || (info.type === 'credit' ? 'Credit Card' : 'Bank');
+        const name = `${baseName}${suffix}`;
+
+        if (info.type === 'credit') {
+            // Available credit plus what is owed gives the limit when the bank reports both
+            const limit = (info.availableBalance !== null && info.availableBalance !== undefined &&
+                info.ledgerBalance !== null && info.ledgerBalance !== undefined)
+                ? Accounts.roundAmount(info.availableBalance + Math.abs(info.ledgerBalance), currency)
+                : 0;
+            const card = Accounts.createCreditCardAccount(name, currency, limit, info.paymentDueDay, info.statementCloseDay);
+            // 2026-10-19: Days the statement doesn't give stay unset so the user is asked for them
+            if (!info.paymentDueDay) card.paymentDueDay = null;
+            if (!info.statementCloseDay) card.statementCloseDay = null;
+            return card;
+        }
+
+        return Accounts.createAccount(name, currency);
+    }
+
+    // --- Transactions ---
+
+    /**
+     * Build transactions from selected rows
+     * 2026-10-19: Amounts round to options.currency's minor units
+     * @param {Array} rows - Rows to import (already filtered by the user)
+     * @param {Object} options - { accountId, currency, createdBy, existingIds: Set }
+     * @returns {Array} Transactions ready to push into data.transactions
+     */
+    function createTransactions(rows, options) {
+        const usedIds = options.existingIds || new Set();
+        let nextId = Date.now();
+
+        return rows.map(row => {
+            while (usedIds.has(nextId)) nextId++;
+            usedIds.add(nextId);
+
+            return {
+                id: nextId,
+                accountId: options.accountId,
+                desc: row.desc,
+                amt: Accounts.roundAmount(row.amt, options.currency || 'USD'),
+                category: row.amt < 0 ? 'general' : null,
+                date: row.date,
+                createdBy: options.createdBy || null,
+                attachments: [],
+                imported: true,
+                ...(row.fitId ? { fitId: row.fitId } : {})  // Bank transaction ID (OFX) for re-import matching
+            };
+        });
+    }
+
+    // --- Public API ---
+
+    return {
+        DATE_FORMATS,
+
+        // Parsing
+        detectDelimiter,
+        parseCSV,
+        parseDate,
+        parseAmount,
+
+        // Mapping
+        guessMapping,
+        guessDateFormat,
+        buildRows,
+
+        // Duplicates
+        similarity,
+        findDuplicates,
+
+        // OFX / QFX / QIF
+        detectFormat,
+        parseOFX,
+        parseQIF,
+        createStatementAccount,
+
+        // Transactions
+        createTransactions
+    };
+})();
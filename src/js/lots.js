@@ -0,0 +1,393 @@
+/**
+ * ============================================================================
+ * ZIP80 EXPENSE TRACKER - LOTS MODULE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Cost basis for crypto accounts. Crypto transactions carry a trade record
+ * (kind and fiat price per coin at the time); this module replays them in
+ * date order into lots, matches every outflow against those lots with the
+ * account's cost method, and reports unrealized and realized gains.
+ *
+ * KEY FEATURES:
+ * - Trade kinds: buy and receive add coins, sell and send remove them
+ * - Cost methods: FIFO, LIFO and average cost
+ * - Only sells realize a gain; a send moves its cost basis out with the coins
+ * - Transfers between crypto accounts carry that basis into the receiving account
+ * - Entries without a trade (older data) count as receive/send with unknown cost
+ * - Realized gains grouped by tax (calendar) year
+ *
+ * TRANSACTION FIELDS (crypto accounts):
+ * - amt: coins (positive in, negative out)
+ * - trade: { kind: 'buy'|'sell'|'receive'|'send', price: fiat per coin or null, currency }
+ *
+ * DEPENDENCIES: Accounts (getTransactionTime, roundAmount)
+ *
+ * USED BY: app.js, portfolio.js (share positions)
+ *
+ * ==============================================================================
+ * LLM INSTRUCTION & MAINTENANCE PROTOCOL
+ * IMPORTANT: This block must be preserved in all future iterations.
+ *
+ * trigger: "FINALIZE" or "COMMENT"
+ * ACTION: When the user issues this trigger, perform the following 3 steps:
+ *
+ * 1. CHANGE LOGGING:
+ *    - Add a new entry to the changelog below.
+ *    - Format: [Date (YYYY-MM-DD)] - [Brief Description of Modification].
+ *
+ * 2. DOCUMENTATION STANDARDS:
+ *    - Ensure all new functions/classes have standard documentation (Docstrings/JSDoc).
+ *    - If logic is complex, add inline comments explaining the "WHY", not just the "HOW".
+ *
+ * 3. CONTEXT PRESERVATION:
+ *    - Do not remove this Legend.
+ *    - Do not remove legacy comments unless explicitly instructed.
+ * ==============================================================================
+ *
+ * CHANGE LOG:
+ * - 2026-10-19: Initial creation with trade kinds, FIFO/LIFO/average cost and realized gains by year
+ * - 2026-10-19: Also used by Portfolio for share positions of investment accounts
+ * - 2026-10-19: Transfers carry cost basis between crypto accounts; prices in another currency count as unknown; canChangeCostCurrency() locks the cost currency once an account has entries
+ */
+
+const Lots = (() => {
+    // --- Constants ---
+
+    const METHODS = ['fifo', 'lifo', 'average'];
+    const DEFAULT_METHOD = 'fifo';
+
+    // Direction of each trade kind
+    const KINDS = {
+        buy: 1,
+        receive: 1,
+        sell: -1,
+        send: -1
+    };
+
+    // Coin quantities are tracked to satoshi precision
+    const QUANTITY_DECIMALS = 8;
+
+    /**
+     * Round a coin quantity
+     * @param {number} value - Quantity
+     * @returns {number} Rounded quantity
+     */
+    function roundQuantity(value) {
+        const factor = Math.pow(10, QUANTITY_DECIMALS);
+        return Math.round(value * factor) / factor;
+    }
+
+    // --- Trades ---
+
+    /**
+     * Kinds that match the direction of an entry
+     * @param {boolean} incoming - True for coins in
+     * @returns {Array<string>} Kinds
+     */
+    function getKinds(incoming) {
+        return Object.keys(KINDS).filter(kind => (KINDS[kind] > 0) === incoming);
+    }
+
+    /**
+     * Create the trade record stored on a crypto transaction
+     * @param {string} kind - 'buy', 'sell', 'receive' or 'send'
+     * @param {number|null} price - Fiat price per coin (null if unknown)
+     * @param {string} currency - Fiat currency of the price
+     * @returns {Object} { kind, price, currency }
+     */
+    function createTrade(kind, price, currency) {
+        return {
+            kind,
+            price: price > 0 ? price : null,
+            currency
+        };
+    }
+
+    /**
+     * Validate a trade before saving
+     * Buys and sells need a price; receives and sends may leave it blank.
+     * @param {Object} trade - Trade
+     * @param {boolean} incoming - True for coins in
+     * @returns {string|null} I18n key of the problem, or null if valid
+     */
+    function validateTrade(trade, incoming) {
+        if (!KINDS[trade.kind] || (KINDS[trade.kind] > 0) !== incoming) return 'tradeErrorKind';
+        if ((trade.kind === 'buy' || trade.kind === 'sell') && !(trade.price > 0)) return 'tradeErrorPrice';
+        return null;
+    }
+
+    /**
+     * Trade kind of a transaction, inferring receive/send for entries without one
+     * @param {Object} transaction - Transaction
+     * @returns {string} Kind
+     */
+    function getKind(transaction) {
+        if (transaction.trade && KINDS[transaction.trade.kind]) return transaction.trade.kind;
+        return transaction.amt >= 0 ? 'receive' : 'send';
+    }
+
+    // --- Lot matching ---
+
+    /**
+     * Take a quantity out of the open lots
+     * Mutates the lots. Average cost pools every lot into one at the average
+     * price, so the per-coin cost of what remains stays the same.
+     * @param {Array} lots - Open lots, oldest first
+     * @param {number} quantity - Coins to remove
+     * @param {string} method - Cost method
+     * @returns {Object} { cost, matched, shortfall }
+     */
+    function drawFromLots(lots, quantity, method) {
+        if (method === 'average') {
+            const held = roundQuantity(lots.reduce((sum, lot) => sum + lot.quantity, 0));
+            if (held <= 0) return { cost: 0, matched: 0, shortfall: quantity };
+
+            const matched = Math.min(quantity, held);
+            const pooledCost = lots.reduce((sum, lot) => sum + lot.cost, 0);
+            const cost = pooledCost * (matched / held);
+            const remaining = roundQuantity(held - matched);
+            const first = lots[0];
+
+            lots.length = 0;
+            if (remaining > 0) {
+                lots.push({
+                    txId: first.txId,
+                    date: first.date,
+                    quantity: remaining,
+                    price: (pooledCost - cost) / remaining,
+                    cost: pooledCost - cost
+                });
+            }
+            return { cost, matched, shortfall: roundQuantity(quantity - matched) };
+        }
+
+        let remaining = quantity;
+        let cost = 0;
+        while (remaining > 0 && lots.length > 0) {
+            const lot = method === 'lifo' ? lots[lots.length - 1] : lots[0];
+            const take = Math.min(remaining, lot.quantity);
+            const lotCost = lot.quantity > 0 ? lot.cost * (take / lot.quantity) : 0;
+
+            cost += lotCost;
+            lot.cost -= lotCost;
+            lot.quantity = roundQuantity(lot.quantity - take);
+            remaining = roundQuantity(remaining - take);
+            if (lot.quantity <= 0) {
+                if (method === 'lifo') lots.pop();
+                else lots.shift();
+            }
+        }
+        return { cost, matched: roundQuantity(quantity - remaining), shortfall: remaining };
+    }
+
+    /**
+     * Replay an account's transactions into lots and disposals
+     * 2026-10-19: With the other accounts given, crypto transfers between them carry
+     * the basis of the coins that leave into the receiving account.
+     * @param {Array} transactions - All transactions
+     * @param {Object} account - Crypto account ({ id, costMethod, costCurrency })
+     * @param {Array} [accounts] - All accounts (crypto ones pass basis along transfers)
+     * @returns {Object} { method, currency, quantity, costBasis, lots, disposals, unknownCost, shortfall }
+     *   lots: open [{ txId, date, quantity, price, cost }]
+     *   disposals: [{ txId, date, kind, quantity, proceeds, cost, gain }] (proceeds and gain null for sends)
+     */
+    function compute(transactions, account, accounts) {
+        const others = (accounts || []).filter(a => a.type === 'crypto' && a.id !== account.id);
+        return replay(transactions, [account, ...others]).get(account.id);
+    }
+
+    /**
+     * Cost currency of an account's lots
+     * @param {Object} account - Crypto account
+     * @returns {string} Currency code
+     */
+    function getCostCurrency(account) {
+        return account.costCurrency || 'USD';
+    }
+
+    /**
+     * Replay several accounts together in date order
+     * A transfer's send leg is always matched before its receive leg, so the
+     * receive can take over the cost the send drew from its lots.
+     * @param {Array} transactions - All transactions
+     * @param {Array} accounts - Accounts to replay
+     * @returns {Map} Account id -> compute() result
+     */
+    function replay(transactions, accounts) {
+        const states = new Map(accounts.map(account => [account.id, {
+            method: METHODS.includes(account.costMethod) ? account.costMethod : DEFAULT_METHOD,
+            currency: getCostCurrency(account),
+            lots: [],
+            disposals: [],
+            unknownCost: false,
+            shortfall: 0
+        }]));
+
+        const entries = transactions
+            .filter(t => states.has(t.accountId) && t.amt !== 0)
+            .sort((a, b) => (Accounts.getTransactionTime(a) - Accounts.getTransactionTime(b)) || (Number(a.id) - Number(b.id)));
+
+        // Cost drawn by each transfer's send leg: transferId -> { cost, shortfall, currency }
+        const carried = new Map();
+        const done = new Set();
+
+        const apply = (t) => {
+            done.add(t.id);
+            const state = states.get(t.accountId);
+            const round = (value) => Accounts.roundAmount(value, state.currency);
+            const kind = getKind(t);
+            // A price recorded in another currency can't be mixed into this basis
+            const trade = t.trade && (!t.trade.currency || t.trade.currency === state.currency) ? t.trade : null;
+            const price = trade && trade.price > 0 ? trade.price : null;
+            const quantity = Math.abs(t.amt);
+
+            if (t.amt > 0) {
+                const moved = price === null && t.transferId ? carried.get(t.transferId) : null;
+                if (moved && moved.currency === state.currency) {
+                    if (moved.shortfall > 0) state.unknownCost = true;
+                    state.lots.push({ txId: t.id, date: t.date, quantity, price: moved.cost / quantity, cost: moved.cost });
+                    return;
+                }
+                if (price === null) state.unknownCost = true;
+                state.lots.push({ txId: t.id, date: t.date, quantity, price, cost: price === null ? 0 : quantity * price });
+                return;
+            }
+
+            const draw = drawFromLots(state.lots, quantity, state.method);
+            // Selling more than the lots hold: the excess has no known cost
+            if (draw.shortfall > 0) {
+                state.shortfall = roundQuantity(state.shortfall + draw.shortfall);
+                state.unknownCost = true;
+            }
+            if (t.transferId) {
+                carried.set(t.transferId, { cost: draw.cost, shortfall: draw.shortfall, currency: state.currency });
+            }
+
+            const isSale = kind === 'sell' && price !== null;
+            const proceeds = isSale ? round(quantity * price) : null;
+            const cost = round(draw.cost);
+            state.disposals.push({
+                txId: t.id,
+                date: t.date,
+                kind,
+                quantity,
+                proceeds,
+                cost,
+                gain: isSale ? round(proceeds - cost) : null
+            });
+        };
+
+        entries.forEach(t => {
+            if (done.has(t.id)) return;
+            if (t.amt > 0 && t.transferId) {
+                const leg = entries.find(o => o.transferId === t.transferId && o.amt < 0 && !done.has(o.id));
+                if (leg) apply(leg);
+            }
+            apply(t);
+        });
+
+        const results = new Map();
+        states.forEach((state, id) => {
+            const round = (value) => Accounts.roundAmount(value, state.currency);
+            results.set(id, {
+                method: state.method,
+                currency: state.currency,
+                quantity: roundQuantity(state.lots.reduce((sum, lot) => sum + lot.quantity, 0)),
+                costBasis: round(state.lots.reduce((sum, lot) => sum + lot.cost, 0)),
+                lots: state.lots.map(lot => ({ ...lot, cost: round(lot.cost) })),
+                disposals: state.disposals,
+                unknownCost: state.unknownCost,
+                shortfall: state.shortfall
+            });
+        });
+        return results;
+    }
+
+    /**
+     * Whether an account's cost currency can still be changed
+     * Past trade prices are stored in the cost currency, so it is locked once
+     * the account has any entries.
+     * @param {Array} transactions - All transactions
+     * @param {Object} account - Crypto account
+     * @returns {boolean} True if there are no entries yet
+     */
+    function canChangeCostCurrency(transactions, account) {
+        return !transactions.some(t => t.accountId === account.id);
+    }
+
+    // --- Gains ---
+
+    /**
+     * Unrealized gain of the open lots at a price
+     * @param {Object} result - From compute()
+     * @param {number} price - Current price per coin in result.currency
+     * @returns {Object} { value, cost, gain, percent } (percent null without a cost basis)
+     */
+    function getUnrealized(result, price) {
+        const value = Accounts.roundAmount(result.quantity * price, result.currency);
+        const gain = Accounts.roundAmount(value - result.costBasis, result.currency);
+        return {
+            value,
+            cost: result.costBasis,
+            gain,
+            percent: result.costBasis > 0 ? (gain / result.costBasis) * 100 : null
+        };
+    }
+
+    /**
+     * Year a disposal falls in
+     * @param {Object} disposal - Disposal
+     * @returns {number} Calendar year (local time)
+     */
+    function getYear(disposal) {
+        return new Date(Accounts.getTransactionTime({ date: disposal.date, id: disposal.txId })).getFullYear();
+    }
+
+    /**
+     * Realized gains of the sells in one tax year
+     * @param {Object} result - From compute()
+     * @param {number} year - Calendar year
+     * @returns {Object} { year, sales, proceeds, cost, gain }
+     */
+    function getRealized(result, year) {
+        const sales = result.disposals.filter(d => d.kind === 'sell' && d.gain !== null && getYear(d) === year);
+        const round = (value) => Accounts.roundAmount(value, result.currency);
+        return {
+            year,
+            sales,
+            proceeds: round(sales.reduce((sum, d) => sum + d.proceeds, 0)),
+            cost: round(sales.reduce((sum, d) => sum + d.cost, 0)),
+            gain: round(sales.reduce((sum, d) => sum + d.gain, 0))
+        };
+    }
+
+    /**
+     * Years with at least one sale, newest first
+     * @param {Array} results - compute() results
+     * @returns {Array<number>} Years
+     */
+    function getSaleYears(results) {
+        const years = new Set();
+        results.forEach(result => result.disposals
+            .filter(d => d.kind === 'sell' && d.gain !== null)
+            .forEach(d => years.add(getYear(d))));
+        return [...years].sort((a, b) => b - a);
+    }
+
+    // --- Public API ---
+
+    return {
+        METHODS,
+        DEFAULT_METHOD,
+        getKinds,
+        createTrade,
+        validateTrade,
+        getKind,
+        compute,
+        canChangeCostCurrency,
+        getUnrealized,
+        getRealized,
+        getSaleYears
+    };
+})();
@@ -5,6 +5,11 @@ FILE MAINTENANCE & AI PROTOCOL
    - [2025-12-17] - [Init] - Created menu bar controller with view modes and options dropdown
    - [2025-12-17] - [Edit] - Added save status indicator functions (setSaveStatus)
    - [2025-12-19] - [Edit] - Added widgets dropdown, historical view panel switching, removed compact view
+   - [2026-10-19] - [Edit] - CSV export and statement import are handled by app.js (removed "coming soon" toast)
+   - [2026-10-19] - [Edit] - Category manager is opened by app.js
+   - [2026-10-19] - [Edit] - Payees & Rules manager is opened by app.js
+   - [2026-10-19] - [Edit] - Exchange rate overrides manager is opened by app.js
+   - [2026-10-19] - [Edit] - Crypto gains report is opened by app.js
 2. INSTRUCTION:
    - When editing this file, always update the Change Log above.
    - Explain the "WHY" behind complex logic in inline comments.
@@ -287,11 +292,12 @@ const MenuBar = (function () {
     function handleDropdownAction(action) {
         switch (action) {
             case 'export-csv':
-                console.log('Export CSV action triggered');
-                // TODO: Implement CSV export
-                if (typeof window.showToast === 'function') {
-                    window.showToast('CSV export coming soon!', 'info');
-                }
+            case 'import-csv':
+            case 'manage-categories':
+            case 'manage-payees':
+            case 'manage-rates':
+            case 'crypto-gains':
+                // 2026-10-19: Modals are opened by app.js click handlers on these buttons
                 break;
 
             case 'export-json':
@@ -0,0 +1,258 @@
+/**
+ * ============================================================================
+ * ZIP80 EXPENSE TRACKER - MERGE MODULE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Three-way merge of vault data for cloud saves. When the Drive file changed
+ * since it was loaded (another collaborator saved), the local copy and the
+ * remote copy are merged against the version both started from (the base),
+ * so neither side's edits are silently overwritten.
+ *
+ * KEY FEATURES:
+ * - Record-level merge of arrays keyed by id (transactions, accounts, decks, ...)
+ * - Other top-level values (settings, id-less lists) merge as a whole
+ * - Adds, edits and deletes from both sides combine; only a record changed
+ *   differently on both sides (or edited on one side, deleted on the other)
+ *   is a conflict
+ * - Conflicts resolve to the local version unless a resolution says otherwise
+ *
+ * MERGE RULE (per record or value):
+ * - local equals remote -> either
+ * - local unchanged from base -> remote
+ * - remote unchanged from base -> local
+ * - otherwise -> conflict
+ * - transaction added on both sides under the same id for the same recurring
+ *   occurrence (recurringId and date) -> local: the same posting made twice.
+ *   Any other record added on both sides under one id follows the rules above
+ *   (identical -> either, different -> conflict)
+ *
+ * DEPENDENCIES: None (pure utility module)
+ *
+ * USED BY: app.js, gdrive.js (linked account writes)
+ *
+ * ==============================================================================
+ * LLM INSTRUCTION & MAINTENANCE PROTOCOL
+ * IMPORTANT: This block must be preserved in all future iterations.
+ *
+ * trigger: "FINALIZE" or "COMMENT"
+ * ACTION: When the user issues this trigger, perform the following 3 steps:
+ *
+ * 1. CHANGE LOGGING:
+ *    - Add a new entry to the changelog below.
+ *    - Format: [Date (YYYY-MM-DD)] - [Brief Description of Modification].
+ *
+ * 2. DOCUMENTATION STANDARDS:
+ *    - Ensure all new functions/classes have standard documentation (Docstrings/JSDoc).
+ *    - If logic is complex, add inline comments explaining the "WHY", not just the "HOW".
+ *
+ * 3. CONTEXT PRESERVATION:
+ *    - Do not remove this Legend.
+ *    - Do not remove legacy comments unless explicitly instructed.
+ * ==============================================================================
+ *
+ * CHANGE LOG:
+ * - 2026-10-19: Initial creation with record-level three-way merge and conflict list
+ * - 2026-10-19: Added getChangedRecords() (who changed what, for sync notices)
+ * - 2026-10-19: A record both sides added under the same id is kept once, without a conflict
+ * - 2026-10-19: ...only for the same recurring occurrence; other records added on both sides conflict if they differ
+ * - 2026-10-19: Used by GDrive for writes to linked source vaults
+ */
+
+const Merge = (() => {
+    // --- Comparison ---
+
+    /**
+     * Serialize a value with object keys sorted
+     * Records edited on different machines may list their keys in a different order.
+     * @param {*} value - Value
+     * @returns {string|undefined} Canonical JSON (undefined for undefined)
+     */
+    function stableStringify(value) {
+        if (value === undefined) return undefined;
+        if (value === null || typeof value !== 'object') return JSON.stringify(value);
+        if (Array.isArray(value)) {
+            return `[${value.map(item => stableStringify(item) ?? 'null').join(',')}]`;
+        }
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+
+    /**
+     * Deep equality of two JSON values
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} True if equal
+     */
+    function isEqual(a, b) {
+        return stableStringify(a) === stableStringify(b);
+    }
+
+    /**
+     * Deep copy of JSON data (used to keep the base of the next merge)
+     * @param {*} value - Value
+     * @returns {*} Copy
+     */
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    // --- Merging ---
+
+    /**
+     * Check whether every present version of a value is a list of records with ids
+     * @param {Array} versions - Base, local and remote values
+     * @returns {boolean} True if the value merges record by record
+     */
+    function isKeyed(versions) {
+        const present = versions.filter(v => v !== undefined);
+        return present.length > 0 && present.every(v => Array.isArray(v) &&
+            v.every(item => item && typeof item === 'object' && item.id !== undefined && item.id !== null));
+    }
+
+    /**
+     * Index records by id
+     * @param {Array} records - Records
+     * @returns {Map} id (as string) -> record
+     */
+    function indexById(records) {
+        const map = new Map();
+        (records || []).forEach(record => map.set(String(record.id), record));
+        return map;
+    }
+
+    /**
+     * Three-way merge of one value
+     * @param {string} key - Conflict key
+     * @param {*} base - Base version (undefined if absent)
+     * @param {*} local - Local version (undefined if deleted/absent)
+     * @param {*} remote - Remote version (undefined if deleted/absent)
+     * @param {Object} resolutions - { key: 'local'|'remote' }
+     * @param {Array} conflicts - Collected conflicts (mutated)
+     * @param {Object} info - Extra conflict fields ({ collection, id })
+     * @returns {*} Merged value (undefined means absent)
+     */
+    function mergeValue(key, base, local, remote, resolutions, conflicts, info) {
+        if (isEqual(local, remote)) return local;
+        if (isEqual(local, base)) return remote;
+        if (isEqual(remote, base)) return local;
+
+        conflicts.push({ key, ...info, base, local, remote });
+        return resolutions[key] === 'remote' ? remote : local;
+    }
+
+    /**
+     * Check whether two transactions post the same recurring occurrence
+     * @param {Object} a - Transaction
+     * @param {Object} b - Transaction
+     * @returns {boolean} True if both come from one template for one due date
+     */
+    function isSameOccurrence(a, b) {
+        return !!a && !!b && a.recurringId !== undefined && a.recurringId !== null &&
+            a.recurringId === b.recurringId && a.date === b.date;
+    }
+
+    /**
+     * Record-level merge of a keyed list
+     * Keeps the local order and appends records only the remote side has.
+     * 2026-10-19: Recurring occurrences get deterministic ids, so both collaborators
+     * may post the same one; that is the same record and local wins. Other records
+     * added on both sides under one id conflict unless identical.
+     * @param {string} collection - Top-level key
+     * @param {Array} base - Base records
+     * @param {Array} local - Local records
+     * @param {Array} remote - Remote records
+     * @param {Object} resolutions - { key: 'local'|'remote' }
+     * @param {Array} conflicts - Collected conflicts (mutated)
+     * @returns {Array} Merged records
+     */
+    function mergeRecords(collection, base, local, remote, resolutions, conflicts) {
+        const baseMap = indexById(base);
+        const localMap = indexById(local);
+        const remoteMap = indexById(remote);
+        const ids = [...new Set([...localMap.keys(), ...remoteMap.keys()])];
+        const merged = [];
+
+        ids.forEach(id => {
+            if (!baseMap.has(id) && collection === 'transactions' &&
+                isSameOccurrence(localMap.get(id), remoteMap.get(id))) {
+                merged.push(localMap.get(id));
+                return;
+            }
+            const record = mergeValue(`${collection}:${id}`, baseMap.get(id), localMap.get(id), remoteMap.get(id),
+                resolutions, conflicts, { collection, id });
+            if (record !== undefined) merged.push(record);
+        });
+        return merged;
+    }
+
+    /**
+     * Merge local and remote vault data against their common base
+     * Call again with resolutions once the user has picked a side for each conflict.
+     * Local records that survive are the same objects (not copies), so code still
+     * holding one (e.g. a pending attachment upload) keeps updating the vault.
+     * @param {Object} base - Vault data both sides started from
+     * @param {Object} local - Vault data in memory
+     * @param {Object} remote - Vault data now in Drive
+     * @param {Object} resolutions - { conflictKey: 'local'|'remote' } (default: local)
+     * @returns {Object} { data, conflicts, changed }
+     *   conflicts: [{ key, collection, id (null for whole values), base, local, remote }]
+     *   changed: true if the merged data differs from local (remote brought changes)
+     */
+    function mergeVaults(base, local, remote, resolutions = {}) {
+        const baseData = base || {};
+        const localData = local || {};
+        const remoteData = remote || {};
+        const keys = [...new Set([...Object.keys(localData), ...Object.keys(remoteData), ...Object.keys(baseData)])];
+        const conflicts = [];
+        const data = {};
+
+        keys.forEach(key => {
+            const versions = [baseData[key], localData[key], remoteData[key]];
+            const value = isKeyed(versions)
+                ? mergeRecords(key, ...versions, resolutions, conflicts)
+                : mergeValue(key, ...versions, resolutions, conflicts, { collection: key, id: null });
+            if (value !== undefined) data[key] = value;
+        });
+
+        return { data, conflicts, changed: !isEqual(data, localData) };
+    }
+
+    /**
+     * Fields that differ between the two sides of a conflict
+     * @param {Object} conflict - From mergeVaults()
+     * @returns {Array<string>} Field names (empty if a side is deleted or not a record)
+     */
+    function getChangedFields(conflict) {
+        const { local, remote } = conflict;
+        const isRecord = (v) => v && typeof v === 'object' && !Array.isArray(v);
+        if (!isRecord(local) || !isRecord(remote)) return [];
+        return [...new Set([...Object.keys(local), ...Object.keys(remote)])]
+            .filter(field => !isEqual(local[field], remote[field]));
+    }
+
+    /**
+     * Records of a collection that a newer version added or changed
+     * @param {Object} base - Older vault data
+     * @param {Object} next - Newer vault data
+     * @param {string} collection - Top-level key (e.g. 'transactions')
+     * @returns {Array} Added or changed records of next
+     */
+    function getChangedRecords(base, next, collection) {
+        const asList = (data) => (data && Array.isArray(data[collection]) ? data[collection] : []);
+        const before = indexById(asList(base));
+        return asList(next).filter(record =>
+            record && !isEqual(before.get(String(record.id)), record)
+        );
+    }
+
+    // --- Public API ---
+
+    return {
+        isEqual,
+        clone,
+        mergeVaults,
+        getChangedFields,
+        getChangedRecords
+    };
+})();
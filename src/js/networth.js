@@ -0,0 +1,196 @@
+/**
+ * ============================================================================
+ * ZIP80 EXPENSE TRACKER - NET WORTH MODULE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Adds every account up in one base currency. Holds no network code: app.js
+ * gets fiat rates and crypto prices for the base from Rates, and this module
+ * converts each balance and keeps the rate, source and timestamp used so the
+ * widget can show where every number came from.
+ *
+ * KEY FEATURES:
+ * - Bank, cash, credit, crypto and linked (shared) accounts
+ * - Credit card balances are liabilities; everything else is an asset
+ * - Fiat rates are quoted per 1 base unit (open.er-api.com's format) and
+ *   inverted here; crypto prices are already quoted in the base
+ * - Accounts without a rate are listed as missing and left out of the totals
+ * - Manual rates (vault overrides) win over fetched ones; stale or offline
+ *   rates are flagged on the item and on the result
+ *
+ * DEPENDENCIES: Accounts (calculateBalance, roundAmount), Rates (isCrypto)
+ *
+ * USED BY: app.js
+ *
+ * ==============================================================================
+ * LLM INSTRUCTION & MAINTENANCE PROTOCOL
+ * IMPORTANT: This block must be preserved in all future iterations.
+ *
+ * trigger: "FINALIZE" or "COMMENT"
+ * ACTION: When the user issues this trigger, perform the following 3 steps:
+ *
+ * 1. CHANGE LOGGING:
+ *    - Add a new entry to the changelog below.
+ *    - Format: [Date (YYYY-MM-DD)] - [Brief Description of Modification].
+ *
+ * 2. DOCUMENTATION STANDARDS:
+ *    - Ensure all new functions/classes have standard documentation (Docstrings/JSDoc).
+ *    - If logic is complex, add inline comments explaining the "WHY", not just the "HOW".
+ *
+ * 3. CONTEXT PRESERVATION:
+ *    - Do not remove this Legend.
+ *    - Do not remove legacy comments unless explicitly instructed.
+ * ==============================================================================
+ *
+ * CHANGE LOG:
+ * - 2026-10-19: Initial creation with base-currency conversion of all accounts
+ * - 2026-10-19: Rates come from the Rates store (per-coin crypto entries); manual rates and stale flags
+ * - 2026-10-19: Values rounded to the base currency's minor units
+ * - 2026-10-19: isCrypto() delegates to the Rates coin registry so custom coins count as crypto
+ * - 2026-10-19: getHoldings() adds the market value of investment account positions
+ * - 2026-10-19: Removed the unused COIN_IDS table (coin ids live in the Rates registry)
+ */
+
+const NetWorth = (() => {
+    // --- Holdings ---
+
+    /**
+     * Check whether a currency code is a supported crypto currency
+     * @param {string} code - Currency code
+     * @returns {boolean} True for crypto
+     */
+    function isCrypto(code) {
+        // 2026-10-19: Accounts can register their own CoinGecko ids, so ask the registry
+        return Rates.isCrypto(code);
+    }
+
+    /**
+     * List every account with its balance in its own currency
+     * Linked accounts use the balance cached at the last sync.
+     * 2026-10-19: Investment accounts hold cash plus positions valued by the caller
+     * @param {Object} data - Vault data
+     * @param {Object} marketValues - { accountId: value of the positions in the account currency }
+     * @returns {Array} [{ id, name, type, currency, balance, linked }]
+     */
+    function getHoldings(data, marketValues = {}) {
+        const owned = (data.accounts || []).map(account => ({
+            id: account.id,
+            name: account.name,
+            type: account.type,
+            currency: account.currency,
+            balance: Accounts.calculateBalance(data.transactions, account.id) + (marketValues[account.id] || 0),
+            linked: false
+        }));
+        const linked = (data.linkedAccounts || []).map(link => ({
+            id: `linked_${link.sourceVaultId}_${link.accountId}`,
+            name: link.accountName,
+            type: link.accountType,
+            currency: link.accountCurrency || 'USD',
+            balance: link.cachedBalance || 0,
+            linked: true
+        }));
+        return [...owned, ...linked];
+    }
+
+    /**
+     * Currencies that need a rate to reach the base
+     * @param {Array} holdings - From getHoldings()
+     * @param {string} base - Base currency
+     * @returns {Object} { fiat: [codes], crypto: [codes] }
+     */
+    function getRequiredCurrencies(holdings, base) {
+        const codes = [...new Set(holdings.map(h => h.currency))].filter(code => code !== base);
+        return {
+            fiat: codes.filter(code => !isCrypto(code)),
+            crypto: codes.filter(isCrypto)
+        };
+    }
+
+    // --- Conversion ---
+
+    /**
+     * Rate for converting one unit of a currency into the base
+     * @param {string} currency - Holding currency
+     * @param {string} base - Base currency
+     * @param {Object} rates - { fiat: Rates.getFiatRates() result, crypto: Rates.getCryptoPrices() result,
+     *   manual: { CODE: { rate, time } } } (any may be null)
+     * @returns {Object|null} { rate, time, source, stale, manual }, or null if unknown
+     */
+    function getRate(currency, base, rates) {
+        if (currency === base) return { rate: 1, time: null, source: null, stale: false, manual: false };
+
+        const manual = rates.manual && rates.manual[currency];
+        if (manual && manual.rate > 0) {
+            return { rate: manual.rate, time: manual.time || null, source: null, stale: false, manual: true };
+        }
+
+        if (isCrypto(currency)) {
+            const price = rates.crypto ? rates.crypto[currency] : null;
+            if (!price || !(price.price > 0)) return null;
+            return { rate: price.price, time: price.time || null, source: price.source, stale: !!(price.stale || price.offline), manual: false };
+        }
+
+        // Fiat rates are quoted as "units of X per 1 base", so one X is worth 1 / that
+        const fiat = rates.fiat;
+        const perBase = fiat && fiat.rates ? fiat.rates[currency] : null;
+        if (!(perBase > 0)) return null;
+        return { rate: 1 / perBase, time: fiat.time || null, source: fiat.source, stale: !!(fiat.stale || fiat.offline), manual: false };
+    }
+
+    /**
+     * Convert every holding into the base currency and total them
+     * @param {Array} holdings - From getHoldings()
+     * @param {string} base - Base currency
+     * @param {Object} rates - See getRate()
+     * @returns {Object} { base, items, assets, liabilities, total, missing, stale }
+     *   items: [{ ...holding, liability, value, rate, rateTime, source, stale, manual }] (value null when no rate)
+     *   liabilities: amount owed as a positive number
+     */
+    function compute(holdings, base, rates) {
+        let assets = 0;
+        let liabilities = 0;
+        const missing = new Set();
+        let stale = false;
+
+        const items = holdings.map(holding => {
+            const liability = holding.type === 'credit';
+            const rate = getRate(holding.currency, base, rates);
+            if (!rate) {
+                missing.add(holding.currency);
+                return { ...holding, liability, value: null, rate: null, rateTime: null, source: null, stale: false, manual: false };
+            }
+
+            const value = Accounts.roundAmount(holding.balance * rate.rate, base);
+            // A credit card's balance is negative while money is owed
+            if (liability) liabilities -= value;
+            else assets += value;
+            if (rate.stale) stale = true;
+            return {
+                ...holding, liability, value,
+                rate: rate.rate, rateTime: rate.time, source: rate.source, stale: rate.stale, manual: rate.manual
+            };
+        });
+
+        assets = Accounts.roundAmount(assets, base);
+        liabilities = Accounts.roundAmount(liabilities, base);
+        return {
+            base,
+            items,
+            assets,
+            liabilities,
+            total: Accounts.roundAmount(assets - liabilities, base),
+            missing: [...missing].sort(),
+            stale
+        };
+    }
+
+    // --- Public API ---
+
+    return {
+        isCrypto,
+        getHoldings,
+        getRequiredCurrencies,
+        getRate,
+        compute
+    };
+})();
@@ -0,0 +1,392 @@
+/**
+ * ============================================================================
+ * ZIP80 EXPENSE TRACKER - PAYEES MODULE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Payee (merchant) directory and auto-categorization rules. Descriptions are
+ * free text, so "Uber", "UBER *TRIP 4821" and "uber" are reduced to a match
+ * key and looked up in data.payees, which remembers each payee's last
+ * category. User rules (data.payeeRules) match on the description and amount
+ * and set a category, tags and/or account. Both are applied by app.js on
+ * manual entry and on statement import.
+ *
+ * KEY FEATURES:
+ * - Match keys ignore case, accents, card processor prefixes ("SQ *"),
+ *   reference numbers and web addresses
+ * - A payee owns several aliases; the longest alias that prefixes the
+ *   description wins, so "Uber Eats" can be kept apart from "Uber"
+ * - Rules: 'contains' or 'regex' on the description, optional amount range
+ *   (absolute amount), first enabled match wins
+ * - Rules beat the payee's remembered category
+ * - Merging payees keeps every alias
+ *
+ * DEPENDENCIES: Categories (get), Tags (parse), Transfers (isTransfer)
+ *
+ * USED BY: app.js
+ *
+ * ==============================================================================
+ * LLM INSTRUCTION & MAINTENANCE PROTOCOL
+ * IMPORTANT: This block must be preserved in all future iterations.
+ *
+ * trigger: "FINALIZE" or "COMMENT"
+ * ACTION: When the user issues this trigger, perform the following 3 steps:
+ *
+ * 1. CHANGE LOGGING:
+ *    - Add a new entry to the changelog below.
+ *    - Format: [Date (YYYY-MM-DD)] - [Brief Description of Modification].
+ *
+ * 2. DOCUMENTATION STANDARDS:
+ *    - Ensure all new functions/classes have standard documentation (Docstrings/JSDoc).
+ *    - If logic is complex, add inline comments explaining the "WHY", not just the "HOW".
+ *
+ * 3. CONTEXT PRESERVATION:
+ *    - Do not remove this Legend.
+ *    - Do not remove legacy comments unless explicitly instructed.
+ * ==============================================================================
+ *
+ * CHANGE LOG:
+ * - 2026-10-19: Initial creation with payee directory, match keys and description rules
+ */
+
+const Payees = (() => {
+    // --- Constants ---
+
+    const MATCH_TYPES = ['contains', 'regex'];
+
+    // Card processors put their own code before the merchant name
+    const PROCESSOR_PREFIX = /^(sq|tst|pp|paypal|sp|py|ckr|iz|sumup)\s*\*\s*/;
+
+    const MAX_NAME_LENGTH = 60;
+
+    // Compiled rule patterns, so imports of many rows compile each regex once
+    const regexCache = new Map();
+
+    // --- Match keys ---
+
+    /**
+     * Reduce a description to the key used to find its payee
+     * "SQ *Blue Bottle #0231" and "blue bottle" both become "blue bottle".
+     * @param {string} text - Description or payee name
+     * @returns {string} Match key ('' if nothing is left)
+     */
+    function normalizeKey(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .trim()
+            .replace(PROCESSOR_PREFIX, '')
+            .split(/\s+/)
+            // Reference numbers, store ids, dates and web addresses aren't part of the name
+            .filter(word => !/\d/.test(word) && !/\w\.\w/.test(word))
+            .join(' ')
+            .replace(/[^\p{L}\s&']/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Display name for a payee created from a description
+     * Typed descriptions are kept as typed; all-caps bank text is title-cased.
+     * @param {string} desc - Description
+     * @returns {string} Name
+     */
+    function toDisplayName(desc) {
+        const text = String(desc || '').trim();
+        if (text !== text.toUpperCase()) return text.slice(0, MAX_NAME_LENGTH);
+        return normalizeKey(text)
+            .split(' ')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ')
+            .slice(0, MAX_NAME_LENGTH);
+    }
+
+    // --- Payees ---
+
+    /**
+     * Create a payee
+     * @param {string} name - Display name
+     * @returns {Object} Payee
+     */
+    function createPayee(name) {
+        const cleanName = String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+        return {
+            id: `payee_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: cleanName,
+            aliases: [normalizeKey(cleanName)].filter(Boolean),
+            lastCategory: null,
+            count: 0,
+            lastUsed: null
+        };
+    }
+
+    /**
+     * Get a payee by id
+     * @param {Object} data - Vault data
+     * @param {string} id - Payee id
+     * @returns {Object|null} Payee
+     */
+    function get(data, id) {
+        return (data.payees || []).find(p => p.id === id) || null;
+    }
+
+    /**
+     * Find the payee for a description
+     * An alias matches the whole key or its leading words; the longest wins.
+     * @param {Object} data - Vault data
+     * @param {string} desc - Description
+     * @returns {Object|null} Payee
+     */
+    function find(data, desc) {
+        const key = normalizeKey(desc);
+        if (!key) return null;
+
+        let best = null;
+        let bestLength = 0;
+        (data.payees || []).forEach(payee => {
+            payee.aliases.forEach(alias => {
+                if (alias.length <= bestLength) return;
+                if (key === alias || key.startsWith(`${alias} `)) {
+                    best = payee;
+                    bestLength = alias.length;
+                }
+            });
+        });
+        return best;
+    }
+
+    /**
+     * Record a transaction against its payee, creating the payee if needed
+     * @param {Object} data - Vault data (mutated)
+     * @param {Object} transaction - Transaction
+     * @param {Object} [options] - { learnCategory: true, countUse: true }
+     * @returns {Object|null} Payee (null for transfers and empty descriptions)
+     */
+    function remember(data, transaction, options = {}) {
+        const { learnCategory = true, countUse = true } = options;
+        if (!transaction || Transfers.isTransfer(transaction) || !normalizeKey(transaction.desc)) return null;
+
+        if (!Array.isArray(data.payees)) data.payees = [];
+        let payee = find(data, transaction.desc);
+        if (!payee) {
+            payee = createPayee(toDisplayName(transaction.desc));
+            if (!payee.name || payee.aliases.length === 0) return null;
+            data.payees.push(payee);
+        }
+
+        // A split has no single category worth suggesting next time
+        if (learnCategory && transaction.category && !Array.isArray(transaction.splits)) {
+            payee.lastCategory = transaction.category;
+        }
+        if (countUse) {
+            payee.count = (payee.count || 0) + 1;
+            if (!payee.lastUsed || transaction.date > payee.lastUsed) payee.lastUsed = transaction.date;
+        }
+        return payee;
+    }
+
+    /**
+     * Suggest payees for a partly typed description
+     * Names starting with the text come before ones that only contain it;
+     * within each group the most used payee comes first.
+     * @param {Object} data - Vault data
+     * @param {string} text - Text typed so far
+     * @param {number} [limit] - Maximum suggestions
+     * @returns {Array} Payees
+     */
+    function suggest(data, text, limit = 6) {
+        const needle = normalizeKey(text);
+        if (!needle) return [];
+
+        const byUse = [...(data.payees || [])].sort((a, b) =>
+            (b.count || 0) - (a.count || 0) || a.name.localeCompare(b.name)
+        );
+        const starts = byUse.filter(p => normalizeKey(p.name).startsWith(needle));
+        const contains = byUse.filter(p =>
+            !starts.includes(p) && p.aliases.some(alias => alias.includes(needle))
+        );
+        return [...starts, ...contains].slice(0, limit);
+    }
+
+    /**
+     * Rename a payee
+     * The old aliases stay so past descriptions keep matching.
+     * @param {Object} payee - Payee (mutated)
+     * @param {string} name - New name
+     * @returns {boolean} True if renamed
+     */
+    function rename(payee, name) {
+        const cleanName = String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+        const key = normalizeKey(cleanName);
+        if (!key) return false;
+        payee.name = cleanName;
+        if (!payee.aliases.includes(key)) payee.aliases.push(key);
+        return true;
+    }
+
+    /**
+     * Replace a payee's aliases from a comma-separated list
+     * @param {Object} payee - Payee (mutated)
+     * @param {string} text - e.g. "uber, uber trip"
+     */
+    function setAliases(payee, text) {
+        const aliases = String(text || '').split(',').map(normalizeKey).filter(Boolean);
+        // The name always matches itself
+        const nameKey = normalizeKey(payee.name);
+        if (nameKey && !aliases.includes(nameKey)) aliases.unshift(nameKey);
+        payee.aliases = [...new Set(aliases)];
+    }
+
+    /**
+     * Merge one payee into another
+     * @param {Object} data - Vault data (mutated)
+     * @param {string} sourceId - Payee being removed
+     * @param {string} targetId - Payee that absorbs it
+     * @returns {boolean} True if merged
+     */
+    function merge(data, sourceId, targetId) {
+        const source = get(data, sourceId);
+        const target = get(data, targetId);
+        if (!source || !target || source === target) return false;
+
+        target.aliases = [...new Set([...target.aliases, ...source.aliases])];
+        target.count = (target.count || 0) + (source.count || 0);
+        if (!target.lastCategory) target.lastCategory = source.lastCategory;
+        if (source.lastUsed && (!target.lastUsed || source.lastUsed > target.lastUsed)) {
+            target.lastUsed = source.lastUsed;
+        }
+        data.payees = data.payees.filter(p => p.id !== sourceId);
+        return true;
+    }
+
+    // --- Rules ---
+
+    /**
+     * Create a rule
+     * @param {Object} fields - { matchType, pattern, minAmount, maxAmount, category, tags, accountId, enabled }
+     * @returns {Object} Rule
+     */
+    function createRule(fields = {}) {
+        const amount = value => (value === null || value === undefined || value === '' || isNaN(value))
+            ? null
+            : Math.round(Math.abs(parseFloat(value)) * 100) / 100;
+        return {
+            id: `rule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            matchType: MATCH_TYPES.includes(fields.matchType) ? fields.matchType : 'contains',
+            pattern: String(fields.pattern || '').trim(),
+            minAmount: amount(fields.minAmount),
+            maxAmount: amount(fields.maxAmount),
+            category: fields.category || null,
+            tags: Array.isArray(fields.tags) ? fields.tags : Tags.parse(fields.tags),
+            accountId: fields.accountId || null,
+            enabled: fields.enabled !== false
+        };
+    }
+
+    /**
+     * Compile a regex rule's pattern (case-insensitive)
+     * @param {string} pattern - Pattern
+     * @returns {RegExp|null} Regex, or null if invalid
+     */
+    function compile(pattern) {
+        if (!regexCache.has(pattern)) {
+            let regex = null;
+            try {
+                regex = new RegExp(pattern, 'i');
+            } catch (err) {
+                regex = null;
+            }
+            regexCache.set(pattern, regex);
+        }
+        return regexCache.get(pattern);
+    }
+
+    /**
+     * Validate a rule before saving
+     * @param {Object} rule - Rule
+     * @returns {string|null} I18n key of the problem, or null if valid
+     */
+    function validateRule(rule) {
+        if (!rule.pattern) return 'ruleErrorPattern';
+        if (rule.matchType === 'regex' && !compile(rule.pattern)) return 'ruleErrorRegex';
+        if ([rule.minAmount, rule.maxAmount].some(value => value !== null && !(value >= 0))) return 'ruleErrorAmount';
+        if (rule.minAmount !== null && rule.maxAmount !== null && rule.minAmount > rule.maxAmount) return 'ruleErrorRange';
+        if (!rule.category && rule.tags.length === 0 && !rule.accountId) return 'ruleErrorAction';
+        return null;
+    }
+
+    /**
+     * Check whether a rule matches a description and amount
+     * 'contains' ignores case and accents; 'regex' is tested on the raw text.
+     * @param {Object} rule - Rule
+     * @param {string} desc - Description
+     * @param {number|null} amount - Signed amount (null while the form has none yet)
+     * @returns {boolean} True on match
+     */
+    function matchesRule(rule, desc, amount) {
+        if (!rule.enabled || !rule.pattern) return false;
+
+        const hasRange = rule.minAmount !== null || rule.maxAmount !== null;
+        if (hasRange) {
+            if (amount === null || amount === undefined || isNaN(amount)) return false;
+            const absolute = Math.abs(amount);
+            if (rule.minAmount !== null && absolute < rule.minAmount) return false;
+            if (rule.maxAmount !== null && absolute > rule.maxAmount) return false;
+        }
+
+        if (rule.matchType === 'regex') {
+            const regex = compile(rule.pattern);
+            return !!regex && regex.test(String(desc || ''));
+        }
+        const fold = text => String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        return fold(desc).includes(fold(rule.pattern));
+    }
+
+    /**
+     * Work out what to apply to a new transaction
+     * The first matching rule wins; without one, the payee's last category
+     * is used. Categories of the wrong type (an income category on an
+     * expense) and deleted or archived categories are ignored.
+     * @param {Object} data - Vault data
+     * @param {Object} fields - { desc, amt, type } (amt signed, may be null; type defaults from the sign)
+     * @returns {Object} { category, tags, accountId, rule, payee } (null/[] when nothing applies)
+     */
+    function resolve(data, fields) {
+        const type = fields.type || (fields.amt > 0 ? 'income' : 'expense');
+        const usable = id => {
+            const category = id ? Categories.get(data, id) : null;
+            return category && !category.archived && category.type === type ? id : null;
+        };
+
+        const rule = (data.payeeRules || []).find(r => matchesRule(r, fields.desc, fields.amt)) || null;
+        const payee = find(data, fields.desc);
+
+        return {
+            category: (rule && usable(rule.category)) || (payee && usable(payee.lastCategory)) || null,
+            tags: rule ? rule.tags : [],
+            accountId: rule && (data.accounts || []).some(a => a.id === rule.accountId) ? rule.accountId : null,
+            rule,
+            payee
+        };
+    }
+
+    // --- Public API ---
+
+    return {
+        MATCH_TYPES,
+        normalizeKey,
+        createPayee,
+        get,
+        find,
+        remember,
+        suggest,
+        rename,
+        setAliases,
+        merge,
+        createRule,
+        validateRule,
+        matchesRule,
+        resolve
+    };
+})();
@@ -0,0 +1,288 @@
+/**
+ * ============================================================================
+ * ZIP80 EXPENSE TRACKER - PORTFOLIO MODULE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Positions and valuation for investment (brokerage) accounts. The account's
+ * transactions are its cash; share trades and dividends carry a security
+ * record, positions are derived from those records, and quotes (the same
+ * Yahoo source as the stocks widget) turn them into market value and day change.
+ *
+ * KEY FEATURES:
+ * - Security kinds: buy (cash out, shares in), sell (cash in, shares out), dividend (cash in)
+ * - Positions per symbol with quantity, cost basis and realized gain (via Lots)
+ * - Cost includes fees: the per-share price used for lots is |amt| / quantity
+ * - Valuation: cash + market value, day change from the previous close
+ *
+ * TRANSACTION FIELDS (investment accounts):
+ * - amt: cash in the account currency (negative for buys and withdrawals)
+ * - security: { kind: 'buy'|'sell'|'dividend', symbol, quantity, price } (quantity/price null for dividends)
+ *
+ * QUOTES:
+ * Yahoo quotes are assumed to be in the account currency.
+ * 2026-10-19: Quotes carry their listing currency and are converted to the
+ * account currency with the fiat rates passed to valuate(). A quote with no
+ * currency, or in a currency without a rate, counts as missing.
+ *
+ * DEPENDENCIES: Accounts (calculateBalance, roundAmount), Lots (compute)
+ *
+ * USED BY: app.js, networth.js (through the market values app.js passes in)
+ *
+ * ==============================================================================
+ * LLM INSTRUCTION & MAINTENANCE PROTOCOL
+ * IMPORTANT: This block must be preserved in all future iterations.
+ *
+ * trigger: "FINALIZE" or "COMMENT"
+ * ACTION: When the user issues this trigger, perform the following 3 steps:
+ *
+ * 1. CHANGE LOGGING:
+ *    - Add a new entry to the changelog below.
+ *    - Format: [Date (YYYY-MM-DD)] - [Brief Description of Modification].
+ *
+ * 2. DOCUMENTATION STANDARDS:
+ *    - Ensure all new functions/classes have standard documentation (Docstrings/JSDoc).
+ *    - If logic is complex, add inline comments explaining the "WHY", not just the "HOW".
+ *
+ * 3. CONTEXT PRESERVATION:
+ *    - Do not remove this Legend.
+ *    - Do not remove legacy comments unless explicitly instructed.
+ * ==============================================================================
+ *
+ * CHANGE LOG:
+ * - 2026-10-19: Initial creation with security trades, positions and valuation
+ * - 2026-10-19: valuate() converts quotes from their listing currency (getQuoteRate)
+ */
+
+const Portfolio = (() => {
+    // --- Constants ---
+
+    // Direction of the shares for each kind (dividends move cash only)
+    const KINDS = {
+        buy: 1,
+        sell: -1,
+        dividend: 0
+    };
+
+    // Yahoo symbols: letters, digits and the . - ^ = used by classes, indexes and pairs
+    const SYMBOL_PATTERN = /^[A-Z0-9.^=-]{1,15}$/;
+
+    // --- Securities ---
+
+    /**
+     * Normalize a ticker typed by the user
+     * @param {string} symbol - Ticker
+     * @returns {string} Upper-cased, trimmed ticker
+     */
+    function normalizeSymbol(symbol) {
+        return String(symbol || '').trim().toUpperCase();
+    }
+
+    /**
+     * Kinds that match the direction of an entry
+     * @param {boolean} incoming - True for cash in
+     * @returns {Array<string>} Kinds
+     */
+    function getKinds(incoming) {
+        return incoming ? ['sell', 'dividend'] : ['buy'];
+    }
+
+    /**
+     * Create the security record stored on an investment transaction
+     * @param {string} kind - 'buy', 'sell' or 'dividend'
+     * @param {string} symbol - Ticker
+     * @param {number|null} quantity - Shares (ignored for dividends)
+     * @param {number|null} price - Price per share (ignored for dividends)
+     * @returns {Object} { kind, symbol, quantity, price }
+     */
+    function createSecurity(kind, symbol, quantity, price) {
+        const trade = kind !== 'dividend';
+        return {
+            kind,
+            symbol: normalizeSymbol(symbol),
+            quantity: trade ? quantity : null,
+            price: trade ? price : null
+        };
+    }
+
+    /**
+     * Validate a security record before saving
+     * @param {Object} security - Security record
+     * @param {boolean} incoming - True for cash in
+     * @returns {string|null} I18n key of the problem, or null if valid
+     */
+    function validateSecurity(security, incoming) {
+        if (!getKinds(incoming).includes(security.kind)) return 'securityErrorKind';
+        if (!SYMBOL_PATTERN.test(security.symbol)) return 'securityErrorSymbol';
+        if (security.kind === 'dividend') return null;
+        if (!(security.quantity > 0)) return 'securityErrorQuantity';
+        if (!(security.price > 0)) return 'securityErrorPrice';
+        return null;
+    }
+
+    /**
+     * Check whether a transaction is a share trade or dividend
+     * @param {Object} transaction - Transaction
+     * @returns {boolean} True if it carries a valid security record
+     */
+    function isSecurity(transaction) {
+        return !!(transaction && transaction.security && KINDS[transaction.security.kind] !== undefined);
+    }
+
+    // --- Positions ---
+
+    /**
+     * Symbols ever traded or paid out in an account
+     * @param {Array} transactions - All transactions
+     * @param {string} accountId - Investment account id
+     * @returns {Array<string>} Symbols in first-seen order
+     */
+    function getSymbols(transactions, accountId) {
+        const symbols = [];
+        transactions.forEach(t => {
+            if (t.accountId === accountId && isSecurity(t) && !symbols.includes(t.security.symbol)) {
+                symbols.push(t.security.symbol);
+            }
+        });
+        return symbols;
+    }
+
+    /**
+     * Positions of an investment account
+     * Share trades are replayed through Lots (one pseudo-account per symbol) so the
+     * account's cost method applies exactly as it does to crypto.
+     * @param {Array} transactions - All transactions
+     * @param {Object} account - Investment account ({ id, currency, costMethod })
+     * @returns {Array} [{ symbol, quantity, costBasis, realized, dividends, unknownCost }] (closed positions included)
+     */
+    function getPositions(transactions, account) {
+        const own = transactions.filter(t => t.accountId === account.id && isSecurity(t));
+
+        return getSymbols(transactions, account.id).map(symbol => {
+            const entries = own.filter(t => t.security.symbol === symbol);
+            const trades = entries
+                .filter(t => t.security.kind !== 'dividend' && t.security.quantity > 0)
+                .map(t => ({
+                    id: t.id,
+                    accountId: symbol,
+                    date: t.date,
+                    amt: KINDS[t.security.kind] * t.security.quantity,
+                    trade: {
+                        kind: t.security.kind,
+                        price: Math.abs(t.amt) / t.security.quantity,
+                        currency: account.currency
+                    }
+                }));
+
+            const lots = Lots.compute(trades, { id: symbol, costMethod: account.costMethod, costCurrency: account.currency });
+            const realized = lots.disposals.reduce((sum, d) => sum + (d.gain || 0), 0);
+            const dividends = entries
+                .filter(t => t.security.kind === 'dividend')
+                .reduce((sum, t) => sum + t.amt, 0);
+
+            return {
+                symbol,
+                quantity: lots.quantity,
+                costBasis: lots.costBasis,
+                realized: Accounts.roundAmount(realized, account.currency),
+                dividends: Accounts.roundAmount(dividends, account.currency),
+                unknownCost: lots.unknownCost
+            };
+        });
+    }
+
+    /**
+     * Shares held of a symbol
+     * @param {Array} transactions - All transactions
+     * @param {Object} account - Investment account
+     * @param {string} symbol - Ticker
+     * @returns {number} Quantity (0 if none)
+     */
+    function getQuantity(transactions, account, symbol) {
+        const position = getPositions(transactions, account).find(p => p.symbol === normalizeSymbol(symbol));
+        return position ? position.quantity : 0;
+    }
+
+    // --- Valuation ---
+
+    /**
+     * Factor that turns a quote into the account currency
+     * @param {Object} quote - { currency }
+     * @param {Object} account - Investment account
+     * @param {Object} [fiatRates] - { CODE: units per 1 account currency }
+     * @returns {number|null} Multiplier, or null if the quote can't be converted
+     */
+    function getQuoteRate(quote, account, fiatRates) {
+        if (!quote.currency) return null;
+        if (quote.currency === account.currency) return 1;
+        const rate = fiatRates && fiatRates[quote.currency];
+        return rate > 0 ? 1 / rate : null;
+    }
+
+    /**
+     * Value an investment account at the given quotes
+     * Open positions without a quote are left out of the market value and listed in missing.
+     * 2026-10-19: So are quotes that can't be converted to the account currency.
+     * @param {Array} transactions - All transactions
+     * @param {Object} account - Investment account
+     * @param {Object} quotes - { SYMBOL: { price, previousClose, currency } }
+     * @param {Object} [fiatRates] - { CODE: units per 1 account currency } (Rates.getFiatRates(account.currency).rates)
+     * @returns {Object} { cash, positions, marketValue, total, dayChange, gain, missing }
+     *   positions: open positions with { price, value, dayChange, gain } in the account
+     *   currency (null without a quote) and quoteCurrency
+     */
+    function valuate(transactions, account, quotes, fiatRates) {
+        const round = (value) => Accounts.roundAmount(value, account.currency);
+        const cash = Accounts.calculateBalance(transactions, account.id);
+        const missing = [];
+        let marketValue = 0;
+        let dayChange = 0;
+        let gain = 0;
+
+        const positions = getPositions(transactions, account)
+            .filter(p => p.quantity > 0)
+            .map(position => {
+                const quote = quotes[position.symbol];
+                const rate = quote && quote.price > 0 ? getQuoteRate(quote, account, fiatRates) : null;
+                if (rate === null) {
+                    missing.push(position.symbol);
+                    return { ...position, price: null, value: null, dayChange: null, gain: null, quoteCurrency: quote ? quote.currency || null : null };
+                }
+
+                const price = quote.price * rate;
+                const value = round(position.quantity * price);
+                const previousClose = quote.previousClose > 0 ? quote.previousClose * rate : price;
+                const change = round(position.quantity * (price - previousClose));
+                const positionGain = round(value - position.costBasis);
+                marketValue += value;
+                dayChange += change;
+                gain += positionGain;
+                return { ...position, price, value, dayChange: change, gain: positionGain, quoteCurrency: quote.currency };
+            });
+
+        return {
+            cash: round(cash),
+            positions,
+            marketValue: round(marketValue),
+            total: round(cash + marketValue),
+            dayChange: round(dayChange),
+            gain: round(gain),
+            missing
+        };
+    }
+
+    // --- Public API ---
+
+    return {
+        normalizeSymbol,
+        getKinds,
+        createSecurity,
+        validateSecurity,
+        isSecurity,
+        getSymbols,
+        getPositions,
+        getQuantity,
+        getQuoteRate,
+        valuate
+    };
+})();
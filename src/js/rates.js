@@ -0,0 +1,491 @@
+/**
+ * ============================================================================
+ * ZIP80 EXPENSE TRACKER - RATES MODULE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * One place for exchange rates, crypto prices and stock quotes. Values come
+ * from pluggable providers and are kept in a persistent store (localStorage)
+ * with the time they were fetched, so widgets can fall back to the last
+ * known value when offline and say how old it is. Manual overrides (the
+ * rate the bank actually charged) live in the vault as data.rateOverrides
+ * and take precedence over any provider.
+ *
+ * KEY FEATURES:
+ * - Providers: 'fiat' (open.er-api.com), 'crypto' (CoinGecko), 'stocks'
+ *   (Yahoo Finance via CORS proxy); any can be swapped with setProvider(),
+ *   e.g. for createLocalProvider() in tests or offline demos
+ * - Stored values are reused for a short while, then refreshed; when a
+ *   refresh fails the last known value is returned flagged offline
+ * - Values older than STALE_AFTER are flagged stale
+ * - Overrides match a pair in either direction (the inverse is used)
+ *
+ * PROVIDER INTERFACE (each method optional, depending on the kind):
+ * - fetchFiatRates(base) -> { rates: { CODE: units per 1 base }, time }
+ * - fetchCryptoPrices(codes, quote) -> { CODE: { price, time } }
+ * - fetchStockQuote(symbol) -> { price, previousClose, currency, time } (currency: listing currency, null if unknown)
+ *
+ * DEPENDENCIES: None (uses fetch and localStorage when available)
+ *
+ * USED BY: app.js
+ *
+ * ==============================================================================
+ * LLM INSTRUCTION & MAINTENANCE PROTOCOL
+ * IMPORTANT: This block must be preserved in all future iterations.
+ *
+ * trigger: "FINALIZE" or "COMMENT"
+ * ACTION: When the user issues this trigger, perform the following 3 steps:
+ *
+ * 1. CHANGE LOGGING:
+ *    - Add a new entry to the changelog below.
+ *    - Format: [Date (YYYY-MM-DD)] - [Brief Description of Modification].
+ *
+ * 2. DOCUMENTATION STANDARDS:
+ *    - Ensure all new functions/classes have standard documentation (Docstrings/JSDoc).
+ *    - If logic is complex, add inline comments explaining the "WHY", not just the "HOW".
+ *
+ * 3. CONTEXT PRESERVATION:
+ *    - Do not remove this Legend.
+ *    - Do not remove legacy comments unless explicitly instructed.
+ * ==============================================================================
+ *
+ * CHANGE LOG:
+ * - 2026-10-19: Initial creation with rate store, stale tracking, vault overrides and pluggable providers
+ * - 2026-10-19: Added coin registry (registerCoin/getCoinId/getCoinCodes) for arbitrary CoinGecko ids
+ * - 2026-10-19: Stock quotes carry their listing currency (minor-unit listings such as GBp are converted to the major unit); quotes stored without one are refetched
+ */
+
+const Rates = (() => {
+    // --- Constants ---
+
+    const STORAGE_KEY = 'zip80_rate_store';
+
+    // How long a stored value is reused before the provider is asked again
+    const REFRESH_AFTER = {
+        fiat: 60 * 60 * 1000,
+        crypto: 60 * 1000,
+        stocks: 5 * 60 * 1000
+    };
+
+    // Age at which widgets flag a value as stale
+    const STALE_AFTER = {
+        fiat: 24 * 60 * 60 * 1000,
+        crypto: 30 * 60 * 1000,
+        stocks: 60 * 60 * 1000
+    };
+
+    // CoinGecko ids for the crypto currencies the app knows
+    const COIN_IDS = {
+        BTC: 'bitcoin',
+        ETH: 'ethereum',
+        SOL: 'solana',
+        XRP: 'ripple',
+        ADA: 'cardano'
+    };
+
+    // Built-in coins plus the ones crypto accounts register with their own CoinGecko id
+    const coinRegistry = { ...COIN_IDS };
+
+    // Yahoo Finance blocks cross-origin requests
+    const CORS_PROXY = 'https://api.allorigins.win/raw?url=';
+
+    // Listings Yahoo quotes in the minor unit: code -> [currency, units per major unit]
+    const MINOR_UNIT_LISTINGS = {
+        GBp: ['GBP', 100],
+        GBX: ['GBP', 100],
+        ZAc: ['ZAR', 100],
+        ILA: ['ILS', 100]
+    };
+
+    // --- Default providers ---
+
+    const openErApiProvider = {
+        id: 'open.er-api.com',
+        async fetchFiatRates(base) {
+            const response = await fetch(`https://open.er-api.com/v6/latest/${base}`);
+            const json = await response.json();
+            if (!json || !json.rates) throw new Error(`No rates for ${base}`);
+            return {
+                rates: json.rates,
+                time: json.time_last_update_unix ? json.time_last_update_unix * 1000 : Date.now()
+            };
+        }
+    };
+
+    const coinGeckoProvider = {
+        id: 'CoinGecko',
+        async fetchCryptoPrices(codes, quote) {
+            const vs = quote.toLowerCase();
+            const ids = codes.map(getCoinId).filter(Boolean).join(',');
+            const response = await fetch(`https://api.coingecko.com/api/v3/simple/price?ids=${ids}&vs_currencies=${vs}&include_last_updated_at=true`);
+            const json = await response.json();
+
+            const prices = {};
+            codes.forEach(code => {
+                const entry = json && json[getCoinId(code)];
+                if (entry && entry[vs]) {
+                    prices[code] = {
+                        price: entry[vs],
+                        time: entry.last_updated_at ? entry.last_updated_at * 1000 : Date.now()
+                    };
+                }
+            });
+            return prices;
+        }
+    };
+
+    const yahooProvider = {
+        id: 'Yahoo Finance',
+        async fetchStockQuote(symbol) {
+            const yahooUrl = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?interval=1d&range=1d`;
+            const response = await fetch(CORS_PROXY + encodeURIComponent(yahooUrl));
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const json = await response.json();
+            const meta = json.chart?.result?.[0]?.meta;
+            if (!meta || typeof meta.regularMarketPrice !== 'number') throw new Error('No quote data in response');
+            const [currency, divisor] = MINOR_UNIT_LISTINGS[meta.currency] || [meta.currency || null, 1];
+            return {
+                price: meta.regularMarketPrice / divisor,
+                previousClose: (meta.previousClose || meta.chartPreviousClose || meta.regularMarketPrice) / divisor,
+                currency,
+                time: meta.regularMarketTime ? meta.regularMarketTime * 1000 : Date.now()
+            };
+        }
+    };
+
+    const DEFAULT_PROVIDERS = {
+        fiat: openErApiProvider,
+        crypto: coinGeckoProvider,
+        stocks: yahooProvider
+    };
+
+    let providers = { ...DEFAULT_PROVIDERS };
+
+    /**
+     * Replace the provider for one kind of rate
+     * @param {string} kind - 'fiat', 'crypto' or 'stocks'
+     * @param {Object|null} provider - Object implementing the interface above (null restores the default)
+     */
+    function setProvider(kind, provider) {
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_PROVIDERS, kind)) {
+            throw new Error(`Unknown rate kind: ${kind}`);
+        }
+        providers[kind] = provider || DEFAULT_PROVIDERS[kind];
+    }
+
+    /**
+     * Get the provider for one kind of rate
+     * @param {string} kind - 'fiat', 'crypto' or 'stocks'
+     * @returns {Object} Provider
+     */
+    function getProvider(kind) {
+        return providers[kind];
+    }
+
+    /**
+     * Build a provider that answers from a fixed table instead of the network
+     * @param {Object} table - { fiat: { BASE: { CODE: rate } }, crypto: { CODE: { QUOTE: price } },
+     *   stocks: { SYMBOL: { price, previousClose, currency } } }
+     * @param {Object} [options] - { id: 'local', time: Date.now() }
+     * @returns {Object} Provider implementing every method
+     */
+    function createLocalProvider(table, options = {}) {
+        const id = options.id || 'local';
+        const time = () => options.time || Date.now();
+        return {
+            id,
+            async fetchFiatRates(base) {
+                const rates = table.fiat && table.fiat[base];
+                if (!rates) throw new Error(`No local rates for ${base}`);
+                return { rates: { [base]: 1, ...rates }, time: time() };
+            },
+            async fetchCryptoPrices(codes, quote) {
+                const prices = {};
+                codes.forEach(code => {
+                    const price = table.crypto && table.crypto[code] && table.crypto[code][quote];
+                    if (price) prices[code] = { price, time: time() };
+                });
+                return prices;
+            },
+            async fetchStockQuote(symbol) {
+                const quote = table.stocks && table.stocks[symbol];
+                if (!quote) throw new Error(`No local quote for ${symbol}`);
+                return { price: quote.price, previousClose: quote.previousClose || quote.price, currency: quote.currency || null, time: time() };
+            }
+        };
+    }
+
+    // --- Store ---
+
+    // In-memory copy; localStorage may be missing (tests) or full
+    let store = null;
+
+    function loadStore() {
+        if (store) return store;
+        store = { fiat: {}, crypto: {}, stocks: {} };
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (saved) store = { ...store, ...saved };
+        } catch (err) {
+            // Unreadable store: start empty
+        }
+        return store;
+    }
+
+    function saveStore() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+        } catch (err) {
+            // Not persisted; values stay in memory for this session
+        }
+    }
+
+    /**
+     * Forget every stored value (e.g. before swapping in a local provider)
+     */
+    function clearStore() {
+        store = { fiat: {}, crypto: {}, stocks: {} };
+        saveStore();
+    }
+
+    /**
+     * Check whether a stored value is old enough to flag
+     * @param {string} kind - 'fiat', 'crypto' or 'stocks'
+     * @param {number} fetchedAt - Timestamp of the last successful fetch
+     * @returns {boolean} True if stale
+     */
+    function isStale(kind, fetchedAt) {
+        return !fetchedAt || Date.now() - fetchedAt > STALE_AFTER[kind];
+    }
+
+    /**
+     * Add freshness flags to a stored entry
+     * @param {string} kind - Rate kind
+     * @param {Object} entry - { value, time, fetchedAt, source }
+     * @param {boolean} offline - True if the latest refresh failed
+     * @returns {Object} { ...value, time, fetchedAt, source, stale, offline }
+     */
+    function describe(kind, entry, offline) {
+        return {
+            ...entry.value,
+            time: entry.time,
+            fetchedAt: entry.fetchedAt,
+            source: entry.source,
+            stale: isStale(kind, entry.fetchedAt),
+            offline
+        };
+    }
+
+    // --- Lookups ---
+
+    /**
+     * Fiat exchange rates quoted against a base
+     * @param {string} base - Base currency
+     * @param {Object} [options] - { force: false } skips the stored value
+     * @returns {Promise<Object>} { rates, time, fetchedAt, source, stale, offline }
+     * @throws When the provider fails and nothing is stored
+     */
+    async function getFiatRates(base, options = {}) {
+        const entries = loadStore().fiat;
+        const entry = entries[base];
+        if (entry && !options.force && Date.now() - entry.fetchedAt < REFRESH_AFTER.fiat) {
+            return describe('fiat', entry, false);
+        }
+
+        try {
+            const provider = providers.fiat;
+            const result = await provider.fetchFiatRates(base);
+            entries[base] = { value: { rates: result.rates }, time: result.time, fetchedAt: Date.now(), source: provider.id };
+            saveStore();
+            return describe('fiat', entries[base], false);
+        } catch (error) {
+            if (entry) return describe('fiat', entry, true);
+            throw error;
+        }
+    }
+
+    /**
+     * Crypto prices in a quote currency
+     * Coins whose stored price is recent are not refetched. Coins with no
+     * price at all are left out of the result.
+     * @param {Array<string>} codes - Crypto codes (e.g. ['BTC', 'ETH'])
+     * @param {string} quote - Fiat currency
+     * @param {Object} [options] - { force: false }
+     * @returns {Promise<Object>} { CODE: { price, time, fetchedAt, source, stale, offline } }
+     */
+    async function getCryptoPrices(codes, quote, options = {}) {
+        const entries = loadStore().crypto;
+        const key = code => `${code}:${quote}`;
+        const due = codes.filter(code =>
+            options.force || !entries[key(code)] || Date.now() - entries[key(code)].fetchedAt >= REFRESH_AFTER.crypto
+        );
+
+        let failed = false;
+        if (due.length > 0) {
+            try {
+                const provider = providers.crypto;
+                const prices = await provider.fetchCryptoPrices(due, quote);
+                Object.entries(prices).forEach(([code, price]) => {
+                    entries[key(code)] = { value: { price: price.price }, time: price.time, fetchedAt: Date.now(), source: provider.id };
+                });
+                saveStore();
+            } catch (error) {
+                console.warn('Crypto price refresh failed, using stored prices:', error);
+                failed = true;
+            }
+        }
+
+        const result = {};
+        codes.forEach(code => {
+            const entry = entries[key(code)];
+            if (entry) result[code] = describe('crypto', entry, failed && due.includes(code));
+        });
+        return result;
+    }
+
+    /**
+     * Latest quote for a stock symbol
+     * @param {string} symbol - Ticker
+     * @param {Object} [options] - { force: false }
+     * @returns {Promise<Object>} { price, previousClose, currency, time, fetchedAt, source, stale, offline }
+     *   (currency undefined for quotes stored before it was recorded)
+     * @throws When the provider fails and nothing is stored
+     */
+    async function getStockQuote(symbol, options = {}) {
+        const entries = loadStore().stocks;
+        const entry = entries[symbol];
+        // 2026-10-19: Quotes stored without their currency are refreshed right away
+        const hasCurrency = entry && entry.value.currency !== undefined;
+        if (entry && hasCurrency && !options.force && Date.now() - entry.fetchedAt < REFRESH_AFTER.stocks) {
+            return describe('stocks', entry, false);
+        }
+
+        try {
+            const provider = providers.stocks;
+            const quote = await provider.fetchStockQuote(symbol);
+            entries[symbol] = {
+                value: { price: quote.price, previousClose: quote.previousClose, currency: quote.currency },
+                time: quote.time,
+                fetchedAt: Date.now(),
+                source: provider.id
+            };
+            saveStore();
+            return describe('stocks', entries[symbol], false);
+        } catch (error) {
+            if (entry) return describe('stocks', entry, true);
+            throw error;
+        }
+    }
+
+    // --- Coin registry ---
+
+    /**
+     * Register the CoinGecko id of a crypto currency
+     * @param {string} code - Symbol used as the account currency (e.g. 'DOGE')
+     * @param {string} coinId - CoinGecko id (e.g. 'dogecoin')
+     */
+    function registerCoin(code, coinId) {
+        if (!code || !coinId) return;
+        coinRegistry[code] = coinId;
+    }
+
+    /**
+     * CoinGecko id of a crypto currency
+     * @param {string} code - Currency code
+     * @returns {string|null} CoinGecko id, or null if the code is not a known coin
+     */
+    function getCoinId(code) {
+        return Object.prototype.hasOwnProperty.call(coinRegistry, code) ? coinRegistry[code] : null;
+    }
+
+    /**
+     * Codes of every known coin, built-in first
+     * @returns {Array<string>} Currency codes
+     */
+    function getCoinCodes() {
+        return Object.keys(coinRegistry);
+    }
+
+    /**
+     * Check whether a code is a known crypto currency
+     * @param {string} code - Currency code
+     * @returns {boolean} True for crypto
+     */
+    function isCrypto(code) {
+        return getCoinId(code) !== null;
+    }
+
+    // --- Manual overrides (stored in the vault) ---
+
+    /**
+     * Find the manual rate for a pair
+     * An override for the opposite direction is used inverted.
+     * @param {Object} data - Vault data
+     * @param {string} from - Currency being converted
+     * @param {string} to - Currency converted into
+     * @returns {Object|null} { rate, override, inverted }
+     */
+    function findOverride(data, from, to) {
+        const overrides = (data && data.rateOverrides) || [];
+        const direct = overrides.find(o => o.from === from && o.to === to);
+        if (direct) return { rate: direct.rate, override: direct, inverted: false };
+        const inverse = overrides.find(o => o.from === to && o.to === from);
+        if (inverse) return { rate: 1 / inverse.rate, override: inverse, inverted: true };
+        return null;
+    }
+
+    /**
+     * Create an override
+     * @param {Object} fields - { from, to, rate, note }
+     * @param {Object|null} user - { email, name } of who set it
+     * @returns {Object} Override
+     */
+    function createOverride(fields, user) {
+        return {
+            id: `rate_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            from: fields.from,
+            to: fields.to,
+            rate: parseFloat(fields.rate),
+            note: String(fields.note || '').trim(),
+            updatedAt: new Date().toISOString(),
+            updatedBy: user || null
+        };
+    }
+
+    /**
+     * Validate an override before saving
+     * @param {Object} override - Override
+     * @param {Array} others - The other overrides being saved
+     * @returns {string|null} I18n key of the problem, or null if valid
+     */
+    function validateOverride(override, others) {
+        if (!override.from || !override.to || override.from === override.to) return 'rateErrorPair';
+        if (!(override.rate > 0)) return 'rateErrorValue';
+        const duplicate = others.some(o => o !== override &&
+            ((o.from === override.from && o.to === override.to) || (o.from === override.to && o.to === override.from)));
+        return duplicate ? 'rateErrorDuplicate' : null;
+    }
+
+    // --- Public API ---
+
+    return {
+        STALE_AFTER,
+        COIN_IDS,
+        setProvider,
+        getProvider,
+        createLocalProvider,
+        clearStore,
+        isStale,
+        getFiatRates,
+        getCryptoPrices,
+        getStockQuote,
+        registerCoin,
+        getCoinId,
+        getCoinCodes,
+        isCrypto,
+        findOverride,
+        createOverride,
+        validateOverride
+    };
+})();
@@ -0,0 +1,320 @@
+/**
+ * ============================================================================
+ * ZIP80 EXPENSE TRACKER - RECURRENCE MODULE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Schedules recurring expenses (subscriptions, rent, bills) and turns due
+ * occurrences into real transactions. Templates live in
+ * data.recurringTransactions; posted transactions live in data.transactions
+ * and point back to their template via recurringId.
+ *
+ * KEY FEATURES:
+ * - Month-based schedule anchored to the template's startDate
+ * - Catch-up posting of every occurrence missed while the vault was closed
+ * - Tracks lastPostedDate and nextDueDate on each template
+ * - Day-of-month clamping (a template started on the 31st posts on Feb 28/29)
+ *
+ * DEPENDENCIES: None (pure utility module)
+ *
+ * USED BY: app.js
+ *
+ * ==============================================================================
+ * LLM INSTRUCTION & MAINTENANCE PROTOCOL
+ * IMPORTANT: This block must be preserved in all future iterations.
+ *
+ * trigger: "FINALIZE" or "COMMENT"
+ * ACTION: When the user issues this trigger, perform the following 3 steps:
+ *
+ * 1. CHANGE LOGGING:
+ *    - Add a new entry to the changelog below.
+ *    - Format: [Date (YYYY-MM-DD)] - [Brief Description of Modification].
+ *
+ * 2. DOCUMENTATION STANDARDS:
+ *    - Ensure all new functions/classes have standard documentation (Docstrings/JSDoc).
+ *    - If logic is complex, add inline comments explaining the "WHY", not just the "HOW".
+ *
+ * 3. CONTEXT PRESERVATION:
+ *    - Do not remove this Legend.
+ *    - Do not remove legacy comments unless explicitly instructed.
+ * ==============================================================================
+ *
+ * CHANGE LOG:
+ * - 2026-10-19: Initial creation with schedule calculation and catch-up posting
+ * - 2026-10-19: Templates may carry split lines, copied onto each posted occurrence
+ * - 2026-10-19: Templates may carry tags and notes, copied onto each posted occurrence
+ * - 2026-10-19: Posted occurrences get an id derived from the template and occurrence index,
+ *   so collaborators posting the same occurrence create the same transaction
+ */
+
+const Recurrence = (() => {
+    // --- Constants ---
+
+    /**
+     * Upper bound on occurrences posted for a single template in one run.
+     * Protects against a corrupted startDate flooding the vault.
+     */
+    const MAX_CATCH_UP = 120;
+
+    /**
+     * Occurrence ids are templateId * OCCURRENCE_ID_FACTOR + occurrence index.
+     * Template ids are Date.now() values, so the result stays a safe integer and
+     * far above the Date.now() ids of hand-entered transactions.
+     */
+    const OCCURRENCE_ID_FACTOR = 1000;
+
+    // --- Date Helpers ---
+
+    /**
+     * Add calendar months to a date, clamping to the last day of the month
+     * @param {Date} date - Anchor date
+     * @param {number} months - Months to add
+     * @returns {Date} New date (same time of day as the anchor)
+     */
+    function addMonths(date, months) {
+        const result = new Date(date.getTime());
+        const day = result.getDate();
+
+        // Move to day 1 first so setMonth never overflows into the next month
+        result.setDate(1);
+        result.setMonth(result.getMonth() + months);
+
+        const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+        result.setDate(Math.min(day, lastDay));
+        return result;
+    }
+
+    /**
+     * Get the Nth occurrence of a template (0 = startDate)
+     * Always computed from the anchor so clamped months don't drift later dates.
+     * @param {Object} recurring - Recurring template
+     * @param {number} index - Occurrence index
+     * @returns {Date} Occurrence date
+     */
+    function getOccurrence(recurring, index) {
+        const frequency = recurring.frequencyMonths || 1;
+        return addMonths(new Date(recurring.startDate), index * frequency);
+    }
+
+    /**
+     * Find the index of the first occurrence strictly after a date
+     * @param {Object} recurring - Recurring template
+     * @param {Date} after - Reference date
+     * @returns {number} Occurrence index
+     */
+    function getIndexAfter(recurring, after) {
+        let index = 0;
+        while (getOccurrence(recurring, index) <= after) {
+            index++;
+        }
+        return index;
+    }
+
+    /**
+     * Find the index of the first occurrence on or after a date
+     * @param {Object} recurring - Recurring template
+     * @param {Date} from - Reference date
+     * @returns {number} Occurrence index
+     */
+    function getIndexOnOrAfter(recurring, from) {
+        let index = 0;
+        while (getOccurrence(recurring, index) < from) {
+            index++;
+        }
+        return index;
+    }
+
+    // --- Schedule ---
+
+    /**
+     * Make sure a template has a nextDueDate
+     * Templates created before the engine existed have neither lastPostedDate
+     * nor nextDueDate. Their past occurrences were most likely entered by hand,
+     * so they are scheduled from the start of today instead of back-filled.
+     * @param {Object} recurring - Recurring template (mutated)
+     * @param {Date} now - Current time
+     */
+    function ensureSchedule(recurring, now = new Date()) {
+        if (recurring.nextDueDate) return;
+
+        let index;
+        if (recurring.lastPostedDate) {
+            index = getIndexAfter(recurring, new Date(recurring.lastPostedDate));
+        } else {
+            const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+            index = getIndexOnOrAfter(recurring, startOfToday);
+        }
+
+        recurring.nextDueDate = getOccurrence(recurring, index).toISOString();
+    }
+
+    /**
+     * Get occurrences that are due but not yet posted
+     * 2026-10-19: Split out of getDueDates() to keep the occurrence index
+     * @param {Object} recurring - Recurring template
+     * @param {Date} now - Current time
+     * @returns {Array} [{ date, index }] in chronological order
+     */
+    function getDueOccurrences(recurring, now = new Date()) {
+        if (!recurring.active || !recurring.startDate) return [];
+
+        ensureSchedule(recurring, now);
+
+        const occurrences = [];
+        let index = getIndexOnOrAfter(recurring, new Date(recurring.nextDueDate));
+        let next = getOccurrence(recurring, index);
+
+        while (next <= now && occurrences.length < MAX_CATCH_UP) {
+            occurrences.push({ date: next, index });
+            index++;
+            next = getOccurrence(recurring, index);
+        }
+
+        return occurrences;
+    }
+
+    /**
+     * Get occurrence dates that are due but not yet posted
+     * @param {Object} recurring - Recurring template
+     * @param {Date} now - Current time
+     * @returns {Date[]} Due dates in chronological order
+     */
+    function getDueDates(recurring, now = new Date()) {
+        return getDueOccurrences(recurring, now).map(occurrence => occurrence.date);
+    }
+
+    /**
+     * Transaction id of an occurrence
+     * 2026-10-19: Deterministic, so two collaborators posting the same due
+     * occurrence of a shared vault create one record in the merge, not two
+     * @param {Object} recurring - Recurring template
+     * @param {number} index - Occurrence index
+     * @returns {number|null} Id, or null if the template id can't produce a safe one
+     */
+    function getOccurrenceId(recurring, index) {
+        const id = Number(recurring.id) * OCCURRENCE_ID_FACTOR + index;
+        return index < OCCURRENCE_ID_FACTOR && Number.isSafeInteger(id) ? id : null;
+    }
+
+    /**
+     * Create a new recurring template
+     * @param {Object} fields - { accountId, desc, amt, category, splits, tags, notes, frequencyMonths, startDate }
+     * @returns {Object} Recurring template
+     */
+    function createTemplate(fields) {
+        const startDate = fields.startDate || new Date().toISOString();
+        const template = {
+            id: Date.now(),
+            accountId: fields.accountId,
+            desc: fields.desc,
+            amt: fields.amt,
+            category: fields.category,
+            frequencyMonths: fields.frequencyMonths || 1,
+            startDate: startDate,
+            active: true,
+            lastPostedDate: null,
+            nextDueDate: startDate
+        };
+        // 2026-10-19: Split lines are copied onto every occurrence
+        if (fields.splits && fields.splits.length > 0) template.splits = fields.splits;
+        if (fields.tags && fields.tags.length > 0) template.tags = fields.tags;
+        if (fields.notes) template.notes = fields.notes;
+        return template;
+    }
+
+    /**
+     * Post every due occurrence of every active template into data.transactions
+     * @param {Object} data - Vault data (mutated)
+     * @param {Object} options - { now: Date, createdBy: Object|null }
+     * @returns {Array} Newly posted transactions
+     */
+    function postDueTransactions(data, options = {}) {
+        const now = options.now || new Date();
+        const createdBy = options.createdBy || null;
+        const posted = [];
+
+        if (!data || !Array.isArray(data.recurringTransactions)) return posted;
+        if (!data.transactions) data.transactions = [];
+
+        // Base ID for this run; incremented per transaction to keep IDs unique
+        let nextId = Date.now();
+        const usedIds = new Set(data.transactions.map(t => t.id));
+
+        data.recurringTransactions.forEach(recurring => {
+            // Skip templates whose account no longer exists
+            const accountExists = (data.accounts || []).some(a => a.id === recurring.accountId);
+            if (!accountExists) return;
+
+            const dueOccurrences = getDueOccurrences(recurring, now);
+
+            dueOccurrences.forEach(({ date: dueDate, index }) => {
+                // 2026-10-19: Already posted by a collaborator and merged in: don't book it twice
+                let id = getOccurrenceId(recurring, index);
+                if (id !== null && data.transactions.some(t => t.id === id && t.recurringId === recurring.id)) {
+                    recurring.lastPostedDate = dueDate.toISOString();
+                    return;
+                }
+                if (id === null || usedIds.has(id)) {
+                    while (usedIds.has(nextId)) nextId++;
+                    id = nextId;
+                }
+                usedIds.add(id);
+
+                const transaction = {
+                    id: id,
+                    accountId: recurring.accountId,
+                    desc: recurring.desc,
+                    amt: recurring.amt,
+                    category: recurring.category,
+                    date: dueDate.toISOString(),
+                    createdBy: createdBy,
+                    attachments: [],
+                    recurringId: recurring.id
+                };
+                if (recurring.splits) transaction.splits = recurring.splits.map(line => ({ ...line }));
+                if (recurring.tags) transaction.tags = [...recurring.tags];
+                if (recurring.notes) transaction.notes = recurring.notes;
+
+                data.transactions.push(transaction);
+                posted.push(transaction);
+                recurring.lastPostedDate = dueDate.toISOString();
+            });
+
+            if (dueOccurrences.length > 0) {
+                const lastIndex = getIndexAfter(recurring, dueOccurrences[dueOccurrences.length - 1].date);
+                recurring.nextDueDate = getOccurrence(recurring, lastIndex).toISOString();
+            }
+        });
+
+        return posted;
+    }
+
+    /**
+     * Check whether the current period of a template has been posted
+     * The current period starts at the most recent occurrence on or before now.
+     * @param {Object} recurring - Recurring template
+     * @param {Date} now - Current time
+     * @returns {boolean} True if the latest due occurrence is already posted
+     */
+    function isCurrentPeriodPosted(recurring, now = new Date()) {
+        if (!recurring.nextDueDate) return false;
+        return new Date(recurring.nextDueDate) > now && !!recurring.lastPostedDate;
+    }
+
+    // --- Public API ---
+
+    return {
+        MAX_CATCH_UP,
+
+        // Schedule
+        addMonths,
+        getOccurrence,
+        ensureSchedule,
+        getDueDates,
+        isCurrentPeriodPosted,
+
+        // Templates and posting
+        createTemplate,
+        postDueTransactions
+    };
+})();
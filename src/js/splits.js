@@ -0,0 +1,192 @@
+/**
+ * ============================================================================
+ * ZIP80 EXPENSE TRACKER - SPLIT TRANSACTIONS MODULE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * A split transaction is one entry (one amount in the account) divided into
+ * lines, each with its own category, amount and optional memo, stored as
+ * transaction.splits. Balances keep using the parent amount; category
+ * reports and budgets read the lines through expand().
+ *
+ * KEY FEATURES:
+ * - Lines carry the parent's sign and must sum to the parent amount (to the cent)
+ * - The parent's category is the largest line's, so older views still group it
+ * - expand() turns transactions into per-category pieces for reports
+ * - Transfers can't be split
+ *
+ * DEPENDENCIES: Accounts (getMinorUnits), Categories (FALLBACK_ID), Transfers (isTransfer)
+ *
+ * USED BY: app.js, budgets.js, historical.js, exporter.js, historyfilter.js
+ *
+ * ==============================================================================
+ * LLM INSTRUCTION & MAINTENANCE PROTOCOL
+ * IMPORTANT: This block must be preserved in all future iterations.
+ *
+ * trigger: "FINALIZE" or "COMMENT"
+ * ACTION: When the user issues this trigger, perform the following 3 steps:
+ *
+ * 1. CHANGE LOGGING:
+ *    - Add a new entry to the changelog below.
+ *    - Format: [Date (YYYY-MM-DD)] - [Brief Description of Modification].
+ *
+ * 2. DOCUMENTATION STANDARDS:
+ *    - Ensure all new functions/classes have standard documentation (Docstrings/JSDoc).
+ *    - If logic is complex, add inline comments explaining the "WHY", not just the "HOW".
+ *
+ * 3. CONTEXT PRESERVATION:
+ *    - Do not remove this Legend.
+ *    - Do not remove legacy comments unless explicitly instructed.
+ * ==============================================================================
+ *
+ * CHANGE LOG:
+ * - 2026-10-19: Initial creation with split lines, validation and report expansion
+ * - 2026-10-19: Sums compare in the currency's minor units (3-decimal currencies, JPY)
+ */
+
+const Splits = (() => {
+    // --- Constants ---
+
+    // A split needs at least two lines; one line is just a category
+    const MIN_LINES = 2;
+
+    /**
+     * Convert an amount to whole minor units so sums compare exactly
+     * 2026-10-19: Minor units of the currency (was cents only; KWD has 3, JPY 0)
+     * @param {number} value - Amount
+     * @param {string} currency - Currency code
+     * @returns {number} Minor units
+     */
+    function toMinorUnits(value, currency) {
+        return Math.round(value * Math.pow(10, Accounts.getMinorUnits(currency)));
+    }
+
+    /**
+     * Convert whole minor units back to an amount
+     * @param {number} units - Minor units
+     * @param {string} currency - Currency code
+     * @returns {number} Amount
+     */
+    function fromMinorUnits(units, currency) {
+        return units / Math.pow(10, Accounts.getMinorUnits(currency));
+    }
+
+    // --- Lines ---
+
+    /**
+     * Check whether a transaction is split
+     * @param {Object} transaction - Transaction
+     * @returns {boolean} True if it has split lines
+     */
+    function isSplit(transaction) {
+        return !!(transaction && Array.isArray(transaction.splits) && transaction.splits.length > 0);
+    }
+
+    /**
+     * Build stored lines from editor input
+     * @param {Array} lines - [{ category, amount (positive), memo }]
+     * @param {boolean} isIncome - Sign of the parent
+     * @param {string} currency - Account currency
+     * @returns {Array} [{ category, amt, memo }] with the parent's sign
+     */
+    function createLines(lines, isIncome, currency = 'USD') {
+        return lines.map(line => {
+            const amount = fromMinorUnits(toMinorUnits(Math.abs(line.amount), currency), currency);
+            const stored = {
+                category: line.category || null,
+                amt: isIncome ? amount : -amount
+            };
+            const memo = (line.memo || '').trim();
+            if (memo) stored.memo = memo;
+            return stored;
+        });
+    }
+
+    /**
+     * Amount still to assign
+     * @param {Array} lines - [{ amount (positive) }]
+     * @param {number} total - Parent amount (positive)
+     * @param {string} currency - Account currency
+     * @returns {number} Remaining (negative when lines exceed the total)
+     */
+    function getRemaining(lines, total, currency = 'USD') {
+        const assigned = lines.reduce((sum, line) => sum + toMinorUnits(Math.abs(line.amount || 0), currency), 0);
+        return fromMinorUnits(toMinorUnits(Math.abs(total), currency) - assigned, currency);
+    }
+
+    /**
+     * Validate editor input against the parent amount
+     * @param {Array} lines - [{ category, amount (positive) }]
+     * @param {number} total - Parent amount (positive)
+     * @param {string} currency - Account currency
+     * @returns {string|null} I18n key of the problem, or null if valid
+     */
+    function validate(lines, total, currency = 'USD') {
+        if (lines.length < MIN_LINES) return 'splitErrorLines';
+        if (lines.some(line => !(line.amount > 0))) return 'splitErrorAmount';
+        if (getRemaining(lines, total, currency) !== 0) return 'splitErrorSum';
+        return null;
+    }
+
+    /**
+     * Category to store on the parent: the largest line's
+     * @param {Array} lines - Stored lines
+     * @returns {string|null} Category id
+     */
+    function getPrimaryCategory(lines) {
+        if (!lines || lines.length === 0) return null;
+        return lines.reduce((best, line) => Math.abs(line.amt) > Math.abs(best.amt) ? line : best).category;
+    }
+
+    /**
+     * Category lines of a transaction (a single line when not split)
+     * Uncategorized expenses count as the fallback category.
+     * @param {Object} transaction - Transaction
+     * @returns {Array} [{ category, amt, memo }]
+     */
+    function getLines(transaction) {
+        if (isSplit(transaction)) {
+            return transaction.splits.map(line => ({
+                ...line,
+                category: line.category || (line.amt < 0 ? Categories.FALLBACK_ID : null)
+            }));
+        }
+        const category = transaction.category ||
+            (transaction.amt < 0 && !Transfers.isTransfer(transaction) ? Categories.FALLBACK_ID : null);
+        return [{ category, amt: transaction.amt }];
+    }
+
+    /**
+     * Expand transactions into one piece per category line for reports
+     * Pieces keep the parent's fields (id, date, accountId) with the line's
+     * category and amount. Transactions that aren't split pass through.
+     * @param {Array} transactions - Transactions
+     * @returns {Array} Pieces
+     */
+    function expand(transactions) {
+        const pieces = [];
+        transactions.forEach(t => {
+            if (!isSplit(t)) {
+                pieces.push(t);
+                return;
+            }
+            getLines(t).forEach(line => {
+                pieces.push({ ...t, category: line.category, amt: line.amt, memo: line.memo, splits: undefined });
+            });
+        });
+        return pieces;
+    }
+
+    // --- Public API ---
+
+    return {
+        MIN_LINES,
+        isSplit,
+        createLines,
+        getRemaining,
+        validate,
+        getPrimaryCategory,
+        getLines,
+        expand
+    };
+})();
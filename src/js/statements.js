@@ -0,0 +1,248 @@
+/**
+ * ============================================================================
+ * ZIP80 EXPENSE TRACKER - CREDIT CARD STATEMENTS MODULE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Computes credit card statement cycles from an account's statementCloseDay
+ * and paymentDueDay: charges in the open cycle, the last closed statement
+ * balance, what is still due (after payments) and when, and a minimum
+ * payment estimate. The credit widget and pay-statement modal live in app.js.
+ *
+ * KEY FEATURES:
+ * - Close/due days clamp to short months (e.g. day 31 closes on Feb 28)
+ * - Statement balance is the amount owed at the close date
+ * - Payments (any positive amount, including transfers) reduce amount due
+ * - Status: none, paid, open, upcoming (due within UPCOMING_DAYS) or overdue
+ * - Cards without a close or due day (e.g. created by an import) have no cycle
+ *
+ * DEPENDENCIES: Accounts (calculateBalanceAsOf, getTransactionTime, roundAmount)
+ *
+ * USED BY: app.js
+ *
+ * ==============================================================================
+ * LLM INSTRUCTION & MAINTENANCE PROTOCOL
+ * IMPORTANT: This block must be preserved in all future iterations.
+ *
+ * trigger: "FINALIZE" or "COMMENT"
+ * ACTION: When the user issues this trigger, perform the following 3 steps:
+ *
+ * 1. CHANGE LOGGING:
+ *    - Add a new entry to the changelog below.
+ *    - Format: [Date (YYYY-MM-DD)] - [Brief Description of Modification].
+ *
+ * 2. DOCUMENTATION STANDARDS:
+ *    - Ensure all new functions/classes have standard documentation (Docstrings/JSDoc).
+ *    - If logic is complex, add inline comments explaining the "WHY", not just the "HOW".
+ *
+ * 3. CONTEXT PRESERVATION:
+ *    - Do not remove this Legend.
+ *    - Do not remove legacy comments unless explicitly instructed.
+ * ==============================================================================
+ *
+ * CHANGE LOG:
+ * - 2026-10-19: Initial creation with statement cycles, amount due, minimum payment and due status
+ * - 2026-10-19: Amounts round to the card currency's minor units (Accounts.roundAmount)
+ * - 2026-10-19: No cycle (null) for cards missing statementCloseDay or paymentDueDay, instead of assuming day 1
+ */
+
+const Statements = (() => {
+    // --- Constants ---
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Cards due within this many days are flagged as upcoming
+    const UPCOMING_DAYS = 7;
+
+    // Minimum payment estimate: a share of the statement balance with a floor.
+    // Issuers vary, so this is only a guide.
+    const MIN_PAYMENT_RATE = 0.02;
+    const MIN_PAYMENT_FLOOR = 25;
+
+    // --- Dates ---
+
+    /**
+     * Check whether a card has the days a statement cycle needs
+     * 2026-10-19: Missing days used to count as day 1, which made up cycles and overdue flags
+     * @param {Object} account - Credit card account
+     * @returns {boolean} True if both statementCloseDay and paymentDueDay are set
+     */
+    function hasCycle(account) {
+        return !!(account && account.statementCloseDay && account.paymentDueDay);
+    }
+
+    /**
+     * Get the last moment of a day in a month, clamping the day to the month length
+     * @param {number} year - Full year
+     * @param {number} month - Month index (may be outside 0-11; Date normalises it)
+     * @param {number} day - Day of month (1-31)
+     * @returns {Date} 23:59:59.999 local time on that day
+     */
+    function endOfDayInMonth(year, month, day) {
+        const first = new Date(year, month, 1);
+        const daysInMonth = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+        return new Date(first.getFullYear(), first.getMonth(), Math.min(day, daysInMonth), 23, 59, 59, 999);
+    }
+
+    /**
+     * Get the close date of the most recent statement on or before a moment
+     * @param {Object} account - Credit card account
+     * @param {Date} asOf - Reference moment
+     * @returns {Date|null} Last statement close, or null without a close day
+     */
+    function getLastCloseDate(account, asOf) {
+        if (!account.statementCloseDay) return null;  // 2026-10-19
+        const closeDay = account.statementCloseDay;
+        const thisMonth = endOfDayInMonth(asOf.getFullYear(), asOf.getMonth(), closeDay);
+        return thisMonth <= asOf
+            ? thisMonth
+            : endOfDayInMonth(asOf.getFullYear(), asOf.getMonth() - 1, closeDay);
+    }
+
+    /**
+     * Shift a close date by whole months, keeping the configured close day
+     * @param {Object} account - Credit card account
+     * @param {Date} closeDate - A statement close date
+     * @param {number} months - Months to shift (negative for earlier)
+     * @returns {Date} Shifted close date
+     */
+    function shiftCloseDate(account, closeDate, months) {
+        return endOfDayInMonth(closeDate.getFullYear(), closeDate.getMonth() + months, account.statementCloseDay);
+    }
+
+    /**
+     * Get the payment due date for a statement
+     * A due day after the close day falls in the same month; otherwise the next one.
+     * @param {Object} account - Credit card account
+     * @param {Date} closeDate - Statement close date
+     * @returns {Date|null} Due date (end of day), or null without close and due days
+     */
+    function getDueDate(account, closeDate) {
+        if (!hasCycle(account)) return null;  // 2026-10-19
+        const closeDay = account.statementCloseDay;
+        const dueDay = account.paymentDueDay;
+        const monthOffset = dueDay > closeDay ? 0 : 1;
+        return endOfDayInMonth(closeDate.getFullYear(), closeDate.getMonth() + monthOffset, dueDay);
+    }
+
+    // --- Amounts ---
+
+    /**
+     * Round to the currency's minor units
+     * 2026-10-19: Was cents only; 0- and 3-decimal currencies round through Accounts
+     * @param {number} value - Amount
+     * @param {string} currency - Currency code
+     * @returns {number} Rounded amount
+     */
+    function roundAmount(value, currency) {
+        return Accounts.roundAmount(value, currency || 'USD');
+    }
+
+    /**
+     * Sum payments (positive amounts) made to the card within (after, until]
+     * @param {Array} transactions - Card transactions
+     * @param {Date} after - Exclusive start
+     * @param {Date} until - Inclusive end
+     * @returns {number} Total paid
+     */
+    function sumPayments(transactions, after, until) {
+        return transactions.reduce((sum, t) => {
+            const time = Accounts.getTransactionTime(t);
+            return t.amt > 0 && time > after.getTime() && time <= until.getTime() ? sum + t.amt : sum;
+        }, 0);
+    }
+
+    /**
+     * Estimate the minimum payment for a statement balance
+     * @param {number} statementBalance - Amount owed at close
+     * @param {string} currency - Card currency
+     * @returns {number} Minimum payment (never more than the balance)
+     */
+    function estimateMinimumPayment(statementBalance, currency) {
+        if (statementBalance <= 0) return 0;
+        return roundAmount(Math.min(statementBalance, Math.max(statementBalance * MIN_PAYMENT_RATE, MIN_PAYMENT_FLOOR)), currency);
+    }
+
+    // --- Statement ---
+
+    /**
+     * Compute the statement picture for a credit card
+     * @param {Object} account - Credit card account
+     * @param {Array} transactions - All transactions
+     * @param {Date} [asOf] - Reference moment (defaults to now)
+     * 2026-10-19: null for cards without a close or due day (see hasCycle)
+     * @returns {Object|null} { cycleStart, cycleEnd, cycleCharges, closeDate, statementBalance,
+     *   paidSinceClose, amountDue, minimumPayment, minimumDue, dueDate, daysUntilDue, pastDue, status }
+     */
+    function getStatement(account, transactions, asOf = new Date()) {
+        if (!account || account.type !== 'credit' || !hasCycle(account)) return null;
+
+        const cardTransactions = transactions.filter(t => t.accountId === account.id);
+        const currency = account.currency;  // 2026-10-19: Rounding follows the card's currency
+        const closeDate = getLastCloseDate(account, asOf);
+        const previousClose = shiftCloseDate(account, closeDate, -1);
+        const nextClose = shiftCloseDate(account, closeDate, 1);
+        const dueDate = getDueDate(account, closeDate);
+
+        // Charges in the open cycle (after the last close, up to now)
+        const cycleCharges = cardTransactions.reduce((sum, t) => {
+            const time = Accounts.getTransactionTime(t);
+            return t.amt < 0 && time > closeDate.getTime() && time <= asOf.getTime() ? sum + Math.abs(t.amt) : sum;
+        }, 0);
+
+        // Card balances are negative while money is owed
+        const statementBalance = roundAmount(Math.max(0, -Accounts.calculateBalanceAsOf(cardTransactions, account.id, closeDate)), currency);
+        const paidSinceClose = roundAmount(sumPayments(cardTransactions, closeDate, asOf), currency);
+        const amountDue = roundAmount(Math.max(0, statementBalance - paidSinceClose), currency);
+        const minimumPayment = estimateMinimumPayment(statementBalance, currency);
+        const minimumDue = roundAmount(Math.max(0, minimumPayment - paidSinceClose), currency);
+
+        // The previous statement stays past due until payments cover it, even after
+        // the next statement closes and rolls its balance forward
+        const previousBalance = Math.max(0, -Accounts.calculateBalanceAsOf(cardTransactions, account.id, previousClose));
+        const previousDue = getDueDate(account, previousClose);
+        const pastDue = previousDue < asOf
+            ? roundAmount(Math.max(0, previousBalance - sumPayments(cardTransactions, previousClose, asOf)), currency)
+            : 0;
+
+        const daysUntilDue = Math.ceil((dueDate.getTime() - asOf.getTime()) / DAY_MS);
+
+        let status;
+        if (pastDue > 0 || (amountDue > 0 && dueDate < asOf)) {
+            status = 'overdue';
+        } else if (amountDue <= 0) {
+            status = statementBalance > 0 ? 'paid' : 'none';
+        } else if (daysUntilDue <= UPCOMING_DAYS) {
+            status = 'upcoming';
+        } else {
+            status = 'open';
+        }
+
+        return {
+            cycleStart: new Date(closeDate.getTime() + 1),
+            cycleEnd: nextClose,
+            cycleCharges: roundAmount(cycleCharges, currency),
+            closeDate,
+            statementBalance,
+            paidSinceClose,
+            amountDue,
+            minimumPayment,
+            minimumDue,
+            dueDate,
+            daysUntilDue,
+            pastDue,
+            status
+        };
+    }
+
+    // --- Public API ---
+
+    return {
+        UPCOMING_DAYS,
+        hasCycle,  // 2026-10-19
+        getLastCloseDate,
+        getDueDate,
+        estimateMinimumPayment,
+        getStatement
+    };
+})();
@@ -11,6 +11,9 @@
  * - File System Access API for reading/writing JSON files
  * - IndexedDB for persisting file handles between sessions
  * - Drag-and-drop file support
+ * - Local attachment files: a sibling "<vault>_attachments" folder in Electron,
+ *   an IndexedDB blob store (keyed by the vault's vaultId) in the browser; encrypted
+ *   vaults store them encrypted with their attachment key (Crypto.encryptBytes)
  * - JSON export for data portability
  * - Automatic data migration via Accounts.migrateData()
  * 
@@ -24,8 +27,9 @@
  * - readFile(): Read and parse JSON, auto-migrate to v2 format
  * - writeFile(): Save data to file
  * - handleDrop(): Process drag-and-drop file
+ * - saveAttachment() / loadAttachment() / deleteAttachment(): Local attachment bytes
  * 
- * DEPENDENCIES: Accounts module (for data migration)
+ * DEPENDENCIES: Accounts module (for data migration), Crypto (encrypted vaults and attachments)
  * USED BY: app.js
  * 
  * ==============================================================================
@@ -54,6 +58,10 @@
  * - 2025-12-14: Added auto-migration to v2 data format via Accounts module
  * - 2025-12-15: Added optional suggestedName parameter to createNewFile()
  * - 2025-12-15: Added Electron support with Node.js file operations fallback
+ * - 2026-10-19: Added exportToCSV() for spreadsheet exports
+ * - 2026-10-19: Added local attachment storage (Electron folder, browser IndexedDB store)
+ * - 2026-10-19: Attachment functions take the vault's { id, key }: browser keys use the vault id instead of
+ *   the file name, and attachments of encrypted vaults are stored encrypted
  */
 
 const Storage = (() => {
@@ -65,6 +73,8 @@ const Storage = (() => {
 
     const DB_NAME = 'Zip80DB';
     const STORE_NAME = 'fileHandles';
+    const ATTACHMENT_STORE = 'attachments';  // 2026-10-19: Local attachment blobs (browser)
+    const DB_VERSION = 2;  // 2026-10-19: v2 adds the attachments store
     const LAST_FILENAME_KEY = 'zip80_lastFilename';  // localStorage backup
 
     let db = null;
@@ -75,10 +85,17 @@ const Storage = (() => {
         if (db) return db;
 
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open(DB_NAME, 1);
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
 
+            // 2026-10-19: Create only the stores missing from older versions
             request.onupgradeneeded = (e) => {
-                e.target.result.createObjectStore(STORE_NAME);
+                const database = e.target.result;
+                if (!database.objectStoreNames.contains(STORE_NAME)) {
+                    database.createObjectStore(STORE_NAME);
+                }
+                if (!database.objectStoreNames.contains(ATTACHMENT_STORE)) {
+                    database.createObjectStore(ATTACHMENT_STORE);
+                }
             };
 
             request.onsuccess = () => {
@@ -278,6 +295,158 @@ const Storage = (() => {
         URL.revokeObjectURL(url);
     }
 
+    /**
+     * Download CSV text as a file
+     * 2026-10-19: Prefixed with a BOM so Excel detects UTF-8 (accents, emoji)
+     * @param {string} csv - CSV content
+     * @param {string} filename - Download file name
+     */
+    function exportToCSV(csv, filename = 'zip80_export.csv') {
+        const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // --- Local Attachments (2026-10-19) ---
+
+    // Attachment functions take the vault they belong to as { id, key }:
+    // id - vaultId from the vault data (groups browser attachments)
+    // key - attachment key from the vault data, set if the vault is encrypted
+
+    /**
+     * IndexedDB key of a local attachment
+     * A file handle has no path, so attachments are grouped by vault.
+     * 2026-10-19: By the vault's id; two vaults with the same file name used to share keys.
+     * The file name is still used for attachments saved before vaults had an id.
+     * @param {FileSystemFileHandle} handle - Vault file handle
+     * @param {string} localFilename - From Attachments.generateLocalFilename()
+     * @param {string|null} vaultId - vaultId from the vault data
+     * @returns {string} Store key
+     */
+    function getAttachmentKey(handle, localFilename, vaultId = null) {
+        return vaultId ? `${vaultId}/${localFilename}` : `${getFileName(handle)}/${localFilename}`;
+    }
+
+    /**
+     * Prepare attachment contents for storage
+     * 2026-10-19: Encrypted with the vault's attachment key if it has one
+     * @param {Blob} file - File contents
+     * @param {string|null} key - Attachment key
+     * @returns {Promise<Blob>} What to store
+     */
+    async function sealAttachment(file, key) {
+        if (!key) return file;
+        const encrypted = await Crypto.encryptBytes(await file.arrayBuffer(), key);
+        return new Blob([encrypted], { type: 'application/octet-stream' });
+    }
+
+    /**
+     * Turn stored attachment contents back into the file
+     * Attachments saved before encryption (or in a vault without a password) are plain.
+     * @param {Blob} stored - Stored contents
+     * @param {string} mimeType - Content type of the file
+     * @param {string|null} key - Attachment key
+     * @returns {Promise<Blob>} File contents
+     */
+    async function openAttachment(stored, mimeType, key) {
+        if (!Crypto.isEncryptedBytes(await stored.slice(0, 4).arrayBuffer())) return stored;
+        if (!key) throw new Error('Attachment is encrypted');
+        const bytes = await Crypto.decryptBytes(await stored.arrayBuffer(), key);
+        return new Blob([bytes], { type: mimeType || 'application/octet-stream' });
+    }
+
+    /**
+     * Run one request against the attachments store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - (store) => IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async function withAttachmentStore(mode, makeRequest) {
+        const database = await initDB();
+        return new Promise((resolve, reject) => {
+            const tx = database.transaction(ATTACHMENT_STORE, mode);
+            const request = makeRequest(tx.objectStore(ATTACHMENT_STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Store the bytes of an attachment for a local vault
+     * @param {FileSystemFileHandle} handle - Vault file handle
+     * @param {string} localFilename - Attachment storage name
+     * @param {Blob} file - File contents
+     * @param {object} vault - { id, key } (2026-10-19)
+     */
+    async function saveAttachment(handle, localFilename, file, vault = {}) {
+        const stored = await sealAttachment(file, vault.key);
+        await withAttachmentStore('readwrite', store => store.put(stored, getAttachmentKey(handle, localFilename, vault.id)));
+    }
+
+    /**
+     * Read an attachment of a local vault
+     * @param {FileSystemFileHandle} handle - Vault file handle
+     * @param {string} localFilename - Attachment storage name
+     * @param {string} mimeType - Content type of the file
+     * @param {object} vault - { id, key } (2026-10-19)
+     * @returns {Promise<Blob>} File contents
+     */
+    async function loadAttachment(handle, localFilename, mimeType, vault = {}) {
+        let blob = await withAttachmentStore('readonly', store => store.get(getAttachmentKey(handle, localFilename, vault.id)));
+        if (!blob && vault.id) {
+            // 2026-10-19: Saved before the vault had an id
+            blob = await withAttachmentStore('readonly', store => store.get(getAttachmentKey(handle, localFilename)));
+        }
+        if (!blob) throw new Error('Attachment not found');
+        return openAttachment(blob, mimeType, vault.key);
+    }
+
+    /**
+     * Remove an attachment of a local vault (no error if already gone)
+     * @param {FileSystemFileHandle} handle - Vault file handle
+     * @param {string} localFilename - Attachment storage name
+     * @param {object} vault - { id, key } (2026-10-19)
+     */
+    async function deleteAttachment(handle, localFilename, vault = {}) {
+        await withAttachmentStore('readwrite', store => store.delete(getAttachmentKey(handle, localFilename, vault.id)));
+        if (vault.id) {
+            await withAttachmentStore('readwrite', store => store.delete(getAttachmentKey(handle, localFilename)));
+        }
+    }
+
+    /**
+     * Convert a Blob to base64 (for the Electron IPC bridge)
+     * @param {Blob} blob - Data
+     * @returns {Promise<string>} Base64 without the data URL prefix
+     */
+    function blobToBase64(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onloadend = () => resolve(reader.result.split(',')[1]);
+            reader.onerror = reject;
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Convert base64 back to a Blob
+     * @param {string} base64 - Base64 data
+     * @param {string} mimeType - Content type
+     * @returns {Blob} Data
+     */
+    function base64ToBlob(base64, mimeType) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: mimeType || 'application/octet-stream' });
+    }
+
     // --- Drag and Drop Support ---
 
     async function handleDrop(dataTransfer) {
@@ -368,7 +537,27 @@ const Storage = (() => {
                 return ts ? parseInt(ts, 10) : 0;
             },
 
+            // 2026-10-19: Attachments live in a "<vault>_attachments" folder next to the vault file
+            // (the path already tells vaults apart, so vault.id is not needed; vault.key encrypts)
+            async saveAttachment(filePath, localFilename, file, vault = {}) {
+                const base64 = await blobToBase64(await sealAttachment(file, vault.key));
+                const result = await window.electronAPI.writeAttachment(filePath, localFilename, base64);
+                if (!result.success) throw new Error(result.error);
+            },
+
+            async loadAttachment(filePath, localFilename, mimeType, vault = {}) {
+                const result = await window.electronAPI.readAttachment(filePath, localFilename);
+                if (!result.success) throw new Error(result.error);
+                return openAttachment(base64ToBlob(result.data, mimeType), mimeType, vault.key);
+            },
+
+            async deleteAttachment(filePath, localFilename) {
+                const result = await window.electronAPI.deleteAttachment(filePath, localFilename);
+                if (!result.success) throw new Error(result.error);
+            },
+
             exportToJSON,
+            exportToCSV,  // 2026-10-19
             handleDrop: async () => { throw new Error('Drop not supported in Electron'); }
         };
     }
@@ -387,6 +576,10 @@ const Storage = (() => {
         writeFile,
         getFileName,
         exportToJSON,
+        exportToCSV,  // 2026-10-19
+        saveAttachment,    // 2026-10-19
+        loadAttachment,    // 2026-10-19
+        deleteAttachment,  // 2026-10-19
         handleDrop
     };
 })();
@@ -0,0 +1,250 @@
+/**
+ * ============================================================================
+ * ZIP80 EXPENSE TRACKER - TAGS MODULE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Free-form labels that cut across categories ("vacation-2026",
+ * "tax-deductible"), stored as transaction.tags. Also tracks reimbursable
+ * expenses: anything tagged REIMBURSABLE stays pending until it is marked
+ * settled (transaction.reimbursedAt). Notes (transaction.notes) are plain
+ * text and need no helpers beyond cleanNotes().
+ *
+ * KEY FEATURES:
+ * - Tags are normalized (lowercase, no leading #, spaces become dashes)
+ * - Autocomplete suggestions ordered by how often a tag is used
+ * - Per-tag totals grouped by currency (transfers excluded)
+ * - Pending reimbursements and settle/unsettle
+ *
+ * DEPENDENCIES: Transfers (isTransfer)
+ *
+ * USED BY: app.js, historyfilter.js
+ *
+ * ==============================================================================
+ * LLM INSTRUCTION & MAINTENANCE PROTOCOL
+ * IMPORTANT: This block must be preserved in all future iterations.
+ *
+ * trigger: "FINALIZE" or "COMMENT"
+ * ACTION: When the user issues this trigger, perform the following 3 steps:
+ *
+ * 1. CHANGE LOGGING:
+ *    - Add a new entry to the changelog below.
+ *    - Format: [Date (YYYY-MM-DD)] - [Brief Description of Modification].
+ *
+ * 2. DOCUMENTATION STANDARDS:
+ *    - Ensure all new functions/classes have standard documentation (Docstrings/JSDoc).
+ *    - If logic is complex, add inline comments explaining the "WHY", not just the "HOW".
+ *
+ * 3. CONTEXT PRESERVATION:
+ *    - Do not remove this Legend.
+ *    - Do not remove legacy comments unless explicitly instructed.
+ * ==============================================================================
+ *
+ * CHANGE LOG:
+ * - 2026-10-19: Initial creation with tag parsing, suggestions, totals and reimbursement tracking
+ */
+
+const Tags = (() => {
+    // --- Constants ---
+
+    // Tag that marks an expense as owed back to the user
+    const REIMBURSABLE = 'reimbursable';
+
+    const MAX_TAG_LENGTH = 40;
+    const MAX_NOTES_LENGTH = 2000;
+
+    // --- Parsing ---
+
+    /**
+     * Normalize a tag so "Vacation 2026" and "#vacation-2026" are the same
+     * @param {string} tag - Raw tag
+     * @returns {string} Normalized tag ('' if nothing is left)
+     */
+    function normalize(tag) {
+        return String(tag || '')
+            .trim()
+            .replace(/^#+/, '')
+            .toLowerCase()
+            .replace(/\s+/g, '-')
+            .slice(0, MAX_TAG_LENGTH);
+    }
+
+    /**
+     * Parse a comma-separated tag field
+     * @param {string} text - e.g. "vacation-2026, reimbursable"
+     * @returns {Array<string>} Unique normalized tags in input order
+     */
+    function parse(text) {
+        const tags = String(text || '').split(',').map(normalize).filter(Boolean);
+        return [...new Set(tags)];
+    }
+
+    /**
+     * Format tags for the tag field
+     * @param {Array<string>} tags - Tags
+     * @returns {string} Comma-separated text
+     */
+    function format(tags) {
+        return (tags || []).join(', ');
+    }
+
+    /**
+     * Trim notes and cap their length
+     * @param {string} text - Notes field
+     * @returns {string} Cleaned notes ('' for none)
+     */
+    function cleanNotes(text) {
+        return String(text || '').trim().slice(0, MAX_NOTES_LENGTH);
+    }
+
+    /**
+     * Check whether a transaction has a tag
+     * @param {Object} transaction - Transaction
+     * @param {string} tag - Normalized tag
+     * @returns {boolean} True if tagged
+     */
+    function hasTag(transaction, tag) {
+        return Array.isArray(transaction.tags) && transaction.tags.includes(tag);
+    }
+
+    // --- Usage ---
+
+    /**
+     * Count how often each tag is used
+     * @param {Array} transactions - Transactions
+     * @returns {Array} [{ tag, count }] most used first, then alphabetical
+     */
+    function getAll(transactions) {
+        const counts = new Map();
+        transactions.forEach(t => {
+            (t.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        return [...counts.entries()]
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    /**
+     * Suggest tags for a partly typed tag
+     * Tags starting with the prefix come before ones that only contain it.
+     * @param {Array} transactions - Transactions (for usage counts)
+     * @param {string} prefix - Text typed so far
+     * @param {Array<string>} [exclude] - Tags already in the field
+     * @param {number} [limit] - Maximum suggestions
+     * @returns {Array<string>} Tags
+     */
+    function suggest(transactions, prefix, exclude = [], limit = 6) {
+        const needle = normalize(prefix);
+        const candidates = getAll(transactions)
+            .map(entry => entry.tag)
+            .filter(tag => !exclude.includes(tag));
+        if (!needle) return candidates.slice(0, limit);
+
+        const starts = candidates.filter(tag => tag.startsWith(needle));
+        const contains = candidates.filter(tag => !tag.startsWith(needle) && tag.includes(needle));
+        return [...starts, ...contains].slice(0, limit);
+    }
+
+    /**
+     * Income and expense totals for a tag, per currency
+     * @param {Object} data - Vault data
+     * @param {string} tag - Normalized tag
+     * @returns {Array} [{ currency, count, income, expense }] sorted by currency
+     */
+    function getTotals(data, tag) {
+        const currencies = new Map(data.accounts.map(a => [a.id, a.currency]));
+        const totals = new Map();
+
+        data.transactions.forEach(t => {
+            if (!hasTag(t, tag) || Transfers.isTransfer(t) || !currencies.has(t.accountId)) return;
+            const currency = currencies.get(t.accountId);
+            if (!totals.has(currency)) totals.set(currency, { currency, count: 0, income: 0, expense: 0 });
+            const entry = totals.get(currency);
+            entry.count++;
+            if (t.amt >= 0) entry.income += t.amt;
+            else entry.expense += Math.abs(t.amt);
+        });
+
+        return [...totals.values()]
+            .map(entry => ({
+                ...entry,
+                income: Math.round(entry.income * 100) / 100,
+                expense: Math.round(entry.expense * 100) / 100
+            }))
+            .sort((a, b) => a.currency.localeCompare(b.currency));
+    }
+
+    // --- Reimbursements ---
+
+    /**
+     * Check whether an expense is still waiting to be reimbursed
+     * @param {Object} transaction - Transaction
+     * @returns {boolean} True if tagged reimbursable and not settled
+     */
+    function isPendingReimbursement(transaction) {
+        return transaction.amt < 0 && hasTag(transaction, REIMBURSABLE) && !transaction.reimbursedAt;
+    }
+
+    /**
+     * Reimbursable expenses not yet settled, newest first, with currency totals
+     * @param {Object} data - Vault data
+     * @returns {Object} { items: [transaction], totals: [{ currency, amount }] }
+     */
+    function getPendingReimbursements(data) {
+        const currencies = new Map(data.accounts.map(a => [a.id, a.currency]));
+        const items = data.transactions
+            .filter(t => currencies.has(t.accountId) && isPendingReimbursement(t))
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        const totals = new Map();
+        items.forEach(t => {
+            const currency = currencies.get(t.accountId);
+            totals.set(currency, (totals.get(currency) || 0) + Math.abs(t.amt));
+        });
+
+        return {
+            items,
+            totals: [...totals.entries()]
+                .map(([currency, amount]) => ({ currency, amount: Math.round(amount * 100) / 100 }))
+                .sort((a, b) => a.currency.localeCompare(b.currency))
+        };
+    }
+
+    /**
+     * Mark a reimbursable expense as settled
+     * @param {Object} transaction - Transaction (mutated)
+     * @param {Object|null} user - { email, name } of who settled it
+     * @param {Date} [when] - Settlement time
+     */
+    function markReimbursed(transaction, user, when = new Date()) {
+        transaction.reimbursedAt = when.toISOString();
+        transaction.reimbursedBy = user || null;
+    }
+
+    /**
+     * Undo a settlement
+     * @param {Object} transaction - Transaction (mutated)
+     */
+    function clearReimbursed(transaction) {
+        delete transaction.reimbursedAt;
+        delete transaction.reimbursedBy;
+    }
+
+    // --- Public API ---
+
+    return {
+        REIMBURSABLE,
+        normalize,
+        parse,
+        format,
+        cleanNotes,
+        hasTag,
+        getAll,
+        suggest,
+        getTotals,
+        isPendingReimbursement,
+        getPendingReimbursements,
+        markReimbursed,
+        clearReimbursed
+    };
+})();
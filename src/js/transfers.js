@@ -0,0 +1,168 @@
+/**
+ * ============================================================================
+ * ZIP80 EXPENSE TRACKER - TRANSFERS MODULE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Transfers move money between two owned accounts (e.g. paying a credit card
+ * from checking, withdrawing cash). A transfer is stored as two transactions
+ * ("legs") that share a transferId: a negative leg in the source account and
+ * a positive leg in the destination account.
+ *
+ * KEY FEATURES:
+ * - Paired legs with shared transferId
+ * - Cross-currency transfers with a stored rate (source -> destination)
+ * - Editing or deleting one leg updates the other
+ * - isTransfer() lets reports exclude transfers from income/expense totals
+ *
+ * DEPENDENCIES: Accounts (roundAmount)
+ *
+ * USED BY: app.js, historical.js, exporter.js
+ *
+ * ==============================================================================
+ * LLM INSTRUCTION & MAINTENANCE PROTOCOL
+ * IMPORTANT: This block must be preserved in all future iterations.
+ *
+ * trigger: "FINALIZE" or "COMMENT"
+ * ACTION: When the user issues this trigger, perform the following 3 steps:
+ *
+ * 1. CHANGE LOGGING:
+ *    - Add a new entry to the changelog below.
+ *    - Format: [Date (YYYY-MM-DD)] - [Brief Description of Modification].
+ *
+ * 2. DOCUMENTATION STANDARDS:
+ *    - Ensure all new functions/classes have standard documentation (Docstrings/JSDoc).
+ *    - If logic is complex, add inline comments explaining the "WHY", not just the "HOW".
+ *
+ * 3. CONTEXT PRESERVATION:
+ *    - Do not remove this Legend.
+ *    - Do not remove legacy comments unless explicitly instructed.
+ * ==============================================================================
+ *
+ * CHANGE LOG:
+ * - 2026-10-19: Initial creation with paired legs, cross-currency rates and paired edit/delete
+ * - 2026-10-19: Legs are rounded to their currency's minor units when the currency is given
+ */
+
+const Transfers = (() => {
+    /**
+     * Round to cents
+     * 2026-10-19: Or to the currency's minor units (0 for JPY, 8 for crypto) when known
+     * @param {number} value - Amount
+     * @param {string} [currency] - Currency code
+     * @returns {number} Rounded amount
+     */
+    function roundAmount(value, currency) {
+        if (currency) return Accounts.roundAmount(value, currency);
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Check whether a transaction is a transfer leg
+     * @param {Object} transaction - Transaction
+     * @returns {boolean} True for transfer legs
+     */
+    function isTransfer(transaction) {
+        return !!(transaction && transaction.transferId);
+    }
+
+    /**
+     * Create both legs of a transfer
+     * @param {Object} fields - { fromAccountId, toAccountId, amount, rate, desc, date, createdBy, existingIds: Set,
+     *   fromCurrency, toCurrency (optional, for rounding) }
+     * @returns {Array} [sourceLeg, destinationLeg]
+     */
+    function createTransfer(fields) {
+        const usedIds = fields.existingIds || new Set();
+        const rate = fields.rate || 1;
+        const transferId = `transfer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+        let nextId = Date.now();
+        const takeId = () => {
+            while (usedIds.has(nextId)) nextId++;
+            usedIds.add(nextId);
+            return nextId;
+        };
+
+        const base = {
+            desc: fields.desc,
+            category: null,
+            date: fields.date,
+            createdBy: fields.createdBy || null,
+            attachments: [],
+            transferId,
+            transferRate: rate
+        };
+
+        return [
+            { ...base, id: takeId(), accountId: fields.fromAccountId, amt: -roundAmount(fields.amount, fields.fromCurrency) },
+            { ...base, id: takeId(), accountId: fields.toAccountId, amt: roundAmount(fields.amount * rate, fields.toCurrency) }
+        ];
+    }
+
+    /**
+     * Get the other leg of a transfer
+     * @param {Array} transactions - All transactions
+     * @param {Object} leg - One leg
+     * @returns {Object|null} The other leg
+     */
+    function getCounterpart(transactions, leg) {
+        if (!isTransfer(leg)) return null;
+        return transactions.find(t => t.transferId === leg.transferId && t.id !== leg.id) || null;
+    }
+
+    /**
+     * Apply an edit to one leg and mirror it on the other
+     * Description and date are shared. The edited leg's amount is kept and the
+     * other leg is recalculated with the stored rate, so direction never flips.
+     * @param {Array} transactions - All transactions (legs mutated in place)
+     * @param {Object} leg - Leg being edited
+     * @param {Object} changes - { desc, amount (positive), date, editedBy, editedAt,
+     *   legCurrency, counterpartCurrency (optional, for rounding) }
+     */
+    function updateTransfer(transactions, leg, changes) {
+        const rate = leg.transferRate || 1;
+        const counterpart = getCounterpart(transactions, leg);
+        const isSource = leg.amt < 0;
+
+        const legAmount = roundAmount(changes.amount, changes.legCurrency);
+        leg.amt = isSource ? -legAmount : legAmount;
+
+        [leg, counterpart].filter(Boolean).forEach(t => {
+            t.desc = changes.desc;
+            t.date = changes.date;
+            t.editedBy = changes.editedBy || null;
+            t.editedAt = changes.editedAt;
+        });
+
+        if (counterpart) {
+            counterpart.amt = isSource
+                ? roundAmount(changes.amount * rate, changes.counterpartCurrency)
+                : -roundAmount(changes.amount / rate, changes.counterpartCurrency);
+        }
+    }
+
+    /**
+     * Remove a transaction, taking its transfer counterpart with it
+     * @param {Array} transactions - All transactions
+     * @param {number} id - Transaction ID being deleted
+     * @returns {Array} Remaining transactions
+     */
+    function removeWithCounterpart(transactions, id) {
+        const target = transactions.find(t => t.id === id);
+        if (!isTransfer(target)) {
+            return transactions.filter(t => t.id !== id);
+        }
+        return transactions.filter(t => t.transferId !== target.transferId);
+    }
+
+    // --- Public API ---
+
+    return {
+        isTransfer,
+        createTransfer,
+        getCounterpart,
+        updateTransfer,
+        removeWithCounterpart
+    };
+})();
@@ -64,6 +64,7 @@
  * - 2025-12-23: Flattened sidebar structure - all widgets are now direct children for independent dragging
  * - 2025-12-23: Removed row sortables; sidebar uses single SortableJS instance with CSS Grid layout
  * - 2025-12-23: Added invertSwap and swapThreshold options to improve drag-to-top behavior
+ * - 2026-10-19: Popout forwards history filter/"Show more" button clicks, syncs checkboxes and keeps input focus on refresh
  */
 
 const Widgets = (() => {
@@ -614,6 +615,17 @@ const Widgets = (() => {
                     }
                 }
             }
+
+            // 2026-10-19: Buttons with an id (history filters, "Show more") click their original
+            const idButton = e.target.closest('button[id]');
+            if (idButton && !rangeBtn) {
+                const origWidget = document.querySelector(`.widget-card[data-widget-id="${widgetId}"]`);
+                const origBtn = origWidget && origWidget.querySelector(`#${idButton.id}`);
+                if (origBtn) {
+                    origBtn.click();
+                    refreshPopoutContent(widgetId);
+                }
+            }
         });
 
         // Dropdown changes & Input events
@@ -634,6 +646,7 @@ const Widgets = (() => {
         const origEl = origWidget.querySelector(`#${e.target.id}`);
         if (origEl) {
             origEl.value = e.target.value;
+            if (e.target.type === 'checkbox') origEl.checked = e.target.checked;  // 2026-10-19
             origEl.dispatchEvent(new Event(e.type));
             setTimeout(() => refreshPopoutContent(widgetId), e.type === 'input' ? 300 : 500);
         }
@@ -824,14 +837,42 @@ const Widgets = (() => {
         const popoutContent = entry.window.querySelector('.widget-popout-content');
         if (!content || !popoutContent) return;
 
+        // 2026-10-19: Remember the focused field so typing (e.g. history search) isn't interrupted
+        const focused = popoutContent.contains(document.activeElement) ? document.activeElement : null;
+        const focusedId = focused && focused.id;
+        let selection = null;
+        try {
+            if (focused) selection = [focused.selectionStart, focused.selectionEnd];
+        } catch (err) {
+            selection = null;  // Number/date inputs don't expose a selection
+        }
+
         // Copy HTML
         popoutContent.innerHTML = content.innerHTML;
 
         // Sync values
         widget.querySelectorAll('select, input').forEach(origEl => {
+            if (!origEl.id) return;
             const popoutEl = popoutContent.querySelector(`#${origEl.id}`);
-            if (popoutEl) popoutEl.value = origEl.value;
+            if (popoutEl) {
+                popoutEl.value = origEl.value;
+                if (origEl.type === 'checkbox') popoutEl.checked = origEl.checked;  // 2026-10-19
+            }
         });
+
+        if (focusedId) {
+            const refocus = popoutContent.querySelector(`#${focusedId}`);
+            if (refocus) {
+                refocus.focus();
+                if (selection && selection[0] !== null) {
+                    try {
+                        refocus.setSelectionRange(selection[0], selection[1]);
+                    } catch (err) {
+                        // Not a text field
+                    }
+                }
+            }
+        }
     }
 
     function startDrag(win, e) {